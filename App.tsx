@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -7,6 +7,7 @@ import {
   ScrollView,
   ActivityIndicator,
   SafeAreaView,
+  AppState,
 } from 'react-native';
 import { WebView } from 'react-native-webview';
 import * as Linking from 'expo-linking';
@@ -14,7 +15,11 @@ import { StatusBar } from 'expo-status-bar';
 
 import { YotoAuth } from './src/services/authService';
 import { YotoAPI } from './src/services/apiService';
+import { ApiCacheService } from './src/services/apiCacheService';
+import { AuthError } from './src/services/apiErrors';
 import { MqttClient } from './src/services/mqttService';
+import { ConnectionManager } from './src/services/connectionManager';
+import { CommandQueueService } from './src/services/commandQueueService';
 import { SchedulerService } from './src/services/simpleSchedulerService';
 import { BackgroundSchedulerService } from './src/services/backgroundSchedulerService';
 import { AmbientLightControl } from './src/components/AmbientLightControl';
@@ -23,10 +28,14 @@ import { BackgroundSchedulerStatus } from './src/components/BackgroundSchedulerS
 import { ExpoGoBackgroundStatus } from './src/components/ExpoGoBackgroundStatus';
 import Constants from 'expo-constants';
 import { BatteryStatus } from './src/components/BatteryStatus';
+import { VolumeControl } from './src/components/VolumeControl';
+import { NowPlayingPanel } from './src/components/NowPlayingPanel';
+import { NowPlayingScreen } from './src/components/NowPlayingScreen';
+import { EnhancedContentBrowser } from './src/components/EnhancedContentBrowser';
 import { ErrorBoundary } from './src/components/ErrorBoundary';
 import { SnackBarProvider, useSnackBarContext } from './src/contexts/SnackBarContext';
 import { YOTO_CLIENT_ID, validateConfig } from './src/config/env';
-import type { YotoPlayer, YotoCard } from './src/types/index';
+import type { YotoPlayer, YotoCard, ReconnectState } from './src/types/index';
 
 // Internal App component that uses the SnackBar context
 const AppContent: React.FC = () => {
@@ -35,10 +44,17 @@ const AppContent: React.FC = () => {
   const [showWebViewLogin, setShowWebViewLogin] = useState(false);
   const [players, setPlayers] = useState<YotoPlayer[]>([]);
   const [selectedPlayer, setSelectedPlayer] = useState<YotoPlayer | null>(null);
+  // Players and cards come from the offline cache first; this tracks how old they are
+  const [libraryUpdatedAt, setLibraryUpdatedAt] = useState<number | null>(null);
+  const [isRefreshingLibrary, setIsRefreshingLibrary] = useState(false);
+  const [libraryRefreshFailed, setLibraryRefreshFailed] = useState(false);
+  const [clockTick, setClockTick] = useState(Date.now());
   const [cards, setCards] = useState<YotoCard[]>([]);
   const [mqttClient, setMqttClient] = useState<MqttClient | null>(null);
   const [connectionStatus, setConnectionStatus] = useState('Disconnected');
+  const [reconnectState, setReconnectState] = useState<ReconnectState | null>(null);
   const [showAmbientControl, setShowAmbientControl] = useState(false);
+  const [showNowPlaying, setShowNowPlaying] = useState(false);
   const [showScheduler, setShowScheduler] = useState(false);
   const [showBackgroundStatus, setShowBackgroundStatus] = useState(false);
   const [processedCallbackUrl, setProcessedCallbackUrl] = useState<string | null>(null);
@@ -48,6 +64,69 @@ const AppContent: React.FC = () => {
   // Use snackbar context
   const { showSuccess, showError, showWarning, showInfo } = useSnackBarContext();
 
+  // Report what happened to commands held while a player was offline
+  useEffect(() => {
+    const unsubscribe = CommandQueueService.onQueueEvent((event: any) => {
+      if (event.type === 'dropped') {
+        showWarning(`Dropped "${event.entry.label}": the player was offline too long`);
+      } else if (event.outcome === 'success') {
+        showSuccess(`Sent queued "${event.entry.label}"`);
+      } else {
+        showWarning(`Queued "${event.entry.label}" could not be confirmed: ${event.errorMessage}`);
+      }
+    });
+    return () => {
+      unsubscribe();
+    };
+  }, []);
+
+  // Reload players and cards when a background refresh brings new data, and keep the "last updated" line current
+  useEffect(() => {
+    const cachedEndpoints: string[] = Object.values(YotoAPI.CACHED_ENDPOINTS);
+    const unsubscribe = ApiCacheService.onChange((event: any) => {
+      if (event.type === 'cleared') {
+        setLibraryUpdatedAt(null);
+        return;
+      }
+      if (!cachedEndpoints.includes(event.key)) return;
+
+      if (event.type === 'revalidating') {
+        setIsRefreshingLibrary(true);
+        return;
+      }
+
+      setIsRefreshingLibrary(YotoAPI.revalidations.size > 0);
+      setLibraryRefreshFailed(event.type === 'failed');
+      updateLibraryUpdatedAt();
+
+      // On a cold start loadPlayers/loadUserContent already wait for the fetch, so only background changes reload
+      if (event.type === 'updated' && event.background && event.changed) {
+        console.log(`🔄 [APP] Fresh data for ${event.key}, reloading`);
+        if (event.key === YotoAPI.CACHED_ENDPOINTS.PLAYERS) {
+          loadersRef.current.loadPlayers();
+        } else {
+          loadersRef.current.loadUserContent();
+        }
+      }
+    });
+    const timer = setInterval(() => setClockTick(Date.now()), 60000);
+    return () => {
+      unsubscribe();
+      clearInterval(timer);
+    };
+  }, []);
+
+  // Players go on and offline while the app is in the background, so check them again on return
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    const subscription = AppState.addEventListener('change', state => {
+      if (state === 'active') {
+        YotoAPI.revalidate(YotoAPI.CACHED_ENDPOINTS.PLAYERS).catch(() => {});
+      }
+    });
+    return () => subscription.remove();
+  }, [isAuthenticated]);
+
   useEffect(() => {
     console.log('App component mounted, checking authentication status...');
     
@@ -79,9 +158,7 @@ const AppContent: React.FC = () => {
     
     // Cleanup function for timers and connections
     return () => {
-      if (mqttClient) {
-        mqttClient.disconnect();
-      }
+      ConnectionManager.disconnectAll();
     };
   }, []);
 
@@ -133,14 +210,23 @@ const AppContent: React.FC = () => {
       console.log('✅ [APP] Players loaded successfully');
       setPlayers(playerList);
       
-      // Auto-select first player if available
+      // Give the scheduler a session slot for every player, not just the selected one
+      ConnectionManager.setPlayers(playerList);
+      
+      // Auto-select first player if available; a background refresh keeps the current choice
       if (playerList.length > 0) {
-        setSelectedPlayer(playerList[0]);
+        setSelectedPlayer(current => current || playerList[0]);
       }
       
+      updateLibraryUpdatedAt();
       await loadUserContent();
     } catch (error) {
       console.error('❌ [APP] Failed to load players:', error);
+      // The token was rejected and couldn't be refreshed, so only a new login will help
+      if (error instanceof AuthError && (error.code === 'SESSION_EXPIRED' || error.code === 'NO_VALID_TOKEN')) {
+        showError('Your session has expired. Please log in again.');
+        await handleLogout();
+      }
     }
   };
 
@@ -156,11 +242,33 @@ const AppContent: React.FC = () => {
         uri: card.uri
       })));
       setCards(userCards);
+      updateLibraryUpdatedAt();
     } catch (error) {
       console.error('❌ [APP] Failed to load user content:', error);
     }
   };
 
+  // The cache listener is registered once, so it reaches the latest loaders through this ref
+  const loadersRef = useRef({ loadPlayers, loadUserContent });
+  loadersRef.current = { loadPlayers, loadUserContent };
+
+  // The older of the cached players and cards, as that's how current the screen is
+  const updateLibraryUpdatedAt = () => {
+    const times = Object.values(YotoAPI.CACHED_ENDPOINTS)
+      .map(endpoint => ApiCacheService.getFetchedAt(endpoint))
+      .filter((time): time is number => typeof time === 'number');
+    setLibraryUpdatedAt(times.length > 0 ? Math.min(...times) : null);
+  };
+
+  const refreshLibrary = async () => {
+    try {
+      await YotoAPI.refreshLibrary();
+    } catch (error) {
+      console.error('❌ [APP] Failed to refresh players and cards:', error);
+      showError('Could not refresh players and cards, showing saved data');
+    }
+  };
+
   const handleLogin = async () => {
     console.log('🚀 [AUTH] Starting WebView login...');
     try {
@@ -184,6 +292,7 @@ const AppContent: React.FC = () => {
       if (mqttClient) {
         mqttClient.disconnect();
       }
+      ConnectionManager.clear();
       
       await YotoAuth.logout();
       setIsAuthenticated(false);
@@ -195,6 +304,7 @@ const AppContent: React.FC = () => {
       setBatteryInfo(null);
       setShowAmbientControl(false);
       setShowScheduler(false);
+      setShowNowPlaying(false);
     } catch (error) {
       console.error('Logout error:', error);
     }
@@ -213,8 +323,9 @@ const AppContent: React.FC = () => {
       const client = new MqttClient();
       
       // Set up status callback after creating client
-      client.connectionStatusCallback = (status: string) => {
+      client.connectionStatusCallback = (status: string, reconnect: ReconnectState) => {
         setConnectionStatus(status);
+        setReconnectState(reconnect);
       };
 
       // Set up battery status callback
@@ -228,8 +339,10 @@ const AppContent: React.FC = () => {
         setMqttClient(client);
         setSelectedPlayer(player);
         
-        // Pass MQTT client to scheduler service for foreground execution
+        // Pass MQTT client to scheduler service for foreground execution,
+        // and reuse it as this player's session for scheduled commands
         SchedulerService.setMqttClient(client);
+        ConnectionManager.registerClient(player, client);
         
         showSuccess(`Connected to ${player.name}`);
       } else {
@@ -270,9 +383,15 @@ const AppContent: React.FC = () => {
     });
 
     try {
-      await mqttClient.playCard(selectedPlayer.id, cardUri);
-      showSuccess(`Playing ${card.title}`);
-    } catch (error) {
+      showInfo(`Sending ${card.title}...`);
+      await mqttClient.playCardAndConfirm(selectedPlayer.id, cardUri);
+      showSuccess(`${card.title} started on ${selectedPlayer.name}`);
+    } catch (error: any) {
+      if (error?.code === 'COMMAND_TIMEOUT') {
+        // The broker took the command but the player never reported playing it
+        showWarning(`${card.title} was sent, but ${selectedPlayer.name} hasn't confirmed it started`);
+        return;
+      }
       console.error('Play error:', error);
       showError('Failed to play card');
     }
@@ -421,6 +540,18 @@ const AppContent: React.FC = () => {
     );
   }
 
+  if (showNowPlaying && selectedPlayer) {
+    return (
+      <NowPlayingScreen
+        player={selectedPlayer}
+        mqttClient={mqttClient}
+        cards={cards}
+        onBack={() => setShowNowPlaying(false)}
+        onRefreshConnection={refreshConnection}
+      />
+    );
+  }
+
   if (showScheduler && selectedPlayer) {
     return (
       <SchedulerScreen
@@ -461,6 +592,12 @@ const AppContent: React.FC = () => {
                   Waiting for device...
                 </Text>
               )}
+              {reconnectState?.isReconnecting && (
+                <Text style={styles.waitingText}>
+                  Reconnect attempt {reconnectState.reconnectAttempts}
+                  {reconnectState.nextRetryAt ? ` at ${reconnectState.nextRetryAt.toLocaleTimeString()}` : ' in progress...'}
+                </Text>
+              )}
               <View style={styles.connectionButtonsContainer}>
                 <TouchableOpacity style={styles.disconnectButton} onPress={disconnectFromPlayer}>
                   <Text style={styles.disconnectButtonText}>Disconnect</Text>
@@ -476,6 +613,17 @@ const AppContent: React.FC = () => {
         {/* Players Section */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Your Players</Text>
+          {libraryUpdatedAt !== null && (
+            <TouchableOpacity onPress={refreshLibrary} disabled={isRefreshingLibrary}>
+              <Text style={[styles.lastUpdatedText, libraryRefreshFailed && styles.lastUpdatedFailedText]}>
+                {isRefreshingLibrary
+                  ? `🔄 Refreshing... (last updated ${ApiCacheService.formatAge(libraryUpdatedAt, clockTick)})`
+                  : libraryRefreshFailed
+                    ? `📴 Couldn't refresh, showing data from ${ApiCacheService.formatAge(libraryUpdatedAt, clockTick)} · tap to retry`
+                    : `Updated ${ApiCacheService.formatAge(libraryUpdatedAt, clockTick)} · tap to refresh`}
+              </Text>
+            </TouchableOpacity>
+          )}
           {players.map((player) => (
             <TouchableOpacity
               key={player.id}
@@ -498,6 +646,13 @@ const AppContent: React.FC = () => {
         {mqttClient && selectedPlayer && (
           <View style={styles.section}>
             <Text style={styles.sectionTitle}>Controls</Text>
+            <TouchableOpacity
+              style={styles.controlButton}
+              onPress={() => setShowNowPlaying(true)}
+            >
+              <Text style={styles.controlButtonText}>🎧 Now Playing</Text>
+            </TouchableOpacity>
+            
             <TouchableOpacity
               style={styles.controlButton}
               onPress={() => setShowAmbientControl(true)}
@@ -519,27 +674,10 @@ const AppContent: React.FC = () => {
               <Text style={styles.controlButtonText}>🌙 Background Status</Text>
             </TouchableOpacity>
             
-            {/* Playback Controls */}
-            <View style={styles.playbackControlsContainer}>
-              <TouchableOpacity
-                style={styles.playbackButton}
-                onPress={() => mqttClient.pausePlayback(selectedPlayer.id)}
-              >
-                <Text style={styles.playbackButtonText}>⏸️ Pause</Text>
-              </TouchableOpacity>
-              <TouchableOpacity
-                style={styles.playbackButton}
-                onPress={() => mqttClient.resumePlayback(selectedPlayer.id)}
-              >
-                <Text style={styles.playbackButtonText}>▶️ Resume</Text>
-              </TouchableOpacity>
-              <TouchableOpacity
-                style={[styles.playbackButton, styles.stopButton]}
-                onPress={() => mqttClient.stopPlayback(selectedPlayer.id)}
-              >
-                <Text style={styles.playbackButtonText}>⏹️ Stop</Text>
-              </TouchableOpacity>
-            </View>
+            {/* Now Playing: current card, transport controls and sleep timer */}
+            <NowPlayingPanel player={selectedPlayer} mqttClient={mqttClient} cards={cards} />
+            
+            <VolumeControl player={selectedPlayer} mqttClient={mqttClient} />
           </View>
         )}
 
@@ -547,37 +685,14 @@ const AppContent: React.FC = () => {
         {cards.length > 0 && (
           <View style={styles.section}>
             <Text style={styles.sectionTitle}>Your Cards</Text>
-            {!mqttClient && (
-              <View style={styles.disconnectedNotice}>
-                <Text style={styles.disconnectedNoticeText}>
-                  🔌 Connect to a player to control card playback
-                </Text>
-              </View>
-            )}
-            {cards.slice(0, 5).map((card) => (
-              <TouchableOpacity
-                key={card.id}
-                style={[
-                  styles.cardButton,
-                  !mqttClient && styles.cardButtonDisabled
-                ]}
-                onPress={() => playCard(card)}
-                disabled={!mqttClient}
-              >
-                <Text style={[
-                  styles.cardTitle,
-                  !mqttClient && styles.cardTitleDisabled
-                ]}>
-                  {card.title}
-                </Text>
-                <Text style={[
-                  styles.cardSubtitle,
-                  !mqttClient && styles.cardSubtitleDisabled
-                ]}>
-                  {mqttClient ? 'Tap to play' : 'Connect to player first'}
-                </Text>
-              </TouchableOpacity>
-            ))}
+            <EnhancedContentBrowser
+              cards={cards}
+              onSelectCard={playCard}
+              actionLabel={mqttClient ? 'Tap to play' : undefined}
+              disabled={!mqttClient}
+              disabledMessage="🔌 Connect to a player to control card playback"
+              initialVisibleCount={6}
+            />
           </View>
         )}
 
@@ -725,6 +840,15 @@ const styles = StyleSheet.create({
     color: '#333',
     marginBottom: 15,
   },
+  lastUpdatedText: {
+    fontSize: 13,
+    color: '#999',
+    marginTop: -10,
+    marginBottom: 12,
+  },
+  lastUpdatedFailedText: {
+    color: '#FF9500',
+  },
   playerButton: {
     backgroundColor: '#F8F9FA',
     padding: 15,
@@ -759,24 +883,6 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
-  cardButton: {
-    backgroundColor: '#F8F9FA',
-    padding: 15,
-    borderRadius: 10,
-    marginBottom: 10,
-    borderLeftWidth: 4,
-    borderLeftColor: '#007AFF',
-  },
-  cardTitle: {
-    fontSize: 16,
-    fontWeight: '600',
-    color: '#333',
-  },
-  cardSubtitle: {
-    fontSize: 14,
-    color: '#666',
-    marginTop: 4,
-  },
   loadingContainer: {
     alignItems: 'center',
     padding: 20,
@@ -817,50 +923,4 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     textAlign: 'center',
   },
-  playbackControlsContainer: {
-    flexDirection: 'row',
-    marginTop: 15,
-    gap: 10,
-  },
-  playbackButton: {
-    backgroundColor: '#007AFF',
-    paddingHorizontal: 12,
-    paddingVertical: 10,
-    borderRadius: 8,
-    flex: 1,
-    alignItems: 'center',
-  },
-  stopButton: {
-    backgroundColor: '#FF3B30',
-  },
-  playbackButtonText: {
-    color: '#FFFFFF',
-    fontSize: 14,
-    fontWeight: '500',
-  },
-  disconnectedNotice: {
-    backgroundColor: '#FFF3CD',
-    padding: 12,
-    borderRadius: 8,
-    marginBottom: 15,
-    borderLeftWidth: 4,
-    borderLeftColor: '#FFC107',
-  },
-  disconnectedNoticeText: {
-    color: '#856404',
-    fontSize: 14,
-    fontWeight: '500',
-    textAlign: 'center',
-  },
-  cardButtonDisabled: {
-    backgroundColor: '#F5F5F5',
-    opacity: 0.6,
-    borderLeftColor: '#CCCCCC',
-  },
-  cardTitleDisabled: {
-    color: '#999999',
-  },
-  cardSubtitleDisabled: {
-    color: '#BBBBBB',
-  },
 });
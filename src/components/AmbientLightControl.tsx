@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -9,11 +9,14 @@ import {
 } from 'react-native';
 import { useSnackBarContext } from '../contexts/SnackBarContext';
 import type { YotoPlayer } from '../types/index';
+import { LightTransitionService } from '../services/lightTransitionService';
+import { CommandQueueService } from '../services/commandQueueService';
 
 interface MqttClient {
   setAmbientLight: (playerId: string, brightness: number, color?: string) => Promise<void>;
   turnOffAmbientLight: (playerId: string) => Promise<void>;
   setNightLight: (playerId: string, enabled: boolean, brightness?: number) => Promise<void>;
+  isConnectionHealthy?: () => boolean | null;
   connect?: (playerId: string, token: string) => Promise<boolean>;
   disconnect?: () => void;
 }
@@ -36,9 +39,37 @@ export const AmbientLightControl: React.FC<AmbientLightControlProps> = ({
   const [isNightLightEnabled, setIsNightLightEnabled] = useState<boolean>(false);
   const [nightLightBrightness, setNightLightBrightness] = useState<number>(20);
   const [isLoading, setIsLoading] = useState<boolean>(false);
+  const [fadeMinutes, setFadeMinutes] = useState<number>(LightTransitionService.DEFAULT_DURATION_MINUTES);
+  const [activeFade, setActiveFade] = useState(LightTransitionService.getActive(player.id));
 
   // Use snackbar context
-  const { showSuccess, showError, showWarning } = useSnackBarContext();
+  const { showSuccess, showError, showWarning, showInfo } = useSnackBarContext();
+
+  // Follow fades started here or by a schedule, refreshing the progress while one runs
+  useEffect(() => {
+    const unsubscribe = LightTransitionService.onTransitionChange((event: { playerId: string }) => {
+      if (event.playerId === player.id) {
+        setActiveFade(LightTransitionService.getActive(player.id));
+      }
+    });
+    const timer = setInterval(() => setActiveFade(LightTransitionService.getActive(player.id)), 1000);
+    return () => {
+      unsubscribe();
+      clearInterval(timer);
+    };
+  }, [player.id]);
+
+  const handleStartFade = (preset: string) => {
+    const transition = LightTransitionService.createTransition(preset, fadeMinutes);
+    showSuccess(`${transition.label} started over ${fadeMinutes} minutes`);
+    LightTransitionService.run(player.id, transition, () => mqttClient)
+      .then(result => {
+        if (!result.success && !result.cancelled) {
+          showWarning(result.error || 'The fade did not finish');
+        }
+      })
+      .catch(error => console.error('💡 [AMBIENT] Fade failed:', error));
+  };
 
   const predefinedColors = [
     { name: 'White', color: '#FFFFFF' },
@@ -53,12 +84,41 @@ export const AmbientLightControl: React.FC<AmbientLightControlProps> = ({
     { name: 'Cyan', color: '#00FFFF' },     // Pure cyan
   ];
 
+  // Light changes go through the offline queue, so they still happen once the player reconnects.
+  // Resolves true if the change was queued or the player didn't confirm it, so there's no success to report
+  const sendLightCommand = async (command: string, params: object, label: string) => {
+    try {
+      const { queued } = await CommandQueueService.sendOrQueue(mqttClient, {
+        playerId: player.id,
+        command,
+        params,
+        label,
+        dedupeKey: `${player.id}:${command}`,
+      });
+      if (queued) {
+        showInfo(`${player.name} is offline, ${label.toLowerCase()} will change when it reconnects`);
+      }
+      return queued;
+    } catch (error: any) {
+      if (error?.code !== 'COMMAND_TIMEOUT') throw error;
+      showWarning(`Sent, but ${player.name} didn't confirm the ${label.toLowerCase()} change`);
+      return true;
+    }
+  };
+
   const handleSetAmbientLight = async () => {
     setIsLoading(true);
     try {
-      await mqttClient.setAmbientLight(player.id, brightness, selectedColor);
-      const colorName = predefinedColors.find(c => c.color === selectedColor)?.name || 'selected color';
-      showSuccess(`Ambient light set to ${brightness}% brightness with ${colorName}`);
+      LightTransitionService.cancel(player.id);
+      const queued = await sendLightCommand(
+        CommandQueueService.COMMANDS.AMBIENT_LIGHT,
+        { brightness, color: selectedColor },
+        'Ambient light'
+      );
+      if (!queued) {
+        const colorName = predefinedColors.find(c => c.color === selectedColor)?.name || 'selected color';
+        showSuccess(`Ambient light set to ${brightness}% brightness with ${colorName}`);
+      }
     } catch (error) {
       console.error('💡 [AMBIENT] Error setting ambient light:', error);
       
@@ -99,8 +159,11 @@ export const AmbientLightControl: React.FC<AmbientLightControlProps> = ({
   const handleTurnOffLight = async () => {
     setIsLoading(true);
     try {
-      await mqttClient.turnOffAmbientLight(player.id);
-      showSuccess('Ambient light turned off');
+      LightTransitionService.cancel(player.id);
+      const queued = await sendLightCommand(CommandQueueService.COMMANDS.AMBIENT_LIGHT, { brightness: 0 }, 'Ambient light');
+      if (!queued) {
+        showSuccess('Ambient light turned off');
+      }
     } catch (error) {
       console.error('Error turning off light:', error);
       const errorStr = error instanceof Error ? error.message : String(error);
@@ -118,9 +181,15 @@ export const AmbientLightControl: React.FC<AmbientLightControlProps> = ({
   const handleNightLightToggle = async (enabled: boolean) => {
     setIsLoading(true);
     try {
-      await mqttClient.setNightLight(player.id, enabled, nightLightBrightness);
+      const queued = await sendLightCommand(
+        CommandQueueService.COMMANDS.NIGHT_LIGHT,
+        { enabled, brightness: nightLightBrightness },
+        'Night light'
+      );
       setIsNightLightEnabled(enabled);
-      showSuccess(enabled ? 'Night light enabled' : 'Night light disabled');
+      if (!queued) {
+        showSuccess(enabled ? 'Night light enabled' : 'Night light disabled');
+      }
     } catch (error) {
       console.error('Error toggling night light:', error);
       const errorStr = error instanceof Error ? error.message : String(error);
@@ -296,6 +365,67 @@ export const AmbientLightControl: React.FC<AmbientLightControlProps> = ({
         </View>
       </View>
 
+      {/* Gradual Changes */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Gradual Changes</Text>
+
+        {activeFade ? (
+          <View style={styles.fadeStatus}>
+            <Text style={styles.label}>
+              {activeFade.transition.label}: {Math.round(activeFade.progress * 100)}%
+            </Text>
+            <View style={styles.fadeProgressTrack}>
+              <View style={[styles.fadeProgressFill, { width: `${Math.round(activeFade.progress * 100)}%` }]} />
+            </View>
+            <TouchableOpacity
+              style={[styles.button, styles.secondaryButton]}
+              onPress={() => LightTransitionService.cancel(player.id)}
+            >
+              <Text style={styles.secondaryButtonText}>Stop Fade</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <>
+            <Text style={styles.label}>Duration: {fadeMinutes} minutes</Text>
+            <View style={styles.brightnessControls}>
+              <TouchableOpacity
+                style={styles.brightnessButton}
+                onPress={() => setFadeMinutes(Math.max(1, fadeMinutes - 5))}
+              >
+                <Text style={styles.brightnessButtonText}>-5</Text>
+              </TouchableOpacity>
+
+              <View style={styles.brightnessDisplay}>
+                <Text style={styles.brightnessText}>{fadeMinutes} min</Text>
+              </View>
+
+              <TouchableOpacity
+                style={styles.brightnessButton}
+                onPress={() => setFadeMinutes(Math.min(60, fadeMinutes + 5))}
+              >
+                <Text style={styles.brightnessButtonText}>+5</Text>
+              </TouchableOpacity>
+            </View>
+
+            <View style={styles.quickActions}>
+              <TouchableOpacity
+                style={[styles.quickActionButton, styles.sleepButton]}
+                onPress={() => handleStartFade(LightTransitionService.PRESETS.DIM_DOWN)}
+              >
+                <Text style={styles.quickActionText}>{LightTransitionService.PRESET_LABELS.dim_down}</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.quickActionButton, styles.warmButton]}
+                onPress={() => handleStartFade(LightTransitionService.PRESETS.SUNRISE)}
+              >
+                <Text style={styles.quickActionText}>{LightTransitionService.PRESET_LABELS.sunrise}</Text>
+              </TouchableOpacity>
+            </View>
+          </>
+        )}
+      </View>
+
       {/* Quick Actions */}
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Quick Actions</Text>
@@ -576,6 +706,19 @@ const styles = StyleSheet.create({
   nightLightBrightnessContainer: {
     marginTop: 15,
   },
+  fadeStatus: {
+    gap: 10,
+  },
+  fadeProgressTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#E0E0E0',
+    overflow: 'hidden',
+  },
+  fadeProgressFill: {
+    height: 8,
+    backgroundColor: '#FF9500',
+  },
   quickActions: {
     flexDirection: 'row',
     justifyContent: 'space-between',
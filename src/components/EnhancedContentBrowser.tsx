@@ -0,0 +1,464 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  Image,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+} from 'react-native';
+import type { YotoCard } from '../types/index';
+import { ContentLibraryService } from '../services/contentLibraryService';
+import { CoverCacheService } from '../services/coverCacheService';
+
+type ViewMode = 'grid' | 'list';
+
+interface EnhancedContentBrowserProps {
+  cards: YotoCard[];
+  onSelectCard: (card: YotoCard) => void;
+  selectedCardId?: string | null;
+  actionLabel?: string;       // Hint under each card, e.g. 'Tap to play'
+  disabled?: boolean;
+  disabledMessage?: string;   // Shown above the cards while disabled
+  initialVisibleCount?: number; // Show this many results until "Show all" is tapped
+}
+
+// Cover from the disk cache, downloading it in the background the first time
+const CoverImage: React.FC<{ url?: string; size: number }> = ({ url, size }) => {
+  const [uri, setUri] = useState<string | null>(CoverCacheService.getCachedUri(url));
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setFailed(false);
+    setUri(CoverCacheService.getCachedUri(url));
+    if (url && !CoverCacheService.getCachedUri(url)) {
+      CoverCacheService.getCoverUri(url).then((coverUri: string | null) => {
+        if (!cancelled) setUri(coverUri);
+      });
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  if (!uri || failed) {
+    return (
+      <View style={[styles.cover, styles.coverPlaceholder, { width: size, height: size }]}>
+        <Text style={styles.coverPlaceholderText}>🎵</Text>
+      </View>
+    );
+  }
+
+  return (
+    <Image
+      source={{ uri }}
+      style={[styles.cover, { width: size, height: size }]}
+      resizeMode="cover"
+      onError={() => setFailed(true)}
+    />
+  );
+};
+
+export const EnhancedContentBrowser: React.FC<EnhancedContentBrowserProps> = ({
+  cards,
+  onSelectCard,
+  selectedCardId,
+  actionLabel,
+  disabled = false,
+  disabledMessage,
+  initialVisibleCount,
+}) => {
+  const [query, setQuery] = useState('');
+  const [contentType, setContentType] = useState<string>(ContentLibraryService.ALL_CONTENT_TYPES);
+  const [duration, setDuration] = useState<string>(ContentLibraryService.DURATION_FILTERS.ANY);
+  const [sort, setSort] = useState<string>(ContentLibraryService.SORT_ORDERS.TITLE);
+  const [favouritesOnly, setFavouritesOnly] = useState(false);
+  const [viewMode, setViewMode] = useState<ViewMode>('grid');
+  const [showFilters, setShowFilters] = useState(false);
+  const [showAll, setShowAll] = useState(!initialVisibleCount);
+  // Bumped when favourites change so the list re-sorts
+  const [favouritesVersion, setFavouritesVersion] = useState(0);
+
+  useEffect(() => {
+    ContentLibraryService.loadFavourites().then(() => setFavouritesVersion(version => version + 1));
+    const unsubscribe = ContentLibraryService.onFavouritesChange(() => setFavouritesVersion(version => version + 1));
+    return () => {
+      unsubscribe();
+    };
+  }, []);
+
+  const contentTypes = useMemo(() => ContentLibraryService.getContentTypes(cards), [cards]);
+
+  const results: YotoCard[] = useMemo(
+    () => ContentLibraryService.filterAndSort(cards, { query, contentType, duration, sort, favouritesOnly }),
+    [cards, query, contentType, duration, sort, favouritesOnly, favouritesVersion]
+  );
+  const visibleResults = showAll || !initialVisibleCount ? results : results.slice(0, initialVisibleCount);
+  const activeFilterCount = [
+    contentType !== ContentLibraryService.ALL_CONTENT_TYPES,
+    duration !== ContentLibraryService.DURATION_FILTERS.ANY,
+    favouritesOnly,
+  ].filter(Boolean).length;
+
+  const clearFilters = () => {
+    setQuery('');
+    setContentType(ContentLibraryService.ALL_CONTENT_TYPES);
+    setDuration(ContentLibraryService.DURATION_FILTERS.ANY);
+    setFavouritesOnly(false);
+  };
+
+  const renderChip = (key: string, label: string, selected: boolean, onPress: () => void) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, selected && styles.selectedChip]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, selected && styles.selectedChipText]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderFavouriteButton = (card: YotoCard) => {
+    const isFavourite = ContentLibraryService.isFavourite(card.id);
+    return (
+      <TouchableOpacity
+        style={styles.favouriteButton}
+        onPress={() => ContentLibraryService.toggleFavourite(card.id)}
+        hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+      >
+        <Text style={[styles.favouriteIcon, isFavourite && styles.favouriteIconActive]}>
+          {isFavourite ? '★' : '☆'}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderCard = (card: YotoCard) => {
+    const length = ContentLibraryService.formatDuration(ContentLibraryService.getDurationSeconds(card));
+    const isSelected = selectedCardId === card.id;
+
+    if (viewMode === 'list') {
+      return (
+        <TouchableOpacity
+          key={card.id}
+          style={[styles.listItem, isSelected && styles.selectedItem, disabled && styles.disabledItem]}
+          onPress={() => onSelectCard(card)}
+          disabled={disabled}
+          activeOpacity={0.7}
+        >
+          <CoverImage url={card.imageUrl || card.coverUrl} size={48} />
+          <View style={styles.listText}>
+            <Text style={[styles.cardTitle, styles.listTitle]} numberOfLines={1}>{card.title}</Text>
+            <Text style={styles.cardMeta} numberOfLines={1}>
+              {[length, card.contentType, actionLabel].filter(Boolean).join(' · ')}
+            </Text>
+          </View>
+          {renderFavouriteButton(card)}
+        </TouchableOpacity>
+      );
+    }
+
+    return (
+      <TouchableOpacity
+        key={card.id}
+        style={[styles.gridItem, isSelected && styles.selectedItem, disabled && styles.disabledItem]}
+        onPress={() => onSelectCard(card)}
+        disabled={disabled}
+        activeOpacity={0.7}
+      >
+        <View>
+          <CoverImage url={card.imageUrl || card.coverUrl} size={120} />
+          <View style={styles.gridFavourite}>{renderFavouriteButton(card)}</View>
+        </View>
+        <Text style={styles.cardTitle} numberOfLines={2}>{card.title}</Text>
+        {(length || actionLabel) && (
+          <Text style={styles.cardMeta} numberOfLines={1}>
+            {[length, actionLabel].filter(Boolean).join(' · ')}
+          </Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View>
+      {disabled && disabledMessage && (
+        <View style={styles.disabledNotice}>
+          <Text style={styles.disabledNoticeText}>{disabledMessage}</Text>
+        </View>
+      )}
+
+      <View style={styles.searchRow}>
+        <TextInput
+          style={styles.searchInput}
+          value={query}
+          onChangeText={setQuery}
+          placeholder="Search titles and descriptions"
+          placeholderTextColor="#999"
+          autoCorrect={false}
+          clearButtonMode="while-editing"
+        />
+        <TouchableOpacity
+          style={[styles.toolbarButton, showFilters && styles.toolbarButtonActive]}
+          onPress={() => setShowFilters(!showFilters)}
+        >
+          <Text style={[styles.toolbarButtonText, showFilters && styles.toolbarButtonTextActive]}>
+            ⚙️{activeFilterCount > 0 ? ` ${activeFilterCount}` : ''}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.toolbarButton}
+          onPress={() => setViewMode(viewMode === 'grid' ? 'list' : 'grid')}
+        >
+          <Text style={styles.toolbarButtonText}>{viewMode === 'grid' ? '☰' : '▦'}</Text>
+        </TouchableOpacity>
+      </View>
+
+      {showFilters && (
+        <View style={styles.filters}>
+          <Text style={styles.filterLabel}>Show</Text>
+          <View style={styles.chipRow}>
+            {renderChip('all', 'All cards', !favouritesOnly, () => setFavouritesOnly(false))}
+            {renderChip('favourites', '★ Favourites', favouritesOnly, () => setFavouritesOnly(true))}
+          </View>
+
+          {contentTypes.length > 0 && (
+            <>
+              <Text style={styles.filterLabel}>Type</Text>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+                {renderChip(
+                  ContentLibraryService.ALL_CONTENT_TYPES,
+                  'All types',
+                  contentType === ContentLibraryService.ALL_CONTENT_TYPES,
+                  () => setContentType(ContentLibraryService.ALL_CONTENT_TYPES)
+                )}
+                {contentTypes.map((type: string) =>
+                  renderChip(type, type, contentType === type, () => setContentType(type))
+                )}
+              </ScrollView>
+            </>
+          )}
+
+          <Text style={styles.filterLabel}>Length</Text>
+          <View style={styles.chipRow}>
+            {Object.entries(ContentLibraryService.DURATION_FILTER_LABELS).map(([id, label]) =>
+              renderChip(id, label, duration === id, () => setDuration(id))
+            )}
+          </View>
+
+          <Text style={styles.filterLabel}>Sort</Text>
+          <View style={styles.chipRow}>
+            {Object.entries(ContentLibraryService.SORT_ORDER_LABELS).map(([id, label]) =>
+              renderChip(id, label, sort === id, () => setSort(id))
+            )}
+          </View>
+        </View>
+      )}
+
+      <Text style={styles.resultCount}>
+        {results.length === cards.length ? `${cards.length} cards` : `${results.length} of ${cards.length} cards`}
+      </Text>
+
+      {results.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Text style={styles.emptyStateText}>No cards match</Text>
+          <TouchableOpacity onPress={clearFilters}>
+            <Text style={styles.linkText}>Clear search and filters</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <View style={viewMode === 'grid' ? styles.grid : undefined}>
+          {visibleResults.map(renderCard)}
+        </View>
+      )}
+
+      {visibleResults.length < results.length && (
+        <TouchableOpacity style={styles.showAllButton} onPress={() => setShowAll(true)}>
+          <Text style={styles.linkText}>Show all {results.length} cards</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  disabledNotice: {
+    backgroundColor: '#FFF3CD',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 12,
+    borderLeftWidth: 4,
+    borderLeftColor: '#FF9500',
+  },
+  disabledNoticeText: {
+    fontSize: 14,
+    color: '#856404',
+  },
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  searchInput: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#333',
+  },
+  toolbarButton: {
+    backgroundColor: '#F2F2F7',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+  },
+  toolbarButtonActive: {
+    backgroundColor: '#007AFF',
+  },
+  toolbarButtonText: {
+    fontSize: 16,
+    color: '#007AFF',
+  },
+  toolbarButtonTextActive: {
+    color: '#FFFFFF',
+  },
+  filters: {
+    marginTop: 10,
+  },
+  filterLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 8,
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: '#F2F2F7',
+  },
+  selectedChip: {
+    backgroundColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#333',
+  },
+  selectedChipText: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  resultCount: {
+    fontSize: 13,
+    color: '#999',
+    marginTop: 10,
+    marginBottom: 8,
+  },
+  grid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  gridItem: {
+    width: '48%',
+    alignItems: 'center',
+    padding: 8,
+    marginBottom: 10,
+    borderRadius: 10,
+    backgroundColor: '#F8F9FA',
+  },
+  gridFavourite: {
+    position: 'absolute',
+    top: 4,
+    right: 4,
+    backgroundColor: 'rgba(255, 255, 255, 0.85)',
+    borderRadius: 12,
+  },
+  listItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 10,
+    marginBottom: 8,
+    borderRadius: 10,
+    backgroundColor: '#F8F9FA',
+  },
+  listText: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  selectedItem: {
+    backgroundColor: '#E3F2FD',
+    borderWidth: 2,
+    borderColor: '#007AFF',
+  },
+  disabledItem: {
+    opacity: 0.5,
+  },
+  cover: {
+    borderRadius: 8,
+  },
+  coverPlaceholder: {
+    backgroundColor: '#E3F2FD',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  coverPlaceholderText: {
+    fontSize: 24,
+  },
+  cardTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 6,
+    textAlign: 'center',
+  },
+  listTitle: {
+    marginTop: 0,
+    textAlign: 'left',
+  },
+  cardMeta: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  favouriteButton: {
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+  },
+  favouriteIcon: {
+    fontSize: 20,
+    color: '#999',
+  },
+  favouriteIconActive: {
+    color: '#FF9500',
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 20,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: '#666',
+    marginBottom: 8,
+  },
+  linkText: {
+    fontSize: 14,
+    color: '#007AFF',
+    fontWeight: '500',
+  },
+  showAllButton: {
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
+});
@@ -8,7 +8,6 @@ import {
   Alert,
 } from 'react-native';
 import { ExpoGoScheduler } from '../services/expoGoSchedulerService';
-import { SchedulerService } from '../services/simpleSchedulerService';
 
 export const ExpoGoBackgroundStatus = ({ onBack }) => {
   const [capabilities, setCapabilities] = useState(null);
@@ -26,25 +25,9 @@ export const ExpoGoBackgroundStatus = ({ onBack }) => {
 
   const loadSchedules = async () => {
     try {
-      // Get notification schedules from ExpoGo scheduler
-      const notificationSchedules = await ExpoGoScheduler.getSchedules();
-      
-      // Get regular schedules from SchedulerService
-      const regularSchedules = await SchedulerService.getAllSchedules();
-      
-      // Combine both types of schedules
-      const allSchedules = [
-        ...notificationSchedules.map(schedule => ({
-          ...schedule,
-          type: 'notification',
-        })),
-        ...regularSchedules.map(schedule => ({
-          ...schedule,
-          type: 'regular',
-        })),
-      ];
-      
-      setSchedules(allSchedules);
+      // ExpoGoScheduler reads the same stored schedules as SchedulerService
+      const storedSchedules = await ExpoGoScheduler.getSchedules();
+      setSchedules(storedSchedules);
     } catch (error) {
       console.error('Failed to load schedules:', error);
       setSchedules([]);
@@ -53,7 +36,8 @@ export const ExpoGoBackgroundStatus = ({ onBack }) => {
 
   const testNotification = async () => {
     try {
-      await ExpoGoScheduler.addSchedule({
+      // Only the notification is scheduled; the test is not stored as a schedule
+      await ExpoGoScheduler.scheduleNotification({
         id: 'test-notification',
         cardTitle: 'Test Notification',
         cardId: 'test',
@@ -61,10 +45,6 @@ export const ExpoGoBackgroundStatus = ({ onBack }) => {
         playerId: 'test-player',
         playerName: 'Test Player',
         scheduledTime: new Date(Date.now() + 5000), // 5 seconds from now
-        daysOfWeek: [],
-        repeatWeekly: false,
-        isEnabled: true,
-        createdAt: new Date(),
       });
       
       Alert.alert(
@@ -72,8 +52,6 @@ export const ExpoGoBackgroundStatus = ({ onBack }) => {
         'A test notification will appear in 5 seconds!',
         [{ text: 'OK' }]
       );
-      
-      setTimeout(loadSchedules, 1000);
     } catch (error) {
       Alert.alert('Error', 'Failed to schedule test notification');
     }
@@ -155,15 +133,15 @@ export const ExpoGoBackgroundStatus = ({ onBack }) => {
                 <Text style={styles.scheduleName}>{schedule.cardTitle}</Text>
                 <Text style={[
                   styles.scheduleType,
-                  schedule.type === 'notification' ? styles.notificationType : styles.regularType
+                  schedule.isEnabled ? styles.notificationType : styles.disabledType
                 ]}>
-                  {schedule.type === 'notification' ? '🔔 Notification' : '⚡ Active'}
+                  {schedule.isEnabled ? '🔔 Notification' : '⏸️ Disabled'}
                 </Text>
               </View>
               <Text style={styles.scheduleTime}>
                 {new Date(schedule.scheduledTime).toLocaleString()}
               </Text>
-              {schedule.type === 'notification' && (
+              {schedule.isEnabled && (
                 <Text style={styles.scheduleNote}>
                   Tap notification when it appears to play
                 </Text>
@@ -307,9 +285,9 @@ const styles = StyleSheet.create({
     backgroundColor: '#FFF3CD',
     color: '#856404',
   },
-  regularType: {
-    backgroundColor: '#D4EDDA',
-    color: '#155724',
+  disabledType: {
+    backgroundColor: '#E9ECEF',
+    color: '#6C757D',
   },
   scheduleTime: {
     fontSize: 14,
@@ -0,0 +1,291 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+} from 'react-native';
+import { HomeSettingsService } from '../services/homeSettingsService';
+import { useSnackBarContext } from '../contexts/SnackBarContext';
+import { getDeviceTimeZone, formatTimeZoneName, getZonedCalendarDate } from '../utils/timezone';
+import { getSolarEventTime, SOLAR_EVENTS } from '../utils/solar';
+import { SchedulerService } from '../services/simpleSchedulerService';
+
+// Where the players live: the home time zone used for new schedules,
+// and the location sunrise/sunset schedules follow
+export function HomeSettingsScreen({ onBack }) {
+  const [settings, setSettings] = useState(HomeSettingsService.getSettings());
+  const [timeZoneInput, setTimeZoneInput] = useState('');
+  const [latitudeInput, setLatitudeInput] = useState('');
+  const [longitudeInput, setLongitudeInput] = useState('');
+
+  const { showSuccess, showError } = useSnackBarContext();
+
+  useEffect(() => {
+    HomeSettingsService.load().then(loaded => {
+      setSettings(loaded);
+      if (HomeSettingsService.getLocation()) {
+        setLatitudeInput(String(loaded.latitude));
+        setLongitudeInput(String(loaded.longitude));
+      }
+    });
+  }, []);
+
+  const saveTimeZone = async (timeZone) => {
+    try {
+      const updated = await HomeSettingsService.setTimeZone(timeZone);
+      setSettings(updated);
+      setTimeZoneInput('');
+      showSuccess(timeZone ? `Home time zone set to ${timeZone}` : 'Home time zone follows this phone');
+    } catch (error) {
+      console.error('Failed to save home time zone:', error);
+      showError(error.message || 'Failed to save');
+    }
+  };
+
+  const saveLocation = async () => {
+    try {
+      // Accept a decimal comma too
+      const latitude = parseFloat(latitudeInput.replace(',', '.'));
+      const longitude = parseFloat(longitudeInput.replace(',', '.'));
+      const updated = await HomeSettingsService.setLocation(latitude, longitude);
+      setSettings(updated);
+      showSuccess('Home location saved');
+    } catch (error) {
+      console.error('Failed to save home location:', error);
+      showError(error.message || 'Failed to save');
+    }
+  };
+
+  // Today's sunrise and sunset at home, so the location can be sanity-checked
+  const getSunToday = () => {
+    const location = HomeSettingsService.getLocation();
+    if (!location) return null;
+
+    const today = getZonedCalendarDate(new Date(), HomeSettingsService.getTimeZone());
+    const format = event => {
+      const time = getSolarEventTime(today, event, location.latitude, location.longitude);
+      return time ? SchedulerService.formatTime(time) : 'none';
+    };
+    return `Today: sunrise ${format(SOLAR_EVENTS.SUNRISE)}, sunset ${format(SOLAR_EVENTS.SUNSET)}`;
+  };
+
+  const deviceTimeZone = getDeviceTimeZone();
+  const homeTimeZone = HomeSettingsService.getTimeZone();
+  const sunToday = getSunToday();
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={onBack}>
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Home</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+        {/* Time zone */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>🕰️ Time zone</Text>
+          <Text style={styles.sectionSubtitle}>
+            New schedules run on the home clock, even while this phone is in another zone.
+            Existing schedules keep the zone they were saved with.
+          </Text>
+
+          <View style={styles.optionRow}>
+            <Text style={styles.optionLabel}>
+              {homeTimeZone} ({formatTimeZoneName(homeTimeZone)})
+            </Text>
+          </View>
+          <Text style={styles.optionSubtitle}>
+            {settings.timeZone ? 'Set for the home' : 'Follows this phone'}
+          </Text>
+
+          <TextInput
+            style={styles.textInput}
+            value={timeZoneInput}
+            onChangeText={setTimeZoneInput}
+            placeholder="IANA zone, e.g. Europe/London"
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          <TouchableOpacity
+            style={[styles.addButton, !timeZoneInput.trim() && styles.disabledButton]}
+            onPress={() => saveTimeZone(timeZoneInput.trim())}
+            disabled={!timeZoneInput.trim()}
+          >
+            <Text style={styles.addButtonText}>Set home time zone</Text>
+          </TouchableOpacity>
+
+          {settings.timeZone !== deviceTimeZone && (
+            <TouchableOpacity style={[styles.addButton, styles.spacedButton]} onPress={() => saveTimeZone(deviceTimeZone)}>
+              <Text style={styles.addButtonText}>Use this phone's zone ({deviceTimeZone})</Text>
+            </TouchableOpacity>
+          )}
+          {settings.timeZone && (
+            <TouchableOpacity style={styles.spacedButton} onPress={() => saveTimeZone(null)}>
+              <Text style={styles.removeText}>Follow this phone instead</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {/* Location */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>📍 Location</Text>
+          <Text style={styles.sectionSubtitle}>
+            Used to work out sunrise and sunset for schedules that follow the sun. It stays on this
+            phone and is only needed roughly, to a town or so.
+          </Text>
+
+          {sunToday ? (
+            <Text style={styles.optionSubtitle}>{sunToday}</Text>
+          ) : (
+            <Text style={styles.optionSubtitle}>Not set, so sun schedules won't run</Text>
+          )}
+
+          <View style={styles.inputRow}>
+            <TextInput
+              style={[styles.textInput, styles.rowInput]}
+              value={latitudeInput}
+              onChangeText={setLatitudeInput}
+              placeholder="Latitude, e.g. 51.5"
+              keyboardType="numbers-and-punctuation"
+            />
+            <TextInput
+              style={[styles.textInput, styles.rowInput]}
+              value={longitudeInput}
+              onChangeText={setLongitudeInput}
+              placeholder="Longitude, e.g. -0.12"
+              keyboardType="numbers-and-punctuation"
+            />
+          </View>
+          <TouchableOpacity
+            style={[styles.addButton, (!latitudeInput.trim() || !longitudeInput.trim()) && styles.disabledButton]}
+            onPress={saveLocation}
+            disabled={!latitudeInput.trim() || !longitudeInput.trim()}
+          >
+            <Text style={styles.addButtonText}>Save location</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  header: {
+    backgroundColor: '#FFFFFF',
+    padding: 20,
+    paddingTop: 50,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  backButton: {
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    backgroundColor: '#007AFF',
+    borderRadius: 15,
+  },
+  backButtonText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  headerSpacer: {
+    width: 70,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 15,
+  },
+  section: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+  },
+  sectionSubtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 6,
+    marginBottom: 10,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  optionLabel: {
+    fontSize: 16,
+    color: '#333',
+    flex: 1,
+  },
+  optionSubtitle: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 6,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+    marginTop: 10,
+    marginBottom: 10,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    gap: 10,
+  },
+  rowInput: {
+    flex: 1,
+  },
+  addButton: {
+    backgroundColor: '#F0F0F0',
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  addButtonText: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  spacedButton: {
+    marginTop: 10,
+    alignItems: 'center',
+  },
+  removeText: {
+    color: '#FF3B30',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+});
@@ -0,0 +1,245 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { PlaybackService } from '../services/playbackService';
+import { CommandQueueService } from '../services/commandQueueService';
+import { useSnackBarContext } from '../contexts/SnackBarContext';
+import { usePlayerState } from '../hooks/usePlayerState';
+import { PlaybackProgress } from './PlaybackProgress';
+
+// Current card, chapter, track and position from the player's status messages,
+// with transport controls and the sleep timer
+export const NowPlayingPanel = ({ player, mqttClient, cards }) => {
+  const { showSuccess, showError, showWarning, showInfo } = useSnackBarContext();
+  const { playerState, now } = usePlayerState(mqttClient);
+  const [busy, setBusy] = useState(false);
+
+  const { card, hasCard, isPlaying, position } = PlaybackService.getNowPlaying(playerState, cards, now);
+  const sleepTimer = PlaybackService.getSleepTimer(player.id, playerState);
+
+  // Run a control, reporting failures and unconfirmed commands; controls are disabled while one is in flight
+  const runControl = async (action, description) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      if (error.code === 'COMMAND_TIMEOUT') {
+        showWarning(`Sent, but ${player.name} didn't confirm the ${description}`);
+        return;
+      }
+      console.error(`❌ [PLAYBACK] Failed to ${description}:`, error);
+      showError(`Could not ${description}: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Pause, resume and stop go through the offline queue, so they still happen once the player reconnects;
+  // the newest of them replaces any still waiting
+  const handleTransport = (command, description) => runControl(async () => {
+    const { queued } = await CommandQueueService.sendOrQueue(mqttClient, {
+      playerId: player.id,
+      command,
+      label: description,
+      dedupeKey: `${player.id}:transport`,
+    });
+    if (queued) {
+      showInfo(`${player.name} is offline, it will ${description} when it reconnects`);
+    }
+  }, description);
+
+  const handleSkip = (direction, unit) => runControl(async () => {
+    const target = await PlaybackService.skip(player.id, mqttClient, direction, unit);
+    if (!target) {
+      showInfo(direction > 0 ? `This is the last ${unit}` : `This is the first ${unit}`);
+    }
+  }, `skip ${unit}`);
+
+  const handleSeekBy = (deltaSeconds) => runControl(
+    () => PlaybackService.seekBy(player.id, mqttClient, deltaSeconds),
+    'seek'
+  );
+
+  const handleSleepTimer = (minutes) => runControl(async () => {
+    await PlaybackService.setSleepTimer(player.id, mqttClient, minutes);
+    showSuccess(minutes > 0 ? `Playback will stop in ${minutes} min` : 'Sleep timer cancelled');
+  }, 'set the sleep timer');
+
+  const controlButton = (label, onPress, enabled = hasCard) => (
+    <TouchableOpacity
+      style={[styles.transportButton, (!enabled || busy) && styles.disabledButton]}
+      onPress={onPress}
+      disabled={!enabled || busy}
+    >
+      <Text style={styles.transportButtonText}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.heading}>Now Playing</Text>
+
+      {hasCard ? (
+        <>
+          <Text style={styles.cardTitle} numberOfLines={1}>{card?.title || 'Unknown card'}</Text>
+          {(playerState.chapterTitle || playerState.trackTitle) && (
+            <Text style={styles.trackTitle} numberOfLines={1}>
+              {[playerState.chapterTitle, playerState.trackTitle !== playerState.chapterTitle ? playerState.trackTitle : null]
+                .filter(Boolean)
+                .join(' · ')}
+            </Text>
+          )}
+          <PlaybackProgress
+            style={styles.progress}
+            position={position}
+            trackLength={playerState.trackLength}
+            isPlaying={isPlaying}
+          />
+        </>
+      ) : (
+        <Text style={styles.idleText}>Nothing playing</Text>
+      )}
+
+      <View style={styles.transportRow}>
+        {controlButton('⏮️', () => handleSkip(-1, PlaybackService.SKIP_UNITS.CHAPTER))}
+        {controlButton('⏪', () => handleSkip(-1, PlaybackService.SKIP_UNITS.TRACK))}
+        {controlButton(
+          isPlaying ? '⏸️' : '▶️',
+          () => (isPlaying
+            ? handleTransport(CommandQueueService.COMMANDS.PAUSE, 'pause')
+            : handleTransport(CommandQueueService.COMMANDS.RESUME, 'resume'))
+        )}
+        {controlButton('⏩', () => handleSkip(1, PlaybackService.SKIP_UNITS.TRACK))}
+        {controlButton('⏭️', () => handleSkip(1, PlaybackService.SKIP_UNITS.CHAPTER))}
+      </View>
+
+      <View style={styles.transportRow}>
+        {controlButton('−30s', () => handleSeekBy(-30))}
+        {controlButton('+30s', () => handleSeekBy(30))}
+        <TouchableOpacity
+          style={[styles.transportButton, styles.stopButton, busy && styles.disabledButton]}
+          onPress={() => handleTransport(CommandQueueService.COMMANDS.STOP, 'stop')}
+          disabled={busy}
+        >
+          <Text style={styles.transportButtonText}>⏹️ Stop</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.sleepRow}>
+        <Text style={styles.sleepLabel}>
+          {sleepTimer
+            ? `😴 Stops in ${PlaybackService.formatPosition(sleepTimer.remainingSeconds)}`
+            : '😴 Sleep timer'}
+        </Text>
+        <View style={styles.sleepOptions}>
+          {PlaybackService.SLEEP_TIMER_MINUTES.map(minutes => (
+            <TouchableOpacity
+              key={minutes}
+              style={[
+                styles.sleepChip,
+                sleepTimer?.minutes === minutes && styles.selectedSleepChip,
+                busy && styles.disabledButton
+              ]}
+              onPress={() => handleSleepTimer(minutes)}
+              disabled={busy}
+            >
+              <Text style={[styles.sleepChipText, sleepTimer?.minutes === minutes && styles.selectedSleepChipText]}>
+                {minutes}m
+              </Text>
+            </TouchableOpacity>
+          ))}
+          {sleepTimer && (
+            <TouchableOpacity style={styles.sleepChip} onPress={() => handleSleepTimer(0)} disabled={busy}>
+              <Text style={styles.sleepChipText}>Off</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#F8F9FA',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 10,
+  },
+  heading: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 6,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  trackTitle: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  idleText: {
+    fontSize: 14,
+    color: '#999',
+    marginBottom: 4,
+  },
+  progress: {
+    marginTop: 10,
+  },
+  transportRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 10,
+  },
+  transportButton: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 10,
+    borderRadius: 8,
+    flex: 1,
+    alignItems: 'center',
+  },
+  transportButtonText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  stopButton: {
+    backgroundColor: '#FF3B30',
+  },
+  disabledButton: {
+    opacity: 0.4,
+  },
+  sleepRow: {
+    marginTop: 12,
+  },
+  sleepLabel: {
+    fontSize: 14,
+    color: '#333',
+    marginBottom: 6,
+  },
+  sleepOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  sleepChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: '#E3F2FD',
+  },
+  selectedSleepChip: {
+    backgroundColor: '#007AFF',
+  },
+  sleepChipText: {
+    fontSize: 13,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  selectedSleepChipText: {
+    color: '#FFFFFF',
+  },
+});
@@ -0,0 +1,370 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Image,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+} from 'react-native';
+import { YotoAPI } from '../services/apiService';
+import { PlayerStateStore } from '../services/mqttService';
+import { PlaybackService } from '../services/playbackService';
+import { usePlayerState } from '../hooks/usePlayerState';
+import { PlaybackProgress } from './PlaybackProgress';
+
+// How often the REST status is fetched while the player can't be reached over MQTT
+const OFFLINE_POLL_MS = 30000;
+
+// Full-screen view of what a player is doing, fed live by its MQTT status messages.
+// While MQTT is down it falls back to the REST status, then to the last state it saw.
+export const NowPlayingScreen = ({ player, mqttClient, cards, onBack, onRefreshConnection }) => {
+  const { playerState: liveState, now, isLive } = usePlayerState(mqttClient);
+  const [apiState, setApiState] = useState(null);
+  const [apiError, setApiError] = useState(null);
+  const [coverFailed, setCoverFailed] = useState(false);
+
+  useEffect(() => {
+    if (isLive) {
+      setApiState(null);
+      setApiError(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const fetchStatus = async () => {
+      try {
+        const status = await YotoAPI.getDeviceStatus(player.id);
+        if (cancelled) return;
+        const updates = PlayerStateStore.parseMessage(`device/${player.id}/data/status`, { status });
+        const fetchedAt = Date.now();
+        const fields = Object.keys(updates).filter(field => updates[field] !== undefined);
+        setApiState({
+          ...Object.fromEntries(fields.map(field => [field, updates[field]])),
+          updatedAt: Object.fromEntries(fields.map(field => [field, fetchedAt])),
+        });
+        setApiError(null);
+      } catch (error) {
+        console.error('❌ [NOW PLAYING] Failed to fetch player status:', error);
+        if (!cancelled) setApiError(error.message);
+      }
+    };
+
+    fetchStatus();
+    const timer = setInterval(fetchStatus, OFFLINE_POLL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [isLive, player.id]);
+
+  const state = {
+    ...(liveState || {}),
+    ...(apiState || {}),
+    updatedAt: { ...(liveState?.updatedAt || {}), ...(apiState?.updatedAt || {}) },
+  };
+  const lastUpdate = Math.max(0, ...Object.values(state.updatedAt));
+
+  const { card, hasCard, isPlaying, position } = PlaybackService.getNowPlaying(state, cards, now, isLive);
+  const coverUrl = card?.imageUrl || card?.coverUrl;
+  const hasAmbient = !!state.ambientColor && state.ambientColor !== '#000000';
+
+  useEffect(() => {
+    setCoverFailed(false);
+  }, [coverUrl]);
+
+  const renderSourceBanner = () => {
+    if (isLive) return null;
+
+    let message = '📴 Player offline';
+    if (apiState) {
+      message = '📡 Live updates unavailable, showing status from the Yoto API';
+    } else if (lastUpdate > 0) {
+      message = `📴 Player offline, showing what it last reported at ${new Date(lastUpdate).toLocaleTimeString()}`;
+    }
+
+    return (
+      <View style={styles.offlineBanner}>
+        <Text style={styles.offlineText}>{message}</Text>
+        {apiError && !apiState && (
+          <Text style={styles.offlineDetail}>Couldn't reach the Yoto API either: {apiError}</Text>
+        )}
+        {onRefreshConnection && (
+          <TouchableOpacity style={styles.reconnectButton} onPress={onRefreshConnection}>
+            <Text style={styles.reconnectButtonText}>🔄 Reconnect</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={onBack}>
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Now Playing</Text>
+        <Text style={styles.playerName}>{player.name}</Text>
+      </View>
+
+      {renderSourceBanner()}
+
+      <View style={[styles.section, !isLive && styles.staleSection]}>
+        <View style={styles.coverContainer}>
+          {coverUrl && !coverFailed ? (
+            <Image
+              source={{ uri: coverUrl }}
+              style={styles.cover}
+              resizeMode="cover"
+              onError={() => setCoverFailed(true)}
+            />
+          ) : (
+            <View style={[styles.cover, styles.coverPlaceholder]}>
+              <Text style={styles.coverPlaceholderText}>🎵</Text>
+            </View>
+          )}
+        </View>
+
+        {hasCard ? (
+          <>
+            <Text style={styles.cardTitle} numberOfLines={2}>{card?.title || 'Unknown card'}</Text>
+            {state.chapterTitle && (
+              <Text style={styles.chapterTitle} numberOfLines={1}>{state.chapterTitle}</Text>
+            )}
+            {state.trackTitle && state.trackTitle !== state.chapterTitle && (
+              <Text style={styles.trackTitle} numberOfLines={1}>{state.trackTitle}</Text>
+            )}
+
+            <PlaybackProgress
+              style={styles.progress}
+              position={position}
+              trackLength={state.trackLength}
+              isPlaying={isPlaying}
+              showRemaining
+            />
+          </>
+        ) : (
+          <Text style={styles.idleText}>
+            {lastUpdate > 0 ? 'Nothing playing' : 'Waiting for the player to report its status...'}
+          </Text>
+        )}
+      </View>
+
+      <View style={[styles.section, !isLive && styles.staleSection]}>
+        <Text style={styles.sectionTitle}>Player</Text>
+
+        <View style={styles.detailRow}>
+          <Text style={styles.detailLabel}>🔊 Volume</Text>
+          <Text style={styles.detailValue}>{typeof state.volume === 'number' ? `${state.volume}%` : 'Unknown'}</Text>
+        </View>
+        {typeof state.volume === 'number' && (
+          <View style={styles.volumeTrack}>
+            <View style={[styles.volumeFill, { width: `${Math.max(0, Math.min(100, state.volume))}%` }]} />
+          </View>
+        )}
+
+        <View style={styles.detailRow}>
+          <Text style={styles.detailLabel}>💡 Ambient light</Text>
+          <View style={styles.colorValue}>
+            {hasAmbient && <View style={[styles.colorSwatch, { backgroundColor: state.ambientColor }]} />}
+            <Text style={styles.detailValue}>
+              {state.ambientColor ? (hasAmbient ? state.ambientColor : 'Off') : 'Unknown'}
+            </Text>
+          </View>
+        </View>
+
+        {typeof state.nightLightOn === 'boolean' && (
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>🌙 Night light</Text>
+            <View style={styles.colorValue}>
+              {state.nightLightOn && state.nightLightColor && (
+                <View style={[styles.colorSwatch, { backgroundColor: state.nightLightColor }]} />
+              )}
+              <Text style={styles.detailValue}>{state.nightLightOn ? 'On' : 'Off'}</Text>
+            </View>
+          </View>
+        )}
+
+        {typeof state.batteryLevel === 'number' && (
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>🔋 Battery</Text>
+            <Text style={styles.detailValue}>
+              {state.batteryLevel}%{state.isCharging ? ' ⚡' : ''}
+            </Text>
+          </View>
+        )}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  header: {
+    backgroundColor: '#FFFFFF',
+    padding: 20,
+    paddingTop: 50,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  backButton: {
+    marginBottom: 10,
+  },
+  backButtonText: {
+    fontSize: 16,
+    color: '#007AFF',
+    fontWeight: '500',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+    textAlign: 'center',
+  },
+  playerName: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 4,
+  },
+  offlineBanner: {
+    backgroundColor: '#FFF3CD',
+    margin: 15,
+    marginBottom: 0,
+    padding: 12,
+    borderRadius: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#FF9500',
+  },
+  offlineText: {
+    fontSize: 14,
+    color: '#856404',
+  },
+  offlineDetail: {
+    fontSize: 12,
+    color: '#856404',
+    marginTop: 4,
+  },
+  reconnectButton: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#FF9500',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 6,
+    marginTop: 8,
+  },
+  reconnectButtonText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  section: {
+    backgroundColor: '#FFFFFF',
+    margin: 15,
+    padding: 20,
+    borderRadius: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  staleSection: {
+    opacity: 0.6,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 15,
+  },
+  coverContainer: {
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  cover: {
+    width: 200,
+    height: 200,
+    borderRadius: 12,
+  },
+  coverPlaceholder: {
+    backgroundColor: '#E3F2FD',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  coverPlaceholderText: {
+    fontSize: 64,
+  },
+  cardTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    textAlign: 'center',
+  },
+  chapterTitle: {
+    fontSize: 16,
+    color: '#333',
+    textAlign: 'center',
+    marginTop: 6,
+  },
+  trackTitle: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 2,
+  },
+  idleText: {
+    fontSize: 16,
+    color: '#999',
+    textAlign: 'center',
+  },
+  progress: {
+    marginTop: 16,
+  },
+  detailRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  detailLabel: {
+    fontSize: 16,
+    color: '#333',
+  },
+  detailValue: {
+    fontSize: 16,
+    color: '#666',
+  },
+  volumeTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#E0E0E0',
+    overflow: 'hidden',
+    marginBottom: 8,
+  },
+  volumeFill: {
+    height: 6,
+    backgroundColor: '#34C759',
+  },
+  colorValue: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  colorSwatch: {
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+});
@@ -0,0 +1,55 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { PlaybackService } from '../services/playbackService';
+
+// Progress bar with the elapsed time, play/pause status and either the track length or the time remaining
+export const PlaybackProgress = ({ position, trackLength, isPlaying, showRemaining = false, style }) => {
+  const progress = trackLength ? Math.min(1, position / trackLength) : 0;
+
+  let endLabel = '–:––';
+  if (trackLength) {
+    endLabel = showRemaining
+      ? `-${PlaybackService.formatPosition(trackLength - position)}`
+      : PlaybackService.formatPosition(trackLength);
+  }
+
+  return (
+    <View style={style}>
+      <View style={styles.progressTrack}>
+        <View style={[styles.progressFill, { width: `${Math.round(progress * 100)}%` }]} />
+      </View>
+      <View style={styles.timeRow}>
+        <Text style={styles.timeText}>{PlaybackService.formatPosition(position)}</Text>
+        <Text style={styles.statusText}>{isPlaying ? '▶️ Playing' : '⏸️ Paused'}</Text>
+        <Text style={styles.timeText}>{endLabel}</Text>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  progressTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#E0E0E0',
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: 6,
+    backgroundColor: '#007AFF',
+  },
+  timeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 4,
+  },
+  timeText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  statusText: {
+    fontSize: 12,
+    color: '#333',
+    fontWeight: '600',
+  },
+});
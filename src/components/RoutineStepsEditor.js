@@ -0,0 +1,559 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Switch,
+  ScrollView,
+} from 'react-native';
+import { RoutineService } from '../services/routineService';
+import { YotoAPI } from '../services/apiService';
+
+const STEP_TYPE_ORDER = ['play_card', 'ambient_light', 'night_light', 'volume', 'fade_out', 'wait', 'pause', 'stop'];
+
+const FAILURE_OPTIONS = [
+  { id: 'continue', label: 'Continue' },
+  { id: 'abort', label: 'Abort' },
+  { id: 'retry', label: 'Retry' },
+];
+
+const LIGHT_COLORS = [
+  { name: 'Amber', color: '#FF8000' },
+  { name: 'Warm White', color: '#FFF0E6' },
+  { name: 'Red', color: '#FF0000' },
+  { name: 'Pink', color: '#FF0080' },
+  { name: 'Purple', color: '#8000FF' },
+  { name: 'Blue', color: '#0000FF' },
+];
+
+function Stepper({ label, onDecrement, onIncrement }) {
+  return (
+    <View style={styles.stepperRow}>
+      <Text style={styles.stepperLabel}>{label}</Text>
+      <View style={styles.stepper}>
+        <TouchableOpacity style={styles.stepperButton} onPress={onDecrement}>
+          <Text style={styles.stepperButtonText}>−</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.stepperButton} onPress={onIncrement}>
+          <Text style={styles.stepperButtonText}>+</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+export function RoutineStepsEditor({ steps, onChange, cards = [] }) {
+  const [pickingCardForStep, setPickingCardForStep] = useState(null);
+  // Chapters of the cards chosen in play steps, keyed by card id
+  const [chaptersByCard, setChaptersByCard] = useState({});
+
+  const playStepCardIds = steps
+    .filter(step => step.type === RoutineService.STEP_TYPES.PLAY_CARD && step.params.cardId)
+    .map(step => step.params.cardId)
+    .join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+    const missing = [...new Set(playStepCardIds.split(',').filter(Boolean))]
+      .filter(cardId => !chaptersByCard[cardId]);
+
+    missing.forEach(cardId => {
+      YotoAPI.getContentDetails(cardId)
+        .then(details => details.chapters)
+        .catch(error => {
+          console.error('❌ [ROUTINE] Failed to load chapters:', error);
+          // Fall back to whatever the content list gave us
+          return cards.find(card => card.id === cardId)?.chapters || [];
+        })
+        .then(chapters => {
+          if (!cancelled) setChaptersByCard(current => ({ ...current, [cardId]: chapters }));
+        });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [playStepCardIds]);
+
+  const updateStep = (stepId, updates) => {
+    onChange(steps.map(step => (step.id === stepId ? { ...step, ...updates } : step)));
+  };
+
+  const updateParams = (step, paramUpdates) => {
+    updateStep(step.id, { params: { ...step.params, ...paramUpdates } });
+  };
+
+  const moveStep = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= steps.length) return;
+    const reordered = [...steps];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    onChange(reordered);
+  };
+
+  const removeStep = (stepId) => {
+    onChange(steps.filter(step => step.id !== stepId));
+  };
+
+  const addStep = (type) => {
+    onChange([...steps, RoutineService.createStep(type)]);
+  };
+
+  // Where a play step starts and when it stops, like a card schedule's playback options
+  const renderPlaybackOptions = (step) => {
+    // Steps saved before playback options existed don't have them
+    const params = { ...RoutineService.DEFAULT_PARAMS.play_card, ...step.params };
+    const chapters = chaptersByCard[params.cardId];
+
+    return (
+      <>
+        <Text style={styles.optionLabel}>Start at</Text>
+        {!chapters ? (
+          <Text style={styles.emptyText}>Loading chapters...</Text>
+        ) : (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+            <TouchableOpacity
+              style={[styles.optionChip, !params.chapterKey && styles.selectedOptionChip]}
+              onPress={() => updateParams(step, { chapterKey: null, chapterTitle: null })}
+            >
+              <Text style={[styles.optionChipText, !params.chapterKey && styles.selectedOptionChipText]}>Beginning</Text>
+            </TouchableOpacity>
+            {chapters.map(chapter => (
+              <TouchableOpacity
+                key={chapter.key}
+                style={[styles.optionChip, params.chapterKey === chapter.key && styles.selectedOptionChip]}
+                onPress={() => updateParams(step, { chapterKey: chapter.key, chapterTitle: chapter.title })}
+              >
+                <Text style={[styles.optionChipText, params.chapterKey === chapter.key && styles.selectedOptionChipText]}>
+                  {chapter.title}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        )}
+        <Stepper
+          label={params.secondsIn > 0 ? `Start ${RoutineService.formatDuration(params.secondsIn)} in` : 'Start from the top'}
+          onDecrement={() => updateParams(step, { secondsIn: Math.max(0, params.secondsIn - 30) })}
+          onIncrement={() => updateParams(step, { secondsIn: params.secondsIn + 30 })}
+        />
+        <Stepper
+          label={params.stopAfterMinutes > 0 ? `Stop after ${params.stopAfterMinutes} min` : 'Play to the end'}
+          onDecrement={() => updateParams(step, { stopAfterMinutes: Math.max(0, params.stopAfterMinutes - 5) })}
+          onIncrement={() => updateParams(step, { stopAfterMinutes: params.stopAfterMinutes + 5 })}
+        />
+      </>
+    );
+  };
+
+  const renderParams = (step) => {
+    const { params } = step;
+
+    switch (step.type) {
+      case RoutineService.STEP_TYPES.PLAY_CARD:
+        return (
+          <>
+            <TouchableOpacity
+              style={styles.cardSelector}
+              onPress={() => setPickingCardForStep(pickingCardForStep === step.id ? null : step.id)}
+            >
+              <Text style={styles.cardSelectorText}>{params.cardTitle || 'Choose a card...'}</Text>
+              <Text style={styles.cardSelectorIcon}>{pickingCardForStep === step.id ? '▲' : '▼'}</Text>
+            </TouchableOpacity>
+            {pickingCardForStep === step.id && (
+              <View style={styles.cardList}>
+                {cards.length === 0 && (
+                  <Text style={styles.emptyText}>No cards available</Text>
+                )}
+                {cards.map(card => (
+                  <TouchableOpacity
+                    key={card.id}
+                    style={[styles.cardListItem, params.cardId === card.id && styles.selectedCardListItem]}
+                    onPress={() => {
+                      updateParams(step, {
+                        cardId: card.id,
+                        cardTitle: card.title,
+                        cardUri: card.uri || `https://yoto.io/${card.id}`,
+                        // Another card's chapters don't apply
+                        ...(card.id !== params.cardId && { chapterKey: null, chapterTitle: null })
+                      });
+                      setPickingCardForStep(null);
+                    }}
+                  >
+                    <Text style={styles.cardListItemText}>{card.title}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+            {params.cardId && renderPlaybackOptions(step)}
+          </>
+        );
+
+      case RoutineService.STEP_TYPES.AMBIENT_LIGHT:
+        return (
+          <>
+            <View style={styles.colorRow}>
+              {LIGHT_COLORS.map(option => (
+                <TouchableOpacity
+                  key={option.color}
+                  style={[
+                    styles.colorSwatch,
+                    { backgroundColor: option.color },
+                    params.color === option.color && styles.selectedColorSwatch
+                  ]}
+                  onPress={() => updateParams(step, { color: option.color })}
+                />
+              ))}
+            </View>
+            <Stepper
+              label={params.brightness > 0 ? `Brightness ${params.brightness}%` : 'Light off'}
+              onDecrement={() => updateParams(step, { brightness: Math.max(0, params.brightness - 10) })}
+              onIncrement={() => updateParams(step, { brightness: Math.min(100, params.brightness + 10) })}
+            />
+          </>
+        );
+
+      case RoutineService.STEP_TYPES.NIGHT_LIGHT:
+        return (
+          <>
+            <View style={styles.stepperRow}>
+              <Text style={styles.stepperLabel}>Night light {params.enabled ? 'on' : 'off'}</Text>
+              <Switch
+                value={params.enabled}
+                onValueChange={(enabled) => updateParams(step, { enabled })}
+                trackColor={{ false: '#D1D5DB', true: '#007AFF' }}
+              />
+            </View>
+            {params.enabled && (
+              <Stepper
+                label={`Brightness ${params.brightness}%`}
+                onDecrement={() => updateParams(step, { brightness: Math.max(10, params.brightness - 10) })}
+                onIncrement={() => updateParams(step, { brightness: Math.min(100, params.brightness + 10) })}
+              />
+            )}
+          </>
+        );
+
+      case RoutineService.STEP_TYPES.VOLUME:
+        return (
+          <Stepper
+            label={`Volume ${params.volume}%`}
+            onDecrement={() => updateParams(step, { volume: Math.max(0, params.volume - 5) })}
+            onIncrement={() => updateParams(step, { volume: Math.min(100, params.volume + 5) })}
+          />
+        );
+
+      case RoutineService.STEP_TYPES.FADE_OUT:
+        return (
+          <Stepper
+            label={`Fade out over ${params.minutes} min`}
+            onDecrement={() => updateParams(step, { minutes: Math.max(1, params.minutes - 1) })}
+            onIncrement={() => updateParams(step, { minutes: Math.min(60, params.minutes + 1) })}
+          />
+        );
+
+      case RoutineService.STEP_TYPES.WAIT:
+        return (
+          <Stepper
+            label={`Wait ${RoutineService.formatDuration(params.seconds)}`}
+            onDecrement={() => updateParams(step, { seconds: Math.max(30, params.seconds - 60) })}
+            onIncrement={() => updateParams(step, { seconds: params.seconds + 60 })}
+          />
+        );
+
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <View>
+      {steps.length === 0 && (
+        <Text style={styles.emptyText}>Add steps below to build the routine</Text>
+      )}
+
+      {steps.map((step, index) => (
+        <View key={step.id} style={styles.stepItem}>
+          <View style={styles.stepHeader}>
+            <Text style={styles.stepTitle}>
+              {index + 1}. {RoutineService.STEP_LABELS[step.type]}
+            </Text>
+            <View style={styles.stepActions}>
+              <TouchableOpacity style={styles.stepActionButton} onPress={() => moveStep(index, -1)}>
+                <Text style={styles.stepActionText}>↑</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.stepActionButton} onPress={() => moveStep(index, 1)}>
+                <Text style={styles.stepActionText}>↓</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.stepActionButton} onPress={() => removeStep(step.id)}>
+                <Text style={[styles.stepActionText, styles.removeText]}>✕</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+          <Text style={styles.stepSummary}>{RoutineService.describeStep(step)}</Text>
+
+          {renderParams(step)}
+
+          <Stepper
+            label={step.delaySeconds > 0 ? `Delay ${RoutineService.formatDuration(step.delaySeconds)} first` : 'No delay'}
+            onDecrement={() => updateStep(step.id, { delaySeconds: Math.max(0, step.delaySeconds - 15) })}
+            onIncrement={() => updateStep(step.id, { delaySeconds: step.delaySeconds + 15 })}
+          />
+
+          <Text style={styles.failureLabel}>If this step fails</Text>
+          <View style={styles.segmentedControl}>
+            {FAILURE_OPTIONS.map(option => (
+              <TouchableOpacity
+                key={option.id}
+                style={[styles.segmentButton, step.onFailure === option.id && styles.selectedSegmentButton]}
+                onPress={() => updateStep(step.id, { onFailure: option.id })}
+              >
+                <Text style={[styles.segmentButtonText, step.onFailure === option.id && styles.selectedSegmentButtonText]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      ))}
+
+      <Text style={styles.addStepTitle}>Add Step</Text>
+      <View style={styles.addStepContainer}>
+        {STEP_TYPE_ORDER.map(type => (
+          <TouchableOpacity key={type} style={styles.addStepButton} onPress={() => addStep(type)}>
+            <Text style={styles.addStepButtonText}>{RoutineService.STEP_LABELS[type]}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {steps.length > 0 && (
+        <Text style={styles.durationText}>
+          Total duration: {RoutineService.formatDuration(RoutineService.getTotalDurationSeconds(steps))}
+        </Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  stepItem: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  stepHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  stepTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  stepSummary: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  stepActions: {
+    flexDirection: 'row',
+    gap: 6,
+  },
+  stepActionButton: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    backgroundColor: '#F2F2F7',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepActionText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  removeText: {
+    color: '#FF3B30',
+  },
+  stepperRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  stepperLabel: {
+    fontSize: 14,
+    color: '#333',
+  },
+  stepper: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  stepperButton: {
+    backgroundColor: '#E3F2FD',
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepperButtonText: {
+    color: '#007AFF',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  cardSelector: {
+    backgroundColor: '#F8F9FA',
+    padding: 12,
+    borderRadius: 8,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  cardSelectorText: {
+    fontSize: 14,
+    color: '#333',
+    flex: 1,
+  },
+  cardSelectorIcon: {
+    fontSize: 14,
+    color: '#666',
+  },
+  cardList: {
+    marginTop: 6,
+    maxHeight: 240,
+  },
+  cardListItem: {
+    padding: 10,
+    borderRadius: 8,
+    backgroundColor: '#F8F9FA',
+    marginBottom: 4,
+  },
+  selectedCardListItem: {
+    backgroundColor: '#E3F2FD',
+  },
+  cardListItemText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  colorRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 6,
+  },
+  colorSwatch: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: '#E0E0E0',
+  },
+  selectedColorSwatch: {
+    borderColor: '#007AFF',
+    borderWidth: 3,
+  },
+  failureLabel: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 6,
+    marginBottom: 4,
+  },
+  segmentedControl: {
+    flexDirection: 'row',
+    backgroundColor: '#E5E7EB',
+    borderRadius: 10,
+    padding: 3,
+  },
+  segmentButton: {
+    flex: 1,
+    paddingVertical: 6,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  selectedSegmentButton: {
+    backgroundColor: '#FFFFFF',
+  },
+  segmentButtonText: {
+    fontSize: 13,
+    color: '#666',
+    fontWeight: '500',
+  },
+  selectedSegmentButtonText: {
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  addStepTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 6,
+    marginBottom: 8,
+  },
+  addStepContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  addStepButton: {
+    backgroundColor: '#E3F2FD',
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  addStepButtonText: {
+    color: '#007AFF',
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  optionLabel: {
+    fontSize: 14,
+    color: '#333',
+    marginTop: 10,
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginBottom: 6,
+  },
+  optionChip: {
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+  },
+  selectedOptionChip: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  optionChipText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  selectedOptionChipText: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    fontStyle: 'italic',
+    marginBottom: 10,
+  },
+  durationText: {
+    fontSize: 14,
+    color: '#666',
+    fontStyle: 'italic',
+    marginTop: 10,
+  },
+});
@@ -0,0 +1,344 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Switch,
+  TextInput,
+} from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { ScheduleExceptionsService } from '../services/scheduleExceptionsService';
+import { BackgroundSchedulerService } from '../services/backgroundSchedulerService';
+import { YotoAPI } from '../services/apiService';
+import { useSnackBarContext } from '../contexts/SnackBarContext';
+import { formatDateKey, toCalendarDate, parseDateKey } from '../utils/recurrence';
+
+// Global exception dates/ranges and vacation mode
+export function ScheduleExceptionsScreen({ player, onBack }) {
+  const [settings, setSettings] = useState(ScheduleExceptionsService.getSettings());
+  const [players, setPlayers] = useState([player]);
+  const [label, setLabel] = useState('');
+  // 'exception' | 'exceptionEnd' | 'vacationStart' | 'vacationEnd' | null
+  const [datePickerTarget, setDatePickerTarget] = useState(null);
+  const [pendingStart, setPendingStart] = useState(null);
+
+  const { showSuccess, showError } = useSnackBarContext();
+
+  useEffect(() => {
+    ScheduleExceptionsService.load().then(setSettings);
+    YotoAPI.getPlayers()
+      .then(setPlayers)
+      .catch(error => console.error('Failed to load players for vacation mode:', error));
+  }, []);
+
+  // Apply a change, then re-plan the notification reminders around it
+  const saveChange = async (change, message) => {
+    try {
+      const updated = await change();
+      setSettings(updated);
+      BackgroundSchedulerService.updateScheduledNotifications().catch(() => {});
+      if (message) showSuccess(message);
+    } catch (error) {
+      console.error('Failed to save exceptions:', error);
+      showError('Failed to save');
+    }
+  };
+
+  const handleDatePicked = (event, date) => {
+    const target = datePickerTarget;
+    setDatePickerTarget(null);
+    if (event?.type !== 'set' || !date) {
+      setPendingStart(null);
+      return;
+    }
+
+    const dateKey = formatDateKey(toCalendarDate(date));
+    if (target === 'exception') {
+      // Pick the last day next; picking the same day makes a single-day exception
+      setPendingStart(dateKey);
+      setDatePickerTarget('exceptionEnd');
+    } else if (target === 'exceptionEnd') {
+      const start = pendingStart;
+      setPendingStart(null);
+      saveChange(
+        () => ScheduleExceptionsService.addGlobalException(start, dateKey, label),
+        'Exception added'
+      );
+      setLabel('');
+    } else if (target === 'vacationStart' || target === 'vacationEnd') {
+      const field = target === 'vacationStart' ? 'start' : 'end';
+      saveChange(() => ScheduleExceptionsService.setVacation({ [field]: dateKey }));
+    }
+  };
+
+  const { vacation, exceptions } = settings;
+  const todayKey = formatDateKey(toCalendarDate(new Date()));
+  const vacationActiveToday = ScheduleExceptionsService.isVacationActive(vacation, todayKey);
+
+  const togglePlayer = (playerId) => {
+    const playerIds = vacation.playerIds.includes(playerId)
+      ? vacation.playerIds.filter(id => id !== playerId)
+      : [...vacation.playerIds, playerId];
+    saveChange(() => ScheduleExceptionsService.setVacation({ playerIds }));
+  };
+
+  const formatDate = (dateKey) => {
+    const date = parseDateKey(dateKey);
+    return date ? new Date(date.year, date.month - 1, date.day).toLocaleDateString() : 'Choose...';
+  };
+
+  const pickerValue = () => {
+    const dateKey = datePickerTarget === 'exceptionEnd' ? pendingStart
+      : datePickerTarget === 'vacationStart' ? vacation.start
+      : datePickerTarget === 'vacationEnd' ? vacation.end || vacation.start
+      : null;
+    const date = parseDateKey(dateKey);
+    return date ? new Date(date.year, date.month - 1, date.day) : new Date();
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={onBack}>
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Days Off</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+        {/* Vacation mode */}
+        <View style={styles.section}>
+          <View style={styles.optionRow}>
+            <Text style={styles.sectionTitle}>🏖️ Vacation mode</Text>
+            <Switch
+              value={vacation.enabled}
+              onValueChange={(enabled) => saveChange(() => ScheduleExceptionsService.setVacation({ enabled }))}
+            />
+          </View>
+          <Text style={styles.sectionSubtitle}>
+            Suspends every schedule on the chosen players between these dates.
+            {vacationActiveToday ? ' Active today.' : ''}
+          </Text>
+
+          <View style={styles.optionRow}>
+            <Text style={styles.optionLabel}>From</Text>
+            <TouchableOpacity style={styles.dateButton} onPress={() => setDatePickerTarget('vacationStart')}>
+              <Text style={styles.dateButtonText}>{formatDate(vacation.start)}</Text>
+            </TouchableOpacity>
+          </View>
+          <View style={styles.optionRow}>
+            <Text style={styles.optionLabel}>Until (inclusive)</Text>
+            <TouchableOpacity style={styles.dateButton} onPress={() => setDatePickerTarget('vacationEnd')}>
+              <Text style={styles.dateButtonText}>{formatDate(vacation.end)}</Text>
+            </TouchableOpacity>
+          </View>
+
+          <Text style={styles.optionSubtitle}>Players</Text>
+          <View style={styles.chipRow}>
+            {players.map(p => {
+              const selected = vacation.playerIds.includes(p.id);
+              return (
+                <TouchableOpacity
+                  key={p.id}
+                  style={[styles.chip, selected && styles.selectedChip]}
+                  onPress={() => togglePlayer(p.id)}
+                >
+                  <Text style={[styles.chipText, selected && styles.selectedChipText]}>{p.name}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+
+        {/* Global exceptions */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>🚫 No schedules on</Text>
+          <Text style={styles.sectionSubtitle}>
+            Dates and ranges skipped by every schedule, e.g. Christmas Day or half-term.
+          </Text>
+
+          {exceptions.length === 0 && (
+            <Text style={styles.emptyText}>No exception dates</Text>
+          )}
+          {exceptions.map(exception => (
+            <View key={exception.id} style={styles.optionRow}>
+              <Text style={styles.optionLabel}>{ScheduleExceptionsService.describeException(exception)}</Text>
+              <TouchableOpacity
+                onPress={() => saveChange(() => ScheduleExceptionsService.removeGlobalException(exception.id))}
+              >
+                <Text style={styles.removeText}>Remove</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+
+          <TextInput
+            style={styles.textInput}
+            value={label}
+            onChangeText={setLabel}
+            placeholder="Label (optional), e.g. Half-term"
+          />
+          <TouchableOpacity style={styles.addButton} onPress={() => setDatePickerTarget('exception')}>
+            <Text style={styles.addButtonText}>+ Add date or range</Text>
+          </TouchableOpacity>
+          {pendingStart && (
+            <Text style={styles.optionSubtitle}>
+              From {formatDate(pendingStart)}: now pick the last day (the same day for a single date)
+            </Text>
+          )}
+        </View>
+      </ScrollView>
+
+      {datePickerTarget && (
+        <DateTimePicker
+          value={pickerValue()}
+          mode="date"
+          onChange={handleDatePicked}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  header: {
+    backgroundColor: '#FFFFFF',
+    padding: 20,
+    paddingTop: 50,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  backButton: {
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    backgroundColor: '#007AFF',
+    borderRadius: 15,
+  },
+  backButtonText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  headerSpacer: {
+    width: 70,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 15,
+  },
+  section: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+  },
+  sectionSubtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 6,
+    marginBottom: 10,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  optionLabel: {
+    fontSize: 16,
+    color: '#333',
+    flex: 1,
+  },
+  optionSubtitle: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 8,
+    marginBottom: 6,
+  },
+  dateButton: {
+    backgroundColor: '#F0F0F0',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  dateButtonText: {
+    fontSize: 15,
+    color: '#007AFF',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  selectedChip: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  selectedChipText: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    paddingVertical: 8,
+  },
+  removeText: {
+    color: '#FF3B30',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+    marginTop: 10,
+    marginBottom: 10,
+  },
+  addButton: {
+    backgroundColor: '#F0F0F0',
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  addButtonText: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+});
@@ -0,0 +1,376 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  FlatList,
+} from 'react-native';
+import { ExecutionHistoryService } from '../services/executionHistoryService';
+import { SchedulerService } from '../services/simpleSchedulerService';
+import { RoutineService } from '../services/routineService';
+import { useSnackBarContext } from '../contexts/SnackBarContext';
+
+const OUTCOME_LABELS = {
+  success: { icon: '✅', label: 'Started' },
+  unconfirmed: { icon: '❔', label: 'Sent, not confirmed' },
+  queued: { icon: '📥', label: 'Queued (offline)' },
+  failed: { icon: '❌', label: 'Failed' },
+  missed: { icon: '⏭️', label: 'Missed' },
+  superseded: { icon: '🥈', label: 'Lost to higher priority' },
+};
+
+const SOURCE_LABELS = {
+  foreground: 'App open',
+  background_fetch: 'Background fetch',
+  notification_tap: 'Notification tap',
+  manual: 'Manual check',
+  queue_replay: 'Offline queue',
+};
+
+export function ScheduleHistoryScreen({ player, schedules = [], initialScheduleId = null, onBack }) {
+  const [entries, setEntries] = useState([]);
+  const [selectedScheduleId, setSelectedScheduleId] = useState(initialScheduleId);
+  const [loading, setLoading] = useState(false);
+
+  const { showSuccess, showError } = useSnackBarContext();
+
+  const loadHistory = useCallback(async () => {
+    try {
+      setLoading(true);
+      const history = await ExecutionHistoryService.getHistory({
+        playerId: player.id,
+        scheduleId: selectedScheduleId || undefined,
+      });
+      setEntries(history);
+    } catch (error) {
+      console.error('Failed to load execution history:', error);
+      showError('Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  }, [player.id, selectedScheduleId]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const handleClearHistory = async () => {
+    try {
+      await ExecutionHistoryService.clearHistory();
+      await loadHistory();
+      showSuccess('History cleared');
+    } catch (error) {
+      console.error('Failed to clear history:', error);
+      showError('Failed to clear history');
+    }
+  };
+
+  const summary = ExecutionHistoryService.summarize(entries);
+
+  const renderEntry = ({ item }) => {
+    const outcome = OUTCOME_LABELS[item.outcome] || { icon: '❔', label: item.outcome };
+    const minutesLate = item.plannedTime
+      ? Math.round((item.actualTime.getTime() - item.plannedTime.getTime()) / 60000)
+      : null;
+
+    return (
+      <View style={[styles.entryItem, styles[`${item.outcome}Entry`]]}>
+        <View style={styles.entryHeader}>
+          <Text style={styles.entryTitle}>{outcome.icon} {item.cardTitle}</Text>
+          <Text style={styles.entryOutcome}>{outcome.label}</Text>
+        </View>
+
+        <View style={styles.entryRow}>
+          <Text style={styles.entryLabel}>Planned:</Text>
+          <Text style={styles.entryValue}>
+            {item.plannedTime
+              ? `${item.plannedTime.toLocaleDateString()} at ${SchedulerService.formatTime(item.plannedTime)}`
+              : '—'}
+          </Text>
+        </View>
+        <View style={styles.entryRow}>
+          <Text style={styles.entryLabel}>Actual:</Text>
+          <Text style={styles.entryValue}>
+            {item.actualTime.toLocaleDateString()} at {SchedulerService.formatTime(item.actualTime)}
+            {minutesLate > 1 ? ` (${minutesLate} min late)` : ''}
+          </Text>
+        </View>
+        <View style={styles.entryRow}>
+          <Text style={styles.entryLabel}>Path:</Text>
+          <Text style={styles.entryValue}>{SOURCE_LABELS[item.source] || item.source}</Text>
+        </View>
+        <View style={styles.entryRow}>
+          <Text style={styles.entryLabel}>MQTT:</Text>
+          <Text style={styles.entryValue}>
+            {!item.mqttHealth?.clientAvailable
+              ? 'No client'
+              : item.mqttHealth.healthy ? '🟢 Healthy' : '🔴 Unhealthy'}
+          </Text>
+        </View>
+        {item.confirmation && (
+          <View style={styles.entryRow}>
+            <Text style={styles.entryLabel}>Player:</Text>
+            <Text style={styles.entryValue}>Confirmed after {(item.confirmation.latencyMs / 1000).toFixed(1)}s</Text>
+          </View>
+        )}
+        {item.stepResults && (
+          <View style={styles.stepResults}>
+            {item.stepResults.map((result, index) => (
+              <Text key={result.stepId} style={styles.stepResultText}>
+                {result.unconfirmed ? '⚠️' : result.success ? '✅' : '❌'} {index + 1}. {RoutineService.STEP_LABELS[result.type] || result.type}
+                {result.attempts > 1 ? ` (${result.attempts} attempts)` : ''}
+              </Text>
+            ))}
+          </View>
+        )}
+        {item.errorMessage && (
+          <Text style={styles.entryError}>{item.errorMessage}</Text>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={onBack}>
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>History</Text>
+        <TouchableOpacity style={styles.clearButton} onPress={handleClearHistory}>
+          <Text style={styles.clearButtonText}>Clear</Text>
+        </TouchableOpacity>
+      </View>
+
+      {/* Schedule Filter */}
+      <ScrollView horizontal style={styles.filterBar} showsHorizontalScrollIndicator={false}>
+        <TouchableOpacity
+          style={[styles.filterChip, !selectedScheduleId && styles.selectedFilterChip]}
+          onPress={() => setSelectedScheduleId(null)}
+        >
+          <Text style={[styles.filterChipText, !selectedScheduleId && styles.selectedFilterChipText]}>
+            All on {player.name}
+          </Text>
+        </TouchableOpacity>
+        {schedules.map(schedule => (
+          <TouchableOpacity
+            key={schedule.id}
+            style={[styles.filterChip, selectedScheduleId === schedule.id && styles.selectedFilterChip]}
+            onPress={() => setSelectedScheduleId(schedule.id)}
+          >
+            <Text style={[styles.filterChipText, selectedScheduleId === schedule.id && styles.selectedFilterChipText]}>
+              {schedule.cardTitle}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      {/* Summary */}
+      <View style={styles.summary}>
+        <Text style={styles.summaryText}>
+          {summary.total} runs · ✅ {summary.success} · ❔ {summary.unconfirmed} · 📥 {summary.queued} · ❌ {summary.failed} · ⏭️ {summary.missed} · 🥈 {summary.superseded}
+        </Text>
+      </View>
+
+      {entries.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Text style={styles.emptyStateText}>{loading ? 'Loading...' : 'No runs recorded yet'}</Text>
+          <Text style={styles.emptyStateSubtext}>
+            Every scheduled run is listed here once it has been attempted.
+          </Text>
+        </View>
+      ) : (
+        <FlatList
+          data={entries}
+          keyExtractor={(item) => item.id}
+          renderItem={renderEntry}
+          style={styles.list}
+          contentContainerStyle={styles.listContent}
+          onRefresh={loadHistory}
+          refreshing={loading}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  header: {
+    backgroundColor: '#FFFFFF',
+    padding: 20,
+    paddingTop: 50,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  backButton: {
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    backgroundColor: '#007AFF',
+    borderRadius: 15,
+  },
+  backButtonText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  clearButton: {
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    backgroundColor: '#FF3B30',
+    borderRadius: 15,
+  },
+  clearButtonText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  filterBar: {
+    flexGrow: 0,
+    paddingHorizontal: 15,
+    paddingTop: 15,
+  },
+  filterChip: {
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+  },
+  selectedFilterChip: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  filterChipText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  selectedFilterChipText: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  summary: {
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+  },
+  summaryText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  list: {
+    flex: 1,
+  },
+  listContent: {
+    paddingHorizontal: 15,
+    paddingBottom: 20,
+  },
+  entryItem: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 12,
+    borderLeftWidth: 4,
+    borderLeftColor: '#8E8E93',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  successEntry: {
+    borderLeftColor: '#34C759',
+  },
+  failedEntry: {
+    borderLeftColor: '#FF3B30',
+  },
+  unconfirmedEntry: {
+    borderLeftColor: '#FFCC00',
+  },
+  queuedEntry: {
+    borderLeftColor: '#5AC8FA',
+  },
+  missedEntry: {
+    borderLeftColor: '#FF9500',
+  },
+  supersededEntry: {
+    borderLeftColor: '#AF52DE',
+  },
+  entryHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  entryTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    flex: 1,
+    marginRight: 10,
+  },
+  entryOutcome: {
+    fontSize: 14,
+    color: '#666',
+    fontWeight: '500',
+  },
+  entryRow: {
+    flexDirection: 'row',
+    marginBottom: 4,
+  },
+  entryLabel: {
+    fontSize: 14,
+    color: '#666',
+    width: 80,
+  },
+  entryValue: {
+    fontSize: 14,
+    color: '#333',
+    flex: 1,
+  },
+  stepResults: {
+    marginTop: 6,
+    paddingTop: 6,
+    borderTopWidth: 1,
+    borderTopColor: '#F0F0F0',
+  },
+  stepResultText: {
+    fontSize: 13,
+    color: '#333',
+    marginBottom: 2,
+  },
+  entryError: {
+    fontSize: 13,
+    color: '#FF3B30',
+    marginTop: 6,
+  },
+  emptyState: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyStateText: {
+    fontSize: 18,
+    color: '#666',
+    marginBottom: 10,
+  },
+  emptyStateSubtext: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,382 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Switch,
+  TextInput,
+  Share,
+  ActivityIndicator,
+} from 'react-native';
+import { SchedulerService } from '../services/simpleSchedulerService';
+import { ScheduleTransferService } from '../services/scheduleTransferService';
+import { YotoAPI } from '../services/apiService';
+import { useSnackBarContext } from '../contexts/SnackBarContext';
+
+const STATUS_LABELS = {
+  new: { icon: '🆕', label: 'New' },
+  conflict: { icon: '⚠️', label: 'Already exists' },
+  duplicate: { icon: '👯', label: 'Duplicate' },
+  invalid: { icon: '❌', label: 'Cannot import' },
+};
+
+export function ScheduleTransferScreen({ onBack, onImported }) {
+  const [importText, setImportText] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [importFormat, setImportFormat] = useState(null);
+  const [replaceConflicts, setReplaceConflicts] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const { showSuccess, showError, showWarning } = useSnackBarContext();
+
+  const handleExport = async (format) => {
+    try {
+      const schedules = await SchedulerService.getAllSchedules();
+      if (schedules.length === 0) {
+        showWarning('There are no schedules to export');
+        return;
+      }
+
+      const isIcs = format === ScheduleTransferService.FORMATS.ICS;
+      const content = isIcs
+        ? ScheduleTransferService.exportIcs(schedules)
+        : ScheduleTransferService.exportJson(schedules);
+
+      await Share.share({
+        title: isIcs ? 'yoto-schedules.ics' : 'yoto-schedules.json',
+        message: content,
+      });
+    } catch (error) {
+      console.error('Failed to export schedules:', error);
+      showError('Failed to export schedules');
+    }
+  };
+
+  const handlePreview = async () => {
+    try {
+      setLoading(true);
+      const { format, schedules: imported } = ScheduleTransferService.parse(importText);
+
+      const [existingSchedules, cards, players] = await Promise.all([
+        SchedulerService.getAllSchedules(),
+        YotoAPI.getUserContent(),
+        YotoAPI.getPlayers(),
+      ]);
+
+      setImportFormat(format);
+      setPreview(ScheduleTransferService.previewImport(imported, { existingSchedules, cards, players }));
+    } catch (error) {
+      console.error('Failed to read import:', error);
+      setPreview(null);
+      showError(error.message || 'Failed to read the import');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setLoading(true);
+      const { added, replaced, skipped } = await ScheduleTransferService.applyImport(preview, { replaceConflicts });
+      showSuccess(`Imported ${added + replaced} schedule(s)${skipped ? `, skipped ${skipped}` : ''}`);
+      setPreview(null);
+      setImportText('');
+      onImported?.();
+    } catch (error) {
+      console.error('Failed to import schedules:', error);
+      showError('Failed to import schedules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const importCount = preview
+    ? preview.filter(item =>
+        item.status === ScheduleTransferService.IMPORT_STATUS.NEW
+        || (replaceConflicts && item.status === ScheduleTransferService.IMPORT_STATUS.CONFLICT)
+      ).length
+    : 0;
+  const conflictCount = preview
+    ? preview.filter(item => item.status === ScheduleTransferService.IMPORT_STATUS.CONFLICT).length
+    : 0;
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={onBack}>
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Export / Import</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+        {/* Export */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Export all schedules</Text>
+          <Text style={styles.sectionSubtitle}>
+            JSON restores every setting in this app. iCalendar (.ics) also opens in calendar apps.
+          </Text>
+          <View style={styles.buttonRow}>
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => handleExport(ScheduleTransferService.FORMATS.JSON)}
+            >
+              <Text style={styles.actionButtonText}>📤 Share JSON</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => handleExport(ScheduleTransferService.FORMATS.ICS)}
+            >
+              <Text style={styles.actionButtonText}>📅 Share .ics</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {/* Import */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Import</Text>
+          <Text style={styles.sectionSubtitle}>
+            Paste an exported JSON or .ics file. Nothing is saved until you confirm the preview.
+          </Text>
+          <TextInput
+            style={styles.importInput}
+            value={importText}
+            onChangeText={(text) => {
+              setImportText(text);
+              setPreview(null);
+            }}
+            placeholder="Paste export here"
+            multiline
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          <TouchableOpacity
+            style={[styles.actionButton, !importText.trim() && styles.disabledButton]}
+            onPress={handlePreview}
+            disabled={!importText.trim() || loading}
+          >
+            <Text style={styles.actionButtonText}>🔍 Preview import</Text>
+          </TouchableOpacity>
+        </View>
+
+        {loading && <ActivityIndicator style={styles.loading} color="#007AFF" />}
+
+        {/* Preview */}
+        {preview && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>
+              Preview ({importFormat === ScheduleTransferService.FORMATS.ICS ? 'iCalendar' : 'JSON'}, {preview.length} schedules)
+            </Text>
+
+            {preview.map(item => {
+              const status = STATUS_LABELS[item.status];
+              return (
+                <View key={item.schedule.id} style={[styles.previewItem, styles[`${item.status}Item`]]}>
+                  <View style={styles.previewHeader}>
+                    <Text style={styles.previewTitle}>{item.schedule.cardTitle || 'Untitled'}</Text>
+                    <Text style={styles.previewStatus}>{status.icon} {status.label}</Text>
+                  </View>
+                  <Text style={styles.previewDetail}>
+                    {item.schedule.playerName || item.schedule.playerId || 'Unknown player'}
+                    {item.schedule.wallTime
+                      ? ` · ${SchedulerService.formatWallTime(item.schedule)}`
+                      : item.schedule.scheduledTime
+                        ? ` · ${SchedulerService.formatTime(new Date(item.schedule.scheduledTime))}`
+                        : ''}
+                  </Text>
+                  {item.issues.map(issue => (
+                    <Text key={issue} style={styles.previewIssue}>• {issue}</Text>
+                  ))}
+                  {item.notes.map(note => (
+                    <Text key={note} style={styles.previewNote}>• {note}</Text>
+                  ))}
+                </View>
+              );
+            })}
+
+            {conflictCount > 0 && (
+              <View style={styles.optionRow}>
+                <Text style={styles.optionLabel}>Replace {conflictCount} existing schedule(s)</Text>
+                <Switch value={replaceConflicts} onValueChange={setReplaceConflicts} />
+              </View>
+            )}
+
+            <TouchableOpacity
+              style={[styles.importButton, importCount === 0 && styles.disabledButton]}
+              onPress={handleImport}
+              disabled={importCount === 0 || loading}
+            >
+              <Text style={styles.actionButtonText}>Import {importCount} schedule(s)</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  header: {
+    backgroundColor: '#FFFFFF',
+    padding: 20,
+    paddingTop: 50,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  backButton: {
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    backgroundColor: '#007AFF',
+    borderRadius: 15,
+  },
+  backButtonText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  headerSpacer: {
+    width: 70,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 15,
+  },
+  section: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 6,
+  },
+  sectionSubtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 12,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 10,
+  },
+  actionButton: {
+    flex: 1,
+    backgroundColor: '#007AFF',
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  actionButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  importInput: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    padding: 10,
+    minHeight: 120,
+    maxHeight: 240,
+    fontSize: 12,
+    fontFamily: 'Courier',
+    textAlignVertical: 'top',
+    marginBottom: 12,
+  },
+  loading: {
+    marginBottom: 15,
+  },
+  previewItem: {
+    borderLeftWidth: 4,
+    borderLeftColor: '#8E8E93',
+    backgroundColor: '#F8F9FA',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 8,
+  },
+  newItem: {
+    borderLeftColor: '#34C759',
+  },
+  conflictItem: {
+    borderLeftColor: '#FF9500',
+  },
+  duplicateItem: {
+    borderLeftColor: '#8E8E93',
+  },
+  invalidItem: {
+    borderLeftColor: '#FF3B30',
+  },
+  previewHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  previewTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    flex: 1,
+    marginRight: 10,
+  },
+  previewStatus: {
+    fontSize: 13,
+    color: '#666',
+  },
+  previewDetail: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  previewIssue: {
+    fontSize: 13,
+    color: '#FF3B30',
+    marginTop: 4,
+  },
+  previewNote: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 4,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
+  optionLabel: {
+    fontSize: 16,
+    color: '#333',
+    flex: 1,
+  },
+  importButton: {
+    backgroundColor: '#34C759',
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+});
@@ -8,11 +8,34 @@ import {
   Modal,
   FlatList,
   Switch,
-  Platform
+  TextInput,
+  Platform,
+  Alert
 } from 'react-native';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import { SchedulerService } from '../services/simpleSchedulerService';
+import { YotoAPI } from '../services/apiService';
+import { CommandQueueService } from '../services/commandQueueService';
 import { useSnackBarContext } from '../contexts/SnackBarContext';
+import { RoutineService } from '../services/routineService';
+import { ScheduleHistoryScreen } from './ScheduleHistoryScreen';
+import { ScheduleTransferScreen } from './ScheduleTransferScreen';
+import { ScheduleExceptionsScreen } from './ScheduleExceptionsScreen';
+import { HomeSettingsScreen } from './HomeSettingsScreen';
+import { ScheduleExceptionsService } from '../services/scheduleExceptionsService';
+import { BackgroundSchedulerService } from '../services/backgroundSchedulerService';
+import { HomeSettingsService } from '../services/homeSettingsService';
+import { LightTransitionService } from '../services/lightTransitionService';
+import { RoutineStepsEditor } from './RoutineStepsEditor';
+import { EnhancedContentBrowser } from './EnhancedContentBrowser';
+import {
+  parseRRule,
+  formatRRule,
+  formatDateKey,
+  toCalendarDate,
+  describeRecurrence,
+} from '../utils/recurrence';
+import { getDeviceTimeZone, formatTimeZoneName } from '../utils/timezone';
 
 const DAYS_OF_WEEK = [
   { id: 0, name: 'Sunday', short: 'Sun' },
@@ -24,6 +47,72 @@ const DAYS_OF_WEEK = [
   { id: 6, name: 'Saturday', short: 'Sat' },
 ];
 
+const SCHEDULE_TYPES = [
+  { id: 'card', label: 'Single Card' },
+  { id: 'routine', label: 'Routine' },
+  { id: 'light', label: 'Light' },
+];
+
+const LIGHT_ACTION_OPTIONS = [
+  { id: 'ambient', label: '💡 Colour' },
+  { id: 'off', label: '⚫ Off' },
+  { id: 'night_light', label: '🌙 Night light' },
+  { id: 'fade', label: '🌅 Fade' },
+];
+
+const LIGHT_COLORS = [
+  { name: 'Amber', color: '#FF8000' },
+  { name: 'Warm White', color: '#FFF0E6' },
+  { name: 'Red', color: '#FF0000' },
+  { name: 'Pink', color: '#FF0080' },
+  { name: 'Purple', color: '#8000FF' },
+  { name: 'Blue', color: '#0000FF' },
+  { name: 'Green', color: '#00FF00' },
+];
+
+const REPEAT_MODES = [
+  { id: 'daily', label: 'Daily' },
+  { id: 'weekly', label: 'Weekly' },
+  { id: 'monthly', label: 'Monthly' },
+  { id: 'dates', label: 'Dates' },
+];
+
+const END_MODES = [
+  { id: 'never', label: 'Never' },
+  { id: 'count', label: 'After' },
+  { id: 'until', label: 'On date' },
+];
+
+const CATCH_UP_POLICIES = [
+  { id: 'skip', label: 'Skip' },
+  { id: 'window', label: 'If late <' },
+  { id: 'always', label: 'Always' },
+];
+
+const SOLAR_EVENT_OPTIONS = [
+  { id: 'dawn', label: '🌅 Dawn' },
+  { id: 'sunrise', label: '☀️ Sunrise' },
+  { id: 'sunset', label: '🌇 Sunset' },
+  { id: 'dusk', label: '🌆 Dusk' },
+];
+
+const PRIORITY_OPTIONS = [
+  { id: -1, label: 'Low' },
+  { id: 0, label: 'Normal' },
+  { id: 1, label: 'High' },
+];
+
+// Snooze is offered once the next run is this close
+const SNOOZE_WINDOW_MINUTES = 60;
+
+const MONTHLY_ORDINALS = [
+  { id: 1, label: '1st' },
+  { id: 2, label: '2nd' },
+  { id: 3, label: '3rd' },
+  { id: 4, label: '4th' },
+  { id: -1, label: 'Last' },
+];
+
 export function SchedulerScreen({ player, cards, mqttClient, onBack }) {
   const [schedules, setSchedules] = useState([]);
   const [showCreateModal, setShowCreateModal] = useState(false);
@@ -33,17 +122,75 @@ export function SchedulerScreen({ player, cards, mqttClient, onBack }) {
   const [editingSchedule, setEditingSchedule] = useState(null);
   const [isEditMode, setIsEditMode] = useState(false);
   
+  // History view state (historyScheduleId null = all schedules on this player)
+  const [showHistory, setShowHistory] = useState(false);
+  const [historyScheduleId, setHistoryScheduleId] = useState(null);
+  const [showTransfer, setShowTransfer] = useState(false);
+  const [showExceptions, setShowExceptions] = useState(false);
+  const [showHomeSettings, setShowHomeSettings] = useState(false);
+  
   // Use snackbar context
   const { showSuccess, showError, showWarning } = useSnackBarContext();
   
   // Create schedule form state
+  const [scheduleType, setScheduleType] = useState(SchedulerService.SCHEDULE_TYPES.CARD);
   const [selectedCard, setSelectedCard] = useState(null);
+  const [routineName, setRoutineName] = useState('');
+  const [routineSteps, setRoutineSteps] = useState([]);
+  const [lightAction, setLightAction] = useState(SchedulerService.LIGHT_ACTIONS.AMBIENT);
+  const [lightColor, setLightColor] = useState(LIGHT_COLORS[0].color);
+  const [lightBrightness, setLightBrightness] = useState(30);
+  const [nightLightOn, setNightLightOn] = useState(true);
+  const [fadePreset, setFadePreset] = useState(LightTransitionService.PRESETS.DIM_DOWN);
+  const [fadeMinutes, setFadeMinutes] = useState(LightTransitionService.DEFAULT_DURATION_MINUTES);
   const [selectedTime, setSelectedTime] = useState(new Date());
+  // The picked time is a wall-clock time in this zone
+  const [scheduleTimeZone, setScheduleTimeZone] = useState(HomeSettingsService.getTimeZone());
+  // A sun trigger replaces the picked time of day
+  const [triggerType, setTriggerType] = useState(SchedulerService.TRIGGER_TYPES.TIME);
+  const [solarEvent, setSolarEvent] = useState(SchedulerService.SOLAR_EVENTS.SUNSET);
+  const [solarOffsetMinutes, setSolarOffsetMinutes] = useState(0);
   const [selectedDays, setSelectedDays] = useState([]);
   const [notifyIfOffline, setNotifyIfOffline] = useState(true);
-  const [repeatWeekly, setRepeatWeekly] = useState(true);
+  const [queueIfOffline, setQueueIfOffline] = useState(false);
+  const [queueExpiryMinutes, setQueueExpiryMinutes] = useState(CommandQueueService.DEFAULT_EXPIRY_MINUTES);
   const [showTimePicker, setShowTimePicker] = useState(false);
   const [showCardPicker, setShowCardPicker] = useState(false);
+  
+  // Playback form state (where in the card to start and when to stop)
+  const [cardChapters, setCardChapters] = useState([]);
+  const [loadingChapters, setLoadingChapters] = useState(false);
+  const [chapterKey, setChapterKey] = useState(null);
+  const [trackKey, setTrackKey] = useState(null);
+  const [secondsIn, setSecondsIn] = useState(0);
+  const [stopAfterEnabled, setStopAfterEnabled] = useState(false);
+  const [stopAfterMinutes, setStopAfterMinutes] = useState(15);
+  const [anyButtonStop, setAnyButtonStop] = useState(false);
+  const [preVolumeEnabled, setPreVolumeEnabled] = useState(false);
+  const [preVolume, setPreVolume] = useState(30);
+  
+  // Recurrence form state
+  const [repeatMode, setRepeatMode] = useState('weekly');
+  const [repeatInterval, setRepeatInterval] = useState(1);
+  const [monthlyMode, setMonthlyMode] = useState('dayOfMonth');
+  const [monthlyOrdinal, setMonthlyOrdinal] = useState(1);
+  const [monthlyWeekday, setMonthlyWeekday] = useState(1);
+  const [endMode, setEndMode] = useState('never');
+  const [endCount, setEndCount] = useState(10);
+  const [endDate, setEndDate] = useState(null);
+  const [specificDates, setSpecificDates] = useState([]);
+  const [datePickerTarget, setDatePickerTarget] = useState(null);
+  
+  // Dates this schedule skips (see ScheduleExceptionsService)
+  const [scheduleExceptions, setScheduleExceptions] = useState([]);
+  const [pendingExceptionStart, setPendingExceptionStart] = useState(null);
+  
+  // Catch-up form state
+  const [catchUpPolicy, setCatchUpPolicy] = useState(SchedulerService.DEFAULT_CATCH_UP.policy);
+  const [catchUpWindow, setCatchUpWindow] = useState(SchedulerService.DEFAULT_CATCH_UP.windowMinutes);
+  
+  // Which schedule wins when runs clash on this player
+  const [priority, setPriority] = useState(SchedulerService.DEFAULT_PRIORITY);
 
   // Handler functions with useCallback for performance and debugging
   const handleCardPickerOpen = useCallback(() => {
@@ -69,6 +216,258 @@ export function SchedulerScreen({ player, cards, mqttClient, onBack }) {
     }
   }, []);
 
+  const handleDatePickerChange = useCallback((event, date) => {
+    console.log('📅 [DATE] Date picker event:', { type: event?.type, target: datePickerTarget, date });
+    const target = datePickerTarget;
+    setDatePickerTarget(null);
+    if (event?.type !== 'set' || !date) {
+      setPendingExceptionStart(null);
+      return;
+    }
+    
+    if (target === 'until') {
+      setEndDate(date);
+    } else if (target === 'rdate') {
+      const dateKey = formatDateKey(toCalendarDate(date));
+      setSpecificDates(prev => (prev.includes(dateKey) ? prev : [...prev, dateKey].sort()));
+    } else if (target === 'exception') {
+      // Pick the last day next; the same day again skips a single date
+      setPendingExceptionStart(formatDateKey(toCalendarDate(date)));
+      setDatePickerTarget('exceptionEnd');
+    } else if (target === 'exceptionEnd') {
+      const exception = ScheduleExceptionsService.createException(
+        pendingExceptionStart,
+        formatDateKey(toCalendarDate(date))
+      );
+      setPendingExceptionStart(null);
+      setScheduleExceptions(prev => [...prev, exception].sort((a, b) => a.start.localeCompare(b.start)));
+    }
+  }, [datePickerTarget, pendingExceptionStart]);
+
+  // Load the selected card's chapters and tracks for the playback picker
+  useEffect(() => {
+    if (!showCreateModal || !selectedCard?.id || scheduleType !== SchedulerService.SCHEDULE_TYPES.CARD) {
+      setCardChapters([]);
+      return;
+    }
+    
+    let cancelled = false;
+    setLoadingChapters(true);
+    
+    YotoAPI.getContentDetails(selectedCard.id)
+      .then(details => {
+        if (!cancelled) setCardChapters(details.chapters);
+      })
+      .catch(error => {
+        console.error('❌ [CARD] Failed to load chapters:', error);
+        // Fall back to whatever the content list gave us
+        if (!cancelled) setCardChapters(selectedCard.chapters || []);
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingChapters(false);
+      });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [showCreateModal, selectedCard?.id, scheduleType]);
+
+  const selectedChapter = cardChapters.find(chapter => chapter.key === chapterKey) || null;
+
+  const handleChapterSelect = (key) => {
+    setChapterKey(key);
+    setTrackKey(null);
+  };
+
+  // Build the schedule's playback options from the form state, or null to play the whole card
+  const buildPlaybackOptions = () => {
+    const selectedTrack = selectedChapter?.tracks?.find(track => track.key === trackKey) || null;
+    
+    if (!chapterKey && !secondsIn && !stopAfterEnabled && !anyButtonStop) {
+      return null;
+    }
+    
+    return {
+      chapterKey,
+      chapterTitle: selectedChapter?.title || null,
+      trackKey: chapterKey ? trackKey : null,
+      trackTitle: selectedTrack?.title || null,
+      secondsIn: secondsIn || null,
+      // cutOff is a position in the track, so the play duration is counted from the start offset
+      cutOff: stopAfterEnabled ? secondsIn + stopAfterMinutes * 60 : null,
+      anyButtonStop: anyButtonStop || null
+    };
+  };
+
+  // How long the card plays from the chosen start point, in seconds, or null if the durations aren't known
+  const getExpectedDurationSeconds = () => {
+    if (stopAfterEnabled) return stopAfterMinutes * 60;
+    
+    const sumDurations = (items) => items.reduce((total, item) => total + (Number(item.duration) || 0), 0);
+    const chapterDuration = (chapter) => Number(chapter.duration) || sumDurations(chapter.tracks || []);
+    const startIndex = chapterKey ? cardChapters.findIndex(chapter => chapter.key === chapterKey) : 0;
+    
+    let seconds = 0;
+    if (cardChapters.length > 0 && startIndex >= 0) {
+      const [startChapter, ...laterChapters] = cardChapters.slice(startIndex);
+      const trackIndex = trackKey ? (startChapter.tracks || []).findIndex(track => track.key === trackKey) : -1;
+      seconds = (trackIndex > 0 ? sumDurations(startChapter.tracks.slice(trackIndex)) : chapterDuration(startChapter)) +
+        laterChapters.reduce((total, chapter) => total + chapterDuration(chapter), 0);
+    }
+    if (!seconds && !chapterKey) {
+      seconds = Number(selectedCard?.duration) || 0;
+    }
+    
+    seconds -= secondsIn;
+    return seconds > 0 ? seconds : null;
+  };
+
+  // Fill the playback form state from an existing schedule
+  const loadPlaybackOptionsIntoForm = (playbackOptions) => {
+    setChapterKey(playbackOptions?.chapterKey || null);
+    setTrackKey(playbackOptions?.trackKey || null);
+    setSecondsIn(playbackOptions?.secondsIn || 0);
+    setStopAfterEnabled(!!playbackOptions?.cutOff);
+    if (playbackOptions?.cutOff) {
+      setStopAfterMinutes(Math.max(1, Math.round((playbackOptions.cutOff - (playbackOptions.secondsIn || 0)) / 60)));
+    }
+    setAnyButtonStop(!!playbackOptions?.anyButtonStop);
+  };
+
+  const loadPreVolumeIntoForm = (volume) => {
+    setPreVolumeEnabled(typeof volume === 'number');
+    setPreVolume(typeof volume === 'number' ? volume : 30);
+  };
+
+  // Build the schedule's recurrence from the form state
+  const buildRecurrence = () => {
+    if (repeatMode === 'dates') {
+      return { rrule: null, rdates: specificDates };
+    }
+    
+    const rule = {
+      freq: repeatMode === 'daily' ? 'DAILY' : repeatMode === 'monthly' ? 'MONTHLY' : 'WEEKLY',
+      interval: repeatInterval,
+      byDay: [],
+      byMonthDay: [],
+      byMonth: [],
+      count: endMode === 'count' ? endCount : null,
+      until: endMode === 'until' && endDate ? toCalendarDate(endDate) : null,
+      wkst: 1
+    };
+    
+    if (repeatMode === 'weekly') {
+      rule.byDay = [...selectedDays].sort().map(weekday => ({ weekday, ordinal: null }));
+    } else if (repeatMode === 'monthly') {
+      if (monthlyMode === 'weekday') {
+        rule.byDay = [{ weekday: monthlyWeekday, ordinal: monthlyOrdinal }];
+      } else {
+        rule.byMonthDay = [selectedTime.getDate()];
+      }
+    }
+    
+    return { rrule: formatRRule(rule), rdates: [] };
+  };
+
+  // Fill the recurrence form state from an existing schedule
+  const loadRecurrenceIntoForm = (recurrence) => {
+    let rule = null;
+    try {
+      rule = parseRRule(recurrence?.rrule);
+    } catch (error) {
+      console.error('❌ [EDIT] Could not parse recurrence rule:', error);
+    }
+    
+    if (!rule) {
+      setRepeatMode('dates');
+      setSpecificDates(recurrence?.rdates || []);
+      return;
+    }
+    
+    setRepeatMode(rule.freq === 'DAILY' ? 'daily' : rule.freq === 'MONTHLY' ? 'monthly' : 'weekly');
+    setRepeatInterval(rule.interval);
+    setSelectedDays(rule.freq === 'WEEKLY' ? rule.byDay.map(d => d.weekday) : []);
+    
+    const ordinalDay = rule.byDay.find(d => d.ordinal);
+    if (rule.freq === 'MONTHLY' && ordinalDay) {
+      setMonthlyMode('weekday');
+      setMonthlyOrdinal(ordinalDay.ordinal);
+      setMonthlyWeekday(ordinalDay.weekday);
+    }
+    
+    if (rule.count) {
+      setEndMode('count');
+      setEndCount(rule.count);
+    } else if (rule.until) {
+      setEndMode('until');
+      setEndDate(new Date(rule.until.year, rule.until.month - 1, rule.until.day));
+    }
+  };
+
+  // What the schedule plays or changes, by type
+  const buildContentFields = () => {
+    switch (scheduleType) {
+      case SchedulerService.SCHEDULE_TYPES.ROUTINE:
+        return {
+          type: SchedulerService.SCHEDULE_TYPES.ROUTINE,
+          cardTitle: routineName.trim(),
+          steps: routineSteps
+        };
+      case SchedulerService.SCHEDULE_TYPES.LIGHT: {
+        const light = buildLight();
+        return {
+          type: SchedulerService.SCHEDULE_TYPES.LIGHT,
+          cardTitle: SchedulerService.describeLight(light),
+          light,
+          queueIfOffline,
+          queueExpiryMinutes
+        };
+      }
+      default:
+        return {
+          type: SchedulerService.SCHEDULE_TYPES.CARD,
+          cardId: selectedCard.id,
+          cardTitle: selectedCard.title,
+          cardUri: selectedCard.uri || `https://yoto.io/${selectedCard.id}`,
+          playbackOptions: buildPlaybackOptions(),
+          preVolume: preVolumeEnabled ? preVolume : null,
+          expectedDurationSeconds: getExpectedDurationSeconds(),
+          queueIfOffline,
+          queueExpiryMinutes
+        };
+    }
+  };
+
+  const buildLight = () => ({
+    action: lightAction,
+    color: lightAction === SchedulerService.LIGHT_ACTIONS.AMBIENT ? lightColor : null,
+    brightness: lightBrightness,
+    nightLightOn: lightAction === SchedulerService.LIGHT_ACTIONS.NIGHT_LIGHT && nightLightOn,
+    ...(lightAction === SchedulerService.LIGHT_ACTIONS.FADE && { preset: fadePreset, durationMinutes: fadeMinutes })
+  });
+
+  const getRoutineWarning = () => {
+    if (!routineName.trim()) {
+      return 'Please name the routine';
+    }
+    return RoutineService.validateSteps(routineSteps);
+  };
+
+  // Validate the recurrence form, returning a warning message or null
+  const getRecurrenceWarning = () => {
+    if (repeatMode === 'weekly' && selectedDays.length === 0) {
+      return 'Please select at least one day';
+    }
+    if (repeatMode === 'dates' && specificDates.length === 0) {
+      return 'Please add at least one date';
+    }
+    if (endMode === 'until' && repeatMode !== 'dates' && !endDate) {
+      return 'Please choose an end date';
+    }
+    return null;
+  };
+
+  // Load schedules when component mounts
   useEffect(() => {
     loadSchedules();
     SchedulerService.initialize().catch(console.error);
@@ -85,11 +484,10 @@ export function SchedulerScreen({ player, cards, mqttClient, onBack }) {
     return () => clearInterval(interval);
   }, [mqttClient]); // Only re-run when mqttClient changes
 
-  // Load schedules when component mounts
-
   const loadSchedules = async () => {
     try {
       setLoading(true);
+      await Promise.all([ScheduleExceptionsService.load(), HomeSettingsService.load()]);
       const playerSchedules = await SchedulerService.getSchedulesForPlayer(player.id);
       setSchedules(playerSchedules);
     } catch (error) {
@@ -107,8 +505,22 @@ export function SchedulerScreen({ player, cards, mqttClient, onBack }) {
       return;
     }
 
-    if (!selectedCard || selectedDays.length === 0) {
-      showWarning('Please select a card and at least one day');
+    const isRoutine = scheduleType === SchedulerService.SCHEDULE_TYPES.ROUTINE;
+    
+    if (scheduleType === SchedulerService.SCHEDULE_TYPES.CARD && !selectedCard) {
+      showWarning('Please select a card');
+      return;
+    }
+    
+    const routineWarning = isRoutine ? getRoutineWarning() : null;
+    if (routineWarning) {
+      showWarning(routineWarning);
+      return;
+    }
+    
+    const recurrenceWarning = getRecurrenceWarning();
+    if (recurrenceWarning) {
+      showWarning(recurrenceWarning);
       return;
     }
 
@@ -116,15 +528,16 @@ export function SchedulerScreen({ player, cards, mqttClient, onBack }) {
       setLoading(true);
       
       const scheduleData = {
-        cardId: selectedCard.id,
-        cardTitle: selectedCard.title,
-        cardUri: selectedCard.uri || `https://yoto.io/${selectedCard.id}`,
+        ...buildContentFields(),
         playerId: player.id,
         playerName: player.name,
-        scheduledTime: selectedTime,
-        daysOfWeek: selectedDays,
-        repeatWeekly,
-        notifyIfOffline
+        ...SchedulerService.getTimeFields(selectedTime, scheduleTimeZone),
+        trigger: buildTrigger(),
+        recurrence: buildRecurrence(),
+        catchUp: { policy: catchUpPolicy, windowMinutes: catchUpWindow },
+        notifyIfOffline,
+        exceptions: scheduleExceptions,
+        priority
       };
 
       await SchedulerService.createSchedule(scheduleData);
@@ -153,6 +566,50 @@ export function SchedulerScreen({ player, cards, mqttClient, onBack }) {
     }
   };
 
+  // Skip/snooze change the next run, so the reminder notifications are re-planned too
+  const handleSkipNext = async (schedule) => {
+    try {
+      if (schedule.skippedOccurrence && new Date(schedule.skippedOccurrence) > new Date()) {
+        await SchedulerService.unskipOccurrence(schedule.id);
+        showSuccess('The next run will play again');
+      } else {
+        const updated = await SchedulerService.skipNextOccurrence(schedule.id);
+        showSuccess(`Skipping ${new Date(updated.skippedOccurrence).toLocaleDateString()} at ${SchedulerService.formatTime(new Date(updated.skippedOccurrence))}`);
+      }
+      BackgroundSchedulerService.updateScheduledNotifications().catch(() => {});
+      await loadSchedules();
+    } catch (error) {
+      console.error('Failed to skip schedule:', error);
+      showError(error.message || 'Failed to skip');
+    }
+  };
+
+  const snooze = async (schedule, minutes) => {
+    try {
+      const updated = await SchedulerService.snoozeNextOccurrence(schedule.id, minutes);
+      showSuccess(`Snoozed until ${SchedulerService.formatTime(updated.snoozedOccurrence.runAt)}`);
+      BackgroundSchedulerService.updateScheduledNotifications().catch(() => {});
+      await loadSchedules();
+    } catch (error) {
+      console.error('Failed to snooze schedule:', error);
+      showError(error.message || 'Failed to snooze');
+    }
+  };
+
+  const handleSnooze = (schedule) => {
+    Alert.alert(
+      'Snooze',
+      `Play "${schedule.cardTitle}" later this time only`,
+      [
+        ...SchedulerService.SNOOZE_OPTIONS_MINUTES.map(minutes => ({
+          text: `${minutes} minutes`,
+          onPress: () => snooze(schedule, minutes),
+        })),
+        { text: 'Cancel', style: 'cancel' },
+      ]
+    );
+  };
+
   const handleToggleSchedule = async (scheduleId, currentState) => {
     try {
       await SchedulerService.toggleSchedule(scheduleId, !currentState);
@@ -164,11 +621,43 @@ export function SchedulerScreen({ player, cards, mqttClient, onBack }) {
   };
 
   const resetForm = () => {
+    setScheduleType(SchedulerService.SCHEDULE_TYPES.CARD);
     setSelectedCard(null);
+    setRoutineName('');
+    setRoutineSteps([]);
+    setLightAction(SchedulerService.LIGHT_ACTIONS.AMBIENT);
+    setLightColor(LIGHT_COLORS[0].color);
+    setLightBrightness(30);
+    setNightLightOn(true);
+    setFadePreset(LightTransitionService.PRESETS.DIM_DOWN);
+    setFadeMinutes(LightTransitionService.DEFAULT_DURATION_MINUTES);
+    setCardChapters([]);
+    loadPlaybackOptionsIntoForm(null);
+    loadPreVolumeIntoForm(null);
+    setQueueIfOffline(false);
+    setQueueExpiryMinutes(CommandQueueService.DEFAULT_EXPIRY_MINUTES);
+    setStopAfterMinutes(15);
     setSelectedTime(new Date());
+    setScheduleTimeZone(HomeSettingsService.getTimeZone());
+    setTriggerType(SchedulerService.TRIGGER_TYPES.TIME);
+    setSolarEvent(SchedulerService.SOLAR_EVENTS.SUNSET);
+    setSolarOffsetMinutes(0);
     setSelectedDays([]);
     setNotifyIfOffline(true);
-    setRepeatWeekly(true);
+    setRepeatMode('weekly');
+    setRepeatInterval(1);
+    setMonthlyMode('dayOfMonth');
+    setMonthlyOrdinal(1);
+    setMonthlyWeekday(1);
+    setEndMode('never');
+    setEndCount(10);
+    setEndDate(null);
+    setSpecificDates([]);
+    setScheduleExceptions([]);
+    setPendingExceptionStart(null);
+    setCatchUpPolicy(SchedulerService.DEFAULT_CATCH_UP.policy);
+    setCatchUpWindow(SchedulerService.DEFAULT_CATCH_UP.windowMinutes);
+    setPriority(SchedulerService.DEFAULT_PRIORITY);
     setIsEditMode(false);
     setEditingSchedule(null);
   };
@@ -178,15 +667,41 @@ export function SchedulerScreen({ player, cards, mqttClient, onBack }) {
     console.log('✏️ [EDIT] Starting edit for schedule:', schedule.cardTitle);
     
     // Pre-fill form with existing schedule data
-    setSelectedCard({
-      id: schedule.cardId,
-      title: schedule.cardTitle,
-      uri: schedule.cardUri
-    });
-    setSelectedTime(new Date(schedule.scheduledTime));
-    setSelectedDays(schedule.daysOfWeek);
-    setRepeatWeekly(schedule.repeatWeekly);
+    if (schedule.type === SchedulerService.SCHEDULE_TYPES.ROUTINE) {
+      setScheduleType(SchedulerService.SCHEDULE_TYPES.ROUTINE);
+      setRoutineName(schedule.cardTitle);
+      setRoutineSteps(schedule.steps || []);
+    } else if (schedule.type === SchedulerService.SCHEDULE_TYPES.LIGHT) {
+      setScheduleType(SchedulerService.SCHEDULE_TYPES.LIGHT);
+      setLightAction(schedule.light.action);
+      setLightColor(schedule.light.color || LIGHT_COLORS[0].color);
+      setLightBrightness(schedule.light.brightness || 30);
+      setNightLightOn(schedule.light.nightLightOn !== false);
+      setFadePreset(schedule.light.preset || LightTransitionService.PRESETS.DIM_DOWN);
+      setFadeMinutes(schedule.light.durationMinutes || LightTransitionService.DEFAULT_DURATION_MINUTES);
+    } else {
+      setSelectedCard({
+        id: schedule.cardId,
+        title: schedule.cardTitle,
+        uri: schedule.cardUri
+      });
+      loadPlaybackOptionsIntoForm(schedule.playbackOptions);
+      loadPreVolumeIntoForm(schedule.preVolume);
+    }
+    setSelectedTime(SchedulerService.getWallTimeAsLocalDate(schedule));
+    setScheduleTimeZone(SchedulerService.migrateSchedule(schedule).timeZone);
+    const trigger = SchedulerService.getTrigger(schedule);
+    setTriggerType(trigger.type);
+    setSolarEvent(trigger.event || SchedulerService.SOLAR_EVENTS.SUNSET);
+    setSolarOffsetMinutes(trigger.offsetMinutes || 0);
+    loadRecurrenceIntoForm(schedule.recurrence);
+    setScheduleExceptions(schedule.exceptions || []);
+    setCatchUpPolicy(schedule.catchUp?.policy || SchedulerService.DEFAULT_CATCH_UP.policy);
+    setCatchUpWindow(schedule.catchUp?.windowMinutes || SchedulerService.DEFAULT_CATCH_UP.windowMinutes);
+    setPriority(SchedulerService.getPriority(schedule));
     setNotifyIfOffline(schedule.notifyIfOffline);
+    setQueueIfOffline(!!schedule.queueIfOffline);
+    setQueueExpiryMinutes(schedule.queueExpiryMinutes || CommandQueueService.DEFAULT_EXPIRY_MINUTES);
     
     // Set edit mode
     setIsEditMode(true);
@@ -195,29 +710,62 @@ export function SchedulerScreen({ player, cards, mqttClient, onBack }) {
   };
 
   const handleUpdateSchedule = async () => {
-    if (selectedDays.length === 0) {
-      showWarning('Please select at least one day');
+    const isRoutine = scheduleType === SchedulerService.SCHEDULE_TYPES.ROUTINE;
+    
+    const routineWarning = isRoutine ? getRoutineWarning() : null;
+    if (routineWarning) {
+      showWarning(routineWarning);
+      return;
+    }
+    
+    const recurrenceWarning = getRecurrenceWarning();
+    if (recurrenceWarning) {
+      showWarning(recurrenceWarning);
       return;
     }
 
     try {
       setLoading(true);
       
+      const recurrence = buildRecurrence();
+      
       console.log('📝 [EDIT] Updating schedule:', {
         scheduleId: editingSchedule.id,
-        originalTime: editingSchedule.scheduledTime,
+        originalTime: editingSchedule.wallTime,
         newTime: selectedTime,
-        originalDays: editingSchedule.daysOfWeek,
-        newDays: selectedDays
+        timeZone: scheduleTimeZone,
+        trigger: buildTrigger(),
+        originalRecurrence: editingSchedule.recurrence,
+        newRecurrence: recurrence
       });
       
       const updates = {
-        scheduledTime: selectedTime,
-        daysOfWeek: selectedDays,
-        repeatWeekly,
+        ...SchedulerService.getTimeFields(selectedTime, scheduleTimeZone),
+        trigger: buildTrigger(),
+        recurrence,
+        catchUp: { policy: catchUpPolicy, windowMinutes: catchUpWindow },
         notifyIfOffline,
-        lastTriggered: null // Reset trigger status so it can execute again
+        exceptions: scheduleExceptions,
+        priority,
+        lastTriggered: null, // Reset trigger status so it can execute again
+        lastHandledOccurrence: new Date() // Don't catch up on occurrences planned before the edit
       };
+      
+      if (isRoutine) {
+        updates.cardTitle = routineName.trim();
+        updates.steps = routineSteps;
+      } else if (scheduleType === SchedulerService.SCHEDULE_TYPES.LIGHT) {
+        updates.light = buildLight();
+        updates.cardTitle = SchedulerService.describeLight(updates.light);
+        updates.queueIfOffline = queueIfOffline;
+        updates.queueExpiryMinutes = queueExpiryMinutes;
+      } else {
+        updates.playbackOptions = buildPlaybackOptions();
+        updates.preVolume = preVolumeEnabled ? preVolume : null;
+        updates.expectedDurationSeconds = getExpectedDurationSeconds();
+        updates.queueIfOffline = queueIfOffline;
+        updates.queueExpiryMinutes = queueExpiryMinutes;
+      }
 
       await SchedulerService.updateSchedule(editingSchedule.id, updates);
       
@@ -234,6 +782,74 @@ export function SchedulerScreen({ player, cards, mqttClient, onBack }) {
     }
   };
 
+  const buildTrigger = () => (
+    triggerType === SchedulerService.TRIGGER_TYPES.SOLAR
+      ? { type: triggerType, event: solarEvent, offsetMinutes: solarOffsetMinutes }
+      : { type: triggerType }
+  );
+
+  // Zones a schedule can run on: the home's, this phone's, and the one it was saved with
+  const getTimeZoneOptions = () => {
+    const homeTimeZone = HomeSettingsService.getTimeZone();
+    const deviceTimeZone = getDeviceTimeZone();
+    const options = [{ timeZone: homeTimeZone, label: `🏠 Home (${formatTimeZoneName(homeTimeZone)})` }];
+    if (deviceTimeZone !== homeTimeZone) {
+      options.push({ timeZone: deviceTimeZone, label: `📱 This phone (${formatTimeZoneName(deviceTimeZone)})` });
+    }
+    if (!options.some(option => option.timeZone === scheduleTimeZone)) {
+      options.push({ timeZone: scheduleTimeZone, label: `${scheduleTimeZone} (${formatTimeZoneName(scheduleTimeZone)})` });
+    }
+    return options;
+  };
+
+  // The schedule as it would be saved, for checking it against this player's other schedules
+  const buildDraftSchedule = () => {
+    const isCard = scheduleType === SchedulerService.SCHEDULE_TYPES.CARD;
+    const isLight = scheduleType === SchedulerService.SCHEDULE_TYPES.LIGHT;
+    let cardTitle = selectedCard?.title;
+    if (scheduleType === SchedulerService.SCHEDULE_TYPES.ROUTINE) {
+      cardTitle = routineName.trim() || 'This routine';
+    } else if (isLight) {
+      cardTitle = SchedulerService.describeLight(buildLight());
+    }
+    return {
+      ...(editingSchedule || { id: 'draft', createdAt: new Date() }),
+      type: scheduleType,
+      cardId: isCard ? selectedCard?.id : null,
+      cardTitle,
+      playbackOptions: isCard ? buildPlaybackOptions() : null,
+      expectedDurationSeconds: isCard ? getExpectedDurationSeconds() : null,
+      steps: scheduleType === SchedulerService.SCHEDULE_TYPES.ROUTINE ? routineSteps : [],
+      light: isLight ? buildLight() : null,
+      playerId: player.id,
+      ...SchedulerService.getTimeFields(selectedTime, scheduleTimeZone),
+      trigger: buildTrigger(),
+      recurrence: buildRecurrence(),
+      exceptions: scheduleExceptions,
+      priority,
+      isEnabled: true,
+      lastHandledOccurrence: isEditMode ? new Date() : null,
+      snoozedOccurrence: null
+    };
+  };
+
+  const getFormConflicts = () => {
+    const isCard = scheduleType === SchedulerService.SCHEDULE_TYPES.CARD;
+    if (!showCreateModal || (isCard && !selectedCard) || getRecurrenceWarning()) return [];
+    
+    try {
+      return SchedulerService.findConflictsForSchedule(buildDraftSchedule(), schedules, { cards: cards || [] });
+    } catch (error) {
+      console.error('Failed to check schedule conflicts:', error);
+      return [];
+    }
+  };
+
+  const openHistory = (scheduleId) => {
+    setHistoryScheduleId(scheduleId);
+    setShowHistory(true);
+  };
+
   // Modal close handler
   const handleModalClose = () => {
     setShowCreateModal(false);
@@ -256,48 +872,27 @@ export function SchedulerScreen({ player, cards, mqttClient, onBack }) {
     setSelectedDays([0, 1, 2, 3, 4, 5, 6]); // All days
   };
 
-  // Filter out schedules that have passed for today and won't repeat
+  // Filter out schedules that have no occurrences left after running today
   const getActiveSchedules = () => {
     const now = new Date();
-    const currentDay = now.getDay();
-    const currentHour = now.getHours();
-    const currentMinute = now.getMinutes();
     
     return schedules.filter(schedule => {
       // Always show disabled schedules (user can enable them)
       if (!schedule.isEnabled) return true;
       
-      // Always show weekly repeating schedules
-      if (schedule.repeatWeekly) return true;
-      
-      // For one-time schedules, check if they've already passed today
-      const scheduledTime = new Date(schedule.scheduledTime);
-      const scheduledHour = scheduledTime.getHours();
-      const scheduledMinute = scheduledTime.getMinutes();
-      
-      // If today is not a scheduled day, show it (it will run on the next scheduled day)
-      if (!schedule.daysOfWeek.includes(currentDay)) return true;
-      
-      // If today is a scheduled day, check if the time has passed
-      const hasTimePassed = 
-        currentHour > scheduledHour || 
-        (currentHour === scheduledHour && currentMinute > scheduledMinute + 1);
+      // Always show schedules that will run again
+      if (SchedulerService.getNextExecutionTime(schedule, now)) return true;
       
-      // If the schedule was already triggered today and it's not repeating, hide it
-      if (hasTimePassed && schedule.lastTriggered) {
-        const lastTriggered = new Date(schedule.lastTriggered);
-        const isTriggeredToday = 
-          lastTriggered.getDate() === now.getDate() &&
-          lastTriggered.getMonth() === now.getMonth() &&
-          lastTriggered.getFullYear() === now.getFullYear();
-        
-        if (isTriggeredToday) return false;
-      }
-      
-      return true;
+      // A finished schedule stays visible for the rest of the day it last ran
+      if (!schedule.lastTriggered) return true;
+      return new Date(schedule.lastTriggered).toDateString() === now.toDateString();
     });
   };
 
+  // Clashes between this player's saved schedules, shown on each list item
+  const scheduleConflicts = SchedulerService.findConflicts(schedules, { cards: cards || [] });
+  const formConflicts = getFormConflicts();
+
   const renderScheduleItem = ({ item }) => {
     const nextExecution = SchedulerService.getNextExecutionTime(item);
     
@@ -305,6 +900,18 @@ export function SchedulerScreen({ player, cards, mqttClient, onBack }) {
     const now = new Date();
     const isCompletedToday = item.lastTriggered && 
       new Date(item.lastTriggered).toDateString() === now.toDateString();
+    const lastMissedRun = item.missedRuns?.length ? item.missedRuns[item.missedRuns.length - 1] : null;
+    const skippedOccurrence = item.skippedOccurrence && new Date(item.skippedOccurrence) > now
+      ? new Date(item.skippedOccurrence)
+      : null;
+    const pendingSnooze = SchedulerService.getPendingSnooze(item, now);
+    const canSnooze = item.isEnabled && nextExecution &&
+      nextExecution.getTime() - now.getTime() <= SNOOZE_WINDOW_MINUTES * 60000;
+    const itemConflicts = scheduleConflicts.filter(conflict => conflict.schedules.some(s => s.id === item.id));
+    const itemPriority = PRIORITY_OPTIONS.find(option => option.id === SchedulerService.getPriority(item));
+    const itemTimeToday = SchedulerService.getTrigger(item).type === SchedulerService.TRIGGER_TYPES.SOLAR
+      ? SchedulerService.getTimeToday(item)
+      : null;
     
     return (
       <View style={[
@@ -333,14 +940,49 @@ export function SchedulerScreen({ player, cards, mqttClient, onBack }) {
           <View style={styles.scheduleRow}>
             <Text style={styles.scheduleLabel}>⏰ Time:</Text>
             <Text style={styles.scheduleValue}>
-              {SchedulerService.formatTime(new Date(item.scheduledTime))}
+              {SchedulerService.formatWallTime(item)}
+              {itemTimeToday && ` · today ${SchedulerService.formatTime(itemTimeToday)}`}
             </Text>
           </View>
           
+          {item.type === SchedulerService.SCHEDULE_TYPES.ROUTINE && (
+            <View style={styles.scheduleRow}>
+              <Text style={styles.scheduleLabel}>🎬 Steps:</Text>
+              <Text style={styles.scheduleValue}>
+                {item.steps.length} steps · {RoutineService.formatDuration(RoutineService.getTotalDurationSeconds(item.steps))}
+              </Text>
+            </View>
+          )}
+          
+          {item.type === SchedulerService.SCHEDULE_TYPES.LIGHT && (
+            <View style={styles.scheduleRow}>
+              <Text style={styles.scheduleLabel}>💡 Light:</Text>
+              {item.light?.action !== SchedulerService.LIGHT_ACTIONS.NIGHT_LIGHT && (
+                <View style={[
+                  styles.colorSwatch,
+                  { backgroundColor: item.light?.color || LightTransitionService.PRESET_SWATCHES[item.light?.preset] || '#000000' }
+                ]} />
+              )}
+              <Text style={styles.scheduleValue}>
+                {LIGHT_COLORS.find(option => option.color === item.light?.color)?.name || ''}
+                {item.light?.color ? ' · ' : ''}{SchedulerService.describeLight(item.light)}
+              </Text>
+            </View>
+          )}
+          
+          {SchedulerService.formatPlaybackOptions(item) && (
+            <View style={styles.scheduleRow}>
+              <Text style={styles.scheduleLabel}>🎧 Play:</Text>
+              <Text style={styles.scheduleValue}>
+                {SchedulerService.formatPlaybackOptions(item)}
+              </Text>
+            </View>
+          )}
+          
           <View style={styles.scheduleRow}>
-            <Text style={styles.scheduleLabel}>📅 Days:</Text>
+            <Text style={styles.scheduleLabel}>📅 Repeat:</Text>
             <Text style={styles.scheduleValue}>
-              {SchedulerService.formatDays(item.daysOfWeek)}
+              {SchedulerService.formatDays(item)}
             </Text>
           </View>
           
@@ -353,15 +995,111 @@ export function SchedulerScreen({ player, cards, mqttClient, onBack }) {
             </View>
           )}
           
+          {skippedOccurrence && (
+            <View style={styles.scheduleRow}>
+              <Text style={styles.scheduleLabel}>⏭️ Skipping:</Text>
+              <Text style={styles.scheduleValue}>
+                {skippedOccurrence.toLocaleDateString()} at {SchedulerService.formatTime(skippedOccurrence)}
+              </Text>
+            </View>
+          )}
+          
+          {pendingSnooze && (
+            <View style={styles.scheduleRow}>
+              <Text style={styles.scheduleLabel}>😴 Snoozed:</Text>
+              <Text style={styles.scheduleValue}>
+                {SchedulerService.formatTime(pendingSnooze.plannedTime)} → {SchedulerService.formatTime(pendingSnooze.runAt)}
+              </Text>
+            </View>
+          )}
+          
+          {item.exceptions?.length > 0 && (
+            <View style={styles.scheduleRow}>
+              <Text style={styles.scheduleLabel}>🚫 Skips:</Text>
+              <Text style={styles.scheduleValue}>
+                {item.exceptions.map(exception => ScheduleExceptionsService.describeException(exception)).join(', ')}
+              </Text>
+            </View>
+          )}
+          
+          {itemPriority && itemPriority.id !== SchedulerService.DEFAULT_PRIORITY && (
+            <View style={styles.scheduleRow}>
+              <Text style={styles.scheduleLabel}>🥇 Priority:</Text>
+              <Text style={styles.scheduleValue}>{itemPriority.label}</Text>
+            </View>
+          )}
+          
+          {itemConflicts.length > 0 && (
+            <View style={styles.scheduleRow}>
+              <Text style={styles.scheduleLabel}>⚠️ Clash:</Text>
+              <Text style={[styles.scheduleValue, styles.missedValue]}>
+                {SchedulerService.describeConflict(itemConflicts[0], item.id)}
+                {itemConflicts.length > 1 ? ` (+${itemConflicts.length - 1} more)` : ''}
+              </Text>
+            </View>
+          )}
+          
+          {lastMissedRun && (
+            <View style={styles.scheduleRow}>
+              <Text style={styles.scheduleLabel}>⚠️ Missed:</Text>
+              <Text style={[styles.scheduleValue, styles.missedValue]}>
+                {new Date(lastMissedRun.plannedTime).toLocaleDateString()} at {SchedulerService.formatTime(new Date(lastMissedRun.plannedTime))} ({lastMissedRun.minutesLate} min late)
+              </Text>
+            </View>
+          )}
+          
+          {typeof item.preVolume === 'number' && (
+            <View style={styles.scheduleRow}>
+              <Text style={styles.scheduleLabel}>🔊 Volume:</Text>
+              <Text style={styles.scheduleValue}>{item.preVolume}% before playing</Text>
+            </View>
+          )}
+          
           <View style={styles.scheduleRow}>
             <Text style={styles.scheduleLabel}>🔔 Notify:</Text>
             <Text style={styles.scheduleValue}>
               {item.notifyIfOffline ? 'Yes' : 'No'}
             </Text>
           </View>
+          
+          {item.queueIfOffline && (
+            <View style={styles.scheduleRow}>
+              <Text style={styles.scheduleLabel}>📥 Queue:</Text>
+              <Text style={styles.scheduleValue}>
+                If offline, for up to {item.queueExpiryMinutes || CommandQueueService.DEFAULT_EXPIRY_MINUTES} min
+              </Text>
+            </View>
+          )}
         </View>
         
+        {item.isEnabled && (nextExecution || skippedOccurrence) && (
+          <View style={styles.scheduleActions}>
+            <TouchableOpacity
+              style={styles.historyButton}
+              onPress={() => handleSkipNext(item)}
+            >
+              <Text style={styles.historyButtonText}>{skippedOccurrence ? '↩️ Unskip' : '⏭️ Skip Next'}</Text>
+            </TouchableOpacity>
+            
+            {canSnooze && (
+              <TouchableOpacity
+                style={styles.historyButton}
+                onPress={() => handleSnooze(item)}
+              >
+                <Text style={styles.historyButtonText}>😴 Snooze</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+        
         <View style={styles.scheduleActions}>
+          <TouchableOpacity
+            style={styles.historyButton}
+            onPress={() => openHistory(item.id)}
+          >
+            <Text style={styles.historyButtonText}>📜 History</Text>
+          </TouchableOpacity>
+          
           <TouchableOpacity
             style={styles.editButton}
             onPress={() => handleEditSchedule(item)}
@@ -380,24 +1118,56 @@ export function SchedulerScreen({ player, cards, mqttClient, onBack }) {
     );
   };
 
-  const renderCardItem = useCallback(({ item }) => (
-    <TouchableOpacity
-      key={item.id}
-      style={[
-        styles.cardPickerItem,
-        selectedCard?.id === item.id && styles.selectedCardItem
-      ]}
-      onPress={() => {
-        console.log('📋 [CARD] Selected card:', item.title);
-        setSelectedCard(item);
-        handleCardPickerClose();
-      }}
-      activeOpacity={0.7}
-    >
-      <Text style={styles.cardPickerTitle}>{item.title}</Text>
-      <Text style={styles.cardPickerSubtitle}>Tap to select</Text>
-    </TouchableOpacity>
-  ), [selectedCard?.id]);
+  const handleCardSelected = useCallback((card) => {
+    console.log('📋 [CARD] Selected card:', card.title);
+    setSelectedCard(card);
+    setChapterKey(null);
+    setTrackKey(null);
+    handleCardPickerClose();
+  }, [handleCardPickerClose]);
+
+  if (showHistory) {
+    return (
+      <ScheduleHistoryScreen
+        player={player}
+        schedules={schedules}
+        initialScheduleId={historyScheduleId}
+        onBack={() => setShowHistory(false)}
+      />
+    );
+  }
+
+  if (showExceptions) {
+    return (
+      <ScheduleExceptionsScreen
+        player={player}
+        onBack={() => {
+          setShowExceptions(false);
+          loadSchedules();
+        }}
+      />
+    );
+  }
+
+  if (showHomeSettings) {
+    return (
+      <HomeSettingsScreen
+        onBack={() => {
+          setShowHomeSettings(false);
+          loadSchedules();
+        }}
+      />
+    );
+  }
+
+  if (showTransfer) {
+    return (
+      <ScheduleTransferScreen
+        onBack={() => setShowTransfer(false)}
+        onImported={loadSchedules}
+      />
+    );
+  }
 
   return (
     <View style={styles.container}>
@@ -421,8 +1191,21 @@ export function SchedulerScreen({ player, cards, mqttClient, onBack }) {
           <Text style={styles.playerName}>📱 {player.name}</Text>
           <Text style={styles.playerStatus}>
             {mqttClient?.isConnectionHealthy() ? '🟢 Online' : '🔴 Offline'}
+            {ScheduleExceptionsService.isPlayerOnVacation(player.id, toCalendarDate(new Date())) ? ' · 🏖️ On vacation' : ''}
           </Text>
         </View>
+        <TouchableOpacity style={[styles.historyButton, styles.playerHistoryButton]} onPress={() => setShowHomeSettings(true)}>
+          <Text style={styles.historyButtonText}>🏠 Home</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.historyButton, styles.playerHistoryButton]} onPress={() => setShowExceptions(true)}>
+          <Text style={styles.historyButtonText}>🏖️ Days Off</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.historyButton, styles.playerHistoryButton]} onPress={() => setShowTransfer(true)}>
+          <Text style={styles.historyButtonText}>⇅ Transfer</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.historyButton, styles.playerHistoryButton]} onPress={() => openHistory(null)}>
+          <Text style={styles.historyButtonText}>📜 History</Text>
+        </TouchableOpacity>
       </View>
 
       {/* Schedules List */}
@@ -451,115 +1234,700 @@ export function SchedulerScreen({ player, cards, mqttClient, onBack }) {
                 scrollEnabled={false}
               />
             )}
-          </>
-        )}
-      </ScrollView>
-
-      {/* Create Schedule Modal */}
-      <Modal
-        visible={showCreateModal}
-        animationType="slide"
-        transparent={false}
-        onRequestClose={handleModalClose}
-      >
-        <View style={styles.modalContainer}>
-          <View style={styles.modalHeader}>
-            <TouchableOpacity onPress={handleModalClose}>
-              <Text style={styles.modalCancel}>Cancel</Text>
-            </TouchableOpacity>
-            <Text style={styles.modalTitle}>{isEditMode ? 'Edit Schedule' : 'New Schedule'}</Text>
-            <TouchableOpacity onPress={handleCreateSchedule} disabled={loading}>
-              <Text style={styles.modalSave}>{isEditMode ? 'Update' : 'Save'}</Text>
-            </TouchableOpacity>
-          </View>
+          </>
+        )}
+      </ScrollView>
+
+      {/* Create Schedule Modal */}
+      <Modal
+        visible={showCreateModal}
+        animationType="slide"
+        transparent={false}
+        onRequestClose={handleModalClose}
+      >
+        <View style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <TouchableOpacity onPress={handleModalClose}>
+              <Text style={styles.modalCancel}>Cancel</Text>
+            </TouchableOpacity>
+            <Text style={styles.modalTitle}>{isEditMode ? 'Edit Schedule' : 'New Schedule'}</Text>
+            <TouchableOpacity onPress={handleCreateSchedule} disabled={loading}>
+              <Text style={styles.modalSave}>{isEditMode ? 'Update' : 'Save'}</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.modalContent}>
+            {/* Schedule Type - Only show in create mode */}
+            {!isEditMode && (
+              <View style={styles.formSection}>
+                <Text style={styles.sectionTitle}>Type</Text>
+                <View style={styles.segmentedControl}>
+                  {SCHEDULE_TYPES.map(type => (
+                    <TouchableOpacity
+                      key={type.id}
+                      style={[styles.segmentButton, scheduleType === type.id && styles.selectedSegmentButton]}
+                      onPress={() => setScheduleType(type.id)}
+                    >
+                      <Text style={[styles.segmentButtonText, scheduleType === type.id && styles.selectedSegmentButtonText]}>
+                        {type.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+            )}
+
+            {/* Routine Steps */}
+            {scheduleType === SchedulerService.SCHEDULE_TYPES.ROUTINE && (
+              <View style={styles.formSection}>
+                <Text style={styles.sectionTitle}>Routine</Text>
+                <TextInput
+                  style={styles.textInput}
+                  value={routineName}
+                  onChangeText={setRoutineName}
+                  placeholder="Routine name, e.g. Bedtime"
+                  placeholderTextColor="#999"
+                />
+                <RoutineStepsEditor
+                  steps={routineSteps}
+                  onChange={setRoutineSteps}
+                  cards={cards}
+                />
+              </View>
+            )}
+
+            {/* Light Change */}
+            {scheduleType === SchedulerService.SCHEDULE_TYPES.LIGHT && (
+              <View style={styles.formSection}>
+                <Text style={styles.sectionTitle}>Light</Text>
+                <View style={styles.segmentedControl}>
+                  {LIGHT_ACTION_OPTIONS.map(option => (
+                    <TouchableOpacity
+                      key={option.id}
+                      style={[styles.segmentButton, lightAction === option.id && styles.selectedSegmentButton]}
+                      onPress={() => setLightAction(option.id)}
+                    >
+                      <Text style={[styles.segmentButtonText, lightAction === option.id && styles.selectedSegmentButtonText]}>
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                
+                {lightAction === SchedulerService.LIGHT_ACTIONS.AMBIENT && (
+                  <View style={styles.colorRow}>
+                    {LIGHT_COLORS.map(option => (
+                      <TouchableOpacity
+                        key={option.color}
+                        style={[
+                          styles.colorSwatch,
+                          styles.largeColorSwatch,
+                          { backgroundColor: option.color },
+                          lightColor === option.color && styles.selectedColorSwatch
+                        ]}
+                        onPress={() => setLightColor(option.color)}
+                        accessibilityLabel={option.name}
+                      />
+                    ))}
+                  </View>
+                )}
+                
+                {lightAction === SchedulerService.LIGHT_ACTIONS.FADE && (
+                  <>
+                    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+                      {Object.values(LightTransitionService.PRESETS).map(preset => (
+                        <TouchableOpacity
+                          key={preset}
+                          style={[styles.optionChip, fadePreset === preset && styles.selectedOptionChip]}
+                          onPress={() => setFadePreset(preset)}
+                        >
+                          <Text style={[styles.optionChipText, fadePreset === preset && styles.selectedOptionChipText]}>
+                            {LightTransitionService.PRESET_LABELS[preset]}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </ScrollView>
+                    <View style={styles.optionRow}>
+                      <Text style={styles.optionLabel}>Over {fadeMinutes} minutes</Text>
+                      <View style={styles.stepper}>
+                        <TouchableOpacity style={styles.stepperButton} onPress={() => setFadeMinutes(Math.max(5, fadeMinutes - 5))}>
+                          <Text style={styles.stepperButtonText}>−</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity style={styles.stepperButton} onPress={() => setFadeMinutes(Math.min(60, fadeMinutes + 5))}>
+                          <Text style={styles.stepperButtonText}>+</Text>
+                        </TouchableOpacity>
+                      </View>
+                    </View>
+                    <Text style={styles.optionSubtitle}>
+                      {fadePreset === LightTransitionService.PRESETS.SUNRISE
+                        ? 'Starts deep red and brightens to warm white, as a gentle wake-up cue.'
+                        : 'Dims whatever colour the light is showing down to off.'}
+                    </Text>
+                  </>
+                )}
+                
+                {lightAction === SchedulerService.LIGHT_ACTIONS.NIGHT_LIGHT && (
+                  <View style={styles.optionRow}>
+                    <Text style={styles.optionLabel}>Turn the night light on</Text>
+                    <Switch
+                      value={nightLightOn}
+                      onValueChange={setNightLightOn}
+                      trackColor={{ false: '#D1D5DB', true: '#007AFF' }}
+                    />
+                  </View>
+                )}
+                
+                {(lightAction === SchedulerService.LIGHT_ACTIONS.AMBIENT ||
+                  (lightAction === SchedulerService.LIGHT_ACTIONS.NIGHT_LIGHT && nightLightOn)) && (
+                  <View style={styles.optionRow}>
+                    <Text style={styles.optionLabel}>Brightness {lightBrightness}%</Text>
+                    <View style={styles.stepper}>
+                      <TouchableOpacity style={styles.stepperButton} onPress={() => setLightBrightness(Math.max(10, lightBrightness - 10))}>
+                        <Text style={styles.stepperButtonText}>−</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity style={styles.stepperButton} onPress={() => setLightBrightness(Math.min(100, lightBrightness + 10))}>
+                        <Text style={styles.stepperButtonText}>+</Text>
+                      </TouchableOpacity>
+                    </View>
+                  </View>
+                )}
+                
+                <Text style={styles.recurrenceSummary}>
+                  {SchedulerService.describeLight(buildLight())}
+                </Text>
+              </View>
+            )}
+
+            {/* Card Selection - Only show in create mode */}
+            {!isEditMode && scheduleType === SchedulerService.SCHEDULE_TYPES.CARD && (
+              <View style={styles.formSection}>
+                <Text style={styles.sectionTitle}>Select Card</Text>
+                <TouchableOpacity
+                  style={styles.cardSelector}
+                  onPress={handleCardPickerOpen}
+                  activeOpacity={0.7}
+                >
+                  <Text style={styles.cardSelectorText}>
+                    {selectedCard ? selectedCard.title : 'Choose a card...'}
+                  </Text>
+                  <Text style={styles.cardSelectorIcon}>▼</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+
+            {/* Card Display - Show in edit mode */}
+            {isEditMode && scheduleType === SchedulerService.SCHEDULE_TYPES.CARD && selectedCard && (
+              <View style={styles.formSection}>
+                <Text style={styles.sectionTitle}>Card (cannot be changed)</Text>
+                <View style={styles.cardDisplay}>
+                  <Text style={styles.cardDisplayText}>{selectedCard.title}</Text>
+                </View>
+              </View>
+            )}
+
+            {/* Playback Options */}
+            {scheduleType === SchedulerService.SCHEDULE_TYPES.CARD && selectedCard && (
+              <View style={styles.formSection}>
+                <Text style={styles.sectionTitle}>Playback</Text>
+                
+                <Text style={styles.optionSubtitle}>Start at</Text>
+                {loadingChapters ? (
+                  <Text style={styles.recurrenceSummary}>Loading chapters...</Text>
+                ) : (
+                  <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+                    <TouchableOpacity
+                      style={[styles.optionChip, !chapterKey && styles.selectedOptionChip]}
+                      onPress={() => handleChapterSelect(null)}
+                    >
+                      <Text style={[styles.optionChipText, !chapterKey && styles.selectedOptionChipText]}>Beginning</Text>
+                    </TouchableOpacity>
+                    {cardChapters.map(chapter => (
+                      <TouchableOpacity
+                        key={chapter.key}
+                        style={[styles.optionChip, chapterKey === chapter.key && styles.selectedOptionChip]}
+                        onPress={() => handleChapterSelect(chapter.key)}
+                      >
+                        <Text style={[styles.optionChipText, chapterKey === chapter.key && styles.selectedOptionChipText]}>
+                          {chapter.title}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </ScrollView>
+                )}
+                
+                {selectedChapter?.tracks?.length > 1 && (
+                  <>
+                    <Text style={styles.optionSubtitle}>Track</Text>
+                    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+                      <TouchableOpacity
+                        style={[styles.optionChip, !trackKey && styles.selectedOptionChip]}
+                        onPress={() => setTrackKey(null)}
+                      >
+                        <Text style={[styles.optionChipText, !trackKey && styles.selectedOptionChipText]}>First</Text>
+                      </TouchableOpacity>
+                      {selectedChapter.tracks.map(track => (
+                        <TouchableOpacity
+                          key={track.key}
+                          style={[styles.optionChip, trackKey === track.key && styles.selectedOptionChip]}
+                          onPress={() => setTrackKey(track.key)}
+                        >
+                          <Text style={[styles.optionChipText, trackKey === track.key && styles.selectedOptionChipText]}>
+                            {track.title}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </ScrollView>
+                  </>
+                )}
+                
+                <View style={styles.optionRow}>
+                  <Text style={styles.optionLabel}>
+                    {secondsIn > 0 ? `Start ${SchedulerService.formatSeconds(secondsIn)} in` : 'Start from the top'}
+                  </Text>
+                  <View style={styles.stepper}>
+                    <TouchableOpacity style={styles.stepperButton} onPress={() => setSecondsIn(Math.max(0, secondsIn - 30))}>
+                      <Text style={styles.stepperButtonText}>−</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.stepperButton} onPress={() => setSecondsIn(secondsIn + 30)}>
+                      <Text style={styles.stepperButtonText}>+</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+                
+                <View style={styles.optionRow}>
+                  <Text style={styles.optionLabel}>Stop After a Set Time</Text>
+                  <Switch
+                    value={stopAfterEnabled}
+                    onValueChange={setStopAfterEnabled}
+                    trackColor={{ false: '#D1D5DB', true: '#007AFF' }}
+                  />
+                </View>
+                
+                {stopAfterEnabled && (
+                  <View style={styles.optionRow}>
+                    <Text style={styles.optionLabel}>Stop after {stopAfterMinutes} min</Text>
+                    <View style={styles.stepper}>
+                      <TouchableOpacity style={styles.stepperButton} onPress={() => setStopAfterMinutes(Math.max(1, stopAfterMinutes - 1))}>
+                        <Text style={styles.stepperButtonText}>−</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity style={styles.stepperButton} onPress={() => setStopAfterMinutes(Math.min(240, stopAfterMinutes + 1))}>
+                        <Text style={styles.stepperButtonText}>+</Text>
+                      </TouchableOpacity>
+                    </View>
+                  </View>
+                )}
+                
+                <View style={styles.optionRow}>
+                  <Text style={styles.optionLabel}>Any Button Stops Playback</Text>
+                  <Switch
+                    value={anyButtonStop}
+                    onValueChange={setAnyButtonStop}
+                    trackColor={{ false: '#D1D5DB', true: '#007AFF' }}
+                  />
+                </View>
+                
+                <View style={styles.optionRow}>
+                  <Text style={styles.optionLabel}>Set Volume Before Playing</Text>
+                  <Switch
+                    value={preVolumeEnabled}
+                    onValueChange={setPreVolumeEnabled}
+                    trackColor={{ false: '#D1D5DB', true: '#007AFF' }}
+                  />
+                </View>
+                
+                {preVolumeEnabled && (
+                  <View style={styles.optionRow}>
+                    <Text style={styles.optionLabel}>🔊 Volume {preVolume}%</Text>
+                    <View style={styles.stepper}>
+                      <TouchableOpacity style={styles.stepperButton} onPress={() => setPreVolume(Math.max(0, preVolume - 5))}>
+                        <Text style={styles.stepperButtonText}>−</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity style={styles.stepperButton} onPress={() => setPreVolume(Math.min(100, preVolume + 5))}>
+                        <Text style={styles.stepperButtonText}>+</Text>
+                      </TouchableOpacity>
+                    </View>
+                  </View>
+                )}
+              </View>
+            )}
 
-          <ScrollView style={styles.modalContent}>
-            {/* Card Selection - Only show in create mode */}
-            {!isEditMode && (
-              <View style={styles.formSection}>
-                <Text style={styles.sectionTitle}>Select Card</Text>
+            {/* Time Selection */}
+            <View style={styles.formSection}>
+              <Text style={styles.sectionTitle}>Time</Text>
+              <View style={styles.segmentedControl}>
+                {[
+                  { id: SchedulerService.TRIGGER_TYPES.TIME, label: '⏰ At a time' },
+                  { id: SchedulerService.TRIGGER_TYPES.SOLAR, label: '☀️ Follow the sun' },
+                ].map(option => (
+                  <TouchableOpacity
+                    key={option.id}
+                    style={[styles.segmentButton, triggerType === option.id && styles.selectedSegmentButton]}
+                    onPress={() => setTriggerType(option.id)}
+                  >
+                    <Text style={[styles.segmentButtonText, triggerType === option.id && styles.selectedSegmentButtonText]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              
+              {triggerType === SchedulerService.TRIGGER_TYPES.SOLAR ? (
+                <>
+                  <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+                    {SOLAR_EVENT_OPTIONS.map(option => (
+                      <TouchableOpacity
+                        key={option.id}
+                        style={[styles.optionChip, solarEvent === option.id && styles.selectedOptionChip]}
+                        onPress={() => setSolarEvent(option.id)}
+                      >
+                        <Text style={[styles.optionChipText, solarEvent === option.id && styles.selectedOptionChipText]}>
+                          {option.label}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </ScrollView>
+                  <View style={styles.optionRow}>
+                    <Text style={styles.optionLabel}>
+                      {SchedulerService.describeSolarTrigger({ event: solarEvent, offsetMinutes: solarOffsetMinutes })}
+                    </Text>
+                    <View style={styles.stepper}>
+                      <TouchableOpacity
+                        style={styles.stepperButton}
+                        onPress={() => setSolarOffsetMinutes(Math.max(-SchedulerService.MAX_SOLAR_OFFSET_MINUTES, solarOffsetMinutes - 5))}
+                      >
+                        <Text style={styles.stepperButtonText}>−</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={styles.stepperButton}
+                        onPress={() => setSolarOffsetMinutes(Math.min(SchedulerService.MAX_SOLAR_OFFSET_MINUTES, solarOffsetMinutes + 5))}
+                      >
+                        <Text style={styles.stepperButtonText}>+</Text>
+                      </TouchableOpacity>
+                    </View>
+                  </View>
+                  {(() => {
+                    if (!HomeSettingsService.getLocation()) {
+                      return (
+                        <View style={styles.conflictWarning}>
+                          <Text style={styles.conflictWarningText}>
+                            ⚠️ Set the home location (🏠 Home) so sunrise and sunset can be worked out. Until then this schedule won't run.
+                          </Text>
+                        </View>
+                      );
+                    }
+                    const timeToday = SchedulerService.getTimeToday(buildDraftSchedule());
+                    return (
+                      <Text style={styles.recurrenceSummary}>
+                        {timeToday
+                          ? `Today that's ${SchedulerService.formatTime(timeToday)}. The time moves with the seasons.`
+                          : `There's no ${solarEvent} at home today, so days like this are skipped.`}
+                      </Text>
+                    );
+                  })()}
+                </>
+              ) : (
                 <TouchableOpacity
-                  style={styles.cardSelector}
-                  onPress={handleCardPickerOpen}
+                  style={styles.timeSelector}
+                  onPress={handleTimePickerOpen}
                   activeOpacity={0.7}
                 >
-                  <Text style={styles.cardSelectorText}>
-                    {selectedCard ? selectedCard.title : 'Choose a card...'}
+                  <Text style={styles.timeSelectorText}>
+                    {SchedulerService.formatTime(selectedTime)}
                   </Text>
-                  <Text style={styles.cardSelectorIcon}>▼</Text>
                 </TouchableOpacity>
+              )}
+              
+              {triggerType === SchedulerService.TRIGGER_TYPES.TIME && (
+                <>
+                  <Text style={styles.optionSubtitle}>Time zone</Text>
+                  <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+                    {getTimeZoneOptions().map(option => (
+                      <TouchableOpacity
+                        key={option.timeZone}
+                        style={[styles.optionChip, scheduleTimeZone === option.timeZone && styles.selectedOptionChip]}
+                        onPress={() => setScheduleTimeZone(option.timeZone)}
+                      >
+                        <Text style={[styles.optionChipText, scheduleTimeZone === option.timeZone && styles.selectedOptionChipText]}>
+                          {option.label}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </ScrollView>
+                  {selectedTime.getHours() < 4 && (
+                    <Text style={styles.recurrenceSummary}>
+                      On daylight-saving days a time the clocks skip runs that much later (2:30 becomes 3:30),
+                      and a time that happens twice runs once, the first time.
+                    </Text>
+                  )}
+                </>
+              )}
+            </View>
+
+            {/* Repeat Selection */}
+            <View style={styles.formSection}>
+              <Text style={styles.sectionTitle}>Repeat</Text>
+              <View style={styles.segmentedControl}>
+                {REPEAT_MODES.map(mode => (
+                  <TouchableOpacity
+                    key={mode.id}
+                    style={[styles.segmentButton, repeatMode === mode.id && styles.selectedSegmentButton]}
+                    onPress={() => setRepeatMode(mode.id)}
+                  >
+                    <Text style={[styles.segmentButtonText, repeatMode === mode.id && styles.selectedSegmentButtonText]}>
+                      {mode.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
               </View>
-            )}
 
-            {/* Card Display - Show in edit mode */}
-            {isEditMode && selectedCard && (
+              {repeatMode !== 'dates' && (
+                <View style={styles.optionRow}>
+                  <Text style={styles.optionLabel}>
+                    Every {repeatInterval} {repeatMode === 'daily' ? 'day' : repeatMode === 'monthly' ? 'month' : 'week'}{repeatInterval > 1 ? 's' : ''}
+                  </Text>
+                  <View style={styles.stepper}>
+                    <TouchableOpacity style={styles.stepperButton} onPress={() => setRepeatInterval(Math.max(1, repeatInterval - 1))}>
+                      <Text style={styles.stepperButtonText}>−</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.stepperButton} onPress={() => setRepeatInterval(Math.min(52, repeatInterval + 1))}>
+                      <Text style={styles.stepperButtonText}>+</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              )}
+
+              {repeatMode === 'weekly' && (
+                <>
+                  <View style={styles.dayQuickSelect}>
+                    <TouchableOpacity style={styles.quickSelectButton} onPress={selectAllDays}>
+                      <Text style={styles.quickSelectText}>All Days</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.quickSelectButton} onPress={selectAllWeekdays}>
+                      <Text style={styles.quickSelectText}>Weekdays</Text>
+                    </TouchableOpacity>
+                  </View>
+                  <View style={styles.daysContainer}>
+                    {DAYS_OF_WEEK.map(day => (
+                      <TouchableOpacity
+                        key={day.id}
+                        style={[
+                          styles.dayButton,
+                          selectedDays.includes(day.id) && styles.selectedDayButton
+                        ]}
+                        onPress={() => toggleDay(day.id)}
+                      >
+                        <Text style={[
+                          styles.dayButtonText,
+                          selectedDays.includes(day.id) && styles.selectedDayButtonText
+                        ]}>
+                          {day.short}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                </>
+              )}
+
+              {repeatMode === 'monthly' && (
+                <>
+                  <View style={styles.dayQuickSelect}>
+                    <TouchableOpacity
+                      style={[styles.quickSelectButton, monthlyMode === 'dayOfMonth' && styles.selectedQuickSelectButton]}
+                      onPress={() => setMonthlyMode('dayOfMonth')}
+                    >
+                      <Text style={styles.quickSelectText}>On day {selectedTime.getDate()}</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={[styles.quickSelectButton, monthlyMode === 'weekday' && styles.selectedQuickSelectButton]}
+                      onPress={() => setMonthlyMode('weekday')}
+                    >
+                      <Text style={styles.quickSelectText}>On a weekday</Text>
+                    </TouchableOpacity>
+                  </View>
+                  {monthlyMode === 'weekday' && (
+                    <>
+                      <View style={styles.daysContainer}>
+                        {MONTHLY_ORDINALS.map(ordinal => (
+                          <TouchableOpacity
+                            key={ordinal.id}
+                            style={[styles.dayButton, monthlyOrdinal === ordinal.id && styles.selectedDayButton]}
+                            onPress={() => setMonthlyOrdinal(ordinal.id)}
+                          >
+                            <Text style={[styles.dayButtonText, monthlyOrdinal === ordinal.id && styles.selectedDayButtonText]}>
+                              {ordinal.label}
+                            </Text>
+                          </TouchableOpacity>
+                        ))}
+                      </View>
+                      <View style={[styles.daysContainer, styles.daysContainerSpaced]}>
+                        {DAYS_OF_WEEK.map(day => (
+                          <TouchableOpacity
+                            key={day.id}
+                            style={[styles.dayButton, monthlyWeekday === day.id && styles.selectedDayButton]}
+                            onPress={() => setMonthlyWeekday(day.id)}
+                          >
+                            <Text style={[styles.dayButtonText, monthlyWeekday === day.id && styles.selectedDayButtonText]}>
+                              {day.short}
+                            </Text>
+                          </TouchableOpacity>
+                        ))}
+                      </View>
+                    </>
+                  )}
+                </>
+              )}
+
+              {repeatMode === 'dates' && (
+                <>
+                  {specificDates.map(dateKey => (
+                    <View key={dateKey} style={styles.optionRow}>
+                      <Text style={styles.optionLabel}>{dateKey}</Text>
+                      <TouchableOpacity onPress={() => setSpecificDates(prev => prev.filter(d => d !== dateKey))}>
+                        <Text style={styles.removeText}>Remove</Text>
+                      </TouchableOpacity>
+                    </View>
+                  ))}
+                  <TouchableOpacity style={styles.quickSelectButton} onPress={() => setDatePickerTarget('rdate')}>
+                    <Text style={styles.quickSelectText}>+ Add Date</Text>
+                  </TouchableOpacity>
+                </>
+              )}
+            </View>
+
+            {/* End Selection */}
+            {repeatMode !== 'dates' && (
               <View style={styles.formSection}>
-                <Text style={styles.sectionTitle}>Card (cannot be changed)</Text>
-                <View style={styles.cardDisplay}>
-                  <Text style={styles.cardDisplayText}>{selectedCard.title}</Text>
+                <Text style={styles.sectionTitle}>Ends</Text>
+                <View style={styles.segmentedControl}>
+                  {END_MODES.map(mode => (
+                    <TouchableOpacity
+                      key={mode.id}
+                      style={[styles.segmentButton, endMode === mode.id && styles.selectedSegmentButton]}
+                      onPress={() => setEndMode(mode.id)}
+                    >
+                      <Text style={[styles.segmentButtonText, endMode === mode.id && styles.selectedSegmentButtonText]}>
+                        {mode.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
                 </View>
+                {endMode === 'count' && (
+                  <View style={styles.optionRow}>
+                    <Text style={styles.optionLabel}>{endCount} time{endCount === 1 ? '' : 's'}</Text>
+                    <View style={styles.stepper}>
+                      <TouchableOpacity style={styles.stepperButton} onPress={() => setEndCount(Math.max(1, endCount - 1))}>
+                        <Text style={styles.stepperButtonText}>−</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity style={styles.stepperButton} onPress={() => setEndCount(endCount + 1)}>
+                        <Text style={styles.stepperButtonText}>+</Text>
+                      </TouchableOpacity>
+                    </View>
+                  </View>
+                )}
+                {endMode === 'until' && (
+                  <TouchableOpacity style={styles.timeSelector} onPress={() => setDatePickerTarget('until')}>
+                    <Text style={styles.timeSelectorText}>
+                      {endDate ? endDate.toLocaleDateString() : 'Choose end date...'}
+                    </Text>
+                  </TouchableOpacity>
+                )}
               </View>
             )}
 
-            {/* Time Selection */}
+            <Text style={styles.recurrenceSummary}>{describeRecurrence(buildRecurrence())}</Text>
+
+            {/* Exception Dates */}
             <View style={styles.formSection}>
-              <Text style={styles.sectionTitle}>Time</Text>
-              <TouchableOpacity
-                style={styles.timeSelector}
-                onPress={handleTimePickerOpen}
-                activeOpacity={0.7}
-              >
-                <Text style={styles.timeSelectorText}>
-                  {SchedulerService.formatTime(selectedTime)}
-                </Text>
+              <Text style={styles.sectionTitle}>Skip Dates</Text>
+              {scheduleExceptions.map(exception => (
+                <View key={exception.id} style={styles.optionRow}>
+                  <Text style={styles.optionLabel}>{ScheduleExceptionsService.describeException(exception)}</Text>
+                  <TouchableOpacity onPress={() => setScheduleExceptions(prev => prev.filter(e => e.id !== exception.id))}>
+                    <Text style={styles.removeText}>Remove</Text>
+                  </TouchableOpacity>
+                </View>
+              ))}
+              <TouchableOpacity style={styles.quickSelectButton} onPress={() => setDatePickerTarget('exception')}>
+                <Text style={styles.quickSelectText}>+ Skip a Date or Range</Text>
               </TouchableOpacity>
+              <Text style={styles.recurrenceSummary}>
+                {pendingExceptionStart
+                  ? 'Now pick the last day to skip (the same day for a single date).'
+                  : 'Global days off and vacation mode are set under 🏖️ Days Off.'}
+              </Text>
             </View>
 
-            {/* Days Selection */}
+            {/* Priority and clashes with this player's other schedules */}
             <View style={styles.formSection}>
-              <Text style={styles.sectionTitle}>Days</Text>
-              <View style={styles.dayQuickSelect}>
-                <TouchableOpacity style={styles.quickSelectButton} onPress={selectAllDays}>
-                  <Text style={styles.quickSelectText}>All Days</Text>
-                </TouchableOpacity>
-                <TouchableOpacity style={styles.quickSelectButton} onPress={selectAllWeekdays}>
-                  <Text style={styles.quickSelectText}>Weekdays</Text>
-                </TouchableOpacity>
+              <Text style={styles.sectionTitle}>Priority</Text>
+              {formConflicts.map(conflict => (
+                <View key={conflict.schedules.map(s => s.id).join()} style={styles.conflictWarning}>
+                  <Text style={styles.conflictWarningText}>
+                    ⚠️ {SchedulerService.describeConflict(conflict, buildDraftSchedule().id)}
+                  </Text>
+                </View>
+              ))}
+              <View style={styles.segmentedControl}>
+                {PRIORITY_OPTIONS.map(option => (
+                  <TouchableOpacity
+                    key={option.id}
+                    style={[styles.segmentButton, priority === option.id && styles.selectedSegmentButton]}
+                    onPress={() => setPriority(option.id)}
+                  >
+                    <Text style={[styles.segmentButtonText, priority === option.id && styles.selectedSegmentButtonText]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
               </View>
-              <View style={styles.daysContainer}>
-                {DAYS_OF_WEEK.map(day => (
+              <Text style={styles.recurrenceSummary}>
+                When two schedules are due on this player at once, only the higher priority one plays.
+                A schedule won't interrupt a higher priority card that is still playing.
+              </Text>
+            </View>
+
+            {/* Catch-up Selection */}
+            <View style={styles.formSection}>
+              <Text style={styles.sectionTitle}>If the App Wakes Late</Text>
+              <View style={styles.segmentedControl}>
+                {CATCH_UP_POLICIES.map(policy => (
                   <TouchableOpacity
-                    key={day.id}
-                    style={[
-                      styles.dayButton,
-                      selectedDays.includes(day.id) && styles.selectedDayButton
-                    ]}
-                    onPress={() => toggleDay(day.id)}
+                    key={policy.id}
+                    style={[styles.segmentButton, catchUpPolicy === policy.id && styles.selectedSegmentButton]}
+                    onPress={() => setCatchUpPolicy(policy.id)}
                   >
-                    <Text style={[
-                      styles.dayButtonText,
-                      selectedDays.includes(day.id) && styles.selectedDayButtonText
-                    ]}>
-                      {day.short}
+                    <Text style={[styles.segmentButtonText, catchUpPolicy === policy.id && styles.selectedSegmentButtonText]}>
+                      {policy.label}
                     </Text>
                   </TouchableOpacity>
                 ))}
               </View>
+              {catchUpPolicy === 'window' && (
+                <View style={styles.optionRow}>
+                  <Text style={styles.optionLabel}>{catchUpWindow} minutes late</Text>
+                  <View style={styles.stepper}>
+                    <TouchableOpacity style={styles.stepperButton} onPress={() => setCatchUpWindow(Math.max(5, catchUpWindow - 5))}>
+                      <Text style={styles.stepperButtonText}>−</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.stepperButton} onPress={() => setCatchUpWindow(Math.min(240, catchUpWindow + 5))}>
+                      <Text style={styles.stepperButtonText}>+</Text>
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              )}
+              <Text style={styles.recurrenceSummary}>
+                {catchUpPolicy === 'skip'
+                  ? 'Runs noticed more than a minute late are skipped and recorded as missed.'
+                  : catchUpPolicy === 'always'
+                    ? 'A missed run is played once as soon as the app wakes up.'
+                    : `A missed run is played if the app wakes up within ${catchUpWindow} minutes.`}
+              </Text>
             </View>
 
             {/* Options */}
             <View style={styles.formSection}>
               <Text style={styles.sectionTitle}>Options</Text>
               
-              <View style={styles.optionRow}>
-                <Text style={styles.optionLabel}>Repeat Weekly</Text>
-                <Switch
-                  value={repeatWeekly}
-                  onValueChange={setRepeatWeekly}
-                  trackColor={{ false: '#D1D5DB', true: '#007AFF' }}
-                />
-              </View>
-              
               <View style={styles.optionRow}>
                 <Text style={styles.optionLabel}>Notify if Device Offline</Text>
                 <Switch
@@ -568,6 +1936,34 @@ export function SchedulerScreen({ player, cards, mqttClient, onBack }) {
                   trackColor={{ false: '#D1D5DB', true: '#007AFF' }}
                 />
               </View>
+              
+              {(scheduleType === SchedulerService.SCHEDULE_TYPES.CARD ||
+                (scheduleType === SchedulerService.SCHEDULE_TYPES.LIGHT && lightAction !== SchedulerService.LIGHT_ACTIONS.FADE)) && (
+                <>
+                  <View style={styles.optionRow}>
+                    <Text style={styles.optionLabel}>Queue Until Device Reconnects</Text>
+                    <Switch
+                      value={queueIfOffline}
+                      onValueChange={setQueueIfOffline}
+                      trackColor={{ false: '#D1D5DB', true: '#007AFF' }}
+                    />
+                  </View>
+                  
+                  {queueIfOffline && (
+                    <View style={styles.optionRow}>
+                      <Text style={styles.optionLabel}>Give up after {queueExpiryMinutes} min</Text>
+                      <View style={styles.stepper}>
+                        <TouchableOpacity style={styles.stepperButton} onPress={() => setQueueExpiryMinutes(Math.max(5, queueExpiryMinutes - 5))}>
+                          <Text style={styles.stepperButtonText}>−</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity style={styles.stepperButton} onPress={() => setQueueExpiryMinutes(Math.min(720, queueExpiryMinutes + 5))}>
+                          <Text style={styles.stepperButtonText}>+</Text>
+                        </TouchableOpacity>
+                      </View>
+                    </View>
+                  )}
+                </>
+              )}
             </View>
           </ScrollView>
           
@@ -593,21 +1989,39 @@ export function SchedulerScreen({ player, cards, mqttClient, onBack }) {
                     <Text style={styles.emptyStateSubtext}>Please load some cards first</Text>
                   </View>
                 ) : (
-                  <FlatList
-                    data={cards || []}
-                    keyExtractor={(item) => item.id}
-                    renderItem={renderCardItem}
+                  <ScrollView
                     style={styles.cardPickerList}
                     contentContainerStyle={styles.cardPickerContent}
-                    removeClippedSubviews={true}
-                    maxToRenderPerBatch={10}
-                    windowSize={10}
-                  />
+                    keyboardShouldPersistTaps="handled"
+                  >
+                    <EnhancedContentBrowser
+                      cards={cards || []}
+                      onSelectCard={handleCardSelected}
+                      selectedCardId={selectedCard?.id}
+                      actionLabel="Tap to select"
+                    />
+                  </ScrollView>
                 )}
               </View>
             </View>
           )}
           
+          {/* Date Picker for end dates and specific dates */}
+          {datePickerTarget && (
+            <DateTimePicker
+              value={
+                datePickerTarget === 'until' && endDate ? endDate
+                  : datePickerTarget === 'exceptionEnd' && pendingExceptionStart
+                    ? new Date(`${pendingExceptionStart}T00:00:00`)
+                    : new Date()
+              }
+              mode="date"
+              minimumDate={new Date()}
+              onChange={handleDatePickerChange}
+              style={styles.dateTimePicker}
+            />
+          )}
+          
           {/* Time Picker inside the modal */}
           {showTimePicker && (
             <View style={styles.timePickerContainer}>
@@ -788,6 +2202,8 @@ const styles = StyleSheet.create({
     shadowRadius: 4,
     elevation: 3,
     flexDirection: 'row',
+    flexWrap: 'wrap',
+    rowGap: 8,
     justifyContent: 'space-between',
     alignItems: 'center',
   },
@@ -886,6 +2302,23 @@ const styles = StyleSheet.create({
     marginTop: 15,
     gap: 10,
   },
+  historyButton: {
+    backgroundColor: '#E3F2FD',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    alignItems: 'center',
+    flex: 1,
+  },
+  historyButtonText: {
+    color: '#007AFF',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  playerHistoryButton: {
+    flex: 0,
+    marginLeft: 8,
+  },
   editButton: {
     backgroundColor: '#007AFF',
     padding: 8,
@@ -954,6 +2387,16 @@ const styles = StyleSheet.create({
     color: '#333',
     marginBottom: 10,
   },
+  textInput: {
+    backgroundColor: '#FFFFFF',
+    padding: 15,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    fontSize: 16,
+    color: '#333',
+    marginBottom: 12,
+  },
   cardSelector: {
     backgroundColor: '#FFFFFF',
     padding: 15,
@@ -1041,6 +2484,135 @@ const styles = StyleSheet.create({
   selectedDayButtonText: {
     color: '#FFFFFF',
   },
+  daysContainerSpaced: {
+    marginTop: 10,
+  },
+  selectedQuickSelectButton: {
+    borderWidth: 2,
+    borderColor: '#007AFF',
+  },
+  segmentedControl: {
+    flexDirection: 'row',
+    backgroundColor: '#E5E7EB',
+    borderRadius: 10,
+    padding: 3,
+    marginBottom: 10,
+  },
+  segmentButton: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  selectedSegmentButton: {
+    backgroundColor: '#FFFFFF',
+  },
+  segmentButtonText: {
+    fontSize: 14,
+    color: '#666',
+    fontWeight: '500',
+  },
+  selectedSegmentButtonText: {
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  stepper: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  stepperButton: {
+    backgroundColor: '#E3F2FD',
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepperButtonText: {
+    color: '#007AFF',
+    fontSize: 20,
+    fontWeight: '600',
+  },
+  missedValue: {
+    color: '#FF9500',
+  },
+  conflictWarning: {
+    backgroundColor: '#FFF4E5',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 10,
+  },
+  conflictWarningText: {
+    fontSize: 14,
+    color: '#B35900',
+  },
+  removeText: {
+    color: '#FF3B30',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  recurrenceSummary: {
+    fontSize: 14,
+    color: '#666',
+    fontStyle: 'italic',
+    marginBottom: 25,
+  },
+  optionSubtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8,
+  },
+  colorRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 10,
+  },
+  colorSwatch: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    marginRight: 6,
+    alignSelf: 'center',
+  },
+  largeColorSwatch: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 2,
+    marginRight: 0,
+  },
+  selectedColorSwatch: {
+    borderColor: '#007AFF',
+    borderWidth: 3,
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginBottom: 12,
+  },
+  optionChip: {
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+  },
+  selectedOptionChip: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  optionChipText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  selectedOptionChipText: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
   optionRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -1078,31 +2650,9 @@ const styles = StyleSheet.create({
     maxHeight: 400, // Limit the list height
   },
   cardPickerContent: {
+    padding: 15,
     paddingBottom: 20,
   },
-  cardPickerItem: {
-    backgroundColor: '#FFFFFF',
-    padding: 20,
-    borderBottomWidth: 1,
-    borderBottomColor: '#E0E0E0',
-    minHeight: 70,
-    justifyContent: 'center',
-  },
-  selectedCardItem: {
-    backgroundColor: '#E3F2FD',
-    borderLeftWidth: 4,
-    borderLeftColor: '#007AFF',
-  },
-  cardPickerTitle: {
-    fontSize: 16,
-    fontWeight: '600',
-    color: '#333',
-    marginBottom: 4,
-  },
-  cardPickerSubtitle: {
-    fontSize: 14,
-    color: '#666',
-  },
   timePickerContainer: {
     backgroundColor: '#FFFFFF',
     borderRadius: 15,
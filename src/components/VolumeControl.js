@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import Slider from '@react-native-community/slider';
+import { VolumeService } from '../services/volumeService';
+import { ConnectionManager } from '../services/connectionManager';
+import { useSnackBarContext } from '../contexts/SnackBarContext';
+
+// Volume slider for the selected player, with a fade-out that lowers the volume
+// over a few minutes and then stops playback
+export const VolumeControl = ({ player, mqttClient }) => {
+  const { showSuccess, showError, showInfo } = useSnackBarContext();
+  const [volume, setVolume] = useState(mqttClient?.getPlayerState?.().volume ?? null);
+  const [isSliding, setIsSliding] = useState(false);
+  const [fadeMinutes, setFadeMinutes] = useState(VolumeService.DEFAULT_FADE_OUT_MINUTES);
+  const [activeFade, setActiveFade] = useState(VolumeService.getActiveFade(player.id));
+
+  const getClient = () => ConnectionManager.getExistingClient(player.id) || mqttClient;
+
+  // Follow the volume the player reports, unless the user is dragging the slider
+  useEffect(() => {
+    if (!mqttClient?.onPlayerStateChange) return undefined;
+    return mqttClient.onPlayerStateChange((state, changedFields) => {
+      if (changedFields.includes('volume') && !isSliding) {
+        setVolume(state.volume);
+      }
+    });
+  }, [mqttClient, isSliding]);
+
+  useEffect(() => {
+    const unsubscribe = VolumeService.onFadeChange(event => {
+      if (event.playerId === player.id) {
+        setActiveFade(VolumeService.getActiveFade(player.id));
+      }
+    });
+    const timer = setInterval(() => setActiveFade(VolumeService.getActiveFade(player.id)), 1000);
+    return () => {
+      unsubscribe();
+      clearInterval(timer);
+    };
+  }, [player.id]);
+
+  const handleVolumeChange = async (value) => {
+    setIsSliding(false);
+    const target = VolumeService.clamp(value);
+    setVolume(target);
+
+    // Moving the slider takes over from a fade-out in progress
+    VolumeService.cancelFade(player.id);
+
+    try {
+      const { via } = await VolumeService.setVolume(player.id, target, getClient());
+      if (via === 'rest') {
+        showInfo(`Volume set to ${target}% through the Yoto API`);
+      }
+    } catch (error) {
+      console.error('❌ [VOLUME] Failed to set volume:', error);
+      showError(`Could not set volume: ${error.message}`);
+    }
+  };
+
+  const handleStartFade = () => {
+    showSuccess(`Fading out over ${fadeMinutes} min, then stopping`);
+    VolumeService.fadeOutAndStop(player.id, fadeMinutes, getClient).then(result => {
+      if (result.success) {
+        showSuccess('Fade-out finished and playback stopped');
+      } else if (!result.cancelled) {
+        showError(`Fade-out failed: ${result.error}`);
+      }
+    });
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.headerRow}>
+        <Text style={styles.label}>🔊 Volume</Text>
+        <Text style={styles.value}>{volume === null ? '–' : `${volume}%`}</Text>
+      </View>
+      <Slider
+        style={styles.slider}
+        minimumValue={VolumeService.MIN_VOLUME}
+        maximumValue={VolumeService.MAX_VOLUME}
+        step={1}
+        value={volume ?? VolumeService.FALLBACK_START_VOLUME}
+        onSlidingStart={() => setIsSliding(true)}
+        onSlidingComplete={handleVolumeChange}
+        minimumTrackTintColor="#007AFF"
+        maximumTrackTintColor="#D1D5DB"
+      />
+
+      {activeFade ? (
+        <View style={styles.fadeStatus}>
+          <Text style={styles.fadeText}>
+            🔉 Fading out over {activeFade.durationMinutes} min · {Math.round(activeFade.progress * 100)}%
+          </Text>
+          <View style={styles.fadeProgressTrack}>
+            <View style={[styles.fadeProgressFill, { width: `${Math.round(activeFade.progress * 100)}%` }]} />
+          </View>
+          <TouchableOpacity style={styles.cancelButton} onPress={() => VolumeService.cancelFade(player.id)}>
+            <Text style={styles.buttonText}>Cancel Fade-out</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <View style={styles.fadeRow}>
+          <Text style={styles.label}>Fade out over {fadeMinutes} min</Text>
+          <View style={styles.stepper}>
+            <TouchableOpacity style={styles.stepperButton} onPress={() => setFadeMinutes(Math.max(1, fadeMinutes - 1))}>
+              <Text style={styles.stepperButtonText}>−</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.stepperButton} onPress={() => setFadeMinutes(Math.min(60, fadeMinutes + 1))}>
+              <Text style={styles.stepperButtonText}>+</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+      {!activeFade && (
+        <TouchableOpacity style={styles.fadeButton} onPress={handleStartFade}>
+          <Text style={styles.buttonText}>🌙 Fade Out & Stop</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#F8F9FA',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 10,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  label: {
+    fontSize: 14,
+    color: '#333',
+  },
+  value: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  slider: {
+    width: '100%',
+    height: 40,
+  },
+  fadeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  stepper: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  stepperButton: {
+    backgroundColor: '#E3F2FD',
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepperButtonText: {
+    color: '#007AFF',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  fadeButton: {
+    backgroundColor: '#5856D6',
+    padding: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  fadeStatus: {
+    marginTop: 4,
+  },
+  fadeText: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 6,
+  },
+  fadeProgressTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#E0E0E0',
+    overflow: 'hidden',
+    marginBottom: 8,
+  },
+  fadeProgressFill: {
+    height: 6,
+    backgroundColor: '#5856D6',
+  },
+  cancelButton: {
+    backgroundColor: '#FF3B30',
+    padding: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  buttonText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
@@ -18,6 +18,8 @@ const ENV_CONFIG = {
   MQTT_PORT: 443,
   MQTT_KEEPALIVE: 60,
   MQTT_PROTOCOL: 'wss',
+  MQTT_RECONNECT_BASE_DELAY: 1000,  // First reconnect delay, doubled on each attempt
+  MQTT_RECONNECT_MAX_DELAY: 60000,  // Cap for the reconnect delay
   
   // Debug Configuration
   LOG_LEVEL: Constants.expoConfig?.extra?.logLevel || 'debug',
@@ -54,6 +56,8 @@ export const {
   MQTT_KEEPALIVE,
   MQTT_PORT,
   MQTT_PROTOCOL,
+  MQTT_RECONNECT_BASE_DELAY,
+  MQTT_RECONNECT_MAX_DELAY,
   IS_DEV,
   LOG_LEVEL,
   CONNECTION_TIMEOUT,
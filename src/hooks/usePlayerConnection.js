@@ -5,7 +5,8 @@ import { YotoAuth } from '../services/authService';
 export const usePlayerConnection = (player) => {
   const [mqttClient, setMqttClient] = useState(null);
   const [connectionStatus, setConnectionStatus] = useState('Disconnected');
-  const [batteryInfo, setBatteryInfo] = useState(null);
+  const [reconnectState, setReconnectState] = useState(null);
+  const [playerState, setPlayerState] = useState(null);
   const [isConnecting, setIsConnecting] = useState(false);
   const [error, setError] = useState(null);
   
@@ -26,16 +27,16 @@ export const usePlayerConnection = (player) => {
 
       const client = new MqttClient();
       
-      // Set up status callback
-      client.connectionStatusCallback = (status) => {
+      // Set up status callback (reconnect carries attempts and the next retry time)
+      client.connectionStatusCallback = (status, reconnect) => {
         setConnectionStatus(status);
+        setReconnectState(reconnect);
       };
 
-      // Set up battery status callback
-      client.batteryStatusCallback = (battery) => {
-        console.log('🔋 [HOOK] Battery status received:', battery);
-        setBatteryInfo(battery);
-      };
+      // Mirror the client's player state (card, playback, volume, lights, battery...)
+      client.onPlayerStateChange((state) => {
+        setPlayerState(state);
+      });
 
       const connected = await client.connect(player.id, token);
       if (connected) {
@@ -61,7 +62,8 @@ export const usePlayerConnection = (player) => {
       mqttClient.disconnect();
       setMqttClient(null);
       setConnectionStatus('Disconnected');
-      setBatteryInfo(null);
+      setReconnectState(null);
+      setPlayerState(null);
       setError(null);
     }
   }, [mqttClient]);
@@ -93,7 +95,12 @@ export const usePlayerConnection = (player) => {
   return {
     mqttClient,
     connectionStatus,
-    batteryInfo,
+    reconnectState,
+    playerState,
+    // Kept for components that only show the battery
+    batteryInfo: playerState?.batteryLevel != null
+      ? { level: playerState.batteryLevel, isCharging: !!playerState.isCharging }
+      : null,
     isConnecting,
     error,
     connect,
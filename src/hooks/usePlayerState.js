@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react';
+
+// A client's player state, kept current from its state change events, plus a clock that ticks every second
+// so positions and countdowns keep moving between status messages. isLive follows the connection health,
+// which has no change event of its own
+export const usePlayerState = (mqttClient) => {
+  const [playerState, setPlayerState] = useState(() => mqttClient?.getPlayerState?.() || null);
+  const [now, setNow] = useState(Date.now());
+  const [isLive, setIsLive] = useState(!!mqttClient?.isConnectionHealthy?.());
+
+  useEffect(() => {
+    if (!mqttClient?.onPlayerStateChange) return undefined;
+    setPlayerState(mqttClient.getPlayerState());
+    const unsubscribe = mqttClient.onPlayerStateChange(state => setPlayerState(state));
+    return () => {
+      unsubscribe();
+    };
+  }, [mqttClient]);
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      setIsLive(!!mqttClient?.isConnectionHealthy?.());
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [mqttClient]);
+
+  return { playerState, now, isLive };
+};
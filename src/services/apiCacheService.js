@@ -0,0 +1,121 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Persistent store for API responses, so the app can show the last known players and cards
+// straight away on launch. YotoAPI.cachedRequest decides when entries are refreshed.
+export class ApiCacheService {
+  static STORAGE_PREFIX = 'yoto_api_cache:';
+
+  // Entry structure:
+  // {
+  //   data: any,            // Raw JSON response
+  //   etag: string | null,  // ETag the server sent with it, for If-None-Match
+  //   fetchedAt: number     // When the server last confirmed it (ms), including 304 responses
+  // }
+
+  // Entries read or written this session, keyed by endpoint
+  static entries = new Map();
+  static listeners = new Set();
+
+  // Bumped by clear(), so a request that started before it can tell its response is no longer wanted
+  static generation = 0;
+
+  static async get(key) {
+    if (this.entries.has(key)) return this.entries.get(key);
+
+    try {
+      const entryJson = await AsyncStorage.getItem(this.STORAGE_PREFIX + key);
+      const entry = entryJson ? JSON.parse(entryJson) : null;
+      if (entry) this.entries.set(key, entry);
+      return entry;
+    } catch (error) {
+      console.error(`❌ [CACHE] Failed to read cached ${key}:`, error);
+      return null;
+    }
+  }
+
+  // details are passed on with the 'updated' event, e.g. { background: true } for a stale-while-revalidate refresh
+  static async set(key, data, etag, details = {}) {
+    const previous = await this.get(key);
+    const entry = { data, etag: etag || null, fetchedAt: Date.now() };
+    await this.save(key, entry);
+    this.notifyListeners({
+      ...details,
+      type: 'updated',
+      key,
+      fetchedAt: entry.fetchedAt,
+      // A 200 can still carry the same data when the server doesn't send ETags
+      changed: !previous || JSON.stringify(previous.data) !== JSON.stringify(data),
+    });
+    return entry;
+  }
+
+  // The server confirmed the cached data is unchanged (304)
+  static async touch(key) {
+    const entry = await this.get(key);
+    if (!entry) return null;
+
+    const touched = { ...entry, fetchedAt: Date.now() };
+    await this.save(key, touched);
+    this.notifyListeners({ type: 'validated', key, fetchedAt: touched.fetchedAt });
+    return touched;
+  }
+
+  static async save(key, entry) {
+    this.entries.set(key, entry);
+    try {
+      await AsyncStorage.setItem(this.STORAGE_PREFIX + key, JSON.stringify(entry));
+    } catch (error) {
+      // The in-memory copy still serves this session
+      console.error(`❌ [CACHE] Failed to save cached ${key}:`, error);
+    }
+  }
+
+  static isFresh(entry, ttlMs, now = Date.now()) {
+    return !!entry && now - entry.fetchedAt < ttlMs;
+  }
+
+  // When the server last confirmed this key's data, or null if it isn't cached (in memory) yet
+  static getFetchedAt(key) {
+    return this.entries.get(key)?.fetchedAt ?? null;
+  }
+
+  // Forget everything, e.g. on logout so the next account doesn't see this one's players and cards
+  static async clear() {
+    this.generation++;
+    this.entries.clear();
+    try {
+      const keys = (await AsyncStorage.getAllKeys()).filter(key => key.startsWith(this.STORAGE_PREFIX));
+      await AsyncStorage.multiRemove(keys);
+      console.log(`🗑️ [CACHE] Cleared ${keys.length} cached responses`);
+    } catch (error) {
+      console.error('❌ [CACHE] Failed to clear the API cache:', error);
+    }
+    this.notifyListeners({ type: 'cleared', key: null });
+  }
+
+  // listener({ type: 'revalidating' | 'updated' | 'validated' | 'failed' | 'cleared', key, fetchedAt?, error?, changed?, background? });
+  // returns an unsubscribe function
+  static onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  static notifyListeners(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('❌ [CACHE] Cache listener failed:', error);
+      }
+    });
+  }
+
+  // "just now", "5 min ago", "3 h ago", or the date for anything older than a day
+  static formatAge(fetchedAt, now = Date.now()) {
+    const minutes = Math.floor((now - fetchedAt) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+    return new Date(fetchedAt).toLocaleDateString();
+  }
+}
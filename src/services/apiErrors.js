@@ -0,0 +1,82 @@
+// Errors thrown by YotoAPI, so callers can check `instanceof` or `error.code`
+// instead of matching message strings
+
+export class ApiError extends Error {
+  constructor(message, { code = 'API_ERROR', status, endpoint } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status ?? null;
+    this.endpoint = endpoint ?? null;
+  }
+}
+
+// No usable token, a token the server rejected even after a refresh, or a 403.
+// code is 'NO_VALID_TOKEN', 'SESSION_EXPIRED', 'NO_PLAYERS_ASSOCIATED' or 'FORBIDDEN'
+export class AuthError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: 'AUTH_ERROR', ...options });
+    this.name = 'AuthError';
+  }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: 'NOT_FOUND', ...options });
+    this.name = 'NotFoundError';
+  }
+}
+
+// 429; retryAfterMs is how long the server asked us to wait, or null if it didn't say
+export class RateLimitedError extends ApiError {
+  constructor(message, { retryAfterMs, ...options } = {}) {
+    super(message, { code: 'RATE_LIMITED', ...options });
+    this.name = 'RateLimitedError';
+    this.retryAfterMs = retryAfterMs ?? null;
+  }
+}
+
+// 5xx
+export class ServerError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: 'SERVER_ERROR', ...options });
+    this.name = 'ServerError';
+  }
+}
+
+// The request never got a response (offline, DNS, connection reset)
+export class NetworkError extends ApiError {
+  constructor(message, { cause, ...options } = {}) {
+    super(message, { code: 'NETWORK_ERROR', ...options });
+    this.name = 'NetworkError';
+    this.cause = cause;
+  }
+}
+
+// Milliseconds to wait from a Retry-After header (delay in seconds or an HTTP date), or null if missing or invalid
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// The typed error for a failed response
+export function errorFromResponse(response, endpoint) {
+  const { status, statusText } = response;
+  const message = `API request failed: ${status} ${statusText}`;
+  const options = { status, endpoint };
+
+  if (status === 401) return new AuthError(message, { ...options, code: 'SESSION_EXPIRED' });
+  if (status === 403) return new AuthError(message, { ...options, code: 'FORBIDDEN' });
+  if (status === 404) return new NotFoundError(message, options);
+  if (status === 429) {
+    const retryAfterMs = parseRetryAfter(response.headers?.get?.('Retry-After'));
+    return new RateLimitedError(message, { ...options, retryAfterMs });
+  }
+  if (status >= 500) return new ServerError(message, options);
+  return new ApiError(message, options);
+}
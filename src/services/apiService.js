@@ -1,10 +1,41 @@
-import { getValidAccessToken } from '../utils/tokenUtils';
+import { getValidAccessToken, getStoredTokens, refreshAccessToken } from '../utils/tokenUtils';
 import { YOTO_API_BASE_URL, YOTO_CLIENT_ID, validateConfig } from '../config/env';
+import { ApiCacheService } from './apiCacheService';
+import { AuthError, NetworkError, errorFromResponse, parseRetryAfter } from './apiErrors';
 
 export class YotoAPI {
   static BASE_URL = YOTO_API_BASE_URL;
   static CLIENT_ID = YOTO_CLIENT_ID;
 
+  // Endpoints served from the persistent cache, and how long their responses count as fresh
+  static CACHED_ENDPOINTS = {
+    PLAYERS: '/device-v2/devices/mine',
+    CONTENT: '/content/mine',
+  };
+
+  // Players go on and offline all the time, so theirs is only long enough to cover one screen load
+  static CACHE_TTL_MS = {
+    [this.CACHED_ENDPOINTS.PLAYERS]: 5 * 1000,
+    [this.CACHED_ENDPOINTS.CONTENT]: 30 * 60 * 1000,
+  };
+
+  // Retries for idempotent requests that hit a network error, 408, 429 or 5xx.
+  // A Retry-After longer than MAX_RETRY_AFTER_MS isn't waited for; the RateLimitedError carries it instead
+  static RETRY = {
+    MAX_ATTEMPTS: 3,
+    BASE_DELAY_MS: 500,
+    MAX_DELAY_MS: 8000,
+    MAX_RETRY_AFTER_MS: 30000,
+  };
+
+  static IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']);
+
+  // Background refreshes in flight, keyed by endpoint: { generation, request }
+  static revalidations = new Map();
+
+  // Token refresh after a 401, shared by requests that fail together
+  static tokenRefresh = null;
+
   /**
    * Initialize the API service and validate configuration
    */
@@ -26,34 +57,139 @@ export class YotoAPI {
     return YotoAPI.CLIENT_ID;
   }
 
-  static async makeRequest(endpoint, options = {}) {
-    try {
-      // Get valid access token automatically (handles refresh if needed)
-      const token = await getValidAccessToken(this.CLIENT_ID);
-      
-      if (!token) {
-        throw new Error('NO_VALID_TOKEN');
-      }
+  static async getAccessToken() {
+    // Get valid access token automatically (handles refresh if needed)
+    const token = await getValidAccessToken(this.CLIENT_ID);
+    
+    if (!token) {
+      throw new AuthError('NO_VALID_TOKEN', { code: 'NO_VALID_TOKEN' });
+    }
+    return token;
+  }
 
-      const url = `${this.BASE_URL}${endpoint}`;
-      const defaultOptions = {
+  /**
+   * Get a new access token after the server rejected ours (401). Concurrent callers share one refresh
+   */
+  static refreshSession() {
+    if (!this.tokenRefresh) {
+      this.tokenRefresh = (async () => {
+        const { refreshToken } = await getStoredTokens();
+        if (!refreshToken) {
+          throw new AuthError('SESSION_EXPIRED', { code: 'SESSION_EXPIRED', status: 401 });
+        }
+
+        try {
+          const { accessToken } = await refreshAccessToken(refreshToken, this.CLIENT_ID);
+          return accessToken;
+        } catch (error) {
+          throw new AuthError(`Session expired and the token could not be refreshed: ${error.message}`, {
+            code: 'SESSION_EXPIRED',
+            status: 401,
+          });
+        }
+      })().finally(() => {
+        this.tokenRefresh = null;
+      });
+    }
+    return this.tokenRefresh;
+  }
+
+  static async send(endpoint, options, token) {
+    const url = `${this.BASE_URL}${endpoint}`;
+    try {
+      return await fetch(url, {
+        ...options,
         headers: {
           'Authorization': `Bearer ${token}`,
           'Accept': 'application/json',
           'Content-Type': 'application/json',
+          ...(options.headers || {}),
         },
-      };
+      });
+    } catch (error) {
+      throw new NetworkError(`Network request to ${endpoint} failed: ${error.message}`, { endpoint, cause: error });
+    }
+  }
 
-      const response = await fetch(url, { ...defaultOptions, ...options });
-      
-      if (!response.ok) {
-        // Handle 403 specifically for devices endpoint
-        if (response.status === 403 && endpoint === '/device-v2/devices/mine') {
-          throw new Error('NO_PLAYERS_ASSOCIATED');
-        }
-        throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+  /**
+   * Authenticated fetch that returns the raw Response, for callers that need the status or headers.
+   * A 401 refreshes the token and replays the request once; idempotent requests are retried with backoff
+   * on network errors, 408, 429 and 5xx, honouring Retry-After. The last failed response is returned as is
+   */
+  static async fetchWithAuth(endpoint, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const canRetry = this.IDEMPOTENT_METHODS.has(method);
+    let token = await this.getAccessToken();
+    let refreshed = false;
+    let attempt = 1;
+
+    while (true) {
+      let response;
+      try {
+        response = await this.send(endpoint, options, token);
+      } catch (error) {
+        if (!canRetry || attempt >= this.RETRY.MAX_ATTEMPTS) throw error;
+
+        const delay = this.getRetryDelay(attempt);
+        console.log(`⚠️ [API] ${method} ${endpoint} failed (${error.message}), retry ${attempt} in ${delay}ms`);
+        await this.sleep(delay);
+        attempt++;
+        continue;
+      }
+
+      // The server didn't act on a 401, so even a POST is safe to replay
+      if (response.status === 401 && !refreshed) {
+        console.log(`🔄 [API] ${method} ${endpoint} returned 401, refreshing the token and replaying...`);
+        refreshed = true;
+        token = await this.refreshSession();
+        continue;
+      }
+
+      if (!canRetry || attempt >= this.RETRY.MAX_ATTEMPTS || !this.isRetryableStatus(response.status)) {
+        return response;
+      }
+
+      const retryAfterMs = parseRetryAfter(response.headers?.get('Retry-After'));
+      if (retryAfterMs !== null && retryAfterMs > this.RETRY.MAX_RETRY_AFTER_MS) {
+        console.log(`⚠️ [API] ${method} ${endpoint} asked to wait ${Math.round(retryAfterMs / 1000)}s, not retrying`);
+        return response;
+      }
+
+      const delay = retryAfterMs ?? this.getRetryDelay(attempt);
+      console.log(`⚠️ [API] ${method} ${endpoint} returned ${response.status}, retry ${attempt} in ${delay}ms`);
+      await this.sleep(delay);
+      attempt++;
+    }
+  }
+
+  static isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  // Exponential backoff with jitter, so players retrying together don't hit the server in lockstep
+  static getRetryDelay(attempt) {
+    const delay = Math.min(this.RETRY.MAX_DELAY_MS, this.RETRY.BASE_DELAY_MS * 2 ** (attempt - 1));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  static sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  static checkResponse(response, endpoint) {
+    if (!response.ok) {
+      // Handle 403 specifically for devices endpoint
+      if (response.status === 403 && endpoint === this.CACHED_ENDPOINTS.PLAYERS) {
+        throw new AuthError('NO_PLAYERS_ASSOCIATED', { code: 'NO_PLAYERS_ASSOCIATED', status: 403, endpoint });
       }
+      throw errorFromResponse(response, endpoint);
+    }
+  }
 
+  static async makeRequest(endpoint, options = {}) {
+    try {
+      const response = await this.fetchWithAuth(endpoint, options);
+      this.checkResponse(response, endpoint);
       return await response.json();
     } catch (error) {
       console.error(`API request to ${endpoint} failed:`, error);
@@ -61,6 +197,83 @@ export class YotoAPI {
     }
   }
 
+  /**
+   * GET through the persistent cache (stale-while-revalidate): a fresh entry is returned without a request,
+   * a stale one is returned at once and refreshed in the background, and with nothing cached it waits for the network.
+   * Background refreshes are reported through ApiCacheService.onChange
+   */
+  static async cachedRequest(endpoint) {
+    const cached = await ApiCacheService.get(endpoint);
+    if (!cached) {
+      // The caller waits for this one, so it isn't reported as a background refresh
+      return this.revalidate(endpoint, { background: false });
+    }
+
+    if (!ApiCacheService.isFresh(cached, this.CACHE_TTL_MS[endpoint] || 0)) {
+      // Failures are logged and reported to cache listeners; the stale data stands meanwhile
+      this.revalidate(endpoint).catch(() => {});
+    }
+    return cached.data;
+  }
+
+  /**
+   * Fetch an endpoint into the cache, sending the cached ETag so an unchanged response is just a 304.
+   * Concurrent calls share one request, unless the cache was cleared since it started. background is passed on with the cache's 'updated' event,
+   * so listeners only reload for refreshes nobody is already waiting on
+   */
+  static revalidate(endpoint, { background = true } = {}) {
+    const { generation } = ApiCacheService;
+    const inFlight = this.revalidations.get(endpoint);
+    if (inFlight && inFlight.generation === generation) {
+      return inFlight.request;
+    }
+
+    const request = (async () => {
+      ApiCacheService.notifyListeners({ type: 'revalidating', key: endpoint });
+      try {
+        const cached = await ApiCacheService.get(endpoint);
+        const response = await this.fetchWithAuth(endpoint, {
+          headers: cached?.etag ? { 'If-None-Match': cached.etag } : {},
+        });
+
+        // A response to a request made before the cache was cleared (e.g. on logout) isn't written back
+        const isCurrent = () => ApiCacheService.generation === generation;
+
+        if (response.status === 304 && cached) {
+          console.log(`📦 [API] ${endpoint} unchanged (304)`);
+          if (isCurrent()) await ApiCacheService.touch(endpoint);
+          return cached.data;
+        }
+
+        this.checkResponse(response, endpoint);
+        const data = await response.json();
+        if (isCurrent()) {
+          await ApiCacheService.set(endpoint, data, response.headers.get('ETag'), { background });
+        } else {
+          console.log(`📦 [API] Discarding ${endpoint}: the cache was cleared while it was fetched`);
+        }
+        return data;
+      } catch (error) {
+        console.error(`API request to ${endpoint} failed:`, error);
+        ApiCacheService.notifyListeners({ type: 'failed', key: endpoint, error });
+        throw error;
+      } finally {
+        if (this.revalidations.get(endpoint)?.request === request) {
+          this.revalidations.delete(endpoint);
+        }
+      }
+    })();
+    this.revalidations.set(endpoint, { generation, request });
+    return request;
+  }
+
+  /**
+   * Refresh the cached players and card library from the network, e.g. for pull-to-refresh
+   */
+  static async refreshLibrary() {
+    await Promise.all(Object.values(this.CACHED_ENDPOINTS).map(endpoint => this.revalidate(endpoint)));
+  }
+
   static async getProfile() {
     try {
       console.log('Fetching user profile...');
@@ -76,7 +289,7 @@ export class YotoAPI {
   static async getPlayers() {
     try {
       console.log('🔍 [API] Fetching devices from Yoto API...');
-      const response = await this.makeRequest('/device-v2/devices/mine');
+      const response = await this.cachedRequest(this.CACHED_ENDPOINTS.PLAYERS);
       
       // Handle response structure: { "devices": [...] }
       const devices = response.devices || [];
@@ -134,6 +347,8 @@ export class YotoAPI {
         console.log('🔋 [API] Device status response (device-v2 format):', status);
         return status;
       } catch (error) {
+        // Another URL format won't reach the server either
+        if (error instanceof NetworkError) throw error;
         console.log(`⚠️ [API] device-v2 format failed (${error.message}), trying v2 format...`);
       }
       
@@ -143,6 +358,7 @@ export class YotoAPI {
         console.log('🔋 [API] Device status response (v2 format):', status);
         return status;
       } catch (error) {
+        if (error instanceof NetworkError) throw error;
         console.log(`⚠️ [API] v2 format failed (${error.message}), trying v1 format...`);
       }
       
@@ -183,7 +399,7 @@ export class YotoAPI {
   static async getUserContent() {
     try {
       console.log('🔍 [API] Fetching user content from Yoto API...');
-      const response = await this.makeRequest('/content/mine');
+      const response = await this.cachedRequest(this.CACHED_ENDPOINTS.CONTENT);
       
       // Handle different possible response structures
       const content = response.content || response.cards || response.data || response;
@@ -204,13 +420,14 @@ export class YotoAPI {
         id: item.id || item.cardId,
         title: item.title || item.name,
         description: item.description,
-        imageUrl: item.imageUrl || item.coverImage,
+        imageUrl: item.imageUrl || item.coverImage || item.metadata?.cover?.imageL,
         contentType: item.contentType || item.type,
         uri: item.uri || item.playUri,
         duration: item.duration,
         chapters: item.chapters || [],
         tracks: item.tracks || [],
-        metadata: item.metadata || {}
+        metadata: item.metadata || {},
+        updatedAt: item.updatedAt || item.createdAt || null
       }));
       
       return mappedContent;
@@ -232,6 +449,39 @@ export class YotoAPI {
     }
   }
 
+  // Fetch a card's chapters and their tracks
+  static async getContentDetails(cardId) {
+    try {
+      console.log(`🔍 [API] Fetching content details for card ${cardId}...`);
+      const response = await this.makeRequest(`/content/${cardId}`);
+      const card = response.card || response;
+      const chapters = card.content?.chapters || card.chapters || [];
+
+      // Map chapters and tracks to a consistent format
+      const mappedChapters = chapters.map((chapter, index) => ({
+        key: chapter.key || String(index + 1).padStart(2, '0'),
+        title: chapter.title || `Chapter ${index + 1}`,
+        duration: chapter.duration,
+        tracks: (chapter.tracks || []).map((track, trackIndex) => ({
+          key: track.key || String(trackIndex + 1).padStart(2, '0'),
+          title: track.title || `Track ${trackIndex + 1}`,
+          duration: track.duration
+        }))
+      }));
+
+      console.log(`✅ [API] Fetched ${mappedChapters.length} chapters for card ${cardId}`);
+
+      return {
+        id: card.cardId || cardId,
+        title: card.title,
+        chapters: mappedChapters
+      };
+    } catch (error) {
+      console.error(`❌ [API] Failed to fetch content details for card ${cardId}:`, error);
+      throw error;
+    }
+  }
+
   static async getPlayerStatus(playerId) {
     try {
       console.log(`Fetching status for device ${playerId}...`);
@@ -294,10 +544,7 @@ export class YotoAPI {
       console.log(`🚀 [API] Sending MQTT command to device ${deviceId}:`, command);
       
       // Get valid access token automatically
-      const token = await getValidAccessToken(this.CLIENT_ID);
-      if (!token) {
-        throw new Error('NO_VALID_TOKEN');
-      }
+      const token = await this.getAccessToken();
       
       console.log(`🔐 [API] Using token: YES (length: ${token.length})`);
       console.log(`🔍 [API] Full JWT token:`, token);
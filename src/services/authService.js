@@ -9,6 +9,7 @@ import {
   YOTO_TOKEN_ENDPOINT,
   validateConfig 
 } from '../config/env';
+import { ApiCacheService } from './apiCacheService';
 
 // Complete the auth session on web browsers
 WebBrowser.maybeCompleteAuthSession();
@@ -616,6 +617,8 @@ export class YotoAuth {
     console.log('🔓 [AUTH] User logged out');
     // Clear stored tokens
     await this.clearTokens();
+    // Cached players and cards belong to this account
+    await ApiCacheService.clear();
     // Clear PKCE state on logout
     this.currentCodeVerifier = null;
     this.currentCodeChallenge = null;
@@ -2,12 +2,24 @@ import * as BackgroundFetch from 'expo-background-fetch';
 import * as TaskManager from 'expo-task-manager';
 import * as Notifications from 'expo-notifications';
 import { SchedulerService } from './simpleSchedulerService';
-import { MQTTService } from './mqttService';
+import { ConnectionManager } from './connectionManager';
+import { ExecutionHistoryService } from './executionHistoryService';
+import { ScheduleExceptionsService } from './scheduleExceptionsService';
+import { HomeSettingsService } from './homeSettingsService';
 
 const BACKGROUND_FETCH_TASK = 'background-schedule-check';
 
 export class BackgroundSchedulerService {
   static isRegistered = false;
+  static responseSubscription = null;
+  
+  // Action buttons on the "Coming Up" notification
+  static UPCOMING_CATEGORY = 'yoto_upcoming_schedule';
+  static NOTIFICATION_ACTIONS = {
+    SKIP: 'skip_next',
+    SNOOZE: 'snooze',
+  };
+  static NOTIFICATION_SNOOZE_MINUTES = 10;
 
   // Initialize background scheduling
   static async initialize() {
@@ -20,6 +32,9 @@ export class BackgroundSchedulerService {
       // Register background task
       await this.registerBackgroundTask();
       
+      // Skip/snooze buttons and notification taps
+      await this.registerNotificationActions();
+      
       // Schedule notification-based scheduling as backup
       await this.scheduleNotificationChecks();
       
@@ -48,6 +63,35 @@ export class BackgroundSchedulerService {
     return true;
   }
 
+  // Register the notification action buttons and the listener that handles them
+  static async registerNotificationActions() {
+    try {
+      // Neither action needs the app on screen; they only update the schedule store
+      await Notifications.setNotificationCategoryAsync(this.UPCOMING_CATEGORY, [
+        {
+          identifier: this.NOTIFICATION_ACTIONS.SKIP,
+          buttonTitle: '⏭️ Skip this time',
+          options: { opensAppToForeground: false },
+        },
+        {
+          identifier: this.NOTIFICATION_ACTIONS.SNOOZE,
+          buttonTitle: `😴 Snooze ${this.NOTIFICATION_SNOOZE_MINUTES} min`,
+          options: { opensAppToForeground: false },
+        },
+      ]);
+    } catch (error) {
+      console.error('❌ [BACKGROUND] Failed to register notification actions:', error);
+    }
+    
+    if (!this.responseSubscription) {
+      this.responseSubscription = Notifications.addNotificationResponseReceivedListener(response => {
+        this.handleNotificationResponse(response).catch(error => {
+          console.error('❌ [BACKGROUND] Failed to handle notification response:', error);
+        });
+      });
+    }
+  }
+
   // Register background fetch task
   static async registerBackgroundTask() {
     try {
@@ -58,28 +102,56 @@ export class BackgroundSchedulerService {
         try {
           // Get all schedules
           const schedules = await SchedulerService.getAllSchedules();
+          await Promise.all([ScheduleExceptionsService.load(), HomeSettingsService.load()]);
           const now = new Date();
           
-          // Check for due schedules
+          // Check for due schedules, applying each schedule's catch-up policy and exceptions
+          const dueRuns = [];
           for (const schedule of schedules) {
             if (!schedule.isEnabled) continue;
             
-            if (SchedulerService.isScheduleDue(schedule, now)) {
-              console.log('🔔 [BACKGROUND] Schedule due:', schedule.cardTitle);
-              
-              // Send notification to user
-              await this.sendScheduleNotification(schedule);
-              
-              // Try to connect and play if possible
-              await this.attemptBackgroundPlay(schedule);
-              
-              // Update last triggered
-              await SchedulerService.updateSchedule(schedule.id, { 
-                lastTriggered: new Date() 
-              });
+            const { status, occurrence, minutesLate } = SchedulerService.evaluateSchedule(schedule, now);
+            
+            if (status === 'due') {
+              dueRuns.push({ schedule, occurrence, minutesLate });
+            } else if (status === 'missed') {
+              await SchedulerService.recordMissedRun(
+                schedule,
+                occurrence,
+                now,
+                ExecutionHistoryService.SOURCES.BACKGROUND_FETCH
+              );
             }
           }
           
+          // Clashing runs on one player are settled by priority, as in the foreground loop
+          const { run, superseded } = SchedulerService.resolveDueSchedules(dueRuns, now);
+          
+          for (const { schedule, occurrence, reason } of superseded) {
+            await SchedulerService.recordSupersededRun(
+              schedule,
+              occurrence,
+              reason,
+              ExecutionHistoryService.SOURCES.BACKGROUND_FETCH
+            );
+          }
+          
+          for (const { schedule, occurrence, minutesLate } of run) {
+            console.log(`🔔 [BACKGROUND] Schedule due: ${schedule.cardTitle} (${minutesLate} min late)`);
+            
+            // Mark the occurrence as handled first so the foreground loop does not run it too
+            await SchedulerService.updateSchedule(schedule.id, { 
+              lastTriggered: new Date(),
+              lastHandledOccurrence: occurrence
+            });
+            
+            // Send notification to user
+            await this.sendScheduleNotification(schedule);
+            
+            // Try to connect and play if possible
+            await this.attemptBackgroundPlay(schedule, occurrence);
+          }
+          
           return BackgroundFetch.BackgroundFetchResult.NewData;
         } catch (error) {
           console.error('❌ [BACKGROUND] Background task error:', error);
@@ -114,7 +186,9 @@ export class BackgroundSchedulerService {
       await Notifications.scheduleNotificationAsync({
         content: {
           title: '🎵 Yoto Schedule Active',
-          body: `Playing "${schedule.cardTitle}" on ${schedule.playerName}`,
+          body: schedule.type === SchedulerService.SCHEDULE_TYPES.LIGHT
+            ? `${schedule.cardTitle} on ${schedule.playerName}`
+            : `Playing "${schedule.cardTitle}" on ${schedule.playerName}`,
           data: { 
             scheduleId: schedule.id,
             cardTitle: schedule.cardTitle,
@@ -131,31 +205,98 @@ export class BackgroundSchedulerService {
   }
 
   // Attempt to play card in background (limited capabilities)
-  static async attemptBackgroundPlay(schedule) {
+  static async attemptBackgroundPlay(schedule, occurrence = new Date()) {
+    let mqttService = null;
+    let outcome = ExecutionHistoryService.OUTCOMES.FAILED;
+    let errorMessage = null;
+    let confirmation = null;
+    
     try {
       console.log('🎵 [BACKGROUND] Attempting background play for:', schedule.cardTitle);
       
-      // Initialize MQTT service for background operation
-      const mqttService = new MQTTService();
-      
-      // Try to establish connection (this might fail in background)
-      await mqttService.connect();
+      // Connect to the schedule's own player (this might fail in background)
+      try {
+        mqttService = await ConnectionManager.getClient(schedule.playerId);
+      } catch (error) {
+        console.log(`📴 [BACKGROUND] Could not connect to ${schedule.playerName}: ${error.message}`);
+      }
+      const isHealthy = !!mqttService?.isConnectionHealthy();
+      const canQueue = schedule.queueIfOffline &&
+        schedule.type !== SchedulerService.SCHEDULE_TYPES.ROUTINE &&
+        schedule.light?.action !== SchedulerService.LIGHT_ACTIONS.FADE;
       
-      if (mqttService.isConnectionHealthy()) {
-        await mqttService.playCard(schedule.playerId, schedule.cardUri);
-        console.log('✅ [BACKGROUND] Successfully played card in background');
+      if (isHealthy && schedule.type === SchedulerService.SCHEDULE_TYPES.ROUTINE) {
+        // Routines record their own history when they finish
+        await SchedulerService.executeRoutine(
+          schedule,
+          mqttService,
+          occurrence,
+          ExecutionHistoryService.SOURCES.BACKGROUND_FETCH
+        );
+        return;
+      } else if (isHealthy && schedule.light?.action === SchedulerService.LIGHT_ACTIONS.FADE) {
+        // Fades record their own history when they finish
+        await SchedulerService.executeLightFade(
+          schedule,
+          mqttService,
+          occurrence,
+          ExecutionHistoryService.SOURCES.BACKGROUND_FETCH
+        );
+        return;
+      } else if (isHealthy && schedule.type === SchedulerService.SCHEDULE_TYPES.LIGHT) {
+        ({ outcome, errorMessage, confirmation } = await SchedulerService.applyLightCommand(schedule, mqttService));
+        console.log(`✅ [BACKGROUND] Changed the light in background (${outcome})`);
+      } else if (isHealthy) {
+        await SchedulerService.applyPreVolume(schedule, mqttService);
+        try {
+          // Wait for the player to report the card playing, not just for the publish
+          const { confirmedAt, latencyMs } = await mqttService.playCardAndConfirm(
+            schedule.playerId,
+            schedule.cardUri,
+            SchedulerService.getPlaybackOptions(schedule)
+          );
+          confirmation = { confirmedAt, latencyMs };
+          outcome = ExecutionHistoryService.OUTCOMES.SUCCESS;
+          SchedulerService.recordActivePlay(schedule);
+          console.log(`✅ [BACKGROUND] Card started in background (confirmed in ${latencyMs}ms)`);
+        } catch (error) {
+          if (error.code !== 'COMMAND_TIMEOUT') throw error;
+          
+          // The command went out but the player never reported playing it
+          errorMessage = error.message;
+          outcome = ExecutionHistoryService.OUTCOMES.UNCONFIRMED;
+          SchedulerService.recordActivePlay(schedule);
+          console.log(`⚠️ [BACKGROUND] "${schedule.cardTitle}" was sent in background but not confirmed`);
+        }
+      } else if (canQueue) {
+        // Keep the command for when the player's connection comes back
+        await SchedulerService.enqueueSchedule(schedule, occurrence);
+        outcome = ExecutionHistoryService.OUTCOMES.QUEUED;
+        console.log(`📥 [BACKGROUND] Queued "${schedule.cardTitle}" until ${schedule.playerName} reconnects`);
       } else {
+        errorMessage = 'Could not establish connection in background';
         console.log('📴 [BACKGROUND] Could not establish connection in background');
         
         // Schedule a notification to remind user to open app
         await this.scheduleOpenAppReminder(schedule);
       }
     } catch (error) {
+      errorMessage = error.message;
       console.error('❌ [BACKGROUND] Background play failed:', error);
       
       // Schedule reminder notification
       await this.scheduleOpenAppReminder(schedule);
     }
+    
+    await ExecutionHistoryService.recordExecution({
+      schedule,
+      plannedTime: occurrence,
+      source: ExecutionHistoryService.SOURCES.BACKGROUND_FETCH,
+      mqttHealth: ExecutionHistoryService.describeMqttHealth(mqttService),
+      outcome,
+      errorMessage,
+      confirmation
+    }).catch(() => {});
   }
 
   // Schedule notification to remind user to open app
@@ -187,10 +328,12 @@ export class BackgroundSchedulerService {
       await Notifications.cancelAllScheduledNotificationsAsync();
       
       const schedules = await SchedulerService.getAllSchedules();
+      await Promise.all([ScheduleExceptionsService.load(), HomeSettingsService.load()]);
       
       for (const schedule of schedules) {
         if (!schedule.isEnabled) continue;
         
+        // Skips exception dates and players on vacation
         const nextExecution = SchedulerService.getNextExecutionTime(schedule);
         if (!nextExecution) continue;
         
@@ -206,6 +349,7 @@ export class BackgroundSchedulerService {
                 scheduleId: schedule.id,
                 action: 'upcoming_schedule'
               },
+              categoryIdentifier: this.UPCOMING_CATEGORY,
             },
             trigger: notificationTime,
           });
@@ -271,15 +415,39 @@ export class BackgroundSchedulerService {
   static async handleNotificationResponse(response) {
     const data = response.notification.request.content.data;
     
+    if (response.actionIdentifier === this.NOTIFICATION_ACTIONS.SKIP ||
+        response.actionIdentifier === this.NOTIFICATION_ACTIONS.SNOOZE) {
+      await this.handleUpcomingAction(response.actionIdentifier, data.scheduleId);
+      await Notifications.dismissNotificationAsync(response.notification.request.identifier).catch(() => {});
+      return;
+    }
+    
     if (data.action === 'open_app') {
       console.log('📱 [BACKGROUND] User opened app from notification');
       // App is now open, trigger immediate schedule check
-      await SchedulerService.checkNow();
+      await SchedulerService.checkNow(undefined, ExecutionHistoryService.SOURCES.NOTIFICATION_TAP);
     } else if (data.action === 'schedule_execution') {
       console.log('🎵 [BACKGROUND] Schedule execution notification received');
       // Trigger schedule check
-      await SchedulerService.checkNow();
+      await SchedulerService.checkNow(undefined, ExecutionHistoryService.SOURCES.NOTIFICATION_TAP);
+    }
+  }
+
+  // Skip or snooze the upcoming run from the notification, then re-plan the reminders around it
+  static async handleUpcomingAction(actionIdentifier, scheduleId) {
+    try {
+      if (actionIdentifier === this.NOTIFICATION_ACTIONS.SKIP) {
+        console.log('⏭️ [BACKGROUND] Skip requested from notification');
+        await SchedulerService.skipNextOccurrence(scheduleId);
+      } else {
+        console.log('😴 [BACKGROUND] Snooze requested from notification');
+        await SchedulerService.snoozeNextOccurrence(scheduleId, this.NOTIFICATION_SNOOZE_MINUTES);
+      }
+    } catch (error) {
+      console.error('❌ [BACKGROUND] Notification action failed:', error);
     }
+    
+    await this.scheduleNotificationChecks();
   }
 
   // Manual background task trigger (for testing)
@@ -296,8 +464,9 @@ export class BackgroundSchedulerService {
         console.log('🔍 [BACKGROUND] Checking schedule:', {
           title: schedule.cardTitle,
           scheduledTime: schedule.scheduledTime,
-          daysOfWeek: schedule.daysOfWeek,
-          isDue: SchedulerService.isScheduleDue(schedule, now)
+          recurrence: schedule.recurrence,
+          catchUp: schedule.catchUp,
+          status: SchedulerService.evaluateSchedule(schedule, now).status
         });
       }
       
@@ -0,0 +1,249 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { ExecutionHistoryService } from './executionHistoryService';
+import { VolumeService } from './volumeService';
+import { createWriteQueue } from '../utils/async';
+
+// Commands that couldn't be sent because the player was offline, kept until it reconnects
+export class CommandQueueService {
+  static QUEUE_KEY = 'yoto_command_queue';
+  static DEFAULT_EXPIRY_MINUTES = 30;
+
+  static COMMANDS = {
+    PLAY_CARD: 'play_card',
+    PAUSE: 'pause',
+    RESUME: 'resume',
+    STOP: 'stop',
+    AMBIENT_LIGHT: 'ambient_light',
+    NIGHT_LIGHT: 'night_light',
+  };
+
+  static writeQueue = createWriteQueue(error => console.error('❌ [QUEUE] Failed to update command queue:', error));
+  static replaying = new Set();
+  static listeners = new Set();
+
+  // Queue entry structure:
+  // {
+  //   id: string,
+  //   playerId: string,
+  //   command: 'play_card' | 'pause' | 'resume' | 'stop' | 'ambient_light' | 'night_light',
+  //   params: object,          // e.g. { cardUri, options, volume } for play_card
+  //   dedupeKey: string,       // A newer entry with the same key replaces an older one
+  //   label: string,           // For messages, e.g. the card title
+  //   schedule: { id, cardTitle, playerId, playerName } | null, // Set when a schedule queued it
+  //   plannedTime: Date | null,
+  //   queuedAt: Date,
+  //   expiresAt: Date
+  // }
+
+  // Send a command now if the client is healthy, otherwise queue it
+  // Resolves with { queued: boolean, result }
+  static async sendOrQueue(mqttClient, commandData) {
+    if (mqttClient?.isConnectionHealthy?.()) {
+      const result = await this.runCommand(mqttClient, commandData);
+      return { queued: false, result };
+    }
+    await this.enqueue(commandData);
+    return { queued: true, result: null };
+  }
+
+  static enqueue({ playerId, command, params = {}, label, schedule = null, plannedTime = null, expiryMinutes, dedupeKey }) {
+    const now = new Date();
+    const entry = {
+      id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+      playerId,
+      command,
+      params,
+      dedupeKey: dedupeKey || `${playerId}:${command}:${JSON.stringify(params)}`,
+      label: label || command,
+      schedule: schedule
+        ? { id: schedule.id, cardTitle: schedule.cardTitle, playerId: schedule.playerId, playerName: schedule.playerName }
+        : null,
+      plannedTime,
+      queuedAt: now,
+      expiresAt: new Date(now.getTime() + (expiryMinutes || this.DEFAULT_EXPIRY_MINUTES) * 60000),
+    };
+
+    return this.updateQueue(queue => {
+      // The newest request wins: drop an older duplicate and append this one
+      const remaining = queue.filter(existing => existing.dedupeKey !== entry.dedupeKey);
+      if (remaining.length < queue.length) {
+        console.log(`🔁 [QUEUE] Replacing queued duplicate of "${entry.label}"`);
+      }
+      console.log(`📥 [QUEUE] Queued "${entry.label}" for ${playerId} until ${entry.expiresAt.toLocaleTimeString()}`);
+      return [...remaining, entry];
+    }).then(() => entry);
+  }
+
+  // Replay a player's queued commands in the order they were queued
+  // Expired commands are dropped and reported; replay stops at the first send failure
+  static async replay(playerId, mqttClient) {
+    if (this.replaying.has(playerId)) return;
+    this.replaying.add(playerId);
+
+    try {
+      const now = new Date();
+      const queue = await this.loadQueue();
+      const entries = queue.filter(entry => entry.playerId === playerId);
+      if (entries.length === 0) return;
+
+      const expired = entries.filter(entry => entry.expiresAt <= now);
+      const pending = entries.filter(entry => entry.expiresAt > now);
+
+      console.log(`📤 [QUEUE] Replaying ${pending.length} queued command(s) for ${playerId}, dropping ${expired.length} expired`);
+
+      await this.removeEntries(expired.map(entry => entry.id));
+      for (const entry of expired) {
+        await this.reportDropped(entry);
+      }
+
+      for (const entry of pending) {
+        if (!mqttClient.isConnectionHealthy()) {
+          console.log('📴 [QUEUE] Connection lost during replay, keeping the rest queued');
+          break;
+        }
+
+        let outcome = ExecutionHistoryService.OUTCOMES.FAILED;
+        let errorMessage = null;
+        let confirmation = null;
+
+        try {
+          const result = await this.runCommand(mqttClient, entry);
+          if (result?.latencyMs !== undefined) {
+            confirmation = { confirmedAt: result.confirmedAt, latencyMs: result.latencyMs };
+          }
+          outcome = ExecutionHistoryService.OUTCOMES.SUCCESS;
+        } catch (error) {
+          errorMessage = error.message;
+          outcome = error.code === 'COMMAND_TIMEOUT'
+            ? ExecutionHistoryService.OUTCOMES.UNCONFIRMED
+            : ExecutionHistoryService.OUTCOMES.FAILED;
+          console.error(`❌ [QUEUE] Replay of "${entry.label}" failed:`, error);
+        }
+
+        await this.removeEntries([entry.id]);
+        await this.recordScheduleRun(entry, { outcome, errorMessage, confirmation, mqttClient });
+        this.notifyListeners({ type: 'replayed', entry, outcome, errorMessage });
+      }
+    } catch (error) {
+      console.error('❌ [QUEUE] Replay failed:', error);
+    } finally {
+      this.replaying.delete(playerId);
+    }
+  }
+
+  // Send a command and wait for the player to confirm it; resolves with the confirmation
+  // ({ confirmedAt, latencyMs, ... }) and rejects with code COMMAND_TIMEOUT if the player never reports it
+  static async runCommand(mqttClient, { playerId, command, params }) {
+    switch (command) {
+      case this.COMMANDS.PLAY_CARD:
+        if (typeof params.volume === 'number') {
+          try {
+            await VolumeService.setVolume(playerId, params.volume, mqttClient);
+          } catch (error) {
+            console.error('❌ [QUEUE] Could not set volume before playing:', error);
+          }
+        }
+        return mqttClient.playCardAndConfirm(playerId, params.cardUri, params.options || {});
+      case this.COMMANDS.PAUSE:
+        return mqttClient.pausePlaybackAndConfirm(playerId);
+      case this.COMMANDS.RESUME:
+        return mqttClient.resumePlaybackAndConfirm(playerId);
+      case this.COMMANDS.STOP:
+        return mqttClient.stopPlaybackAndConfirm(playerId);
+      case this.COMMANDS.AMBIENT_LIGHT:
+        return mqttClient.setAmbientLightAndConfirm(playerId, params.brightness, params.color);
+      case this.COMMANDS.NIGHT_LIGHT:
+        return mqttClient.setNightLightAndConfirm(playerId, params.enabled, params.brightness);
+      default:
+        throw new Error(`Unknown queued command: ${command}`);
+    }
+  }
+
+  static async reportDropped(entry) {
+    const minutesQueued = Math.round((entry.expiresAt - entry.queuedAt) / 60000);
+    const errorMessage = `Dropped from the offline queue: the player stayed offline for over ${minutesQueued} min`;
+
+    console.log(`🗑️ [QUEUE] Dropping expired "${entry.label}" for ${entry.playerId}`);
+    await this.recordScheduleRun(entry, {
+      outcome: ExecutionHistoryService.OUTCOMES.FAILED,
+      errorMessage,
+      confirmation: null,
+      mqttClient: null,
+    });
+    this.notifyListeners({ type: 'dropped', entry, errorMessage });
+  }
+
+  // Scheduled commands get a history entry for what finally happened to them
+  static async recordScheduleRun(entry, { outcome, errorMessage, confirmation, mqttClient }) {
+    if (!entry.schedule) return;
+
+    await ExecutionHistoryService.recordExecution({
+      schedule: entry.schedule,
+      plannedTime: entry.plannedTime,
+      source: ExecutionHistoryService.SOURCES.QUEUE_REPLAY,
+      mqttHealth: ExecutionHistoryService.describeMqttHealth(mqttClient),
+      outcome,
+      errorMessage,
+      confirmation,
+    }).catch(() => {});
+  }
+
+  static async getQueue(playerId) {
+    const queue = await this.loadQueue();
+    return playerId ? queue.filter(entry => entry.playerId === playerId) : queue;
+  }
+
+  static clearQueue(playerId) {
+    return this.updateQueue(queue => (playerId ? queue.filter(entry => entry.playerId !== playerId) : []));
+  }
+
+  static removeEntries(ids) {
+    if (ids.length === 0) return Promise.resolve();
+    return this.updateQueue(queue => queue.filter(entry => !ids.includes(entry.id)));
+  }
+
+  // listener({ type: 'replayed' | 'dropped', entry, outcome?, errorMessage }); returns an unsubscribe function
+  static onQueueEvent(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  static notifyListeners(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('❌ [QUEUE] Queue listener failed:', error);
+      }
+    });
+  }
+
+  static updateQueue(update) {
+    return this.writeQueue(async () => {
+      const queue = await this.loadQueue();
+      await this.saveQueue(update(queue));
+    });
+  }
+
+  static async loadQueue() {
+    try {
+      const queueJson = await AsyncStorage.getItem(this.QUEUE_KEY);
+      if (!queueJson) return [];
+
+      // Convert date strings back to Date objects
+      return JSON.parse(queueJson).map(entry => ({
+        ...entry,
+        plannedTime: entry.plannedTime ? new Date(entry.plannedTime) : null,
+        queuedAt: new Date(entry.queuedAt),
+        expiresAt: new Date(entry.expiresAt),
+      }));
+    } catch (error) {
+      console.error('❌ [QUEUE] Failed to load command queue:', error);
+      return [];
+    }
+  }
+
+  static async saveQueue(queue) {
+    await AsyncStorage.setItem(this.QUEUE_KEY, JSON.stringify(queue));
+  }
+}
@@ -0,0 +1,121 @@
+// Correlates published MQTT commands with the player's own state/event messages,
+// so callers can tell "the player did it" apart from "the broker accepted it"
+export class CommandTracker {
+  static DEFAULT_TIMEOUT_MS = 15000;
+
+  // Fields whose change shows a card start took effect, rather than the player carrying on as before
+  static CARD_START_FIELDS = ['cardId', 'playbackStatus', 'chapterKey', 'trackKey'];
+
+  // What the player's normalized state (PlayerStateStore) must look like for each command to count as confirmed.
+  // context is { topic, changedFields, sentAt }; only state reported after the command was sent counts
+  static EXPECTATIONS = {
+    'card/start': (state, expected, { changedFields }) =>
+      state.playbackStatus === 'playing' &&
+      state.cardId === expected.cardId &&
+      changedFields.some(field => CommandTracker.CARD_START_FIELDS.includes(field)),
+    'card/pause': (state, expected, context) =>
+      state.playbackStatus === 'paused' && CommandTracker.reportedSince(state, 'playbackStatus', context.sentAt),
+    'card/resume': (state, expected, context) =>
+      state.playbackStatus === 'playing' && CommandTracker.reportedSince(state, 'playbackStatus', context.sentAt),
+    'card/stop': (state, expected, context) =>
+      state.playbackStatus === 'stopped' && CommandTracker.reportedSince(state, 'playbackStatus', context.sentAt),
+    'ambients': (state, expected, context) => CommandTracker.reportedSince(state, 'ambientColor', context.sentAt),
+    'night-light': (state, expected, context) => CommandTracker.reportedSince(state, 'nightLightOn', context.sentAt),
+  };
+
+  // Whether the player reported this field (changed or not) at or after the given time
+  static reportedSince(state, field, time) {
+    return (state.updatedAt?.[field] ?? -Infinity) >= time;
+  }
+
+  constructor() {
+    this.pending = new Set();
+  }
+
+  // Start waiting for a command's confirmation; call before publishing so a fast reply isn't missed
+  // Returns { promise, cancel }. The promise resolves with { command, topic, state, confirmedAt, latencyMs }
+  track(playerId, command, expected = {}, timeoutMs = CommandTracker.DEFAULT_TIMEOUT_MS) {
+    const matches = CommandTracker.EXPECTATIONS[command];
+    if (!matches) {
+      throw new Error(`No confirmation rule for command: ${command}`);
+    }
+
+    const entry = { playerId, command, expected, matches, sentAt: Date.now() };
+
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    // Callers that cancel may never await the promise
+    entry.promise.catch(() => {});
+
+    entry.timer = setTimeout(() => {
+      const error = new Error(`Player did not confirm ${command} within ${Math.round(timeoutMs / 1000)}s`);
+      error.code = 'COMMAND_TIMEOUT';
+      this.settle(entry, error);
+    }, timeoutMs);
+
+    this.pending.add(entry);
+    console.log(`⏳ [ACK] Waiting for ${command} confirmation from ${playerId}`);
+
+    return {
+      promise: entry.promise,
+      cancel: (reason = 'Command cancelled') => this.settle(entry, new Error(reason)),
+    };
+  }
+
+  // Feed every parsed message from the subscribed device topics through here, after the player state store
+  // has applied it: state is the store's state and changedFields what this message changed
+  handleMessage(topic, message, state, changedFields = []) {
+    if (this.pending.size === 0 || !message || typeof message !== 'object') return;
+
+    for (const entry of [...this.pending]) {
+      if (!topic.startsWith(`device/${entry.playerId}/`)) continue;
+
+      // The command response only proves receipt, but a non-OK result is a definite failure
+      if (topic.endsWith('/response')) {
+        const response = message.status && typeof message.status === 'object' ? message.status : message;
+        const result = response[entry.command];
+        if (result !== undefined && result !== 'OK') {
+          const error = new Error(`Player rejected ${entry.command}: ${result}`);
+          error.code = 'COMMAND_REJECTED';
+          this.settle(entry, error);
+        }
+        continue;
+      }
+
+      if (entry.matches(state, entry.expected, { topic, changedFields, sentAt: entry.sentAt })) {
+        const confirmedAt = Date.now();
+        console.log(`✅ [ACK] ${entry.command} confirmed by ${topic} after ${confirmedAt - entry.sentAt}ms`);
+        this.settle(entry, null, {
+          command: entry.command,
+          topic,
+          state,
+          confirmedAt: new Date(confirmedAt),
+          latencyMs: confirmedAt - entry.sentAt,
+        });
+      }
+    }
+  }
+
+  // Reject everything still waiting, e.g. on disconnect
+  rejectAll(reason) {
+    for (const entry of [...this.pending]) {
+      this.settle(entry, new Error(reason));
+    }
+  }
+
+  settle(entry, error, confirmation) {
+    if (!this.pending.has(entry)) return;
+
+    clearTimeout(entry.timer);
+    this.pending.delete(entry);
+
+    if (error) {
+      console.log(`⚠️ [ACK] ${entry.command} not confirmed: ${error.message}`);
+      entry.reject(error);
+    } else {
+      entry.resolve(confirmation);
+    }
+  }
+}
@@ -0,0 +1,119 @@
+import { MqttClient } from './mqttService';
+import { YotoAPI } from './apiService';
+import { getValidAccessToken } from '../utils/tokenUtils';
+import { YOTO_CLIENT_ID } from '../config/env';
+
+// Holds one MQTT session per player so schedules can reach any player,
+// not just the one currently open in the app
+export class ConnectionManager {
+  // playerId -> { player, client, connecting: Promise | null }
+  static sessions = new Map();
+
+  // Register the account's players (from YotoAPI.getPlayers())
+  static setPlayers(players = []) {
+    players.forEach(player => {
+      const session = this.sessions.get(player.id);
+      if (session) {
+        session.player = player;
+      } else {
+        this.sessions.set(player.id, { player, client: null, connecting: null });
+      }
+    });
+  }
+
+  static async loadPlayers() {
+    const players = await YotoAPI.getPlayers();
+    this.setPlayers(players);
+    return players;
+  }
+
+  static getPlayer(playerId) {
+    return this.sessions.get(playerId)?.player || null;
+  }
+
+  // Adopt a client that was connected elsewhere (e.g. the player open in the app)
+  static registerClient(player, client) {
+    const session = this.sessions.get(player.id);
+    if (session?.client && session.client !== client) {
+      session.client.disconnect();
+    }
+    this.sessions.set(player.id, { player: session?.player || player, client, connecting: null });
+    console.log(`🔗 [CONNECTIONS] Registered session for ${player.name || player.id}`);
+  }
+
+  // The player's client if it has one, without connecting
+  static getExistingClient(playerId) {
+    return this.sessions.get(playerId)?.client || null;
+  }
+
+  // Get a healthy client for a player, reusing its session or connecting on demand
+  static async getClient(playerId) {
+    const session = this.sessions.get(playerId) || { player: { id: playerId }, client: null, connecting: null };
+    this.sessions.set(playerId, session);
+
+    if (session.client?.isConnectionHealthy()) {
+      return session.client;
+    }
+
+    // Share one connection attempt between concurrent callers
+    if (!session.connecting) {
+      session.connecting = this.openSession(session).finally(() => {
+        session.connecting = null;
+      });
+    }
+    return session.connecting;
+  }
+
+  static async openSession(session) {
+    const { player } = session;
+    console.log(`🔌 [CONNECTIONS] Opening session for ${player.name || player.id}`);
+
+    // A dropped client that is still retrying keeps its identity (the app may hold it),
+    // so retry it now instead of opening a second connection; one that gave up is replaced
+    if (session.client?.shouldReconnect) {
+      if (await session.client.reconnectNow()) {
+        return session.client;
+      }
+      throw new Error(`Could not reconnect to ${player.name || player.id}`);
+    }
+    if (session.client) {
+      session.client.disconnect();
+    }
+
+    const token = await getValidAccessToken(YOTO_CLIENT_ID);
+    if (!token) {
+      throw new Error('Authentication failed. Please log in again.');
+    }
+
+    const client = new MqttClient();
+    try {
+      await client.connect(player.id, token);
+    } catch (error) {
+      client.disconnect();
+      throw error;
+    }
+    session.client = client;
+
+    console.log(`✅ [CONNECTIONS] Session ready for ${player.name || player.id}`);
+    return client;
+  }
+
+  static disconnect(playerId) {
+    const session = this.sessions.get(playerId);
+    if (session?.client) {
+      console.log(`🔌 [CONNECTIONS] Closing session for ${session.player.name || playerId}`);
+      session.client.disconnect();
+      session.client = null;
+    }
+  }
+
+  static disconnectAll() {
+    this.sessions.forEach((session, playerId) => this.disconnect(playerId));
+  }
+
+  // Forget every player, e.g. on logout
+  static clear() {
+    this.disconnectAll();
+    this.sessions.clear();
+  }
+}
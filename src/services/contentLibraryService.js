@@ -0,0 +1,179 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createWriteQueue } from '../utils/async';
+
+// The user's card library as the content browser sees it: favourites,
+// text search, filters by content type and length, and sort orders
+export class ContentLibraryService {
+  static FAVOURITES_KEY = 'yoto_favourite_cards';
+
+  static DURATION_FILTERS = {
+    ANY: 'any',
+    SHORT: 'short',   // Under 15 minutes
+    MEDIUM: 'medium', // 15 to 60 minutes
+    LONG: 'long',     // Over an hour
+  };
+
+  static DURATION_FILTER_LABELS = {
+    any: 'Any length',
+    short: '< 15 min',
+    medium: '15–60 min',
+    long: '> 1 hour',
+  };
+
+  static SORT_ORDERS = {
+    TITLE: 'title',
+    RECENT: 'recent',
+    SHORTEST: 'shortest',
+    LONGEST: 'longest',
+  };
+
+  static SORT_ORDER_LABELS = {
+    title: 'A–Z',
+    recent: 'Recently updated',
+    shortest: 'Shortest',
+    longest: 'Longest',
+  };
+
+  static ALL_CONTENT_TYPES = 'all';
+
+  // Favourite card ids, loaded once and kept in sync with storage
+  static favourites = new Set();
+  static listeners = new Set();
+
+  static writeQueue = createWriteQueue(error => console.error('❌ [LIBRARY] Failed to save favourites:', error));
+
+  static async loadFavourites() {
+    try {
+      const favouritesJson = await AsyncStorage.getItem(this.FAVOURITES_KEY);
+      this.favourites = new Set(favouritesJson ? JSON.parse(favouritesJson) : []);
+    } catch (error) {
+      console.error('❌ [LIBRARY] Failed to load favourites, keeping the last known ones:', error);
+    }
+    return this.favourites;
+  }
+
+  static isFavourite(cardId) {
+    return this.favourites.has(cardId);
+  }
+
+  static toggleFavourite(cardId) {
+    return this.writeQueue(async () => {
+      const favourites = new Set(this.favourites);
+      if (favourites.has(cardId)) {
+        favourites.delete(cardId);
+      } else {
+        favourites.add(cardId);
+      }
+      await AsyncStorage.setItem(this.FAVOURITES_KEY, JSON.stringify([...favourites]));
+      this.favourites = favourites;
+      this.notifyListeners();
+      return favourites.has(cardId);
+    });
+  }
+
+  // listener(favourites); returns an unsubscribe function
+  static onFavouritesChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  static notifyListeners() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.favourites);
+      } catch (error) {
+        console.error('❌ [LIBRARY] Favourites listener failed:', error);
+      }
+    });
+  }
+
+  // Total length in seconds from whichever field the content API filled in, or null if unknown
+  static getDurationSeconds(card) {
+    const direct = Number(card.duration ?? card.metadata?.media?.duration);
+    if (Number.isFinite(direct) && direct > 0) return direct;
+
+    const fromChapters = (card.chapters || []).reduce((total, chapter) => total + (Number(chapter.duration) || 0), 0);
+    return fromChapters > 0 ? fromChapters : null;
+  }
+
+  static formatDuration(seconds) {
+    if (!seconds) return null;
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${Math.max(1, minutes)} min`;
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+  }
+
+  static getUpdatedTime(card) {
+    const time = new Date(card.updatedAt || card.createdAt || 0).getTime();
+    return Number.isNaN(time) ? 0 : time;
+  }
+
+  // Distinct content types in the library, for the type filter
+  static getContentTypes(cards) {
+    return [...new Set(cards.map(card => card.contentType).filter(Boolean))].sort();
+  }
+
+  static matchesDuration(card, durationFilter) {
+    if (durationFilter === this.DURATION_FILTERS.ANY) return true;
+
+    const seconds = this.getDurationSeconds(card);
+    if (seconds === null) return false;
+    switch (durationFilter) {
+      case this.DURATION_FILTERS.SHORT:
+        return seconds < 15 * 60;
+      case this.DURATION_FILTERS.MEDIUM:
+        return seconds >= 15 * 60 && seconds <= 60 * 60;
+      case this.DURATION_FILTERS.LONG:
+        return seconds > 60 * 60;
+      default:
+        return true;
+    }
+  }
+
+  // Cards matching the search text and filters, in the chosen order; favourites come first
+  // except when sorting by length, where only the length counts
+  static filterAndSort(cards, {
+    query = '',
+    contentType = 'all',
+    duration = 'any',
+    sort = 'title',
+    favouritesOnly = false,
+  } = {}) {
+    const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+    const matching = cards.filter(card => {
+      if (favouritesOnly && !this.isFavourite(card.id)) return false;
+      if (contentType !== this.ALL_CONTENT_TYPES && card.contentType !== contentType) return false;
+      if (!this.matchesDuration(card, duration)) return false;
+
+      const text = `${card.title || ''} ${card.description || ''}`.toLowerCase();
+      return terms.every(term => text.includes(term));
+    });
+
+    const byTitle = (a, b) => (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base' });
+    // Unknown lengths go last in either direction
+    const byLength = (direction) => (a, b) => {
+      const aSeconds = this.getDurationSeconds(a);
+      const bSeconds = this.getDurationSeconds(b);
+      if (aSeconds === null || bSeconds === null) return (aSeconds === null) - (bSeconds === null);
+      return (aSeconds - bSeconds) * direction;
+    };
+
+    const compare = {
+      [this.SORT_ORDERS.TITLE]: byTitle,
+      [this.SORT_ORDERS.RECENT]: (a, b) => this.getUpdatedTime(b) - this.getUpdatedTime(a),
+      [this.SORT_ORDERS.SHORTEST]: byLength(1),
+      [this.SORT_ORDERS.LONGEST]: byLength(-1),
+    }[sort] || byTitle;
+    const favouritesFirst = sort === this.SORT_ORDERS.TITLE || sort === this.SORT_ORDERS.RECENT;
+
+    return [...matching].sort((a, b) => {
+      if (favouritesFirst) {
+        const favouriteOrder = this.isFavourite(b.id) - this.isFavourite(a.id);
+        if (favouriteOrder !== 0) return favouriteOrder;
+      }
+      return compare(a, b) || byTitle(a, b);
+    });
+  }
+}
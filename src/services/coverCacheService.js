@@ -0,0 +1,85 @@
+import * as FileSystem from 'expo-file-system/legacy';
+
+// Card cover images kept in the app's cache directory, so the library grid
+// doesn't download every cover again on each visit and still shows them offline
+export class CoverCacheService {
+  static CACHE_DIR = `${FileSystem.cacheDirectory}covers/`;
+
+  // Remote url -> local file uri, for covers already on disk
+  static cachedUris = new Map();
+  // Remote url -> download in flight, so a cover shown twice is only fetched once
+  static pendingDownloads = new Map();
+  static dirReady = null;
+
+  static ensureDir() {
+    if (!this.dirReady) {
+      // With intermediates an existing directory isn't an error
+      this.dirReady = FileSystem.makeDirectoryAsync(this.CACHE_DIR, { intermediates: true })
+        .catch(error => {
+          this.dirReady = null;
+          throw error;
+        });
+    }
+    return this.dirReady;
+  }
+
+  // File name for a url: a hash of it, keeping the image extension when there is one
+  static getFileName(url) {
+    let hash = 5381;
+    for (let i = 0; i < url.length; i++) {
+      hash = ((hash * 33) ^ url.charCodeAt(i)) >>> 0;
+    }
+    const extension = /\.(jpe?g|png|webp|gif)(?:\?|$)/i.exec(url)?.[1]?.toLowerCase() || 'img';
+    return `${hash.toString(36)}-${url.length}.${extension}`;
+  }
+
+  // The local uri of a cover, downloading it first if needed.
+  // Falls back to the remote url if the cover can't be cached, so the image still loads when online
+  static async getCoverUri(url) {
+    if (!url) return null;
+    if (this.cachedUris.has(url)) return this.cachedUris.get(url);
+    if (this.pendingDownloads.has(url)) return this.pendingDownloads.get(url);
+
+    const download = (async () => {
+      try {
+        await this.ensureDir();
+        const path = this.CACHE_DIR + this.getFileName(url);
+        const info = await FileSystem.getInfoAsync(path);
+        if (!info.exists) {
+          const result = await FileSystem.downloadAsync(url, path);
+          if (result.status !== 200) {
+            await FileSystem.deleteAsync(path, { idempotent: true });
+            throw new Error(`HTTP ${result.status}`);
+          }
+        }
+        this.cachedUris.set(url, path);
+        return path;
+      } catch (error) {
+        console.log(`⚠️ [COVERS] Could not cache cover ${url}: ${error.message}`);
+        return url;
+      } finally {
+        this.pendingDownloads.delete(url);
+      }
+    })();
+
+    this.pendingDownloads.set(url, download);
+    return download;
+  }
+
+  // The local uri if the cover is already cached, without touching the disk; otherwise null
+  static getCachedUri(url) {
+    return (url && this.cachedUris.get(url)) || null;
+  }
+
+  static async clear() {
+    try {
+      await FileSystem.deleteAsync(this.CACHE_DIR, { idempotent: true });
+      console.log('🗑️ [COVERS] Cover cache cleared');
+    } catch (error) {
+      console.error('❌ [COVERS] Failed to clear cover cache:', error);
+    } finally {
+      this.cachedUris.clear();
+      this.dirReady = null;
+    }
+  }
+}
@@ -0,0 +1,150 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createWriteQueue } from '../utils/async';
+
+export class ExecutionHistoryService {
+  static HISTORY_KEY = 'yoto_execution_history';
+  static MAX_ENTRIES = 500;
+
+  // Where an execution attempt came from
+  static SOURCES = {
+    FOREGROUND: 'foreground',
+    BACKGROUND_FETCH: 'background_fetch',
+    NOTIFICATION_TAP: 'notification_tap',
+    MANUAL: 'manual',
+    QUEUE_REPLAY: 'queue_replay', // Sent from the offline queue once the player reconnected
+  };
+
+  static OUTCOMES = {
+    SUCCESS: 'success',         // The player confirmed the card started
+    UNCONFIRMED: 'unconfirmed', // The command was sent but the player never confirmed it
+    QUEUED: 'queued',           // The player was offline; the command waits in the offline queue
+    FAILED: 'failed',
+    MISSED: 'missed',
+    SUPERSEDED: 'superseded',   // Not run: a higher-priority schedule had the player (see SchedulerService.resolveDueSchedules)
+  };
+
+  static writeQueue = createWriteQueue(error => console.error('❌ [HISTORY] Failed to update history:', error));
+
+  // History entry structure:
+  // {
+  //   id: string,
+  //   scheduleId: string,
+  //   cardTitle: string,
+  //   playerId: string,
+  //   playerName: string,
+  //   plannedTime: Date | null,
+  //   actualTime: Date,
+  //   source: 'foreground' | 'background_fetch' | 'notification_tap' | 'manual' | 'queue_replay',
+  //   mqttHealth: { clientAvailable: boolean, healthy: boolean },
+  //   outcome: 'success' | 'unconfirmed' | 'queued' | 'failed' | 'missed' | 'superseded',
+  //   errorMessage: string | null,
+  //   confirmation: { confirmedAt: Date, latencyMs: number } | null,
+  //   stepResults: { stepId, type, success, unconfirmed, attempts, error }[] | null // Routines only
+  // }
+
+  // Record an execution attempt (oldest entries are dropped past MAX_ENTRIES)
+  static recordExecution(entryData) {
+    const entry = {
+      id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+      scheduleId: entryData.schedule?.id || entryData.scheduleId,
+      cardTitle: entryData.schedule?.cardTitle || entryData.cardTitle,
+      playerId: entryData.schedule?.playerId || entryData.playerId,
+      playerName: entryData.schedule?.playerName || entryData.playerName,
+      plannedTime: entryData.plannedTime || null,
+      actualTime: entryData.actualTime || new Date(),
+      source: entryData.source || this.SOURCES.FOREGROUND,
+      mqttHealth: entryData.mqttHealth || { clientAvailable: false, healthy: false },
+      outcome: entryData.outcome,
+      errorMessage: entryData.errorMessage || null,
+      confirmation: entryData.confirmation || null,
+      stepResults: entryData.stepResults || null,
+    };
+
+    return this.writeQueue(async () => {
+      const history = await this.loadHistory();
+      history.push(entry);
+      await this.saveHistory(history.slice(-this.MAX_ENTRIES));
+      console.log(`📜 [HISTORY] Recorded ${entry.outcome} run of "${entry.cardTitle}" (${entry.source})`);
+      return entry;
+    });
+  }
+
+  // Describe an MQTT client's health for a history entry
+  static describeMqttHealth(mqttClient) {
+    return {
+      clientAvailable: !!mqttClient,
+      healthy: !!mqttClient?.isConnectionHealthy?.(),
+    };
+  }
+
+  // Query history, newest first
+  // Filters: { scheduleId, playerId, outcome, source, since, until, limit }
+  static async getHistory(filters = {}) {
+    const history = await this.loadHistory();
+
+    const matches = history.filter(entry => {
+      if (filters.scheduleId && entry.scheduleId !== filters.scheduleId) return false;
+      if (filters.playerId && entry.playerId !== filters.playerId) return false;
+      if (filters.outcome && entry.outcome !== filters.outcome) return false;
+      if (filters.source && entry.source !== filters.source) return false;
+      if (filters.since && entry.actualTime < new Date(filters.since)) return false;
+      if (filters.until && entry.actualTime > new Date(filters.until)) return false;
+      return true;
+    });
+
+    matches.sort((a, b) => b.actualTime - a.actualTime);
+    return filters.limit ? matches.slice(0, filters.limit) : matches;
+  }
+
+  static async getHistoryForSchedule(scheduleId, limit) {
+    return this.getHistory({ scheduleId, limit });
+  }
+
+  static async getHistoryForPlayer(playerId, limit) {
+    return this.getHistory({ playerId, limit });
+  }
+
+  // Most recent entry for a schedule, or null
+  static async getLastExecution(scheduleId) {
+    const [latest] = await this.getHistory({ scheduleId, limit: 1 });
+    return latest || null;
+  }
+
+  // Success/failure/missed counts for a set of entries
+  static summarize(entries) {
+    return entries.reduce((summary, entry) => {
+      summary.total++;
+      summary[entry.outcome] = (summary[entry.outcome] || 0) + 1;
+      return summary;
+    }, { total: 0, success: 0, unconfirmed: 0, queued: 0, failed: 0, missed: 0, superseded: 0 });
+  }
+
+  static async clearHistory() {
+    await this.writeQueue(() => AsyncStorage.removeItem(this.HISTORY_KEY));
+    console.log('🧹 [HISTORY] Execution history cleared');
+  }
+
+  static async loadHistory() {
+    try {
+      const historyJson = await AsyncStorage.getItem(this.HISTORY_KEY);
+      if (!historyJson) return [];
+
+      // Convert date strings back to Date objects
+      return JSON.parse(historyJson).map(entry => ({
+        ...entry,
+        plannedTime: entry.plannedTime ? new Date(entry.plannedTime) : null,
+        actualTime: new Date(entry.actualTime),
+        confirmation: entry.confirmation
+          ? { ...entry.confirmation, confirmedAt: new Date(entry.confirmation.confirmedAt) }
+          : null,
+      }));
+    } catch (error) {
+      console.error('❌ [HISTORY] Failed to load history:', error);
+      return [];
+    }
+  }
+
+  static async saveHistory(history) {
+    await AsyncStorage.setItem(this.HISTORY_KEY, JSON.stringify(history));
+  }
+}
@@ -1,13 +1,14 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as Notifications from 'expo-notifications';
+import { ExecutionHistoryService } from './executionHistoryService';
+import { SchedulerService } from './simpleSchedulerService';
 
 /**
  * Expo Go Compatible Background Scheduler
  * Provides basic background scheduling using notifications as fallback
+ * Schedules themselves live in SchedulerService's repository; this service only manages their notifications
  */
 class ExpoGoSchedulerService {
   constructor() {
-    this.schedules = new Map();
     this.initialized = false;
   }
 
@@ -52,38 +53,28 @@ class ExpoGoSchedulerService {
 
   async loadSchedules() {
     try {
-      const stored = await AsyncStorage.getItem('expogo_schedules');
-      if (stored) {
-        const schedules = JSON.parse(stored);
-        for (const schedule of schedules) {
-          this.schedules.set(schedule.id, schedule);
-          // Schedule notification for each
-          await this.scheduleNotification(schedule);
-        }
-        console.log(`📅 [EXPO-SCHEDULER] Loaded ${schedules.length} schedules`);
+      const schedules = await SchedulerService.getAllSchedules();
+      for (const schedule of schedules.filter(schedule => schedule.isEnabled)) {
+        // Schedule notification for each
+        await this.scheduleNotification(schedule);
       }
+      console.log(`📅 [EXPO-SCHEDULER] Loaded ${schedules.length} schedules`);
     } catch (error) {
       console.error('❌ [EXPO-SCHEDULER] Failed to load schedules:', error);
     }
   }
 
-  async saveSchedules() {
-    try {
-      const schedules = Array.from(this.schedules.values());
-      await AsyncStorage.setItem('expogo_schedules', JSON.stringify(schedules));
-    } catch (error) {
-      console.error('❌ [EXPO-SCHEDULER] Failed to save schedules:', error);
-    }
-  }
-
   async addSchedule(schedule) {
     try {
-      this.schedules.set(schedule.id, schedule);
-      await this.scheduleNotification(schedule);
-      await this.saveSchedules();
+      // Update a stored schedule with the same id, otherwise create it; either way it's migrated to the current shape
+      const existing = schedule.id ? await SchedulerService.getSchedule(schedule.id) : null;
+      const saved = existing
+        ? await SchedulerService.updateSchedule(schedule.id, SchedulerService.migrateSchedule(schedule))
+        : await SchedulerService.createSchedule(schedule);
+      await this.scheduleNotification(saved);
       
-      console.log(`📅 [EXPO-SCHEDULER] Schedule added: ${schedule.cardTitle} at ${schedule.scheduledTime}`);
-      return { success: true, scheduleId: schedule.id };
+      console.log(`📅 [EXPO-SCHEDULER] Schedule added: ${saved.cardTitle} at ${saved.scheduledTime}`);
+      return { success: true, scheduleId: saved.id };
     } catch (error) {
       console.error('❌ [EXPO-SCHEDULER] Failed to add schedule:', error);
       return { success: false, error: error.message };
@@ -95,11 +86,11 @@ class ExpoGoSchedulerService {
       // Cancel existing notification
       await Notifications.cancelScheduledNotificationAsync(schedule.id);
       
-      const scheduledTime = new Date(schedule.scheduledTime);
-      const now = new Date();
+      // The notification fires at the schedule's next occurrence, which it carries as the planned time for history
+      const scheduledTime = SchedulerService.getNextOccurrence(schedule);
       
-      if (scheduledTime <= now) {
-        console.log('⚠️ [EXPO-SCHEDULER] Schedule is in the past, skipping notification');
+      if (!scheduledTime) {
+        console.log('⚠️ [EXPO-SCHEDULER] Schedule has no upcoming occurrence, skipping notification');
         return;
       }
 
@@ -114,8 +105,10 @@ class ExpoGoSchedulerService {
             cardId: schedule.cardId,
             cardTitle: schedule.cardTitle,
             cardUri: schedule.cardUri,
+            playbackOptions: schedule.playbackOptions || null,
             playerId: schedule.playerId,
             playerName: schedule.playerName,
+            plannedTime: scheduledTime.toISOString(),
           },
           sound: true,
         },
@@ -132,9 +125,8 @@ class ExpoGoSchedulerService {
 
   async removeSchedule(scheduleId) {
     try {
-      this.schedules.delete(scheduleId);
+      await SchedulerService.deleteSchedule(scheduleId);
       await Notifications.cancelScheduledNotificationAsync(scheduleId);
-      await this.saveSchedules();
       
       console.log(`🗑️ [EXPO-SCHEDULER] Schedule removed: ${scheduleId}`);
       return { success: true };
@@ -145,7 +137,7 @@ class ExpoGoSchedulerService {
   }
 
   async getSchedules() {
-    return Array.from(this.schedules.values());
+    return SchedulerService.getAllSchedules();
   }
 
   getCapabilities() {
@@ -171,16 +163,46 @@ class ExpoGoSchedulerService {
       if (data.scheduleId && data.cardUri && data.playerId) {
         console.log('🔔 [EXPO-SCHEDULER] User tapped notification, attempting to play card');
         
+        const mqttHealth = ExecutionHistoryService.describeMqttHealth(mqttClient);
+        let outcome = ExecutionHistoryService.OUTCOMES.FAILED;
+        let errorMessage = null;
+        let confirmation = null;
+        
         try {
-          if (mqttClient && mqttClient.isConnected()) {
-            await mqttClient.playCard(data.playerId, data.cardUri);
-            console.log(`✅ [EXPO-SCHEDULER] Played "${data.cardTitle}" via notification`);
+          if (mqttHealth.healthy) {
+            const { confirmedAt, latencyMs } = await mqttClient.playCardAndConfirm(
+              data.playerId,
+              data.cardUri,
+              SchedulerService.getPlaybackOptions(data)
+            );
+            confirmation = { confirmedAt, latencyMs };
+            outcome = ExecutionHistoryService.OUTCOMES.SUCCESS;
+            console.log(`✅ [EXPO-SCHEDULER] "${data.cardTitle}" started via notification`);
           } else {
+            errorMessage = 'MQTT client not available';
             console.warn('⚠️ [EXPO-SCHEDULER] MQTT client not available, card not played');
           }
         } catch (error) {
+          errorMessage = error.message;
+          if (error.code === 'COMMAND_TIMEOUT') {
+            outcome = ExecutionHistoryService.OUTCOMES.UNCONFIRMED;
+          }
           console.error('❌ [EXPO-SCHEDULER] Failed to play card from notification:', error);
         }
+        
+        await ExecutionHistoryService.recordExecution({
+          scheduleId: data.scheduleId,
+          cardTitle: data.cardTitle,
+          playerId: data.playerId,
+          playerName: data.playerName,
+          // Notifications scheduled before plannedTime was added were delivered at their occurrence
+          plannedTime: new Date(data.plannedTime || response.notification.date),
+          source: ExecutionHistoryService.SOURCES.NOTIFICATION_TAP,
+          mqttHealth,
+          outcome,
+          errorMessage,
+          confirmation
+        }).catch(() => {});
       }
     });
   }
@@ -0,0 +1,76 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createWriteQueue } from '../utils/async';
+import { getDeviceTimeZone, isValidTimeZone } from '../utils/timezone';
+import { isValidLocation } from '../utils/solar';
+
+// Where the players live: the home's time zone, used for new schedules
+// even when the phone travels to another zone, and its location for sunrise/sunset triggers
+export class HomeSettingsService {
+  static STORAGE_KEY = 'yoto_home_settings';
+
+  // Settings structure:
+  // {
+  //   timeZone: string | null,  // IANA zone, e.g. 'Europe/London'; null follows the phone
+  //   latitude: number | null,  // Degrees, north positive
+  //   longitude: number | null  // Degrees, east positive
+  // }
+
+  static DEFAULT_SETTINGS = {
+    timeZone: null,
+    latitude: null,
+    longitude: null,
+  };
+
+  // The last loaded settings, so synchronous code (schedule checks, forms) can use them
+  static settings = this.DEFAULT_SETTINGS;
+
+  static writeQueue = createWriteQueue(error => console.error('❌ [HOME] Failed to save home settings:', error));
+
+  static async load() {
+    try {
+      const settingsJson = await AsyncStorage.getItem(this.STORAGE_KEY);
+      this.settings = { ...this.DEFAULT_SETTINGS, ...(settingsJson ? JSON.parse(settingsJson) : {}) };
+    } catch (error) {
+      console.error('❌ [HOME] Failed to load home settings, keeping the last known ones:', error);
+    }
+    return this.settings;
+  }
+
+  static getSettings() {
+    return this.settings;
+  }
+
+  // The home's zone, or the phone's zone if none is set
+  static getTimeZone() {
+    return this.settings.timeZone || getDeviceTimeZone();
+  }
+
+  static setTimeZone(timeZone) {
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return Promise.reject(new Error(`Unknown time zone "${timeZone}"`));
+    }
+    return this.updateSettings(settings => ({ ...settings, timeZone: timeZone || null }));
+  }
+
+  // { latitude, longitude }, or null if the home location isn't set
+  static getLocation() {
+    const { latitude, longitude } = this.settings;
+    return isValidLocation(latitude, longitude) ? { latitude, longitude } : null;
+  }
+
+  static setLocation(latitude, longitude) {
+    if (!isValidLocation(latitude, longitude)) {
+      return Promise.reject(new Error('Latitude must be between -90 and 90, longitude between -180 and 180'));
+    }
+    return this.updateSettings(settings => ({ ...settings, latitude, longitude }));
+  }
+
+  static updateSettings(update) {
+    return this.writeQueue(async () => {
+      const settings = update(await this.load());
+      await AsyncStorage.setItem(this.STORAGE_KEY, JSON.stringify(settings));
+      this.settings = settings;
+      return settings;
+    });
+  }
+}
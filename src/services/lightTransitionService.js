@@ -0,0 +1,250 @@
+import { cancellableSleep } from '../utils/async';
+
+// Gradual ambient light changes: interpolates colour and brightness over a duration
+// and publishes the intermediate colours to the player, e.g. a bedtime dim-down
+// or a sunrise ramp as a wake-up cue
+export class LightTransitionService {
+  static EASINGS = {
+    LINEAR: 'linear',
+    EASE_IN: 'ease_in',         // Slow start, e.g. for a dim-down that is barely noticeable at first
+    EASE_OUT: 'ease_out',       // Fast start, slow finish
+    EASE_IN_OUT: 'ease_in_out', // Slow at both ends
+  };
+
+  static PRESETS = {
+    DIM_DOWN: 'dim_down', // From the current colour down to off
+    SUNRISE: 'sunrise',   // Deep red through orange to warm white
+  };
+
+  static PRESET_LABELS = {
+    dim_down: '🌙 Dim down',
+    sunrise: '🌅 Sunrise',
+  };
+
+  // Colour a preset is shown with in lists
+  static PRESET_SWATCHES = {
+    dim_down: '#4B2A00',
+    sunrise: '#FF8000',
+  };
+
+  static DEFAULT_DURATION_MINUTES = 20;
+  static DEFAULT_DIM_DOWN_COLOR = '#FFF0E6';
+
+  // Publishes are at least this far apart, and skipped when the colour hasn't changed
+  static MIN_PUBLISH_INTERVAL_MS = 2000;
+  // How long a finished transition waits for a lost connection to come back to publish its final colour
+  static FINAL_PUBLISH_GRACE_MS = 60000;
+
+  // Transitions in progress, keyed by player id; a player runs one at a time
+  static activeRuns = new Map();
+  static listeners = new Set();
+
+  // Transition structure:
+  // {
+  //   label: string,
+  //   stops: { at: number, color: '#RRGGBB' | null, brightness: number }[], // at: 0-1, in order, first at 0 and last at 1;
+  //                                                                       // a null colour is the light's colour when the run starts
+  //   durationSeconds: number,
+  //   easing: 'linear' | 'ease_in' | 'ease_out' | 'ease_in_out'
+  // }
+
+  static createTransition(preset, durationMinutes = this.DEFAULT_DURATION_MINUTES) {
+    const durationSeconds = Math.max(1, Math.round(durationMinutes * 60));
+
+    switch (preset) {
+      case this.PRESETS.DIM_DOWN:
+        return {
+          label: this.PRESET_LABELS.dim_down,
+          stops: [
+            { at: 0, color: null, brightness: 100 },
+            { at: 1, color: null, brightness: 0 },
+          ],
+          durationSeconds,
+          easing: this.EASINGS.EASE_IN_OUT,
+        };
+      case this.PRESETS.SUNRISE:
+        return {
+          label: this.PRESET_LABELS.sunrise,
+          stops: [
+            { at: 0, color: '#8B0000', brightness: 5 },
+            { at: 0.4, color: '#FF3000', brightness: 35 },
+            { at: 0.7, color: '#FF8000', brightness: 65 },
+            { at: 1, color: '#FFF0E6', brightness: 100 },
+          ],
+          durationSeconds,
+          easing: this.EASINGS.EASE_IN,
+        };
+      default:
+        throw new Error(`Unknown light transition: ${preset}`);
+    }
+  }
+
+  static ease(easing, t) {
+    switch (easing) {
+      case this.EASINGS.EASE_IN:
+        return t * t;
+      case this.EASINGS.EASE_OUT:
+        return 1 - (1 - t) * (1 - t);
+      case this.EASINGS.EASE_IN_OUT:
+        return t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t);
+      default:
+        return t;
+    }
+  }
+
+  // The { r, g, b } to publish at a point in time (0-1) through the transition, with its easing applied
+  static getRgbAt(transition, progress) {
+    const eased = this.ease(transition.easing, Math.max(0, Math.min(1, progress)));
+    const { stops } = transition;
+    const nextIndex = stops.findIndex(stop => stop.at >= eased);
+    const to = stops[nextIndex === -1 ? stops.length - 1 : nextIndex];
+    const from = stops[Math.max(0, (nextIndex === -1 ? stops.length : nextIndex) - 1)];
+    const span = to.at - from.at;
+    const t = span > 0 ? (eased - from.at) / span : 1;
+
+    const fromRgb = hexToRgb(from.color);
+    const toRgb = hexToRgb(to.color);
+    const brightness = (from.brightness + (to.brightness - from.brightness) * t) / 100;
+    const channel = key => Math.round((fromRgb[key] + (toRgb[key] - fromRgb[key]) * t) * brightness);
+    return { r: channel('r'), g: channel('g'), b: channel('b') };
+  }
+
+  // Fill in null stop colours with the light's current colour, or warm white if it's off or unknown
+  static resolveCurrentColor(transition, mqttClient) {
+    const current = mqttClient?.getPlayerState?.().ambientColor;
+    const color = current && current !== '#000000' ? current : this.DEFAULT_DIM_DOWN_COLOR;
+    return {
+      ...transition,
+      stops: transition.stops.map(stop => (stop.color ? stop : { ...stop, color })),
+    };
+  }
+
+  static isRunning(playerId) {
+    return this.activeRuns.has(playerId);
+  }
+
+  // { transition, startedAt, progress } of the player's transition, or null
+  static getActive(playerId) {
+    const run = this.activeRuns.get(playerId);
+    if (!run) return null;
+    return {
+      transition: run.transition,
+      startedAt: run.startedAt,
+      progress: Math.min(1, (Date.now() - run.startedAt.getTime()) / (run.transition.durationSeconds * 1000)),
+    };
+  }
+
+  // Stop a player's transition where it is; the light keeps its last published colour
+  static cancel(playerId) {
+    const run = this.activeRuns.get(playerId);
+    if (run) {
+      console.log(`🛑 [LIGHT] Cancelling "${run.transition.label}" on ${playerId}`);
+      run.cancelled = true;
+    }
+  }
+
+  // listener({ type: 'started' | 'finished', playerId, transition, result? }); returns an unsubscribe function
+  static onTransitionChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  static notifyListeners(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('❌ [LIGHT] Transition listener failed:', error);
+      }
+    });
+  }
+
+  // Run a transition on a player, replacing any transition already running there.
+  // getMqttClient is called before each publish so a reconnected client is picked up;
+  // while the player is offline the transition keeps time and catches up when it's back.
+  // Resolves with { success, cancelled, publishes, error } once the final colour is sent
+  static async run(playerId, requestedTransition, getMqttClient) {
+    const previous = this.activeRuns.get(playerId);
+    if (previous) {
+      previous.cancelled = true;
+      await previous.finished;
+    }
+
+    const transition = this.resolveCurrentColor(requestedTransition, getMqttClient());
+    const run = { transition, startedAt: new Date(), cancelled: false, finished: null };
+    const durationMs = transition.durationSeconds * 1000;
+    let publishes = 0;
+    let lastRgb = null;
+    let finalSent = false;
+    let error = null;
+
+    console.log(`💡 [LIGHT] Starting "${transition.label}" on ${playerId} over ${Math.round(transition.durationSeconds / 60)} min`);
+
+    this.activeRuns.set(playerId, run);
+    run.finished = (async () => {
+      try {
+        while (!run.cancelled) {
+          const elapsedMs = Date.now() - run.startedAt.getTime();
+          const progress = Math.min(1, elapsedMs / durationMs);
+          const rgb = this.getRgbAt(transition, progress);
+          const mqttClient = getMqttClient();
+
+          if (mqttClient?.isConnectionHealthy?.()) {
+            if (!sameRgb(rgb, lastRgb)) {
+              try {
+                await mqttClient.setAmbientLight(playerId, rgb.r, rgb.g, rgb.b);
+                publishes++;
+                lastRgb = rgb;
+              } catch (publishError) {
+                // Try again on the next tick, from wherever the transition has got to by then
+                error = publishError;
+                console.error('❌ [LIGHT] Failed to publish transition step:', publishError);
+              }
+            }
+            if (progress >= 1 && sameRgb(rgb, lastRgb)) {
+              finalSent = true;
+              break;
+            }
+          }
+
+          if (progress >= 1 && elapsedMs - durationMs > this.FINAL_PUBLISH_GRACE_MS) {
+            break;
+          }
+
+          await cancellableSleep(this.MIN_PUBLISH_INTERVAL_MS, run);
+        }
+      } finally {
+        if (this.activeRuns.get(playerId) === run) {
+          this.activeRuns.delete(playerId);
+        }
+      }
+    })();
+
+    this.notifyListeners({ type: 'started', playerId, transition });
+    await run.finished;
+
+    const result = {
+      success: finalSent,
+      cancelled: run.cancelled,
+      publishes,
+      error: finalSent || run.cancelled
+        ? null
+        : `Player went offline before the light reached its final colour${error ? ` (${error.message})` : ''}`,
+    };
+
+    console.log(`🏁 [LIGHT] "${transition.label}" on ${playerId} finished:`, result);
+    this.notifyListeners({ type: 'finished', playerId, transition, result });
+    return result;
+  }
+}
+
+function sameRgb(a, b) {
+  return !!a && !!b && a.r === b.r && a.g === b.g && a.b === b.b;
+}
+
+function hexToRgb(hex) {
+  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex || '');
+  return result
+    ? { r: parseInt(result[1], 16), g: parseInt(result[2], 16), b: parseInt(result[3], 16) }
+    : { r: 255, g: 255, b: 255 };
+}
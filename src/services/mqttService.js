@@ -1,5 +1,147 @@
 import mqtt from 'mqtt';
-import { MQTT_BROKER_URL, MQTT_KEEPALIVE, MQTT_PORT, IS_DEV } from '../config/env';
+import {
+  MQTT_BROKER_URL,
+  MQTT_KEEPALIVE,
+  MQTT_PORT,
+  MQTT_RECONNECT_BASE_DELAY,
+  MQTT_RECONNECT_MAX_DELAY,
+  YOTO_CLIENT_ID,
+  IS_DEV
+} from '../config/env';
+import { getValidAccessToken } from '../utils/tokenUtils';
+import { CommandTracker } from './commandTracker';
+import { CommandQueueService } from './commandQueueService';
+
+// Normalized view of a player, built from every message on its subscribed topics.
+// Each field keeps the time it was last reported so callers can tell fresh values from stale ones.
+export class PlayerStateStore {
+  static FIELDS = [
+    'cardId',
+    'chapterKey',
+    'chapterTitle',
+    'trackKey',
+    'trackTitle',
+    'position',        // Seconds into the current track
+    'trackLength',     // Seconds
+    'playbackStatus',  // 'playing' | 'paused' | 'stopped'
+    'volume',
+    'sleepTimerActive',
+    'ambientColor',    // '#RRGGBB'
+    'nightLightOn',
+    'nightLightColor', // '#RRGGBB' or null
+    'batteryLevel',    // 0-100
+    'isCharging',
+    'isOnline',
+  ];
+
+  constructor() {
+    this.listeners = new Set();
+    this.reset();
+  }
+
+  reset() {
+    this.values = Object.fromEntries(PlayerStateStore.FIELDS.map(field => [field, null]));
+    this.updatedAt = {};
+  }
+
+  // Current state: { ...fields, updatedAt: { field: timestamp } }
+  getState() {
+    return { ...this.values, updatedAt: { ...this.updatedAt } };
+  }
+
+  // listener(state, changedFields); returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Parse a device message and apply whatever fields it carries
+  // Returns the names of the fields that changed
+  applyMessage(topic, message) {
+    // Command results carry no player state
+    if (topic.endsWith('/response') || !message || typeof message !== 'object') return [];
+    return this.apply({ ...PlayerStateStore.parseMessage(topic, message), isOnline: true });
+  }
+
+  apply(updates) {
+    const now = Date.now();
+    const changedFields = [];
+
+    Object.entries(updates).forEach(([field, value]) => {
+      if (value === undefined || !PlayerStateStore.FIELDS.includes(field)) return;
+      this.updatedAt[field] = now;
+      if (this.values[field] !== value) {
+        this.values[field] = value;
+        changedFields.push(field);
+      }
+    });
+
+    if (changedFields.length > 0) {
+      const state = this.getState();
+      this.listeners.forEach(listener => {
+        try {
+          listener(state, changedFields);
+        } catch (error) {
+          console.error('❌ [MQTT] Player state listener failed:', error);
+        }
+      });
+    }
+
+    return changedFields;
+  }
+
+  // Map the different payload shapes onto state fields (undefined = not in this message)
+  static parseMessage(topic, message) {
+    // Status messages wrap their fields in a 'status' object
+    const data = message.status && typeof message.status === 'object' ? message.status : message;
+    const toNumber = (value) => (typeof value === 'number' ? value : undefined);
+    const updates = {
+      chapterKey: data.chapterKey,
+      chapterTitle: data.chapterTitle,
+      trackKey: data.trackKey,
+      trackTitle: data.trackTitle,
+      position: toNumber(data.position),
+      trackLength: toNumber(data.trackLength),
+      playbackStatus: data.playbackStatus,
+      volume: toNumber(data.volume ?? data.userVolume),
+      sleepTimerActive: typeof data.sleepTimerActive === 'boolean' ? data.sleepTimerActive : undefined,
+      isOnline: typeof (data.isOnline ?? data.online) === 'boolean' ? (data.isOnline ?? data.online) : undefined,
+    };
+
+    const cardId = data.cardId ?? data.activeCard;
+    if (cardId !== undefined) {
+      updates.cardId = cardId && cardId !== 'none' ? cardId : null;
+    }
+
+    if (topic.endsWith('/ambients') && [data.r, data.g, data.b].every(value => typeof value === 'number')) {
+      updates.ambientColor = '#' + [data.r, data.g, data.b]
+        .map(value => value.toString(16).padStart(2, '0'))
+        .join('')
+        .toUpperCase();
+    }
+
+    // Night light mode is 'off' or a colour like '0x194a55'
+    if (typeof data.nightlightMode === 'string') {
+      const isOff = data.nightlightMode === 'off' || data.nightlightMode === '0x000000';
+      updates.nightLightOn = !isOff;
+      updates.nightLightColor = !isOff && data.nightlightMode.startsWith('0x')
+        ? `#${data.nightlightMode.slice(2).toUpperCase()}`
+        : null;
+    }
+
+    const batteryLevel = toNumber(data.batteryLevel ?? (topic.endsWith('/battery') ? data.level : undefined));
+    if (batteryLevel !== undefined && batteryLevel >= 0 && batteryLevel <= 100) {
+      updates.batteryLevel = batteryLevel;
+    }
+
+    const charging = data.charging ?? data.isCharging ?? data.pluggedIn;
+    if (charging !== undefined) {
+      updates.isCharging = !!charging;
+    }
+
+    return updates;
+  }
+}
 
 export class MqttClient {
   constructor() {
@@ -12,6 +154,16 @@ export class MqttClient {
     this.schedulerCheckInterval = null;
     this.batteryPollingTimer = null;
     this.currentPlayerId = null;
+    this.commandTracker = new CommandTracker();
+    this.playerState = new PlayerStateStore();
+    
+    // Reconnect state (the loop only runs after a successful connect and stops on disconnect)
+    this.shouldReconnect = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.reconnectInProgress = false;
+    this.reconnectPromise = null;
+    this.nextRetryAt = null;
     
     // Track all timers for proper cleanup
     this.activeTimers = new Set();
@@ -38,7 +190,7 @@ export class MqttClient {
         protocol: "wss",
         username: username,
         password: token,
-        reconnectPeriod: 0,               // Disable automatic reconnect (we'll handle manually)
+        reconnectPeriod: 0,               // Disable mqtt.js reconnect, we reconnect with a fresh token instead
         clientId: clientId,
         ALPNProtocols: ["x-amzn-mqtt-ca"], // CRITICAL: AWS IoT ALPN protocol
       };
@@ -49,7 +201,8 @@ export class MqttClient {
       });
 
       // Create MQTT client
-      this.client = mqtt.connect(brokerUrl, options);
+      const client = mqtt.connect(brokerUrl, options);
+      this.client = client;
 
       console.log('🚀 [MQTT] Initiating connection...');
 
@@ -60,14 +213,27 @@ export class MqttClient {
           reject(new Error('Connection timeout'));
         }, 30000);
 
-        this.client.on('connect', (connack) => {
+        // Events from a client we've already replaced are ignored
+        const isCurrentClient = () => this.client === client;
+
+        client.on('connect', (connack) => {
           clearTimeout(timeout);
-          console.log('✅ [MQTT] Connected successfully');
+          if (!isCurrentClient()) return;
+          
+          if (this.reconnectAttempts > 0) {
+            console.log(`✅ [MQTT] Reconnected after ${this.reconnectAttempts} attempt(s)`);
+          } else {
+            console.log('✅ [MQTT] Connected successfully');
+          }
           
           this.isConnected = true;
           this.lastConnectionTime = Date.now();
-          this.updateConnectionStatus('Connected');
           this.currentPlayerId = playerId;
+          this.shouldReconnect = true;
+          this.clearReconnectTimer();
+          this.reconnectAttempts = 0;
+          this.nextRetryAt = null;
+          this.updateConnectionStatus('Connected');
           
           // Start connection health monitoring
           this.startConnectionHealthMonitor();
@@ -77,54 +243,58 @@ export class MqttClient {
             this.subscribeToPlayerTopics(playerId);
             this.requestStatusUpdate(playerId);
             this.startBatteryPolling(playerId);
+            this.replayQueuedCommands(playerId);
           }
           
           resolve(true);
         });
 
-        this.client.on('error', (error) => {
+        client.on('error', (error) => {
           clearTimeout(timeout);
           console.error('❌ [MQTT] Connection error:', error);
+          reject(error);
+          if (!isCurrentClient()) return;
+          
           this.isConnected = false;
           this.updateConnectionStatus(`Error: ${error.message}`);
-          reject(error);
         });
 
-        this.client.on('close', () => {
+        client.on('close', () => {
+          if (!isCurrentClient()) return;
+          
           console.log('🔌 [MQTT] Connection closed');
           this.isConnected = false;
-          this.updateConnectionStatus('Disconnected');
+          this.playerState.apply({ isOnline: false });
           this.stopConnectionHealthMonitor();
-          
-          // Disable automatic reconnect to prevent loop
-          if (this.client) {
-            this.client.options.reconnectPeriod = 0;
-          }
+          this.updateConnectionStatus('Disconnected');
+          this.scheduleReconnect();
         });
 
-        this.client.on('reconnect', () => {
+        client.on('reconnect', () => {
           console.log('🔄 [MQTT] Reconnecting...');
           this.updateConnectionStatus('Reconnecting');
         });
 
-        this.client.on('offline', (error) => {
+        client.on('offline', (error) => {
+          if (!isCurrentClient()) return;
+          
           console.log('📴 [MQTT] Client offline');
           this.isConnected = false;
+          this.playerState.apply({ isOnline: false });
           this.updateConnectionStatus('Offline');
-          
-          // Stop reconnection attempts when going offline
-          if (this.client) {
-            this.client.options.reconnectPeriod = 0;
-          }
+          this.scheduleReconnect();
         });
 
-        this.client.on('disconnect', (packet) => {
+        client.on('disconnect', (packet) => {
+          if (!isCurrentClient()) return;
+          
           console.log('🚪 [MQTT] Disconnect packet received:', packet);
           this.isConnected = false;
+          this.playerState.apply({ isOnline: false });
           this.updateConnectionStatus('Disconnected');
         });
 
-        this.client.on('message', (topic, message, packet) => {
+        client.on('message', (topic, message, packet) => {
           this.handleMessage(topic, message.toString());
         });
 
@@ -139,6 +309,121 @@ export class MqttClient {
     }
   }
 
+  // Send commands queued while this player was offline, once the topic
+  // subscriptions are in place so their confirmations can be seen
+  replayQueuedCommands(playerId) {
+    setTimeout(() => {
+      if (!this.isConnectionHealthy() || this.currentPlayerId !== playerId) return;
+      CommandQueueService.replay(playerId, this).catch(error => {
+        console.error('❌ [MQTT] Failed to replay queued commands:', error);
+      });
+    }, 1000);
+  }
+
+  // Delay before the given reconnect attempt: exponential backoff with jitter,
+  // so several players dropping together don't all retry at the same moment
+  getReconnectDelay(attempt) {
+    const exponential = Math.min(MQTT_RECONNECT_MAX_DELAY, MQTT_RECONNECT_BASE_DELAY * 2 ** (attempt - 1));
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+
+  // Schedule the next reconnect attempt (no-op if one is already pending)
+  scheduleReconnect() {
+    if (!this.shouldReconnect || this.reconnectTimer || this.reconnectInProgress) return;
+
+    this.reconnectAttempts++;
+    const delay = this.getReconnectDelay(this.reconnectAttempts);
+    this.nextRetryAt = new Date(Date.now() + delay);
+
+    console.log(`🔄 [MQTT] Reconnect attempt ${this.reconnectAttempts} in ${Math.round(delay / 1000)}s`);
+    this.updateConnectionStatus('Reconnecting');
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.attemptReconnect();
+    }, delay);
+  }
+
+  // Reconnect with a freshly fetched token; topics are re-subscribed on connect
+  // Concurrent callers share the attempt already in flight
+  attemptReconnect() {
+    if (!this.reconnectPromise) {
+      this.reconnectPromise = this.runReconnect().finally(() => {
+        this.reconnectPromise = null;
+      });
+    }
+    return this.reconnectPromise;
+  }
+
+  // Skip the backoff wait and reconnect now; resolves with whether the client is healthy again
+  async reconnectNow() {
+    if (!this.shouldReconnect) return false;
+    this.clearReconnectTimer();
+    await this.attemptReconnect();
+    return !!this.isConnectionHealthy();
+  }
+
+  async runReconnect() {
+    if (!this.shouldReconnect || !this.currentPlayerId) return;
+
+    this.reconnectInProgress = true;
+    this.nextRetryAt = null;
+    let reconnected = false;
+
+    try {
+      const token = await getValidAccessToken(YOTO_CLIENT_ID);
+      if (!token) {
+        throw new Error('No valid access token');
+      }
+
+      // Drop the dead client before opening a new one
+      this.closeClient();
+      reconnected = await this.connect(this.currentPlayerId, token);
+    } catch (error) {
+      console.error(`❌ [MQTT] Reconnect attempt ${this.reconnectAttempts} failed:`, error);
+    }
+
+    this.reconnectInProgress = false;
+    if (!reconnected) {
+      this.scheduleReconnect();
+    }
+  }
+
+  clearReconnectTimer() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  // Stop reconnecting, e.g. when the user disconnects
+  stopReconnecting() {
+    this.shouldReconnect = false;
+    this.clearReconnectTimer();
+    this.reconnectAttempts = 0;
+    this.nextRetryAt = null;
+  }
+
+  // Close the current socket without touching the reconnect state
+  closeClient() {
+    if (this.client) {
+      const client = this.client;
+      this.client = null;
+      this.isConnected = false;
+      this.stopAllTimers();
+      client.end(true);
+    }
+  }
+
+  // Reconnect details passed to the connection status callback
+  getReconnectState() {
+    return {
+      reconnectAttempts: this.reconnectAttempts,
+      nextRetryAt: this.nextRetryAt,
+      isReconnecting: !!this.reconnectTimer || this.reconnectInProgress
+    };
+  }
+
   subscribeToPlayerTopics(playerId) {
     if (!this.client || !this.isConnected) {
       console.log('⚠️ [MQTT] Cannot subscribe - client not connected');
@@ -152,7 +437,10 @@ export class MqttClient {
       `device/${playerId}/volume`,       // Volume changes
       `device/${playerId}/card`,         // Card status
       `device/${playerId}/battery`,      // Battery status
-      `device/${playerId}/ambients`      // Ambient light status
+      `device/${playerId}/ambients`,     // Ambient light status
+      `device/${playerId}/data/events`,  // Playback events, used to confirm commands
+      `device/${playerId}/data/status`,  // Full device status
+      `device/${playerId}/response`      // Command results
     ];
 
     console.log(`🔔 [MQTT] Subscribing to topics for player: ${playerId}`);
@@ -180,53 +468,23 @@ export class MqttClient {
     try {
       const messageObj = JSON.parse(message);
       
-      // Handle battery status from events messages  
-      if (topic.endsWith('/events') && this.batteryStatusCallback) {
-        // Look for potential battery fields
-        const potentialBatteryFields = Object.keys(messageObj).filter(key => 
-          key.toLowerCase().includes('battery') || 
-          key.toLowerCase().includes('power') || 
-          key.toLowerCase().includes('charge') ||
-          key.toLowerCase().includes('level')
-        );
-        
-        if (potentialBatteryFields.length > 0) {
-          for (const field of potentialBatteryFields) {
-            const value = messageObj[field];
-            if (typeof value === 'number' && value >= 0 && value <= 100) {
-              const batteryInfo = {
-                level: value,
-                isCharging: messageObj.charging || messageObj.isCharging || messageObj.pluggedIn || false,
-                source: `events.${field}`,
-                timestamp: Date.now(),
-                raw: messageObj
-              };
-              this.batteryStatusCallback(batteryInfo);
-              break;
-            }
-          }
-        }
-      }
+      const changedFields = this.playerState.applyMessage(topic, messageObj);
       
-      // Handle battery status from status messages
-      if (topic.endsWith('/status') && messageObj.status && this.batteryStatusCallback) {
-        const statusData = messageObj.status;
-        if (statusData.batteryLevel !== undefined || statusData.battery !== undefined) {
-          const batteryLevel = statusData.batteryLevel || statusData.battery;
-          const batteryInfo = {
-            level: batteryLevel,
-            isCharging: statusData.charging || false,
-            raw: statusData.batteryLevelRaw,
-            voltage: statusData.battery,
-            temp: statusData.batteryTemp
-          };
-          this.batteryStatusCallback(batteryInfo);
-        }
-      }
+      // Let pending commands look for their confirmation in the updated state
+      this.commandTracker.handleMessage(topic, messageObj, this.playerState.getState(), changedFields);
       
-      // Handle direct battery messages
-      if (topic.includes('/battery') && this.batteryStatusCallback) {
-        this.batteryStatusCallback(messageObj);
+      // Keep battery listeners working on top of the state store
+      const batteryChanged = changedFields.includes('batteryLevel') || changedFields.includes('isCharging');
+      if (batteryChanged && this.batteryStatusCallback) {
+        const state = this.playerState.getState();
+        if (state.batteryLevel !== null) {
+          this.batteryStatusCallback({
+            level: state.batteryLevel,
+            isCharging: !!state.isCharging,
+            source: topic,
+            timestamp: Date.now()
+          });
+        }
       }
     } catch (error) {
       console.error('❌ [MQTT] Error parsing message:', error);
@@ -311,6 +569,65 @@ export class MqttClient {
     this.requestStatusUpdate(playerId);
   }
 
+  // Publish a command and wait until the player's own messages confirm it took effect
+  // send() publishes the command; resolves with the confirmation, rejects on timeout or rejection
+  async sendAndConfirm(playerId, command, send, expected = {}, timeoutMs) {
+    const confirmation = this.commandTracker.track(playerId, command, expected, timeoutMs);
+    try {
+      await send();
+    } catch (error) {
+      confirmation.cancel(error.message);
+      throw error;
+    }
+    return confirmation.promise;
+  }
+
+  // Start a card and wait until the player reports it playing
+  async playCardAndConfirm(playerId, cardUri, options = {}, timeoutMs) {
+    const cardId = cardUri.split('/').pop();
+    return this.sendAndConfirm(
+      playerId,
+      'card/start',
+      () => this.playCard(playerId, cardUri, options),
+      { cardId },
+      timeoutMs
+    );
+  }
+
+  // Pause, resume or stop and wait until the player reports the new playback status
+  async pausePlaybackAndConfirm(playerId, timeoutMs) {
+    return this.sendAndConfirm(playerId, 'card/pause', () => this.pausePlayback(playerId), {}, timeoutMs);
+  }
+
+  async resumePlaybackAndConfirm(playerId, timeoutMs) {
+    return this.sendAndConfirm(playerId, 'card/resume', () => this.resumePlayback(playerId), {}, timeoutMs);
+  }
+
+  async stopPlaybackAndConfirm(playerId, timeoutMs) {
+    return this.sendAndConfirm(playerId, 'card/stop', () => this.stopPlayback(playerId), {}, timeoutMs);
+  }
+
+  // Change the ambient light and wait until the player reports its colour; brightness 0 turns it off
+  async setAmbientLightAndConfirm(playerId, brightness, color, timeoutMs) {
+    return this.sendAndConfirm(
+      playerId,
+      'ambients',
+      () => (brightness > 0 ? this.setAmbientLight(playerId, brightness, color) : this.turnOffAmbientLight(playerId)),
+      {},
+      timeoutMs
+    );
+  }
+
+  async setNightLightAndConfirm(playerId, enabled, brightness, timeoutMs) {
+    return this.sendAndConfirm(
+      playerId,
+      'night-light',
+      () => this.setNightLight(playerId, enabled, brightness),
+      {},
+      timeoutMs
+    );
+  }
+
   async pausePlayback(playerId) {
     if (!this.isConnectionHealthy()) {
       console.error('❌ [MQTT] Connection not healthy for pause operation');
@@ -389,6 +706,57 @@ export class MqttClient {
     });
   }
 
+  async setVolume(playerId, volume) {
+    if (!this.isConnectionHealthy()) {
+      console.error('❌ [MQTT] Connection not healthy for volume operation');
+      throw new Error('MQTT client not connected');
+    }
+
+    const topic = `device/${playerId}/command/volume/set`;
+    const payload = { volume: Math.round(Math.max(0, Math.min(100, volume))) };
+    const message = JSON.stringify(payload);
+
+    console.log(`🔊 [MQTT] Publishing volume command to: ${topic}`);
+
+    return new Promise((resolve, reject) => {
+      this.client.publish(topic, message, { qos: 1 }, (error) => {
+        if (error) {
+          console.error('❌ [MQTT] Failed to publish volume command:', error);
+          reject(error);
+        } else {
+          console.log(`✅ [MQTT] Published volume command: ${payload.volume}`);
+          resolve();
+        }
+      });
+    });
+  }
+
+  // Stop playback after a number of seconds; 0 cancels a running timer
+  async setSleepTimer(playerId, seconds) {
+    if (!this.isConnectionHealthy()) {
+      console.error('❌ [MQTT] Connection not healthy for sleep timer operation');
+      throw new Error('MQTT client not connected');
+    }
+
+    const topic = `device/${playerId}/command/sleep-timer/set`;
+    const payload = { seconds: Math.max(0, Math.round(seconds)) };
+    const message = JSON.stringify(payload);
+
+    console.log(`😴 [MQTT] Publishing sleep timer command to: ${topic}`);
+
+    return new Promise((resolve, reject) => {
+      this.client.publish(topic, message, { qos: 1 }, (error) => {
+        if (error) {
+          console.error('❌ [MQTT] Failed to publish sleep timer command:', error);
+          reject(error);
+        } else {
+          console.log(`✅ [MQTT] Published sleep timer command: ${payload.seconds}s`);
+          resolve();
+        }
+      });
+    });
+  }
+
   // Helper function to convert hex color to RGB values
   hexToRgb(hex) {
     const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
@@ -503,6 +871,7 @@ export class MqttClient {
     });
   }
 
+  // callback(status, { reconnectAttempts, nextRetryAt, isReconnecting })
   onConnectionStatusChange(callback) {
     this.connectionStatusCallback = callback;
   }
@@ -511,14 +880,25 @@ export class MqttClient {
     this.batteryStatusCallback = callback;
   }
 
+  // listener(state, changedFields) runs whenever a player state field changes; returns an unsubscribe function
+  onPlayerStateChange(listener) {
+    return this.playerState.subscribe(listener);
+  }
+
+  getPlayerState() {
+    return this.playerState.getState();
+  }
+
   updateConnectionStatus(status) {
     console.log('Connection status changed:', status);
     if (this.connectionStatusCallback) {
-      this.connectionStatusCallback(status);
+      this.connectionStatusCallback(status, this.getReconnectState());
     }
   }
 
   disconnect() {
+    this.stopReconnecting();
+    this.commandTracker.rejectAll('Disconnected');
     if (this.client) {
       console.log('Disconnecting MQTT client');
       this.stopAllTimers();
@@ -527,6 +907,7 @@ export class MqttClient {
       this.isConnected = false;
       this.lastConnectionTime = null;
       this.currentPlayerId = null;  // Clear player ID
+      this.playerState.reset();
       this.updateConnectionStatus('Disconnected');
     }
   }
@@ -590,6 +971,7 @@ export class MqttClient {
     this.connectionHealthTimer = this.createTimer(() => {
       if (!this.isConnectionHealthy()) {
         this.updateConnectionStatus('Connection Health Check Failed');
+        this.scheduleReconnect();
       }
     }, 30000); // 30 seconds
   }
@@ -0,0 +1,189 @@
+import { YotoAPI } from './apiService';
+
+// Transport controls on top of MqttClient: next/previous track or chapter, seeking and the sleep timer.
+// Skips and seeks restart the current card at a chapter, track and offset with card/start,
+// using the card's chapter list to find the neighbouring track.
+export class PlaybackService {
+  static SKIP_UNITS = {
+    TRACK: 'track',
+    CHAPTER: 'chapter',
+  };
+
+  // "Previous" restarts the current track instead when it's further in than this
+  static RESTART_THRESHOLD_SECONDS = 3;
+
+  static SLEEP_TIMER_MINUTES = [5, 15, 30, 60];
+
+  // Flattened track lists, keyed by card id
+  static trackLists = new Map();
+  // Sleep timers set from this app: player id -> { endsAt: Date, minutes }
+  static sleepTimers = new Map();
+
+  // The card's tracks in play order: { chapterKey, chapterTitle, trackKey, trackTitle, duration }[]
+  static async getTrackList(cardId) {
+    if (this.trackLists.has(cardId)) {
+      return this.trackLists.get(cardId);
+    }
+
+    const details = await YotoAPI.getContentDetails(cardId);
+    const tracks = details.chapters.flatMap(chapter => {
+      const chapterTracks = chapter.tracks.length > 0
+        ? chapter.tracks
+        : [{ key: null, title: chapter.title, duration: chapter.duration }];
+      return chapterTracks.map(track => ({
+        chapterKey: chapter.key,
+        chapterTitle: chapter.title,
+        trackKey: track.key,
+        trackTitle: track.title,
+        duration: track.duration || null,
+      }));
+    });
+
+    this.trackLists.set(cardId, tracks);
+    return tracks;
+  }
+
+  // Index of the player's current track in the list, or -1
+  static findCurrentIndex(tracks, state) {
+    const exact = tracks.findIndex(track =>
+      track.chapterKey === state.chapterKey && (!state.trackKey || track.trackKey === state.trackKey)
+    );
+    if (exact !== -1) return exact;
+    return tracks.findIndex(track => track.chapterKey === state.chapterKey);
+  }
+
+  // The track to play when skipping one track or chapter forward (1) or back (-1) from the current one,
+  // or null at either end of the card. May be the current track itself ("previous" near its start restarts it)
+  static getSkipTarget(tracks, state, direction, unit) {
+    const currentIndex = this.findCurrentIndex(tracks, state);
+    if (currentIndex === -1) return null;
+
+    if (direction < 0 && (state.position || 0) > this.RESTART_THRESHOLD_SECONDS) {
+      // Restart the current track, or the current chapter from its first track
+      return unit === this.SKIP_UNITS.CHAPTER
+        ? tracks.find(track => track.chapterKey === tracks[currentIndex].chapterKey)
+        : tracks[currentIndex];
+    }
+
+    if (unit === this.SKIP_UNITS.TRACK) {
+      return tracks[currentIndex + direction] || null;
+    }
+
+    // First track of the next or previous chapter
+    const chapterKeys = [...new Set(tracks.map(track => track.chapterKey))];
+    const targetChapter = chapterKeys[chapterKeys.indexOf(tracks[currentIndex].chapterKey) + direction];
+    return targetChapter ? tracks.find(track => track.chapterKey === targetChapter) : null;
+  }
+
+  // Skip one track or chapter forward (1) or back (-1). Resolves with the track now playing, or null at the end of the card
+  static async skip(playerId, mqttClient, direction, unit) {
+    const state = this.getPlayingState(mqttClient);
+    const tracks = await this.getTrackList(state.cardId);
+    const target = this.getSkipTarget(tracks, state, direction, unit);
+    if (!target) {
+      console.log(`⚠️ [PLAYBACK] No ${unit} ${direction > 0 ? 'after' : 'before'} the current one`);
+      return null;
+    }
+
+    console.log(`⏭️ [PLAYBACK] Skipping to "${target.trackTitle}" (${target.chapterKey}/${target.trackKey})`);
+    await mqttClient.playCard(playerId, `https://yoto.io/${state.cardId}`, {
+      chapterKey: target.chapterKey,
+      ...(target.trackKey ? { trackKey: target.trackKey } : {}),
+      secondsIn: 0,
+    });
+    return target;
+  }
+
+  // Jump to a position (seconds) in the current track
+  static async seek(playerId, mqttClient, seconds) {
+    const state = this.getPlayingState(mqttClient);
+    const maxSeconds = state.trackLength ? Math.max(0, state.trackLength - 1) : Infinity;
+    const secondsIn = Math.round(Math.max(0, Math.min(maxSeconds, seconds)));
+
+    console.log(`⏩ [PLAYBACK] Seeking to ${secondsIn}s in ${state.chapterKey}/${state.trackKey}`);
+    await mqttClient.playCard(playerId, `https://yoto.io/${state.cardId}`, {
+      ...(state.chapterKey ? { chapterKey: state.chapterKey } : {}),
+      ...(state.trackKey ? { trackKey: state.trackKey } : {}),
+      secondsIn,
+    });
+    return secondsIn;
+  }
+
+  // Seek relative to the current position, e.g. -30 or +30
+  static async seekBy(playerId, mqttClient, deltaSeconds) {
+    return this.seek(playerId, mqttClient, this.getCurrentPosition(mqttClient.getPlayerState()) + deltaSeconds);
+  }
+
+  // Position in seconds, moved on by the time since the player last reported it while playing
+  static getCurrentPosition(state, now = Date.now()) {
+    const position = state.position || 0;
+    const reportedAt = state.updatedAt?.position;
+    if (state.playbackStatus !== 'playing' || !reportedAt) return position;
+
+    const estimated = position + (now - reportedAt) / 1000;
+    return state.trackLength ? Math.min(state.trackLength, estimated) : estimated;
+  }
+
+  // What a player state means for a Now Playing view: the card from the library, whether one is loaded,
+  // and the position in the track. Without live updates the position is shown as last reported
+  static getNowPlaying(state, cards, now = Date.now(), isLive = true) {
+    const card = (cards || []).find(item => item.id === state?.cardId) || null;
+    return {
+      card,
+      hasCard: !!state?.cardId && state.playbackStatus !== 'stopped',
+      isPlaying: state?.playbackStatus === 'playing',
+      position: isLive ? this.getCurrentPosition(state || {}, now) : state?.position || 0,
+    };
+  }
+
+  static getPlayingState(mqttClient) {
+    if (!mqttClient?.isConnectionHealthy?.()) {
+      throw new Error('MQTT client not connected');
+    }
+    const state = mqttClient.getPlayerState();
+    if (!state.cardId) {
+      throw new Error('Nothing is playing');
+    }
+    return state;
+  }
+
+  // Stop playback after a number of minutes; 0 cancels the timer
+  static async setSleepTimer(playerId, mqttClient, minutes) {
+    if (!mqttClient?.isConnectionHealthy?.()) {
+      throw new Error('MQTT client not connected');
+    }
+
+    await mqttClient.setSleepTimer(playerId, minutes * 60);
+    if (minutes > 0) {
+      this.sleepTimers.set(playerId, { endsAt: new Date(Date.now() + minutes * 60000), minutes });
+      console.log(`😴 [PLAYBACK] Sleep timer set for ${minutes} min on ${playerId}`);
+    } else {
+      this.sleepTimers.delete(playerId);
+      console.log(`😴 [PLAYBACK] Sleep timer cancelled on ${playerId}`);
+    }
+  }
+
+  // { endsAt, minutes, remainingSeconds } of the player's sleep timer, or null once it has run out
+  // or the player reports it's no longer active
+  static getSleepTimer(playerId, state) {
+    const timer = this.sleepTimers.get(playerId);
+    if (!timer) return null;
+
+    const remainingSeconds = Math.round((timer.endsAt.getTime() - Date.now()) / 1000);
+    const setAt = timer.endsAt.getTime() - timer.minutes * 60000;
+    const reportedOff = state?.sleepTimerActive === false && (state.updatedAt?.sleepTimerActive || 0) > setAt;
+    if (remainingSeconds <= 0 || reportedOff) {
+      this.sleepTimers.delete(playerId);
+      return null;
+    }
+    return { ...timer, remainingSeconds };
+  }
+
+  static formatPosition(seconds) {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const rest = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+  }
+}
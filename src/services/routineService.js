@@ -0,0 +1,302 @@
+import { VolumeService } from './volumeService';
+import { cancellableSleep } from '../utils/async';
+
+export class RoutineService {
+  static STEP_TYPES = {
+    PLAY_CARD: 'play_card',
+    AMBIENT_LIGHT: 'ambient_light',
+    NIGHT_LIGHT: 'night_light',
+    PAUSE: 'pause',
+    STOP: 'stop',
+    VOLUME: 'volume',
+    FADE_OUT: 'fade_out',
+    WAIT: 'wait',
+  };
+
+  static FAILURE_BEHAVIOURS = {
+    CONTINUE: 'continue', // Log the failure and carry on with the next step
+    ABORT: 'abort',       // Stop the routine
+    RETRY: 'retry',       // Retry the step, then abort if it still fails
+  };
+
+  static RETRY_DELAY_MS = 5000;
+
+  // Runs currently in progress, keyed by schedule id
+  static activeRuns = new Map();
+
+  // Step structure:
+  // {
+  //   id: string,
+  //   type: 'play_card' | 'ambient_light' | 'night_light' | 'pause' | 'stop' | 'volume' | 'fade_out' | 'wait',
+  //   params: object,          // See DEFAULT_PARAMS for each type
+  //   delaySeconds: number,    // Delay before the step runs
+  //   onFailure: 'continue' | 'abort' | 'retry',
+  //   retries: number          // Attempts after the first when onFailure is 'retry'
+  // }
+
+  static DEFAULT_PARAMS = {
+    // stopAfterMinutes counts from secondsIn; 0 plays to the end
+    play_card: { cardId: null, cardTitle: null, cardUri: null, chapterKey: null, chapterTitle: null, secondsIn: 0, stopAfterMinutes: 0 },
+    ambient_light: { color: '#FF8000', brightness: 30 },
+    night_light: { enabled: true, brightness: 20 },
+    pause: {},
+    stop: {},
+    volume: { volume: 30 },
+    fade_out: { minutes: 10 },
+    wait: { seconds: 300 },
+  };
+
+  static STEP_LABELS = {
+    play_card: '🎵 Play card',
+    ambient_light: '💡 Ambient light',
+    night_light: '🌙 Night light',
+    pause: '⏸️ Pause',
+    stop: '⏹️ Stop',
+    volume: '🔊 Volume',
+    fade_out: '🔉 Fade out',
+    wait: '⏳ Wait',
+  };
+
+  // Create a step with default parameters
+  static createStep(type, overrides = {}) {
+    const { params, ...rest } = overrides;
+    return {
+      id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+      type,
+      delaySeconds: 0,
+      onFailure: this.FAILURE_BEHAVIOURS.CONTINUE,
+      retries: 1,
+      ...rest,
+      params: { ...this.DEFAULT_PARAMS[type], ...params },
+    };
+  }
+
+  // Human-readable summary of a step
+  static describeStep(step) {
+    const { params } = step;
+    switch (step.type) {
+      case this.STEP_TYPES.PLAY_CARD:
+        return [
+          `Play "${params.cardTitle || 'no card selected'}"`,
+          params.chapterKey && `chapter ${params.chapterTitle || params.chapterKey}`,
+          params.secondsIn > 0 && `from ${this.formatDuration(params.secondsIn)}`,
+          params.stopAfterMinutes > 0 && `stop after ${params.stopAfterMinutes} min`,
+        ].filter(Boolean).join(', ');
+      case this.STEP_TYPES.AMBIENT_LIGHT:
+        return params.brightness > 0 ? `Ambient light ${params.color} at ${params.brightness}%` : 'Ambient light off';
+      case this.STEP_TYPES.NIGHT_LIGHT:
+        return params.enabled ? `Night light on at ${params.brightness}%` : 'Night light off';
+      case this.STEP_TYPES.PAUSE:
+        return 'Pause playback';
+      case this.STEP_TYPES.STOP:
+        return 'Stop playback';
+      case this.STEP_TYPES.VOLUME:
+        return `Set volume to ${params.volume}%`;
+      case this.STEP_TYPES.FADE_OUT:
+        return `Fade out over ${params.minutes} min, then stop`;
+      case this.STEP_TYPES.WAIT:
+        return `Wait ${this.formatDuration(params.seconds)}`;
+      default:
+        return step.type;
+    }
+  }
+
+  // MqttClient.playCard options for a play step; the cut-off is a position in the track, so it counts from the start offset
+  static getPlaybackOptions(params = {}) {
+    const options = {};
+    if (params.chapterKey) options.chapterKey = params.chapterKey;
+    if (params.secondsIn > 0) options.secondsIn = params.secondsIn;
+    if (params.stopAfterMinutes > 0) options.cutOff = (params.secondsIn || 0) + params.stopAfterMinutes * 60;
+    return options;
+  }
+
+  static formatDuration(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds % 60;
+    return rest ? `${minutes}m ${rest}s` : `${minutes} min`;
+  }
+
+  // Total time a routine takes from its first to its last step
+  static getTotalDurationSeconds(steps = []) {
+    return steps.reduce((total, step) => (
+      total + (step.delaySeconds || 0) + (step.type === this.STEP_TYPES.WAIT ? step.params.seconds || 0 : 0) +
+        (step.type === this.STEP_TYPES.FADE_OUT ? (step.params.minutes || 0) * 60 : 0)
+    ), 0);
+  }
+
+  // Check a routine for steps that cannot run, returning a warning message or null
+  static validateSteps(steps = []) {
+    if (steps.length === 0) {
+      return 'Please add at least one step';
+    }
+    const missingCard = steps.find(step => step.type === this.STEP_TYPES.PLAY_CARD && !step.params.cardUri);
+    if (missingCard) {
+      return 'Please choose a card for every play step';
+    }
+    return null;
+  }
+
+  static isRunning(scheduleId) {
+    return this.activeRuns.has(scheduleId);
+  }
+
+  // Cancel a running routine; remaining steps are skipped
+  static cancel(scheduleId) {
+    const run = this.activeRuns.get(scheduleId);
+    if (run) {
+      console.log(`🛑 [ROUTINE] Cancelling routine for schedule ${scheduleId}`);
+      run.cancelled = true;
+      VolumeService.cancelFade(run.playerId);
+    }
+  }
+
+  // Run a routine's steps in order on one player
+  // getMqttClient is called before each step so a reconnected client is picked up
+  // Resolves with { success, unconfirmed, cancelled, stepResults, error } once every step has run;
+  // unconfirmed means every step ran but the player didn't report at least one of them
+  static async run(schedule, getMqttClient) {
+    if (this.activeRuns.has(schedule.id)) {
+      console.log(`⚠️ [ROUTINE] Routine "${schedule.cardTitle}" is already running`);
+      return { success: false, unconfirmed: false, cancelled: false, stepResults: [], error: 'Routine already running' };
+    }
+
+    const run = { cancelled: false, startedAt: new Date(), playerId: schedule.playerId, getMqttClient };
+    this.activeRuns.set(schedule.id, run);
+
+    const stepResults = [];
+    let aborted = false;
+
+    console.log(`🎬 [ROUTINE] Starting routine "${schedule.cardTitle}" with ${schedule.steps.length} steps`);
+
+    try {
+      for (const [index, step] of schedule.steps.entries()) {
+        if (step.delaySeconds > 0) {
+          await cancellableSleep(step.delaySeconds * 1000, run);
+        }
+        if (run.cancelled) break;
+
+        const result = await this.runStepWithPolicy(step, schedule.playerId, getMqttClient, run);
+        stepResults.push(result);
+
+        console.log(`${result.success ? '✅' : '❌'} [ROUTINE] Step ${index + 1}/${schedule.steps.length}: ${this.describeStep(step)}`);
+
+        if (!result.success && step.onFailure !== this.FAILURE_BEHAVIOURS.CONTINUE) {
+          console.log(`🛑 [ROUTINE] Aborting routine "${schedule.cardTitle}" after failed step ${index + 1}`);
+          aborted = true;
+          break;
+        }
+      }
+    } finally {
+      this.activeRuns.delete(schedule.id);
+    }
+
+    const failedSteps = stepResults.filter(result => !result.success);
+    const unconfirmedSteps = stepResults.filter(result => result.unconfirmed);
+    const success = !aborted && !run.cancelled && failedSteps.length === 0;
+
+    console.log(`🏁 [ROUTINE] Routine "${schedule.cardTitle}" finished:`, {
+      success,
+      cancelled: run.cancelled,
+      failedSteps: failedSteps.length
+    });
+
+    let error = null;
+    if (failedSteps.length) {
+      error = failedSteps.map(result => `${this.STEP_LABELS[result.type]}: ${result.error}`).join('; ');
+    } else if (run.cancelled) {
+      error = 'Routine cancelled';
+    } else if (unconfirmedSteps.length) {
+      error = `Not confirmed by the player: ${unconfirmedSteps.map(result => this.STEP_LABELS[result.type]).join(', ')}`;
+    }
+
+    return {
+      success,
+      unconfirmed: success && unconfirmedSteps.length > 0,
+      cancelled: run.cancelled,
+      stepResults,
+      error,
+    };
+  }
+
+  static async runStepWithPolicy(step, playerId, getMqttClient, run) {
+    const attempts = step.onFailure === this.FAILURE_BEHAVIOURS.RETRY ? 1 + (step.retries || 1) : 1;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      if (run.cancelled) break;
+      try {
+        await this.runStep(step, playerId, getMqttClient(), run);
+        return { stepId: step.id, type: step.type, success: true, unconfirmed: false, attempts: attempt, error: null };
+      } catch (error) {
+        if (error.code === 'COMMAND_TIMEOUT') {
+          // The command went out, so it isn't retried; the step is flagged instead of failed
+          console.log(`⚠️ [ROUTINE] Step ${step.type} was sent but the player didn't confirm it`);
+          return { stepId: step.id, type: step.type, success: true, unconfirmed: true, attempts: attempt, error: error.message };
+        }
+        lastError = error;
+        console.error(`❌ [ROUTINE] Step ${step.type} failed (attempt ${attempt}/${attempts}):`, error);
+        if (attempt < attempts) {
+          await cancellableSleep(this.RETRY_DELAY_MS, run);
+        }
+      }
+    }
+
+    return {
+      stepId: step.id,
+      type: step.type,
+      success: false,
+      unconfirmed: false,
+      attempts,
+      error: lastError ? lastError.message : 'Routine cancelled',
+    };
+  }
+
+  static async runStep(step, playerId, mqttClient, run) {
+    const { params } = step;
+
+    // Waiting doesn't need a connection
+    if (step.type === this.STEP_TYPES.WAIT) {
+      await cancellableSleep((params.seconds || 0) * 1000, run);
+      return;
+    }
+
+    // Volume goes over MQTT when it can and falls back to the API otherwise
+    if (step.type === this.STEP_TYPES.VOLUME) {
+      await VolumeService.setVolume(playerId, params.volume, mqttClient);
+      return;
+    }
+
+    if (step.type === this.STEP_TYPES.FADE_OUT) {
+      const result = await VolumeService.fadeOutAndStop(playerId, params.minutes, run?.getMqttClient || (() => mqttClient));
+      if (!result.success && !result.cancelled) {
+        throw new Error(result.error || 'Fade-out failed');
+      }
+      return;
+    }
+
+    if (!mqttClient?.isConnectionHealthy?.()) {
+      throw new Error('MQTT client not connected');
+    }
+
+    switch (step.type) {
+      case this.STEP_TYPES.PLAY_CARD:
+        await mqttClient.playCardAndConfirm(playerId, params.cardUri, this.getPlaybackOptions(params));
+        break;
+      case this.STEP_TYPES.AMBIENT_LIGHT:
+        await mqttClient.setAmbientLightAndConfirm(playerId, params.brightness, params.color);
+        break;
+      case this.STEP_TYPES.NIGHT_LIGHT:
+        await mqttClient.setNightLightAndConfirm(playerId, params.enabled, params.brightness);
+        break;
+      case this.STEP_TYPES.PAUSE:
+        await mqttClient.pausePlaybackAndConfirm(playerId);
+        break;
+      case this.STEP_TYPES.STOP:
+        await mqttClient.stopPlaybackAndConfirm(playerId);
+        break;
+      default:
+        throw new Error(`Unknown routine step type: ${step.type}`);
+    }
+  }
+}
@@ -0,0 +1,147 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createWriteQueue } from '../utils/async';
+import { formatDateKey, parseDateKey } from '../utils/recurrence';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Dates on which schedules don't run: global exception dates/ranges and vacation mode
+// Per-schedule exceptions live on the schedule itself (schedule.exceptions)
+export class ScheduleExceptionsService {
+  static STORAGE_KEY = 'yoto_schedule_exceptions';
+
+  static REASONS = {
+    SCHEDULE: 'schedule', // One of the schedule's own exceptions
+    GLOBAL: 'global',     // A global exception, applies to every schedule
+    VACATION: 'vacation', // The schedule's player is suspended by vacation mode
+  };
+
+  // Exception structure (global and per schedule):
+  // {
+  //   id: string,
+  //   start: 'YYYY-MM-DD',
+  //   end: 'YYYY-MM-DD',  // Same as start for a single day; inclusive
+  //   label: string       // Optional, e.g. 'Half-term'
+  // }
+  //
+  // Settings structure:
+  // {
+  //   exceptions: Exception[],
+  //   vacation: { enabled: boolean, start: 'YYYY-MM-DD' | null, end: 'YYYY-MM-DD' | null, playerIds: string[] }
+  // }
+
+  static DEFAULT_SETTINGS = {
+    exceptions: [],
+    vacation: { enabled: false, start: null, end: null, playerIds: [] },
+  };
+
+  // The last loaded settings, so the synchronous schedule checks can use them
+  static settings = this.DEFAULT_SETTINGS;
+
+  static writeQueue = createWriteQueue(error => console.error('❌ [EXCEPTIONS] Failed to save exceptions:', error));
+
+  // Reload the settings from storage (call before checking schedules)
+  static async load() {
+    try {
+      const settingsJson = await AsyncStorage.getItem(this.STORAGE_KEY);
+      const stored = settingsJson ? JSON.parse(settingsJson) : {};
+      this.settings = {
+        exceptions: stored.exceptions || [],
+        vacation: { ...this.DEFAULT_SETTINGS.vacation, ...stored.vacation },
+      };
+    } catch (error) {
+      console.error('❌ [EXCEPTIONS] Failed to load exceptions, keeping the last known ones:', error);
+    }
+    return this.settings;
+  }
+
+  static getSettings() {
+    return this.settings;
+  }
+
+  static createException(start, end = start, label = '') {
+    const [first, last] = start <= end ? [start, end] : [end, start];
+    return {
+      id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+      start: first,
+      end: last,
+      label: label.trim(),
+    };
+  }
+
+  static addGlobalException(start, end = start, label = '') {
+    const exception = this.createException(start, end, label);
+    return this.updateSettings(settings => ({
+      ...settings,
+      exceptions: [...settings.exceptions, exception].sort((a, b) => a.start.localeCompare(b.start)),
+    }));
+  }
+
+  static removeGlobalException(exceptionId) {
+    return this.updateSettings(settings => ({
+      ...settings,
+      exceptions: settings.exceptions.filter(exception => exception.id !== exceptionId),
+    }));
+  }
+
+  static setVacation(vacation) {
+    return this.updateSettings(settings => ({
+      ...settings,
+      vacation: { ...settings.vacation, ...vacation },
+    }));
+  }
+
+  static updateSettings(update) {
+    return this.writeQueue(async () => {
+      const settings = update(await this.load());
+      await AsyncStorage.setItem(this.STORAGE_KEY, JSON.stringify(settings));
+      this.settings = settings;
+      return settings;
+    });
+  }
+
+  static rangeIncludes(range, dateKey) {
+    return range.start <= dateKey && dateKey <= (range.end || range.start);
+  }
+
+  static isVacationActive(vacation, dateKey) {
+    return !!(vacation?.enabled && vacation.start && vacation.end && this.rangeIncludes(vacation, dateKey));
+  }
+
+  static isPlayerOnVacation(playerId, calendarDate) {
+    const { vacation } = this.settings;
+    return this.isVacationActive(vacation, formatDateKey(calendarDate)) && vacation.playerIds.includes(playerId);
+  }
+
+  // Why a schedule doesn't run on a calendar date: { reason, exception } or null
+  static getExclusion(schedule, calendarDate) {
+    const dateKey = formatDateKey(calendarDate);
+
+    const scheduleException = (schedule.exceptions || []).find(range => this.rangeIncludes(range, dateKey));
+    if (scheduleException) {
+      return { reason: this.REASONS.SCHEDULE, exception: scheduleException };
+    }
+
+    const globalException = this.settings.exceptions.find(range => this.rangeIncludes(range, dateKey));
+    if (globalException) {
+      return { reason: this.REASONS.GLOBAL, exception: globalException };
+    }
+
+    if (this.isPlayerOnVacation(schedule.playerId, calendarDate)) {
+      return { reason: this.REASONS.VACATION, exception: this.settings.vacation };
+    }
+
+    return null;
+  }
+
+  // e.g. 'Dec 25' or 'Feb 16 – Feb 20 (Half-term)'
+  static describeException(exception) {
+    const format = (dateKey) => {
+      const date = parseDateKey(dateKey);
+      return date ? `${MONTH_NAMES[date.month - 1]} ${date.day}` : dateKey;
+    };
+    const dates = !exception.end || exception.end === exception.start
+      ? format(exception.start)
+      : `${format(exception.start)} – ${format(exception.end)}`;
+    return exception.label ? `${dates} (${exception.label})` : dates;
+  }
+}
@@ -0,0 +1,276 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import { createWriteQueue } from '../utils/async';
+
+// Storage backends share one async key/value interface: getItem, setItem, removeItem.
+// maxValueLength is the longest string a single key can hold; longer values are chunked.
+
+export class AsyncStorageBackend {
+  name = 'async-storage';
+  maxValueLength = Infinity;
+
+  getItem(key) {
+    return AsyncStorage.getItem(key);
+  }
+
+  setItem(key, value) {
+    return AsyncStorage.setItem(key, value);
+  }
+
+  removeItem(key) {
+    return AsyncStorage.removeItem(key);
+  }
+}
+
+export class SecureStoreBackend {
+  name = 'secure-store';
+  // SecureStore rejects values over 2048 bytes; a UTF-16 unit can take 3 bytes in UTF-8
+  maxValueLength = 600;
+
+  getItem(key) {
+    return SecureStore.getItemAsync(key);
+  }
+
+  setItem(key, value) {
+    return SecureStore.setItemAsync(key, value);
+  }
+
+  removeItem(key) {
+    return SecureStore.deleteItemAsync(key);
+  }
+}
+
+// Keeps everything in memory, for tests and previews
+export class MemoryBackend {
+  name = 'memory';
+  maxValueLength = Infinity;
+
+  constructor(initialItems = {}) {
+    this.items = new Map(Object.entries(initialItems));
+  }
+
+  async getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  async setItem(key, value) {
+    this.items.set(key, value);
+  }
+
+  async removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+// Versioned list storage on top of a pluggable backend
+//
+// Layout (keys only use characters SecureStore accepts):
+//   `${key}.meta`           { version, revision, chunkCount, savedAt }
+//   `${key}.r${revision}.${i}` the JSON-encoded list, split into chunks
+//
+// A save writes the chunks of a new revision first and then swaps the meta record,
+// so an interrupted save leaves the previous revision readable.
+export class ScheduleRepository {
+  // options: {
+  //   key: string,
+  //   backend: AsyncStorageBackend | SecureStoreBackend | MemoryBackend,
+  //   version: number,           // Current schema version
+  //   migrations: { [version]: (items) => items }, // Upgrades stored items from version - 1
+  //   revive: (item) => item,    // Restores Dates etc. after parsing
+  //   legacySources: { backend, key, filter? }[] // Pre-repository lists (schema version 1), imported once
+  // }
+  constructor({ key, backend, version, migrations = {}, revive = item => item, legacySources = [] }) {
+    this.key = key;
+    this.backend = backend;
+    this.version = version;
+    this.migrations = migrations;
+    this.revive = revive;
+    this.legacySources = legacySources;
+
+    // Reads and writes are chained so a read never sees a half-swapped revision;
+    // callers handle their own failures, so the queue doesn't log them
+    this.queue = createWriteQueue(() => {});
+  }
+
+  // Swap the backend, e.g. for a MemoryBackend in tests; existing data is not copied
+  setBackend(backend) {
+    this.backend = backend;
+  }
+
+  load() {
+    return this.enqueue(() => this.read());
+  }
+
+  save(items) {
+    return this.enqueue(() => this.write(items));
+  }
+
+  // Read, change and write the list in one step; update may throw to abort the write
+  update(update) {
+    return this.enqueue(async () => {
+      const items = await this.read();
+      const updated = await update(items);
+      await this.write(updated);
+      return updated;
+    });
+  }
+
+  enqueue(task) {
+    return this.queue(task);
+  }
+
+  async read() {
+    const meta = await this.readMeta();
+    if (!meta) {
+      return this.importLegacy();
+    }
+
+    if (meta.version > this.version) {
+      throw new Error(`Stored schedules use schema v${meta.version}, this app only understands v${this.version}`);
+    }
+
+    let items = JSON.parse(await this.readChunks(meta.revision, meta.chunkCount));
+
+    if (meta.version < this.version) {
+      console.log(`🔄 [REPOSITORY] Migrating ${this.key} from schema v${meta.version} to v${this.version}`);
+      items = this.migrate(items, meta.version);
+      await this.writeRevision(items, meta);
+    }
+
+    return items.map(this.revive);
+  }
+
+  write(items) {
+    return this.readMeta().then(meta => this.writeRevision(items, meta));
+  }
+
+  migrate(items, fromVersion) {
+    let migrated = items;
+    for (let version = fromVersion + 1; version <= this.version; version++) {
+      if (this.migrations[version]) {
+        migrated = this.migrations[version](migrated);
+      }
+    }
+    return migrated;
+  }
+
+  async writeRevision(items, previousMeta) {
+    const revision = (previousMeta?.revision || 0) + 1;
+    const chunks = this.splitIntoChunks(JSON.stringify(items));
+
+    for (let i = 0; i < chunks.length; i++) {
+      await this.backend.setItem(this.chunkKey(revision, i), chunks[i]);
+    }
+
+    // The meta record is small enough for any backend, so this single write commits the save
+    await this.backend.setItem(this.metaKey(), JSON.stringify({
+      version: this.version,
+      revision,
+      chunkCount: chunks.length,
+      savedAt: new Date().toISOString(),
+    }));
+
+    if (previousMeta) {
+      await this.removeChunks(previousMeta.revision, previousMeta.chunkCount);
+    }
+  }
+
+  async readMeta() {
+    const metaJson = await this.backend.getItem(this.metaKey());
+    return metaJson ? JSON.parse(metaJson) : null;
+  }
+
+  async readChunks(revision, chunkCount) {
+    let value = '';
+    for (let i = 0; i < chunkCount; i++) {
+      const chunk = await this.backend.getItem(this.chunkKey(revision, i));
+      if (chunk === null || chunk === undefined) {
+        throw new Error(`Schedule storage is missing chunk ${i + 1} of ${chunkCount} (revision ${revision})`);
+      }
+      value += chunk;
+    }
+    return value;
+  }
+
+  async removeChunks(revision, chunkCount) {
+    for (let i = 0; i < chunkCount; i++) {
+      try {
+        await this.backend.removeItem(this.chunkKey(revision, i));
+      } catch (error) {
+        console.warn(`⚠️ [REPOSITORY] Failed to remove old chunk ${this.chunkKey(revision, i)}:`, error);
+      }
+    }
+  }
+
+  splitIntoChunks(value) {
+    const maxLength = this.backend.maxValueLength;
+    if (value.length <= maxLength) return [value];
+
+    const chunks = [];
+    let start = 0;
+    while (start < value.length) {
+      let end = Math.min(start + maxLength, value.length);
+      // Don't split a surrogate pair between two chunks
+      const lastCode = value.charCodeAt(end - 1);
+      if (end < value.length && lastCode >= 0xd800 && lastCode <= 0xdbff) {
+        end -= 1;
+      }
+      chunks.push(value.slice(start, end));
+      start = end;
+    }
+    return chunks;
+  }
+
+  // First run: pull in the lists stored before the repository existed, then remove them.
+  // A source that can't be read (e.g. SecureStore while the device is locked) aborts the import
+  // before anything is written, so the next load tries again instead of starting from an empty list
+  async importLegacy() {
+    const itemsById = new Map();
+    const importedSources = [];
+
+    for (const source of this.legacySources) {
+      let stored;
+      try {
+        stored = await source.backend.getItem(source.key);
+      } catch (error) {
+        console.error(`❌ [REPOSITORY] Failed to read legacy key ${source.key}, will retry on the next load:`, error);
+        throw error;
+      }
+      if (!stored) continue;
+
+      try {
+        const legacyItems = JSON.parse(stored).filter(source.filter || (() => true));
+        legacyItems.forEach(item => {
+          if (!itemsById.has(item.id)) itemsById.set(item.id, item);
+        });
+        importedSources.push(source);
+        console.log(`📦 [REPOSITORY] Found ${legacyItems.length} item(s) under legacy key ${source.key}`);
+      } catch (error) {
+        // Unreadable data won't parse on a retry either; it is left in place rather than removed
+        console.error(`❌ [REPOSITORY] Failed to parse legacy key ${source.key}:`, error);
+      }
+    }
+
+    const items = this.migrate(Array.from(itemsById.values()), 1);
+    await this.writeRevision(items, null);
+
+    for (const source of importedSources) {
+      await source.backend.removeItem(source.key).catch(error => {
+        console.warn(`⚠️ [REPOSITORY] Failed to remove legacy key ${source.key}:`, error);
+      });
+    }
+
+    if (importedSources.length > 0) {
+      console.log(`✅ [REPOSITORY] Imported ${items.length} item(s) into ${this.key}`);
+    }
+    return items.map(this.revive);
+  }
+
+  metaKey() {
+    return `${this.key}.meta`;
+  }
+
+  chunkKey(revision, index) {
+    return `${this.key}.r${revision}.${index}`;
+  }
+}
@@ -0,0 +1,486 @@
+import { SchedulerService } from './simpleSchedulerService';
+import { RoutineService } from './routineService';
+import { parseRRule, parseDateKey, formatDateKey, toCalendarDate, toDayNumber, fromDayNumber } from '../utils/recurrence';
+import { ScheduleExceptionsService } from './scheduleExceptionsService';
+import { HomeSettingsService } from './homeSettingsService';
+import { getZonedParts, isValidTimeZone, zonedTimeToDate } from '../utils/timezone';
+
+// Export and import of schedules, as versioned JSON or iCalendar (.ics)
+export class ScheduleTransferService {
+  static FORMAT_NAME = 'yoto-scheduler';
+  static FORMAT_VERSION = 1;
+
+  static FORMATS = {
+    JSON: 'json',
+    ICS: 'ics',
+  };
+
+  // Preview status of each imported schedule
+  static IMPORT_STATUS = {
+    NEW: 'new',             // Will be added
+    CONFLICT: 'conflict',   // A schedule with the same id exists; replaced only if asked to
+    DUPLICATE: 'duplicate', // Same player, content, time and recurrence as an existing schedule; skipped
+    INVALID: 'invalid',     // Missing card or player, or unreadable; skipped
+  };
+
+  // Fields that describe what a schedule does; run state (lastTriggered, missedRuns, ...) stays on the device
+  static PORTABLE_FIELDS = [
+    'id', 'type', 'cardId', 'cardTitle', 'cardUri', 'playbackOptions', 'preVolume', 'steps',
+    'playerId', 'playerName', 'scheduledTime', 'recurrence', 'isEnabled', 'catchUp',
+    'notifyIfOffline', 'queueIfOffline', 'queueExpiryMinutes', 'exceptions',
+    'priority', 'expectedDurationSeconds', 'wallTime', 'timeZone', 'trigger', 'light',
+  ];
+
+  // JSON export structure:
+  // {
+  //   format: 'yoto-scheduler',
+  //   version: 1,
+  //   exportedAt: string (ISO),
+  //   schedules: PortableSchedule[] // PORTABLE_FIELDS of each schedule
+  // }
+
+  static toPortable(schedule) {
+    const portable = {};
+    this.PORTABLE_FIELDS.forEach(field => {
+      if (schedule[field] !== undefined) portable[field] = schedule[field];
+    });
+    return portable;
+  }
+
+  static exportJson(schedules) {
+    return JSON.stringify({
+      format: this.FORMAT_NAME,
+      version: this.FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      schedules: schedules.map(schedule => this.toPortable(schedule)),
+    }, null, 2);
+  }
+
+  // One VEVENT per schedule. Calendar apps read DTSTART/RRULE/RDATE/SUMMARY;
+  // X-YOTO-SCHEDULE carries the full schedule so importing it back loses nothing
+  static exportIcs(schedules) {
+    const now = this.formatIcsDateTime(new Date(), true);
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Yoto Scheduler//Schedules//EN',
+      'CALSCALE:GREGORIAN',
+    ];
+
+    schedules.forEach(schedule => {
+      const { wallTime, timeZone } = SchedulerService.migrateSchedule(schedule);
+      const rrule = schedule.recurrence?.rrule;
+      const rdates = schedule.recurrence?.rdates || [];
+      const pad = value => String(value).padStart(2, '0');
+      const time = `T${pad(wallTime.hour)}${pad(wallTime.minute)}00`;
+      // Wall-clock times in the schedule's IANA zone; calendar apps know these zones by name,
+      // so no VTIMEZONE definitions are written
+      const zoned = `;TZID=${timeZone}`;
+
+      lines.push('BEGIN:VEVENT');
+      lines.push(`UID:${schedule.id}@yoto-scheduler`);
+      lines.push(`DTSTAMP:${now}`);
+      lines.push(`DTSTART${zoned}:${wallTime.date.replace(/-/g, '')}${time}`);
+      lines.push('DURATION:PT1M');
+      if (rrule) {
+        // UNTIL must have the same value type as DTSTART
+        lines.push(`RRULE:${rrule.replace(/UNTIL=(\d{8})(?!T)/, 'UNTIL=$1T235959')}`);
+      }
+      if (rdates.length > 0) {
+        lines.push(`RDATE${zoned}:${rdates.map(date => date.replace(/-/g, '') + time).join(',')}`);
+      }
+      const exdates = this.expandExceptionDates(schedule.exceptions || []);
+      if (exdates.length > 0) {
+        lines.push(`EXDATE${zoned}:${exdates.map(date => date.replace(/-/g, '') + time).join(',')}`);
+      }
+      const icon = schedule.type === SchedulerService.SCHEDULE_TYPES.LIGHT ? '💡' : '🎵';
+      lines.push(`SUMMARY:${this.escapeIcsText(`${icon} ${schedule.cardTitle}`)}`);
+      lines.push(`DESCRIPTION:${this.escapeIcsText(this.describeForCalendar(schedule))}`);
+      if (!schedule.isEnabled) {
+        lines.push('STATUS:CANCELLED');
+      }
+      lines.push(`X-YOTO-PLAYER-ID:${this.escapeIcsText(schedule.playerId)}`);
+      if (schedule.cardId) {
+        lines.push(`X-YOTO-CARD-ID:${this.escapeIcsText(schedule.cardId)}`);
+      }
+      lines.push(`X-YOTO-SCHEDULE:${this.escapeIcsText(JSON.stringify(this.toPortable(schedule)))}`);
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldIcsLine(line)).join('\r\n') + '\r\n';
+  }
+
+  // Every 'YYYY-MM-DD' covered by a list of exception ranges
+  static expandExceptionDates(exceptions) {
+    const dates = [];
+    exceptions.forEach(exception => {
+      const start = parseDateKey(exception.start);
+      const end = parseDateKey(exception.end || exception.start);
+      if (!start || !end) return;
+      for (let day = toDayNumber(start); day <= toDayNumber(end); day++) {
+        dates.push(formatDateKey(fromDayNumber(day)));
+      }
+    });
+    return dates;
+  }
+
+  static describeForCalendar(schedule) {
+    let what = `Plays "${schedule.cardTitle}"`;
+    if (schedule.type === SchedulerService.SCHEDULE_TYPES.ROUTINE) {
+      what = `Routine with ${schedule.steps?.length || 0} steps`;
+    } else if (schedule.type === SchedulerService.SCHEDULE_TYPES.LIGHT) {
+      what = SchedulerService.describeLight(schedule.light);
+    }
+    // Calendars can't follow the sun, so they show the time the schedule was saved at
+    const when = schedule.trigger?.type === SchedulerService.TRIGGER_TYPES.SOLAR
+      ? ` (${SchedulerService.describeSolarTrigger(schedule.trigger).toLowerCase()})`
+      : '';
+    return `${what} on ${schedule.playerName || 'the Yoto player'}${when}`;
+  }
+
+  // Parse an export in either format; throws with a readable message if it can't be read
+  // Resolves with { format, schedules } where schedules are portable schedules
+  static parse(text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) {
+      throw new Error('Nothing to import');
+    }
+
+    if (/^BEGIN:VCALENDAR/i.test(trimmed)) {
+      return { format: this.FORMATS.ICS, schedules: this.parseIcs(trimmed) };
+    }
+    return { format: this.FORMATS.JSON, schedules: this.parseJson(trimmed) };
+  }
+
+  static parseJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Not a schedule export: the text is neither JSON nor iCalendar');
+    }
+
+    if (data?.format !== this.FORMAT_NAME || !Array.isArray(data.schedules)) {
+      throw new Error('Not a schedule export: missing format or schedules');
+    }
+    if (data.version > this.FORMAT_VERSION) {
+      throw new Error(`This export uses format v${data.version}; update the app to import it`);
+    }
+
+    return data.schedules;
+  }
+
+  static parseIcs(text) {
+    const lines = this.unfoldIcsLines(text);
+    const events = [];
+    let current = null;
+
+    lines.forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator === -1) return;
+
+      // Other property parameters are dropped; DTSTART's TZID is kept as 'DTSTART;TZID'
+      const [rawName, ...params] = line.slice(0, separator).split(';');
+      const name = rawName.toUpperCase();
+      const value = line.slice(separator + 1);
+      const tzid = params.find(param => /^TZID=/i.test(param));
+
+      if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+        current = {};
+      } else if (name === 'END' && value.toUpperCase() === 'VEVENT') {
+        if (current) events.push(current);
+        current = null;
+      } else if (current) {
+        current[name] = current[name] ? `${current[name]},${value}` : value;
+        if (name === 'DTSTART' && tzid) {
+          current['DTSTART;TZID'] = tzid.slice(5).replace(/^"|"$/g, '');
+        }
+      }
+    });
+
+    if (events.length === 0) {
+      throw new Error('The calendar contains no events');
+    }
+
+    return events.map(event => this.scheduleFromEvent(event));
+  }
+
+  static scheduleFromEvent(event) {
+    if (event['X-YOTO-SCHEDULE']) {
+      try {
+        return JSON.parse(this.unescapeIcsText(event['X-YOTO-SCHEDULE']));
+      } catch (error) {
+        console.warn('⚠️ [TRANSFER] Unreadable X-YOTO-SCHEDULE, falling back to the event fields');
+      }
+    }
+
+    // An event from another calendar: rebuild what we can, the preview reports what is missing
+    const timeFields = this.timeFieldsFromIcs(event.DTSTART, event['DTSTART;TZID']);
+    const rrule = event.RRULE ? event.RRULE.replace(/UNTIL=(\d{8})T\d{6}Z?/, 'UNTIL=$1') : null;
+    const rdates = event.RDATE
+      ? event.RDATE.split(',').map(value => parseDateKey(value)).filter(Boolean).map(formatDateKey)
+      : [];
+    const exceptions = event.EXDATE
+      ? event.EXDATE.split(',').map(value => parseDateKey(value)).filter(Boolean).map(date => {
+          const dateKey = formatDateKey(date);
+          return ScheduleExceptionsService.createException(dateKey);
+        })
+      : [];
+
+    return {
+      id: (event.UID || '').replace(/@yoto-scheduler$/, '') || undefined,
+      type: SchedulerService.SCHEDULE_TYPES.CARD,
+      cardId: event['X-YOTO-CARD-ID'] ? this.unescapeIcsText(event['X-YOTO-CARD-ID']) : null,
+      cardTitle: this.unescapeIcsText(event.SUMMARY || '').replace(/^🎵\s*/, ''),
+      playerId: event['X-YOTO-PLAYER-ID'] ? this.unescapeIcsText(event['X-YOTO-PLAYER-ID']) : null,
+      ...timeFields,
+      recurrence: { rrule, rdates },
+      exceptions,
+      isEnabled: (event.STATUS || '').toUpperCase() !== 'CANCELLED',
+    };
+  }
+
+  // Wall time and zone from a DTSTART value: TZID times keep their zone, UTC times and
+  // floating times are placed in the home zone
+  static timeFieldsFromIcs(value, tzid) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}(Z)?)?$/.exec((value || '').trim());
+    if (!match) return { scheduledTime: null };
+
+    const [, year, month, day, hour = '0', minute = '0', utc] = match;
+    let parts = { year: Number(year), month: Number(month), day: Number(day), hour: Number(hour), minute: Number(minute) };
+    let timeZone = tzid && isValidTimeZone(tzid) ? tzid : HomeSettingsService.getTimeZone();
+
+    if (utc) {
+      timeZone = HomeSettingsService.getTimeZone();
+      parts = getZonedParts(new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute)), timeZone);
+    }
+
+    return {
+      wallTime: { date: formatDateKey(parts), hour: parts.hour, minute: parts.minute },
+      timeZone,
+      scheduledTime: zonedTimeToDate(parts, timeZone).toISOString(),
+    };
+  }
+
+  // Check imported schedules against the account and the schedules already on this device
+  // context: { existingSchedules, cards (YotoAPI.getUserContent), players (YotoAPI.getPlayers) }
+  // Returns [{ schedule, status, issues: string[], notes: string[] }]
+  static previewImport(importedSchedules, { existingSchedules = [], cards = [], players = [] }) {
+    const existingById = new Map(existingSchedules.map(schedule => [schedule.id, schedule]));
+    const seenIds = new Set();
+
+    return importedSchedules.map(imported => {
+      const issues = [];
+      const notes = [];
+      const schedule = { ...imported };
+
+      if (!schedule.id || seenIds.has(schedule.id)) {
+        schedule.id = SchedulerService.generateId();
+      }
+      seenIds.add(schedule.id);
+
+      const scheduledTime = schedule.scheduledTime ? new Date(schedule.scheduledTime) : null;
+      if (!scheduledTime || isNaN(scheduledTime.getTime())) {
+        issues.push('Missing or invalid start time');
+      }
+      if (schedule.timeZone && !isValidTimeZone(schedule.timeZone)) {
+        issues.push(`Unknown time zone: ${schedule.timeZone}`);
+      } else if (schedule.timeZone && schedule.timeZone !== HomeSettingsService.getTimeZone()) {
+        notes.push(`Runs on ${schedule.timeZone} time`);
+      }
+      if (schedule.trigger?.type === SchedulerService.TRIGGER_TYPES.SOLAR) {
+        if (!Object.values(SchedulerService.SOLAR_EVENTS).includes(schedule.trigger.event)) {
+          issues.push(`Unknown sun event: ${schedule.trigger.event}`);
+        } else if (!HomeSettingsService.getLocation()) {
+          notes.push('Follows the sun; set a home location for it to run');
+        }
+      }
+
+      if (schedule.recurrence?.rrule) {
+        try {
+          const { unsupported } = parseRRule(schedule.recurrence.rrule);
+          if (unsupported.length > 0) {
+            notes.push(`Repeat rule parts ignored: ${unsupported.join(', ')}`);
+          }
+        } catch (error) {
+          issues.push(`Unsupported repeat rule: ${error.message}`);
+        }
+      }
+
+      // Player: match by id, or by name when the export came from another account
+      const player = players.find(p => p.id === schedule.playerId)
+        || players.find(p => schedule.playerName && p.name === schedule.playerName);
+      if (!player) {
+        issues.push(`Player not found: ${schedule.playerName || schedule.playerId || 'none given'}`);
+      } else {
+        if (player.id !== schedule.playerId) {
+          notes.push(`Assigned to ${player.name} by name`);
+        }
+        schedule.playerId = player.id;
+        schedule.playerName = player.name;
+      }
+
+      // Cards: the schedule's own card, or each play-card step of a routine
+      if (schedule.type === SchedulerService.SCHEDULE_TYPES.ROUTINE) {
+        (schedule.steps || [])
+          .filter(step => step.type === RoutineService.STEP_TYPES.PLAY_CARD)
+          .forEach(step => {
+            const card = this.findCard(cards, step.params);
+            if (!card) {
+              issues.push(`Card not in your library: ${step.params.cardTitle || step.params.cardId}`);
+              return;
+            }
+            const matchedByTitle = card.id !== step.params.cardId;
+            if (matchedByTitle) {
+              notes.push(`Matched card "${card.title}" by title`);
+            }
+            step.params = {
+              ...step.params,
+              cardId: card.id,
+              cardTitle: card.title,
+              cardUri: this.getCardUri(card, matchedByTitle ? null : step.params.cardUri),
+            };
+          });
+      } else if (schedule.type === SchedulerService.SCHEDULE_TYPES.LIGHT) {
+        if (!Object.values(SchedulerService.LIGHT_ACTIONS).includes(schedule.light?.action)) {
+          issues.push('Unknown light change');
+        }
+      } else {
+        const card = this.findCard(cards, schedule);
+        if (!card) {
+          issues.push(`Card not in your library: ${schedule.cardTitle || schedule.cardId || 'none given'}`);
+        } else {
+          const matchedByTitle = card.id !== schedule.cardId;
+          if (matchedByTitle) {
+            notes.push(`Matched card "${card.title}" by title`);
+          }
+          schedule.cardId = card.id;
+          schedule.cardTitle = card.title;
+          schedule.cardUri = this.getCardUri(card, matchedByTitle ? null : schedule.cardUri);
+        }
+      }
+
+      let status = this.IMPORT_STATUS.NEW;
+      if (issues.length > 0) {
+        status = this.IMPORT_STATUS.INVALID;
+      } else if (existingById.has(schedule.id)) {
+        status = this.IMPORT_STATUS.CONFLICT;
+        notes.push('A schedule with the same id already exists');
+      } else {
+        const duplicate = existingSchedules.find(existing => this.isSameSchedule(existing, schedule));
+        if (duplicate) {
+          status = this.IMPORT_STATUS.DUPLICATE;
+          notes.push(`Same as existing schedule "${duplicate.cardTitle}"`);
+        }
+      }
+
+      return { schedule, status, issues, notes };
+    });
+  }
+
+  static findCard(cards, { cardId, cardTitle }) {
+    return cards.find(card => cardId && card.id === cardId)
+      || cards.find(card => cardTitle && card.title === cardTitle)
+      || null;
+  }
+
+  // The exported URI when it still points at this card, otherwise the library card's own
+  static getCardUri(card, exportedUri) {
+    return exportedUri || card.uri || `https://yoto.io/${card.id}`;
+  }
+
+  static isSameSchedule(a, b) {
+    const timeOf = schedule => SchedulerService.formatWallTime(schedule);
+    return a.playerId === b.playerId
+      && (a.type || SchedulerService.SCHEDULE_TYPES.CARD) === (b.type || SchedulerService.SCHEDULE_TYPES.CARD)
+      && a.cardId === b.cardId
+      && a.cardTitle === b.cardTitle
+      && timeOf(a) === timeOf(b)
+      && (a.recurrence?.rrule || null) === (b.recurrence?.rrule || null);
+  }
+
+  // Save the previewed schedules: new ones are added, conflicts replace the existing schedule
+  // when replaceConflicts is set; duplicates and invalid entries are skipped
+  // Resolves with { added, replaced, skipped }
+  static async applyImport(preview, { replaceConflicts = false } = {}) {
+    const toAdd = preview.filter(item => item.status === this.IMPORT_STATUS.NEW);
+    const toReplace = replaceConflicts
+      ? preview.filter(item => item.status === this.IMPORT_STATUS.CONFLICT)
+      : [];
+    const imported = [...toAdd, ...toReplace].map(item => this.fromPortable(item.schedule));
+    const importedIds = new Set(imported.map(schedule => schedule.id));
+
+    await SchedulerService.repository.update(schedules => [
+      ...schedules.filter(schedule => !importedIds.has(schedule.id)),
+      ...imported,
+    ]);
+
+    const result = {
+      added: toAdd.length,
+      replaced: toReplace.length,
+      skipped: preview.length - toAdd.length - toReplace.length,
+    };
+    console.log('📥 [TRANSFER] Imported schedules:', result);
+    return result;
+  }
+
+  // Turn a portable schedule back into a stored one with fresh run state
+  static fromPortable(portable) {
+    return SchedulerService.migrateSchedule({
+      type: SchedulerService.SCHEDULE_TYPES.CARD,
+      isEnabled: true,
+      ...portable,
+      scheduledTime: new Date(portable.scheduledTime),
+      createdAt: new Date(),
+      lastTriggered: null,
+      lastHandledOccurrence: null,
+      missedRuns: [],
+    });
+  }
+
+  // iCalendar helpers
+
+  // 'YYYYMMDDTHHMMSS' in local time, or UTC with a trailing 'Z'
+  static formatIcsDateTime(date, utc = false) {
+    const pad = value => String(value).padStart(2, '0');
+    if (utc) {
+      return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`
+        + `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+    }
+    const { year, month, day } = toCalendarDate(date);
+    return `${year}${pad(month)}${pad(day)}T${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  }
+
+  static escapeIcsText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  static unescapeIcsText(value) {
+    return String(value).replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+  }
+
+  // Lines longer than 75 characters continue on the next line after a space (RFC 5545 3.1)
+  static foldIcsLine(line) {
+    const parts = [];
+    let rest = line;
+    while (rest.length > 75) {
+      let cut = 75;
+      // Don't split a surrogate pair
+      const code = rest.charCodeAt(cut - 1);
+      if (code >= 0xd800 && code <= 0xdbff) cut -= 1;
+      parts.push(rest.slice(0, cut));
+      rest = rest.slice(cut);
+    }
+    parts.push(rest);
+    return parts.join('\r\n ');
+  }
+
+  static unfoldIcsLines(text) {
+    return text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(line => line.length > 0);
+  }
+}
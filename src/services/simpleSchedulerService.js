@@ -1,26 +1,164 @@
-import * as SecureStore from 'expo-secure-store';
+import {
+  toCalendarDate,
+  isOccurrenceDate,
+  getNextOccurrenceDate,
+  recurrenceFromDaysOfWeek,
+  describeRecurrence,
+  formatDateKey,
+  parseDateKey,
+  toDayNumber,
+  fromDayNumber,
+} from '../utils/recurrence';
+import {
+  getDeviceTimeZone,
+  getZonedCalendarDate,
+  zonedTimeToDate,
+  formatTimeZoneName,
+} from '../utils/timezone';
+import { getSolarEventTime, SOLAR_EVENTS } from '../utils/solar';
+import { ExecutionHistoryService } from './executionHistoryService';
+import { RoutineService } from './routineService';
+import { ConnectionManager } from './connectionManager';
+import { CommandQueueService } from './commandQueueService';
+import { ScheduleRepository, AsyncStorageBackend, SecureStoreBackend } from './scheduleRepository';
+import { ScheduleExceptionsService } from './scheduleExceptionsService';
+import { HomeSettingsService } from './homeSettingsService';
+import { LightTransitionService } from './lightTransitionService';
+import { VolumeService } from './volumeService';
 
 export class SchedulerService {
-  static SCHEDULES_KEY = 'yoto_schedules';
+  static SCHEDULES_KEY = 'yoto_schedule_store';
+  static LEGACY_SCHEDULES_KEY = 'yoto_schedules';          // Single SecureStore value used before the repository
+  static LEGACY_EXPO_GO_SCHEDULES_KEY = 'expogo_schedules'; // ExpoGoScheduler's old separate copy
+  
+  // Schema history:
+  //   1: plain array (legacy keys)
+  //   2: recurrence rules and catch-up policies on every schedule
+  //   3: wall-clock time and IANA time zone on every schedule
+  static SCHEMA_VERSION = 3;
   static isInitialized = false;
   static schedulerInterval = null;
   
+  // Catch-up policies for occurrences noticed after their scheduled minute
+  static CATCH_UP_POLICIES = {
+    SKIP: 'skip',       // Only run within the on-time tolerance
+    WINDOW: 'window',   // Run if less than windowMinutes late
+    ALWAYS: 'always',   // Always run the most recent missed occurrence once
+  };
+  static DEFAULT_CATCH_UP = { policy: 'window', windowMinutes: 15 };
+  static ON_TIME_TOLERANCE_MS = 60000; // Runs up to 1 minute early or late count as on time
+  static CATCH_UP_LOOKBACK_DAYS = 7;
+  static MAX_MISSED_RUNS = 20;
+  static MAX_SKIPPED_OCCURRENCES = 400; // How many excepted occurrences getNextExecutionTime looks past
+  static SNOOZE_OPTIONS_MINUTES = [5, 10, 15, 30];
+  static MAX_SNOOZE_MINUTES = 120;
+  
+  // When two schedules clash on one player, the higher priority wins (see resolveDueSchedules)
+  static PRIORITIES = {
+    LOW: -1,
+    NORMAL: 0,
+    HIGH: 1,
+  };
+  static DEFAULT_PRIORITY = 0;
+  
+  static CONFLICT_TYPES = {
+    DUPLICATE: 'duplicate', // Same content, time and recurrence on the same player
+    SAME_TIME: 'same_time', // Two runs start in the same minute
+    OVERLAP: 'overlap',     // A run starts while another is still expected to play
+  };
+  static CONFLICT_LOOKAHEAD_DAYS = 28;
+  static MAX_CONFLICT_OCCURRENCES = 60; // Per schedule, within the lookahead
+  
+  // What each player was last started with by a schedule, for resolving overlaps at run time:
+  // playerId -> { scheduleId, cardTitle, priority, startedAt: Date, expectedEnd: Date | null }
+  static activePlays = new Map();
+  
+  // What sets an occurrence's time of day
+  static TRIGGER_TYPES = {
+    TIME: 'time',   // wallTime's hour and minute
+    SOLAR: 'solar', // A sun event at the home location, plus an offset
+  };
+  static SOLAR_EVENTS = SOLAR_EVENTS;
+  static MAX_SOLAR_OFFSET_MINUTES = 180;
+  
+  static SCHEDULE_TYPES = {
+    CARD: 'card',       // Play a single card
+    ROUTINE: 'routine', // Run an ordered list of steps (see RoutineService)
+    LIGHT: 'light',     // Change the ambient light or night light
+  };
+  
+  static LIGHT_ACTIONS = {
+    AMBIENT: 'ambient',         // Ambient light on in a colour
+    OFF: 'off',                 // Ambient light off
+    NIGHT_LIGHT: 'night_light', // Night light on or off
+    FADE: 'fade',               // A gradual change, see LightTransitionService
+  };
+  
   // Schedule structure:
   // {
   //   id: string,
+  //   type: 'card' | 'routine' | 'light', // Missing on older schedules, which are 'card'
   //   cardId: string,
-  //   cardTitle: string,
+  //   cardTitle: string, // Card title, the routine's name for routines, or describeLight() for lights
   //   cardUri: string,
+  //   playbackOptions: {      // Optional, card schedules only; passed to MqttClient.playCard
+  //     chapterKey: string | null,
+  //     chapterTitle: string | null, // For display
+  //     trackKey: string | null,
+  //     trackTitle: string | null,   // For display
+  //     secondsIn: number | null, // Start offset within the track
+  //     cutOff: number | null,    // Stop offset within the track (secondsIn + play duration)
+  //     anyButtonStop: boolean
+  //   } | null,
+  //   preVolume: number | null, // Card schedules only: volume (0-100) to set before the card plays
+  //   steps: RoutineStep[], // Routines only, see RoutineService
+  //   light: {              // Light schedules only
+  //     action: 'ambient' | 'off' | 'night_light' | 'fade',
+  //     color: string | null, // '#RRGGBB', ambient only
+  //     brightness: number,   // 1-100, ambient and night light
+  //     nightLightOn: boolean, // Night light only
+  //     preset: 'dim_down' | 'sunrise', // Fade only, see LightTransitionService.PRESETS
+  //     durationMinutes: number         // Fade only
+  //   } | null,
   //   playerId: string,
   //   playerName: string,
-  //   scheduledTime: Date,
-  //   daysOfWeek: number[], // 0=Sunday, 1=Monday, etc.
+  //   wallTime: { date: 'YYYY-MM-DD', hour: number, minute: number }, // First date (DTSTART) and time of day, in timeZone
+  //   timeZone: string,    // IANA zone the wall time is in, usually the home's (see HomeSettingsService)
+  //   scheduledTime: Date, // wallTime as an instant; kept in sync for display and older readers
+  //   trigger: { type: 'time' }                     // Missing on older schedules, which are 'time'
+  //     | { type: 'solar', event: 'dawn' | 'sunrise' | 'sunset' | 'dusk', offsetMinutes: number },
+  //   recurrence: {
+  //     rrule: string | null, // RFC 5545 RRULE, e.g. 'FREQ=WEEKLY;BYDAY=MO,WE'
+  //     rdates: string[]      // Extra one-off dates, 'YYYY-MM-DD'
+  //   },
+  //   daysOfWeek: number[], // Legacy: 0=Sunday, 1=Monday, etc. Migrated into recurrence
   //   isEnabled: boolean,
-  //   repeatWeekly: boolean,
+  //   repeatWeekly: boolean, // Legacy: migrated into recurrence (false becomes a single rdate)
   //   createdAt: Date,
   //   lastTriggered: Date | null,
-  //   notifyIfOffline: boolean
+  //   lastHandledOccurrence: Date | null, // Planned time of the last occurrence run or recorded as missed
+  //   catchUp: { policy: 'skip' | 'window' | 'always', windowMinutes: number },
+  //   missedRuns: { plannedTime: Date, detectedAt: Date, minutesLate: number, source: string }[],
+  //   notifyIfOffline: boolean,
+  //   queueIfOffline: boolean,     // Card and light schedules: hold the command in the offline queue instead of failing
+  //   queueExpiryMinutes: number,  // How long a queued play may wait for the player to reconnect
+  //   exceptions: { id, start: 'YYYY-MM-DD', end: 'YYYY-MM-DD', label }[], // Dates this schedule skips
+  //   skippedOccurrence: Date | null, // Planned time of one occurrence that won't run ("skip next")
+  //   snoozedOccurrence: { plannedTime: Date, runAt: Date } | null, // One occurrence moved to a later time
+  //   priority: -1 | 0 | 1,   // Missing on older schedules, which are 0; see PRIORITIES
+  //   expectedDurationSeconds: number | null // How long the card plays from its start point, if known
   // }
+  //
+  // Occurrences are calendar dates in the schedule's timeZone at wallTime, so they don't move
+  // when the phone changes zone. On daylight-saving days a wall time that doesn't exist runs
+  // the length of the gap later (02:30 -> 03:30), and one that happens twice runs once, the
+  // first time (see utils/timezone).
+  //
+  // Solar triggers replace wallTime's hour and minute with the sun event on each occurrence date,
+  // computed offline from HomeSettingsService's location. Dates without the event (polar day or
+  // night) or without a home location have no occurrence.
+  //
+  // Global exceptions and vacation mode are kept by ScheduleExceptionsService
 
   static async initialize() {
     if (this.isInitialized) return;
@@ -68,25 +206,26 @@ export class SchedulerService {
   // Create a new schedule
   static async createSchedule(scheduleData) {
     try {
-      const schedule = {
+      const schedule = this.migrateSchedule({
         id: this.generateId(),
+        type: this.SCHEDULE_TYPES.CARD,
         ...scheduleData,
         createdAt: new Date(),
         lastTriggered: null,
+        lastHandledOccurrence: null,
+        missedRuns: [],
         isEnabled: true,
-      };
+      });
       
       console.log('📅 [SCHEDULER] Creating new schedule:', {
         id: schedule.id,
+        type: schedule.type,
         cardTitle: schedule.cardTitle,
         scheduledTime: schedule.scheduledTime,
-        daysOfWeek: schedule.daysOfWeek,
-        repeatWeekly: schedule.repeatWeekly
+        recurrence: schedule.recurrence
       });
       
-      const schedules = await this.getAllSchedules();
-      schedules.push(schedule);
-      await this.saveSchedules(schedules);
+      await this.repository.update(schedules => [...schedules, schedule]);
       
       console.log('✅ [SCHEDULER] Schedule created successfully');
       return schedule;
@@ -96,31 +235,119 @@ export class SchedulerService {
     }
   }
 
+  // Single source of truth for schedules, shared with ExpoGoScheduler
+  // AsyncStorage has no per-value limit; use repository.setBackend() to swap it (e.g. MemoryBackend in tests)
+  static repository = new ScheduleRepository({
+    key: SchedulerService.SCHEDULES_KEY,
+    backend: new AsyncStorageBackend(),
+    version: SchedulerService.SCHEMA_VERSION,
+    migrations: {
+      2: schedules => schedules.map(schedule => SchedulerService.migrateSchedule(schedule)),
+      3: schedules => schedules.map(schedule => SchedulerService.migrateSchedule(schedule)),
+    },
+    revive: schedule => SchedulerService.reviveSchedule(schedule),
+    legacySources: [
+      { backend: new SecureStoreBackend(), key: SchedulerService.LEGACY_SCHEDULES_KEY },
+      {
+        backend: new AsyncStorageBackend(),
+        key: SchedulerService.LEGACY_EXPO_GO_SCHEDULES_KEY,
+        filter: schedule => schedule.id !== 'test-notification', // Left behind by the status screen's test button
+      },
+    ],
+  });
+
   // Get all schedules
   static async getAllSchedules() {
     try {
-      const schedulesJson = await SecureStore.getItemAsync(this.SCHEDULES_KEY);
-      if (!schedulesJson) return [];
-      
-      const schedules = JSON.parse(schedulesJson);
-      // Convert date strings back to Date objects
-      return schedules.map(schedule => ({
-        ...schedule,
-        scheduledTime: new Date(schedule.scheduledTime),
-        createdAt: new Date(schedule.createdAt),
-        lastTriggered: schedule.lastTriggered ? new Date(schedule.lastTriggered) : null
-      }));
+      return await this.repository.load();
     } catch (error) {
       console.error('❌ [SCHEDULER] Failed to get schedules:', error);
       return [];
     }
   }
 
+  // Get one schedule by id, or null
+  static async getSchedule(scheduleId) {
+    const schedules = await this.getAllSchedules();
+    return schedules.find(schedule => schedule.id === scheduleId) || null;
+  }
+
+  // Convert date strings back to Date objects
+  static reviveSchedule(schedule) {
+    return {
+      ...schedule,
+      scheduledTime: new Date(schedule.scheduledTime),
+      createdAt: new Date(schedule.createdAt),
+      lastTriggered: schedule.lastTriggered ? new Date(schedule.lastTriggered) : null,
+      lastHandledOccurrence: schedule.lastHandledOccurrence ? new Date(schedule.lastHandledOccurrence) : null,
+      skippedOccurrence: schedule.skippedOccurrence ? new Date(schedule.skippedOccurrence) : null,
+      snoozedOccurrence: schedule.snoozedOccurrence
+        ? {
+            plannedTime: new Date(schedule.snoozedOccurrence.plannedTime),
+            runAt: new Date(schedule.snoozedOccurrence.runAt)
+          }
+        : null,
+      missedRuns: (schedule.missedRuns || []).map(run => ({
+        ...run,
+        plannedTime: new Date(run.plannedTime),
+        detectedAt: new Date(run.detectedAt)
+      }))
+    };
+  }
+
+  // Convert legacy daysOfWeek/repeatWeekly schedules to a recurrence rule,
+  // fill in a catch-up policy for schedules created before it existed,
+  // and give zone-less schedules the wall time they used to run at
+  static migrateSchedule(schedule, now = new Date()) {
+    if (schedule.recurrence && schedule.catchUp && schedule.wallTime && schedule.timeZone) return schedule;
+    
+    // Before time zones, schedules ran at scheduledTime's local time on whatever zone the phone was in
+    const timeFields = schedule.wallTime && schedule.timeZone
+      ? { wallTime: schedule.wallTime, timeZone: schedule.timeZone, scheduledTime: schedule.scheduledTime }
+      : this.getTimeFields(new Date(schedule.scheduledTime), schedule.timeZone || getDeviceTimeZone());
+    const migrated = { ...schedule, ...timeFields, catchUp: schedule.catchUp || { ...this.DEFAULT_CATCH_UP } };
+    if (schedule.recurrence) return migrated;
+    
+    if (schedule.repeatWeekly !== false) {
+      return { ...migrated, recurrence: recurrenceFromDaysOfWeek(schedule.daysOfWeek) };
+    }
+    
+    // A non-repeating legacy schedule played once, at scheduledTime. If that has passed it already ran
+    // (or was missed long ago), so it's marked handled rather than caught up now
+    const occurrence = new Date(timeFields.scheduledTime);
+    return {
+      ...migrated,
+      recurrence: { rrule: null, rdates: [timeFields.wallTime.date] },
+      lastHandledOccurrence: schedule.lastHandledOccurrence || (occurrence <= now ? occurrence : null)
+    };
+  }
+
+  // Schedule time fields for a time picked on the phone: its local date and time of day,
+  // read as a wall-clock time in timeZone
+  static getTimeFields(localDate, timeZone) {
+    const wallTime = {
+      date: formatDateKey(toCalendarDate(localDate)),
+      hour: localDate.getHours(),
+      minute: localDate.getMinutes()
+    };
+    return {
+      wallTime,
+      timeZone,
+      scheduledTime: zonedTimeToDate({ ...toCalendarDate(localDate), hour: wallTime.hour, minute: wallTime.minute }, timeZone)
+    };
+  }
+
+  // A phone-local Date showing the schedule's wall time, for the time picker
+  static getWallTimeAsLocalDate(schedule) {
+    const { wallTime } = this.migrateSchedule(schedule);
+    const date = parseDateKey(wallTime.date);
+    return new Date(date.year, date.month - 1, date.day, wallTime.hour, wallTime.minute);
+  }
+
   // Save schedules to storage
   static async saveSchedules(schedules) {
     try {
-      const schedulesJson = JSON.stringify(schedules);
-      await SecureStore.setItemAsync(this.SCHEDULES_KEY, schedulesJson);
+      await this.repository.save(schedules);
     } catch (error) {
       console.error('❌ [SCHEDULER] Failed to save schedules:', error);
       throw error;
@@ -130,24 +357,26 @@ export class SchedulerService {
   // Update a schedule
   static async updateSchedule(scheduleId, updates) {
     try {
-      const schedules = await this.getAllSchedules();
-      const index = schedules.findIndex(s => s.id === scheduleId);
-      
-      if (index === -1) {
-        throw new Error('Schedule not found');
-      }
-      
-      console.log('📝 [SCHEDULER] Updating schedule:', {
-        scheduleId,
-        oldSchedule: schedules[index],
-        updates
+      let updatedSchedule = null;
+      await this.repository.update(schedules => {
+        const index = schedules.findIndex(s => s.id === scheduleId);
+        
+        if (index === -1) {
+          throw new Error('Schedule not found');
+        }
+        
+        console.log('📝 [SCHEDULER] Updating schedule:', {
+          scheduleId,
+          oldSchedule: schedules[index],
+          updates
+        });
+        
+        updatedSchedule = { ...schedules[index], ...updates };
+        return schedules.map((s, i) => (i === index ? updatedSchedule : s));
       });
       
-      schedules[index] = { ...schedules[index], ...updates };
-      await this.saveSchedules(schedules);
-      
-      console.log('✅ [SCHEDULER] Schedule updated:', schedules[index]);
-      return schedules[index];
+      console.log('✅ [SCHEDULER] Schedule updated:', updatedSchedule);
+      return updatedSchedule;
     } catch (error) {
       console.error('❌ [SCHEDULER] Failed to update schedule:', error);
       throw error;
@@ -157,9 +386,7 @@ export class SchedulerService {
   // Delete a schedule
   static async deleteSchedule(scheduleId) {
     try {
-      const schedules = await this.getAllSchedules();
-      const filteredSchedules = schedules.filter(s => s.id !== scheduleId);
-      await this.saveSchedules(filteredSchedules);
+      await this.repository.update(schedules => schedules.filter(s => s.id !== scheduleId));
       
       console.log('✅ [SCHEDULER] Schedule deleted:', scheduleId);
     } catch (error) {
@@ -169,9 +396,10 @@ export class SchedulerService {
   }
 
   // Check and execute due schedules
-  static async checkAndExecuteSchedules(mqttClient = null) {
+  static async checkAndExecuteSchedules(mqttClient = null, source = ExecutionHistoryService.SOURCES.FOREGROUND) {
     try {
       const schedules = await this.getAllSchedules();
+      await Promise.all([ScheduleExceptionsService.load(), HomeSettingsService.load()]);
       const now = new Date();
       
       console.log(`⏰ [SCHEDULER] Checking ${schedules.length} schedules at ${now.toLocaleTimeString()}`);
@@ -182,107 +410,514 @@ export class SchedulerService {
         clientConnected: mqttClient?.isConnectionHealthy?.() || this.mqttClient?.isConnectionHealthy?.()
       });
       
-      // Use the provided client or fall back to the stored one
+      // Each schedule is routed to its own player's session; this client is only a fallback
       const clientToUse = mqttClient || this.mqttClient;
       
+      const dueRuns = [];
       for (const schedule of schedules) {
         if (!schedule.isEnabled) {
           console.log(`⏭️ [SCHEDULER] Skipping disabled schedule: ${schedule.cardTitle}`);
           continue;
         }
         
-        if (this.isScheduleDue(schedule, now)) {
-          console.log('🔔 [SCHEDULER] Schedule is due:', schedule.cardTitle);
-          await this.executeSchedule(schedule, clientToUse);
+        const { status, occurrence, minutesLate } = this.evaluateSchedule(schedule, now);
+        
+        if (status === 'due') {
+          dueRuns.push({ schedule, occurrence, minutesLate });
+        } else if (status === 'missed') {
+          await this.recordMissedRun(schedule, occurrence, now, source);
         }
       }
+      
+      // Only one run per player goes ahead when several clash
+      const { run, superseded } = this.resolveDueSchedules(dueRuns, now);
+      
+      for (const { schedule, occurrence, reason } of superseded) {
+        await this.recordSupersededRun(schedule, occurrence, reason, source);
+      }
+      
+      for (const { schedule, occurrence, minutesLate } of run) {
+        console.log(`🔔 [SCHEDULER] Schedule is due: ${schedule.cardTitle} (${minutesLate} min late)`);
+        await this.executeSchedule(schedule, clientToUse, occurrence, source);
+      }
     } catch (error) {
       console.error('❌ [SCHEDULER] Error checking schedules:', error);
     }
   }
 
+  // Get the planned Date of an occurrence on a calendar date (in the schedule's zone),
+  // or null if a solar trigger has no time that day
+  static getOccurrenceTime(schedule, calendarDate) {
+    const { wallTime, timeZone } = this.migrateSchedule(schedule);
+    const trigger = this.getTrigger(schedule);
+    
+    if (trigger.type === this.TRIGGER_TYPES.SOLAR) {
+      const location = HomeSettingsService.getLocation();
+      if (!location) return null;
+      
+      const eventTime = getSolarEventTime(calendarDate, trigger.event, location.latitude, location.longitude);
+      return eventTime ? new Date(eventTime.getTime() + (trigger.offsetMinutes || 0) * 60000) : null;
+    }
+    
+    return zonedTimeToDate({ ...calendarDate, hour: wallTime.hour, minute: wallTime.minute }, timeZone);
+  }
+
+  static getTrigger(schedule) {
+    return schedule.trigger || { type: this.TRIGGER_TYPES.TIME };
+  }
+
+  // When the schedule's trigger falls today (whether or not it runs today), or null
+  static getTimeToday(schedule, now = new Date()) {
+    const { timeZone } = this.migrateSchedule(schedule);
+    return this.getOccurrenceTime(schedule, getZonedCalendarDate(now, timeZone));
+  }
+
+  // Calendar date of the schedule's first occurrence (DTSTART)
+  static getStartDate(schedule) {
+    return parseDateKey(this.migrateSchedule(schedule).wallTime.date);
+  }
+
+  // Find the most recent occurrence that has started by currentTime
+  // (including one starting within the on-time tolerance)
+  static getLatestOccurrence(schedule, currentTime) {
+    const { recurrence, timeZone } = this.migrateSchedule(schedule);
+    const startDate = this.getStartDate(schedule);
+    const latestAllowed = currentTime.getTime() + this.ON_TIME_TOLERANCE_MS;
+    // Start a day ahead so an occurrence just after midnight counts within the on-time tolerance
+    const today = toDayNumber(getZonedCalendarDate(currentTime, timeZone));
+    
+    for (let daysBack = -1; daysBack <= this.CATCH_UP_LOOKBACK_DAYS; daysBack++) {
+      const calendarDate = fromDayNumber(today - daysBack);
+      if (!isOccurrenceDate(recurrence, startDate, calendarDate)) continue;
+      if (this.getExclusion(schedule, calendarDate)) continue;
+      
+      const occurrence = this.getOccurrenceTime(schedule, calendarDate);
+      if (occurrence && occurrence.getTime() <= latestAllowed) return occurrence;
+    }
+    
+    return null;
+  }
+
+  // Decide what to do with a schedule right now:
+  // 'due' (run it), 'missed' (too late per its catch-up policy) or 'idle'
+  static evaluateSchedule(schedule, currentTime) {
+    const idle = { status: 'idle', occurrence: null, minutesLate: 0 };
+    const occurrence = this.getLatestOccurrence(schedule, currentTime);
+    if (!occurrence) return idle;
+    
+    // Occurrences planned before the schedule existed never run
+    if (schedule.createdAt &&
+        occurrence.getTime() < new Date(schedule.createdAt).getTime() - this.ON_TIME_TOLERANCE_MS) {
+      return idle;
+    }
+    
+    // Each occurrence is handled (run or recorded as missed) only once
+    if (schedule.lastHandledOccurrence && new Date(schedule.lastHandledOccurrence) >= occurrence) {
+      return idle;
+    }
+    if (schedule.lastTriggered &&
+        new Date(schedule.lastTriggered).getTime() >= occurrence.getTime() - this.ON_TIME_TOLERANCE_MS) {
+      return idle;
+    }
+    
+    // Skipped by the user; a snoozed occurrence is due at its new time instead
+    if (this.isSameTime(schedule.skippedOccurrence, occurrence)) {
+      return idle;
+    }
+    const snoozed = this.isSameTime(schedule.snoozedOccurrence?.plannedTime, occurrence);
+    const dueTime = snoozed ? new Date(schedule.snoozedOccurrence.runAt) : occurrence;
+    if (snoozed && dueTime.getTime() - currentTime.getTime() > this.ON_TIME_TOLERANCE_MS) {
+      return idle;
+    }
+    
+    const lateMs = currentTime.getTime() - dueTime.getTime();
+    const minutesLate = Math.max(0, Math.floor(lateMs / 60000));
+    
+    if (lateMs <= this.ON_TIME_TOLERANCE_MS) {
+      return { status: 'due', occurrence, minutesLate };
+    }
+    
+    const { policy, windowMinutes } = schedule.catchUp || this.DEFAULT_CATCH_UP;
+    const shouldCatchUp =
+      policy === this.CATCH_UP_POLICIES.ALWAYS ||
+      (policy === this.CATCH_UP_POLICIES.WINDOW && lateMs <= windowMinutes * 60000);
+    
+    return { status: shouldCatchUp ? 'due' : 'missed', occurrence, minutesLate };
+  }
+
   // Check if a schedule is due
   static isScheduleDue(schedule, currentTime) {
-    const scheduledTime = new Date(schedule.scheduledTime);
-    const currentDay = currentTime.getDay();
-    const currentHour = currentTime.getHours();
-    const currentMinute = currentTime.getMinutes();
+    return this.evaluateSchedule(schedule, currentTime).status === 'due';
+  }
+
+  // Why the schedule skips a calendar date (its own exceptions, global exceptions
+  // or vacation mode), or null; uses the last ScheduleExceptionsService.load()
+  static getExclusion(schedule, calendarDate) {
+    return ScheduleExceptionsService.getExclusion(schedule, calendarDate);
+  }
+
+  // Record an occurrence that was noticed too late to run
+  static async recordMissedRun(schedule, occurrence, detectedAt = new Date(), source = ExecutionHistoryService.SOURCES.FOREGROUND) {
+    const missedRun = {
+      plannedTime: occurrence,
+      detectedAt,
+      minutesLate: Math.floor((detectedAt.getTime() - occurrence.getTime()) / 60000),
+      source
+    };
     
-    // Check if today is a scheduled day
-    if (!schedule.daysOfWeek.includes(currentDay)) {
-      return false;
-    }
+    console.log(`⏭️ [SCHEDULER] Missed "${schedule.cardTitle}" planned for ${occurrence.toLocaleString()} (${missedRun.minutesLate} min late, policy: ${schedule.catchUp?.policy})`);
     
-    // Check if current time matches scheduled time (within 1 minute window)
-    const scheduledHour = scheduledTime.getHours();
-    const scheduledMinute = scheduledTime.getMinutes();
+    try {
+      await this.updateSchedule(schedule.id, {
+        lastHandledOccurrence: occurrence,
+        missedRuns: [...(schedule.missedRuns || []), missedRun].slice(-this.MAX_MISSED_RUNS)
+      });
+    } catch (error) {
+      console.error('❌ [SCHEDULER] Failed to record missed run:', error);
+    }
     
-    const isTimeMatch = currentHour === scheduledHour && 
-                       Math.abs(currentMinute - scheduledMinute) <= 1;
+    await ExecutionHistoryService.recordExecution({
+      schedule,
+      plannedTime: occurrence,
+      actualTime: detectedAt,
+      source,
+      mqttHealth: ExecutionHistoryService.describeMqttHealth(this.mqttClient),
+      outcome: ExecutionHistoryService.OUTCOMES.MISSED,
+      errorMessage: `Noticed ${missedRun.minutesLate} minutes late (catch-up policy: ${schedule.catchUp?.policy})`
+    }).catch(() => {});
     
-    if (!isTimeMatch) return false;
+    return missedRun;
+  }
+
+  // Record an occurrence that didn't run because a higher-priority schedule won the player
+  static async recordSupersededRun(schedule, occurrence, reason, source = ExecutionHistoryService.SOURCES.FOREGROUND) {
+    console.log(`🥈 [SCHEDULER] Not running "${schedule.cardTitle}" planned for ${occurrence.toLocaleString()}: ${reason}`);
     
-    // Prevent duplicate execution within the same minute
-    if (schedule.lastTriggered) {
-      const lastTriggered = new Date(schedule.lastTriggered);
-      const timeDiff = currentTime.getTime() - lastTriggered.getTime();
-      if (timeDiff < 60000) { // Less than 1 minute ago
-        return false;
-      }
+    try {
+      await this.updateSchedule(schedule.id, { lastHandledOccurrence: occurrence });
+    } catch (error) {
+      console.error('❌ [SCHEDULER] Failed to record superseded run:', error);
     }
     
-    return true;
+    await ExecutionHistoryService.recordExecution({
+      schedule,
+      plannedTime: occurrence,
+      source,
+      mqttHealth: ExecutionHistoryService.describeMqttHealth(this.mqttClient),
+      outcome: ExecutionHistoryService.OUTCOMES.SUPERSEDED,
+      errorMessage: reason
+    }).catch(() => {});
   }
 
-  // Execute a schedule
-  static async executeSchedule(schedule, mqttClient) {
+  // Execute a schedule and record the attempt in the execution history
+  static async executeSchedule(schedule, fallbackClient, occurrence = new Date(), source = ExecutionHistoryService.SOURCES.FOREGROUND) {
+    const mqttClient = await this.getClientForSchedule(schedule, fallbackClient);
+    
+    if (schedule.type === this.SCHEDULE_TYPES.ROUTINE) {
+      return this.executeRoutine(schedule, mqttClient, occurrence, source);
+    }
+    if (schedule.type === this.SCHEDULE_TYPES.LIGHT) {
+      return this.executeLight(schedule, mqttClient, occurrence, source);
+    }
+    
+    const mqttHealth = ExecutionHistoryService.describeMqttHealth(mqttClient);
+    let outcome = ExecutionHistoryService.OUTCOMES.FAILED;
+    let errorMessage = null;
+    let confirmation = null;
+    
     try {
       console.log('🎵 [SCHEDULER] Executing schedule:', schedule.cardTitle);
       console.log('🔍 [SCHEDULER] Schedule details:', {
         cardId: schedule.cardId,
         cardUri: schedule.cardUri,
         playerId: schedule.playerId,
-        playerName: schedule.playerName
+        playerName: schedule.playerName,
+        source
       });
       
-      // Update last triggered time
-      await this.updateSchedule(schedule.id, { lastTriggered: new Date() });
+      // Update last triggered time and mark this occurrence as handled
+      await this.updateSchedule(schedule.id, {
+        lastTriggered: new Date(),
+        lastHandledOccurrence: occurrence
+      });
       
       if (mqttClient) {
         console.log('🔌 [SCHEDULER] MQTT Client check:', {
           clientExists: !!mqttClient,
           hasHealthMethod: typeof mqttClient.isConnectionHealthy === 'function',
-          isHealthy: mqttClient.isConnectionHealthy ? mqttClient.isConnectionHealthy() : 'unknown',
+          isHealthy: mqttHealth.healthy,
           clientType: typeof mqttClient
         });
         
-        if (mqttClient.isConnectionHealthy()) {
+        if (mqttHealth.healthy) {
           // Device is online, play the card
           console.log('📱 [SCHEDULER] Device online, playing card...');
           
           try {
-            await mqttClient.playCard(schedule.playerId, schedule.cardUri);
+            await this.applyPreVolume(schedule, mqttClient);
+            
+            // Wait for the player to report the card playing, not just for the publish
+            const { confirmedAt, latencyMs } = await mqttClient.playCardAndConfirm(
+              schedule.playerId,
+              schedule.cardUri,
+              this.getPlaybackOptions(schedule)
+            );
+            confirmation = { confirmedAt, latencyMs };
+            outcome = ExecutionHistoryService.OUTCOMES.SUCCESS;
+            this.recordActivePlay(schedule);
             
             // Log success
-            console.log(`✅ [SCHEDULER] Card "${schedule.cardTitle}" played successfully on ${schedule.playerName}`);
+            console.log(`✅ [SCHEDULER] Card "${schedule.cardTitle}" started on ${schedule.playerName} (confirmed in ${latencyMs}ms)`);
             
           } catch (error) {
-            console.error('❌ [SCHEDULER] Failed to play card:', error);
-            console.log(`❌ [SCHEDULER] Could not play "${schedule.cardTitle}" on ${schedule.playerName}: ${error.message}`);
+            errorMessage = error.message;
+            if (error.code === 'COMMAND_TIMEOUT') {
+              // The command went out but the player never reported playing it
+              outcome = ExecutionHistoryService.OUTCOMES.UNCONFIRMED;
+              this.recordActivePlay(schedule);
+              console.log(`⚠️ [SCHEDULER] "${schedule.cardTitle}" was sent to ${schedule.playerName} but not confirmed`);
+            } else {
+              console.error('❌ [SCHEDULER] Failed to play card:', error);
+              console.log(`❌ [SCHEDULER] Could not play "${schedule.cardTitle}" on ${schedule.playerName}: ${error.message}`);
+            }
           }
         } else {
           // Device connection is not healthy
+          errorMessage = `Connection to ${schedule.playerName} is not healthy`;
           console.log('📴 [SCHEDULER] Device connection not healthy');
           console.log(`📴 [SCHEDULER] Could not play "${schedule.cardTitle}" because connection to ${schedule.playerName} is not healthy`);
         }
       } else {
-        // No MQTT client provided
-        console.log('❌ [SCHEDULER] No MQTT client provided');
+        // No session could be opened for this player
+        errorMessage = `Could not connect to ${schedule.playerName}`;
+        console.log('❌ [SCHEDULER] No MQTT session for this player');
         console.log(`❌ [SCHEDULER] Could not play "${schedule.cardTitle}" because no MQTT client is available`);
       }
+      
+      // Keep the play for when the player's connection comes back, if the schedule allows it
+      if (!mqttHealth.healthy && schedule.queueIfOffline) {
+        await this.enqueueSchedule(schedule, occurrence);
+        outcome = ExecutionHistoryService.OUTCOMES.QUEUED;
+        console.log(`📥 [SCHEDULER] Queued "${schedule.cardTitle}" until ${schedule.playerName} reconnects`);
+      }
     } catch (error) {
+      errorMessage = error.message;
       console.error('❌ [SCHEDULER] Failed to execute schedule:', error);
     }
+    
+    await ExecutionHistoryService.recordExecution({
+      schedule,
+      plannedTime: occurrence,
+      source,
+      mqttHealth,
+      outcome,
+      errorMessage,
+      confirmation
+    }).catch(() => {});
+    
+    return outcome === ExecutionHistoryService.OUTCOMES.SUCCESS;
+  }
+
+  // Get a client connected to the schedule's own player, connecting on demand.
+  // The fallback client is only used if it is already connected to that player.
+  static async getClientForSchedule(schedule, fallbackClient = null) {
+    try {
+      return await ConnectionManager.getClient(schedule.playerId);
+    } catch (error) {
+      console.error(`❌ [SCHEDULER] Could not open a session for ${schedule.playerName}:`, error);
+      return fallbackClient?.currentPlayerId === schedule.playerId ? fallbackClient : null;
+    }
+  }
+
+  // Start a routine schedule. Routines can contain long waits, so they run
+  // alongside the scheduler loop and record their history when they finish.
+  static async executeRoutine(schedule, mqttClient, occurrence = new Date(), source = ExecutionHistoryService.SOURCES.FOREGROUND) {
+    const mqttHealth = ExecutionHistoryService.describeMqttHealth(mqttClient);
+    
+    if (RoutineService.isRunning(schedule.id)) {
+      console.log(`⚠️ [SCHEDULER] Routine "${schedule.cardTitle}" is still running, not starting it again`);
+      return false;
+    }
+    
+    try {
+      await this.updateSchedule(schedule.id, {
+        lastTriggered: new Date(),
+        lastHandledOccurrence: occurrence
+      });
+    } catch (error) {
+      console.error('❌ [SCHEDULER] Failed to mark routine as triggered:', error);
+    }
+    
+    console.log(`🎬 [SCHEDULER] Starting routine "${schedule.cardTitle}" on ${schedule.playerName}`);
+    this.recordActivePlay(schedule);
+    
+    RoutineService.run(schedule, () => ConnectionManager.getExistingClient(schedule.playerId) || mqttClient)
+      .then(result => ExecutionHistoryService.recordExecution({
+        schedule,
+        plannedTime: occurrence,
+        source,
+        mqttHealth,
+        outcome: result.unconfirmed
+          ? ExecutionHistoryService.OUTCOMES.UNCONFIRMED
+          : result.success ? ExecutionHistoryService.OUTCOMES.SUCCESS : ExecutionHistoryService.OUTCOMES.FAILED,
+        errorMessage: result.error,
+        stepResults: result.stepResults
+      }))
+      .catch(error => console.error('❌ [SCHEDULER] Routine run failed:', error));
+    
+    return true;
+  }
+
+  // Run a light schedule's command, queueing it while the player is offline if the schedule allows it
+  static async executeLight(schedule, mqttClient, occurrence = new Date(), source = ExecutionHistoryService.SOURCES.FOREGROUND) {
+    if (schedule.light?.action === this.LIGHT_ACTIONS.FADE) {
+      return this.executeLightFade(schedule, mqttClient, occurrence, source);
+    }
+    
+    const mqttHealth = ExecutionHistoryService.describeMqttHealth(mqttClient);
+    let outcome = ExecutionHistoryService.OUTCOMES.FAILED;
+    let errorMessage = null;
+    let confirmation = null;
+    
+    try {
+      console.log(`💡 [SCHEDULER] Executing light schedule: ${schedule.cardTitle} on ${schedule.playerName}`);
+      
+      await this.updateSchedule(schedule.id, {
+        lastTriggered: new Date(),
+        lastHandledOccurrence: occurrence
+      });
+      
+      if (mqttHealth.healthy) {
+        ({ outcome, errorMessage, confirmation } = await this.applyLightCommand(schedule, mqttClient));
+        console.log(`✅ [SCHEDULER] ${schedule.cardTitle} on ${schedule.playerName} (${outcome})`);
+      } else if (schedule.queueIfOffline) {
+        await this.enqueueSchedule(schedule, occurrence);
+        outcome = ExecutionHistoryService.OUTCOMES.QUEUED;
+        console.log(`📥 [SCHEDULER] Queued "${schedule.cardTitle}" until ${schedule.playerName} reconnects`);
+      } else {
+        errorMessage = mqttClient
+          ? `Connection to ${schedule.playerName} is not healthy`
+          : `Could not connect to ${schedule.playerName}`;
+        console.log(`📴 [SCHEDULER] Could not change the light on ${schedule.playerName}: ${errorMessage}`);
+      }
+    } catch (error) {
+      errorMessage = error.message;
+      console.error('❌ [SCHEDULER] Failed to change the light:', error);
+    }
+    
+    await ExecutionHistoryService.recordExecution({
+      schedule,
+      plannedTime: occurrence,
+      source,
+      mqttHealth,
+      outcome,
+      errorMessage,
+      confirmation
+    }).catch(() => {});
+    
+    return outcome === ExecutionHistoryService.OUTCOMES.SUCCESS;
+  }
+
+  // Send a light schedule's command and wait for the player to report the change
+  // Resolves with { outcome, errorMessage, confirmation }; a change the player never reports is UNCONFIRMED
+  static async applyLightCommand(schedule, mqttClient) {
+    // A fade still running would paint over this change
+    LightTransitionService.cancel(schedule.playerId);
+    try {
+      const { confirmedAt, latencyMs } = await CommandQueueService.runCommand(mqttClient, {
+        playerId: schedule.playerId,
+        ...this.getLightCommand(schedule)
+      });
+      return { outcome: ExecutionHistoryService.OUTCOMES.SUCCESS, errorMessage: null, confirmation: { confirmedAt, latencyMs } };
+    } catch (error) {
+      if (error.code !== 'COMMAND_TIMEOUT') throw error;
+      console.log(`⚠️ [SCHEDULER] ${schedule.cardTitle} was sent to ${schedule.playerName} but not confirmed`);
+      return { outcome: ExecutionHistoryService.OUTCOMES.UNCONFIRMED, errorMessage: error.message, confirmation: null };
+    }
+  }
+
+  // Start a light fade. Fades take minutes and keep going through reconnects,
+  // so like routines they run alongside the scheduler loop and record their history when they finish.
+  static async executeLightFade(schedule, mqttClient, occurrence = new Date(), source = ExecutionHistoryService.SOURCES.FOREGROUND) {
+    const mqttHealth = ExecutionHistoryService.describeMqttHealth(mqttClient);
+    const getClient = () => ConnectionManager.getExistingClient(schedule.playerId) || mqttClient;
+    
+    try {
+      await this.updateSchedule(schedule.id, {
+        lastTriggered: new Date(),
+        lastHandledOccurrence: occurrence
+      });
+    } catch (error) {
+      console.error('❌ [SCHEDULER] Failed to mark light fade as triggered:', error);
+    }
+    
+    const transition = LightTransitionService.createTransition(schedule.light.preset, schedule.light.durationMinutes);
+    
+    console.log(`💡 [SCHEDULER] Starting "${schedule.cardTitle}" on ${schedule.playerName}`);
+    
+    LightTransitionService.run(schedule.playerId, transition, getClient)
+      .then(result => ExecutionHistoryService.recordExecution({
+        schedule,
+        plannedTime: occurrence,
+        source,
+        mqttHealth,
+        outcome: result.success ? ExecutionHistoryService.OUTCOMES.SUCCESS : ExecutionHistoryService.OUTCOMES.FAILED,
+        errorMessage: result.error || (result.cancelled ? 'Fade cancelled' : null)
+      }))
+      .catch(error => console.error('❌ [SCHEDULER] Light fade failed:', error));
+    
+    return true;
+  }
+
+  // The CommandQueueService command ({ command, params }) a light schedule sends
+  static getLightCommand(schedule) {
+    const { action, color, brightness, nightLightOn } = schedule.light || {};
+    switch (action) {
+      case this.LIGHT_ACTIONS.AMBIENT:
+        return { command: CommandQueueService.COMMANDS.AMBIENT_LIGHT, params: { brightness, color } };
+      case this.LIGHT_ACTIONS.OFF:
+        return { command: CommandQueueService.COMMANDS.AMBIENT_LIGHT, params: { brightness: 0 } };
+      case this.LIGHT_ACTIONS.NIGHT_LIGHT:
+        return { command: CommandQueueService.COMMANDS.NIGHT_LIGHT, params: { enabled: !!nightLightOn, brightness } };
+      default:
+        throw new Error(`Unknown light action: ${action}`);
+    }
+  }
+
+  // Hold a card or light schedule's command in the offline queue until its player reconnects
+  static enqueueSchedule(schedule, occurrence) {
+    const command = schedule.type === this.SCHEDULE_TYPES.LIGHT
+      ? this.getLightCommand(schedule)
+      : {
+          command: CommandQueueService.COMMANDS.PLAY_CARD,
+          params: { cardUri: schedule.cardUri, options: this.getPlaybackOptions(schedule), volume: schedule.preVolume ?? null }
+        };
+
+    return CommandQueueService.enqueue({
+      playerId: schedule.playerId,
+      ...command,
+      dedupeKey: `schedule:${schedule.id}`,
+      label: schedule.cardTitle,
+      schedule,
+      plannedTime: occurrence,
+      expiryMinutes: schedule.queueExpiryMinutes
+    });
+  }
+
+  // e.g. 'Ambient light at 30%', 'Ambient light off', 'Night light on at 20%', 'Sunrise over 20 min'
+  static describeLight(light) {
+    switch (light?.action) {
+      case this.LIGHT_ACTIONS.AMBIENT:
+        return `Ambient light at ${light.brightness}%`;
+      case this.LIGHT_ACTIONS.OFF:
+        return 'Ambient light off';
+      case this.LIGHT_ACTIONS.NIGHT_LIGHT:
+        return light.nightLightOn ? `Night light on at ${light.brightness}%` : 'Night light off';
+      case this.LIGHT_ACTIONS.FADE:
+        return `${light.preset === LightTransitionService.PRESETS.SUNRISE ? 'Sunrise' : 'Dim down'} over ${light.durationMinutes} min`;
+      default:
+        return 'Light change';
+    }
   }
 
   // Get schedules for a specific player
@@ -316,65 +951,485 @@ export class SchedulerService {
     });
   }
 
-  // Format days for display
-  static formatDays(daysArray) {
-    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    if (daysArray.length === 7) return 'Every day';
-    if (daysArray.length === 5 && !daysArray.includes(0) && !daysArray.includes(6)) return 'Weekdays';
-    if (daysArray.length === 2 && daysArray.includes(0) && daysArray.includes(6)) return 'Weekends';
-    return daysArray.map(day => dayNames[day]).join(', ');
+  // The schedule's time of day, with its zone when that isn't the phone's, e.g. '7:00 PM' or '7:00 PM GMT+1',
+  // or its solar trigger, e.g. '30 min after sunset'
+  static formatWallTime(schedule) {
+    const trigger = this.getTrigger(schedule);
+    if (trigger.type === this.TRIGGER_TYPES.SOLAR) {
+      return this.describeSolarTrigger(trigger);
+    }
+    
+    const { wallTime, timeZone } = this.migrateSchedule(schedule);
+    const time = this.formatTime(new Date(2000, 0, 1, wallTime.hour, wallTime.minute));
+    return timeZone === getDeviceTimeZone() ? time : `${time} ${formatTimeZoneName(timeZone)}`;
+  }
+
+  // e.g. 'At sunrise', '30 min after sunset', '1 h 15 min before dusk'
+  static describeSolarTrigger({ event, offsetMinutes = 0 }) {
+    if (!offsetMinutes) {
+      return `At ${event}`;
+    }
+    
+    const minutes = Math.abs(offsetMinutes);
+    const amount = minutes >= 60
+      ? `${Math.floor(minutes / 60)} h${minutes % 60 ? ` ${minutes % 60} min` : ''}`
+      : `${minutes} min`;
+    return `${amount} ${offsetMinutes > 0 ? 'after' : 'before'} ${event}`;
   }
 
-  // Get next execution time for a schedule
-  static getNextExecutionTime(schedule) {
-    const now = new Date();
-    const scheduledTime = new Date(schedule.scheduledTime);
+  // Set the schedule's volume before its card plays; a failure is logged and the card plays anyway
+  static async applyPreVolume(schedule, mqttClient) {
+    if (typeof schedule.preVolume !== 'number') return;
+    try {
+      await VolumeService.setVolume(schedule.playerId, schedule.preVolume, mqttClient);
+    } catch (error) {
+      console.error(`❌ [SCHEDULER] Could not set volume to ${schedule.preVolume} before "${schedule.cardTitle}":`, error);
+    }
+  }
+
+  // Options for MqttClient.playCard, with unset values left out
+  static getPlaybackOptions(schedule) {
+    const options = {};
+    const playbackOptions = schedule?.playbackOptions;
+    if (!playbackOptions) return options;
+    
+    if (playbackOptions.chapterKey) options.chapterKey = playbackOptions.chapterKey;
+    if (playbackOptions.trackKey) options.trackKey = playbackOptions.trackKey;
+    if (playbackOptions.secondsIn > 0) options.secondsIn = playbackOptions.secondsIn;
+    if (playbackOptions.cutOff > 0) options.cutOff = playbackOptions.cutOff;
+    if (typeof playbackOptions.anyButtonStop === 'boolean') options.anyButtonStop = playbackOptions.anyButtonStop;
+    return options;
+  }
+
+  // Short description of where playback starts and stops, or null for the whole card
+  static formatPlaybackOptions(schedule) {
+    const options = this.getPlaybackOptions(schedule);
+    const parts = [];
+    
+    if (options.chapterKey) parts.push(`Chapter ${schedule.playbackOptions.chapterTitle || options.chapterKey}`);
+    if (options.trackKey) parts.push(`track ${schedule.playbackOptions.trackTitle || options.trackKey}`);
+    if (options.secondsIn) parts.push(`from ${this.formatSeconds(options.secondsIn)}`);
+    if (options.cutOff) parts.push(`stop after ${this.formatSeconds(options.cutOff - (options.secondsIn || 0))}`);
+    
+    return parts.length ? parts.join(', ') : null;
+  }
+
+  // Format a number of seconds as m:ss
+  static formatSeconds(totalSeconds) {
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  }
+
+  // Format a schedule's recurrence for display (also accepts a legacy days array)
+  static formatDays(scheduleOrDays) {
+    const recurrence = Array.isArray(scheduleOrDays)
+      ? recurrenceFromDaysOfWeek(scheduleOrDays)
+      : this.migrateSchedule(scheduleOrDays).recurrence;
+    return describeRecurrence(recurrence);
+  }
+
+  // Get the next planned occurrence after a time, skipping exception dates and a skipped occurrence
+  static getNextOccurrence(schedule, after = new Date()) {
+    const { recurrence, timeZone } = this.migrateSchedule(schedule);
+    const startDate = this.getStartDate(schedule);
     
-    // Find the next day that matches the schedule
-    for (let i = 0; i < 7; i++) {
-      const checkDate = new Date(now);
-      checkDate.setDate(now.getDate() + i);
-      checkDate.setHours(scheduledTime.getHours(), scheduledTime.getMinutes(), 0, 0);
+    // Today's occurrence may already have passed, and excepted dates are skipped,
+    // so keep searching from the day after each rejected occurrence
+    let fromDate = getZonedCalendarDate(after, timeZone);
+    for (let attempt = 0; attempt < this.MAX_SKIPPED_OCCURRENCES; attempt++) {
+      const nextDate = getNextOccurrenceDate(recurrence, startDate, fromDate);
+      if (!nextDate) return null;
       
-      if (schedule.daysOfWeek.includes(checkDate.getDay()) && checkDate > now) {
-        return checkDate;
+      const candidate = this.getOccurrenceTime(schedule, nextDate);
+      if (candidate && candidate > after &&
+          !this.getExclusion(schedule, nextDate) &&
+          !this.isSameTime(schedule.skippedOccurrence, candidate)) {
+        return candidate;
       }
+      
+      fromDate = fromDayNumber(toDayNumber(nextDate) + 1);
     }
     
     return null;
   }
 
-  // Clean up old schedules (older than 30 days and not repeating)
-  static async cleanupOldSchedules() {
-    try {
-      const schedules = await this.getAllSchedules();
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-      
-      const activeSchedules = schedules.filter(schedule => {
-        if (schedule.repeatWeekly) return true; // Keep repeating schedules
+  // Get next execution time for a schedule (a snoozed occurrence runs at its new time)
+  static getNextExecutionTime(schedule, after = new Date()) {
+    const snooze = this.getPendingSnooze(schedule, after);
+    let next = this.getNextOccurrence(schedule, after);
+    
+    // The snoozed occurrence no longer runs at its planned time
+    if (snooze && next && this.isSameTime(next, snooze.plannedTime)) {
+      next = this.getNextOccurrence(schedule, next);
+    }
+    
+    if (snooze && (!next || snooze.runAt < next)) return snooze.runAt;
+    return next;
+  }
+
+  // The schedule's snooze, if its occurrence hasn't run yet and its new time is still ahead
+  static getPendingSnooze(schedule, after = new Date()) {
+    const snooze = schedule.snoozedOccurrence;
+    if (!snooze) return null;
+    
+    const plannedTime = new Date(snooze.plannedTime);
+    const runAt = new Date(snooze.runAt);
+    if (schedule.lastHandledOccurrence && new Date(schedule.lastHandledOccurrence) >= plannedTime) return null;
+    if (runAt <= after) return null;
+    
+    return { plannedTime, runAt };
+  }
+
+  // The occurrence that skip/snooze act on: one that is due right now, otherwise the next one
+  static getUpcomingOccurrence(schedule, now = new Date()) {
+    const pendingSnooze = this.getPendingSnooze(schedule, now);
+    if (pendingSnooze) return pendingSnooze.plannedTime;
+    
+    const { status, occurrence } = this.evaluateSchedule(schedule, now);
+    if (status === 'due') return occurrence;
+    
+    return this.getNextOccurrence(schedule, now);
+  }
+
+  // Don't run the upcoming occurrence; the schedule stays enabled for the ones after it
+  static async skipNextOccurrence(scheduleId) {
+    const schedule = await this.getSchedule(scheduleId);
+    if (!schedule) throw new Error('Schedule not found');
+    
+    const occurrence = this.getUpcomingOccurrence(schedule);
+    if (!occurrence) throw new Error('This schedule has no upcoming run to skip');
+    
+    console.log(`⏭️ [SCHEDULER] Skipping "${schedule.cardTitle}" planned for ${occurrence.toLocaleString()}`);
+    return this.updateSchedule(scheduleId, {
+      skippedOccurrence: occurrence,
+      snoozedOccurrence: null
+    });
+  }
+
+  // Undo skipNextOccurrence
+  static async unskipOccurrence(scheduleId) {
+    return this.updateSchedule(scheduleId, { skippedOccurrence: null });
+  }
+
+  // Move the upcoming occurrence minutes later; snoozing again pushes it further
+  static async snoozeNextOccurrence(scheduleId, minutes) {
+    const schedule = await this.getSchedule(scheduleId);
+    if (!schedule) throw new Error('Schedule not found');
+    
+    const now = new Date();
+    const occurrence = this.getUpcomingOccurrence(schedule, now);
+    if (!occurrence) throw new Error('This schedule has no upcoming run to snooze');
+    
+    const pendingSnooze = this.getPendingSnooze(schedule, now);
+    const from = pendingSnooze ? pendingSnooze.runAt : new Date(Math.max(occurrence.getTime(), now.getTime()));
+    const runAt = new Date(from.getTime() + minutes * 60000);
+    
+    if (runAt.getTime() - occurrence.getTime() > this.MAX_SNOOZE_MINUTES * 60000) {
+      throw new Error(`A run can be snoozed by up to ${this.MAX_SNOOZE_MINUTES} minutes`);
+    }
+    
+    console.log(`😴 [SCHEDULER] Snoozing "${schedule.cardTitle}" from ${occurrence.toLocaleTimeString()} to ${runAt.toLocaleTimeString()}`);
+    return this.updateSchedule(scheduleId, {
+      snoozedOccurrence: { plannedTime: occurrence, runAt },
+      skippedOccurrence: this.isSameTime(schedule.skippedOccurrence, occurrence) ? null : schedule.skippedOccurrence
+    });
+  }
+
+  static isSameTime(a, b) {
+    return !!a && !!b && new Date(a).getTime() === new Date(b).getTime();
+  }
+
+  static getPriority(schedule) {
+    return typeof schedule?.priority === 'number' ? schedule.priority : this.DEFAULT_PRIORITY;
+  }
+
+  // Card durations in seconds by card id, from YotoAPI.getUserContent() items
+  static getCardDurations(cards = []) {
+    const durations = new Map();
+    cards.forEach(card => {
+      const seconds = Number(card.duration);
+      if (card.id && seconds > 0) durations.set(card.id, seconds);
+    });
+    return durations;
+  }
+
+  // How long a run is expected to keep the player busy, in seconds, or null if unknown.
+  // A stop time wins over the stored estimate, which wins over the whole card's duration.
+  static getExpectedDurationSeconds(schedule, cardDurations = new Map()) {
+    if (schedule.type === this.SCHEDULE_TYPES.ROUTINE) {
+      // Only the delays and waits are known; the cards a routine plays add to this
+      const seconds = RoutineService.getTotalDurationSeconds(schedule.steps || []);
+      return seconds > 0 ? seconds : null;
+    }
+    if (schedule.type === this.SCHEDULE_TYPES.LIGHT) {
+      return null; // A light change is instant and leaves the player free
+    }
+    
+    const { secondsIn, cutOff } = this.getPlaybackOptions(schedule);
+    if (cutOff) return cutOff - (secondsIn || 0);
+    if (schedule.expectedDurationSeconds > 0) return schedule.expectedDurationSeconds;
+    
+    const cardSeconds = cardDurations.get(schedule.cardId);
+    if (!cardSeconds) return null;
+    return Math.max(0, cardSeconds - (secondsIn || 0)) || null;
+  }
+
+  // What a schedule plays or sends, for spotting duplicates
+  static getContentKey(schedule) {
+    switch (schedule.type) {
+      case this.SCHEDULE_TYPES.ROUTINE:
+        return JSON.stringify(schedule.steps || []);
+      case this.SCHEDULE_TYPES.LIGHT:
+        return JSON.stringify(schedule.light || null);
+      default:
+        return JSON.stringify([schedule.cardId, this.getPlaybackOptions(schedule)]);
+    }
+  }
+
+  // Same content, time of day and recurrence: the second schedule can never do anything useful
+  static isDuplicateSchedule(a, b) {
+    if (a.playerId !== b.playerId || (a.type || this.SCHEDULE_TYPES.CARD) !== (b.type || this.SCHEDULE_TYPES.CARD)) {
+      return false;
+    }
+    
+    const sameContent = this.getContentKey(a) === this.getContentKey(b);
+    const { recurrence: recurrenceA, wallTime: timeA, timeZone: zoneA } = this.migrateSchedule(a);
+    const { recurrence: recurrenceB, wallTime: timeB, timeZone: zoneB } = this.migrateSchedule(b);
+    const triggerA = this.getTrigger(a);
+    const triggerB = this.getTrigger(b);
+    const sameTime = triggerA.type === this.TRIGGER_TYPES.SOLAR || triggerB.type === this.TRIGGER_TYPES.SOLAR
+      ? triggerA.event === triggerB.event && (triggerA.offsetMinutes || 0) === (triggerB.offsetMinutes || 0)
+      : timeA.hour === timeB.hour && timeA.minute === timeB.minute && zoneA === zoneB;
+    
+    return sameContent &&
+      sameTime &&
+      recurrenceA.rrule === recurrenceB.rrule &&
+      [...recurrenceA.rdates].sort().join() === [...recurrenceB.rdates].sort().join();
+  }
+
+  // Run times within [from, until), including a snoozed occurrence at its new time
+  static getOccurrencesBetween(schedule, from, until) {
+    const occurrences = [];
+    let after = new Date(from.getTime() - 1);
+    
+    while (occurrences.length < this.MAX_CONFLICT_OCCURRENCES) {
+      const next = this.getNextExecutionTime(schedule, after);
+      if (!next || next >= until) break;
+      occurrences.push(next);
+      after = next;
+    }
+    
+    return occurrences;
+  }
+
+  // Find clashes between enabled schedules on the same player over the next CONFLICT_LOOKAHEAD_DAYS.
+  // Returns conflicts sorted by time:
+  // {
+  //   type: 'duplicate' | 'same_time' | 'overlap',
+  //   playerId: string,
+  //   schedules: [Schedule, Schedule], // For overlaps: the one already playing, then the one starting
+  //   at: Date,                        // First clashing run
+  //   playingUntil: Date | null,       // Overlaps: when the first one is expected to finish
+  //   winnerId: string                 // The schedule that plays at that moment (see resolveDueSchedules)
+  // }
+  // Uses the last ScheduleExceptionsService.load()
+  static findConflicts(schedules, { cards = [], from = new Date(), days = this.CONFLICT_LOOKAHEAD_DAYS } = {}) {
+    const cardDurations = this.getCardDurations(cards);
+    const until = new Date(from.getTime() + days * 24 * 60 * 60000);
+    const enabled = schedules.filter(schedule => schedule.isEnabled !== false);
+    const occurrences = new Map(enabled.map(schedule => [schedule.id, this.getOccurrencesBetween(schedule, from, until)]));
+    const conflicts = [];
+    
+    for (let i = 0; i < enabled.length; i++) {
+      for (let j = i + 1; j < enabled.length; j++) {
+        const a = enabled[i];
+        const b = enabled[j];
+        if (a.playerId !== b.playerId || this.isLightSchedule(a) !== this.isLightSchedule(b)) continue;
         
-        const scheduleDate = new Date(schedule.scheduledTime);
-        return scheduleDate > thirtyDaysAgo; // Keep recent schedules
-      });
-      
-      if (activeSchedules.length !== schedules.length) {
-        await this.saveSchedules(activeSchedules);
-        console.log(`🧹 [SCHEDULER] Cleaned up ${schedules.length - activeSchedules.length} old schedules`);
+        const conflict = this.findPairConflict(a, b, occurrences.get(a.id), occurrences.get(b.id), cardDurations);
+        if (conflict) conflicts.push(conflict);
+      }
+    }
+    
+    return conflicts.sort((x, y) => x.at.getTime() - y.at.getTime());
+  }
+
+  // Conflicts involving one schedule, e.g. an unsaved one from the edit form
+  static findConflictsForSchedule(schedule, otherSchedules, options = {}) {
+    const others = otherSchedules.filter(other => other.id !== schedule.id);
+    return this.findConflicts([schedule, ...others], options)
+      .filter(conflict => conflict.schedules.some(s => s.id === schedule.id));
+  }
+
+  // The earliest clash between two schedules on the same player, or null
+  static findPairConflict(a, b, occurrencesA, occurrencesB, cardDurations = new Map()) {
+    if (occurrencesA.length === 0 || occurrencesB.length === 0) return null;
+    
+    if (this.isDuplicateSchedule(a, b)) {
+      const [first] = this.orderByPriority([a, b]);
+      return {
+        type: this.CONFLICT_TYPES.DUPLICATE,
+        playerId: a.playerId,
+        schedules: [a, b],
+        at: occurrencesA[0] < occurrencesB[0] ? occurrencesA[0] : occurrencesB[0],
+        playingUntil: null,
+        winnerId: first.id
+      };
+    }
+    
+    const durationA = this.getExpectedDurationSeconds(a, cardDurations);
+    const durationB = this.getExpectedDurationSeconds(b, cardDurations);
+    let earliest = null;
+    const consider = conflict => {
+      if (!earliest || conflict.at < earliest.at) earliest = conflict;
+    };
+    
+    for (const timeA of occurrencesA) {
+      for (const timeB of occurrencesB) {
+        const gapMs = timeB.getTime() - timeA.getTime();
+        
+        if (Math.abs(gapMs) < 60000) {
+          const [first] = this.orderByPriority([a, b]);
+          consider({
+            type: this.CONFLICT_TYPES.SAME_TIME,
+            playerId: a.playerId,
+            schedules: [a, b],
+            at: timeA < timeB ? timeA : timeB,
+            playingUntil: null,
+            winnerId: first.id
+          });
+          continue;
+        }
+        
+        const [playing, starting, startedAt, startsAt, duration] = gapMs > 0
+          ? [a, b, timeA, timeB, durationA]
+          : [b, a, timeB, timeA, durationB];
+        const playingUntil = duration ? new Date(startedAt.getTime() + duration * 1000) : null;
+        
+        if (playingUntil && startsAt < playingUntil) {
+          consider({
+            type: this.CONFLICT_TYPES.OVERLAP,
+            playerId: a.playerId,
+            schedules: [playing, starting],
+            at: startsAt,
+            playingUntil,
+            // The later run takes over the player unless the one playing has a higher priority
+            winnerId: this.getPriority(playing) > this.getPriority(starting) ? playing.id : starting.id
+          });
+        }
+      }
+    }
+    
+    return earliest;
+  }
+
+  // Light changes don't use the speaker, so they only clash with other light changes
+  static isLightSchedule(schedule) {
+    return schedule.type === this.SCHEDULE_TYPES.LIGHT;
+  }
+
+  // Highest priority first; on a tie the schedule created first wins, and an unsaved one (no createdAt) counts as newest
+  static orderByPriority(schedules) {
+    const createdTime = schedule => (schedule.createdAt ? new Date(schedule.createdAt).getTime() : Infinity);
+    return [...schedules].sort((a, b) => {
+      if (this.getPriority(a) !== this.getPriority(b)) return this.getPriority(b) - this.getPriority(a);
+      if (createdTime(a) === createdTime(b)) return 0;
+      return createdTime(a) < createdTime(b) ? -1 : 1;
+    });
+  }
+
+  // Describe a conflict from one of its schedules' point of view
+  static describeConflict(conflict, scheduleId) {
+    const other = conflict.schedules.find(schedule => schedule.id !== scheduleId) || conflict.schedules[1];
+    const when = `${conflict.at.toLocaleDateString()} at ${this.formatTime(conflict.at)}`;
+    const outcome = conflict.winnerId === scheduleId
+      ? 'this schedule wins'
+      : `"${other.cardTitle}" wins`;
+    
+    switch (conflict.type) {
+      case this.CONFLICT_TYPES.DUPLICATE:
+        return `Duplicate of "${other.cardTitle}" (same content, time and repeat); only one will play`;
+      case this.CONFLICT_TYPES.SAME_TIME:
+        return `Starts at the same time as "${other.cardTitle}" on ${when}; ${outcome}`;
+      default: {
+        const [playing, starting] = conflict.schedules;
+        const until = this.formatTime(conflict.playingUntil);
+        const takesOver = conflict.winnerId === starting.id;
+        return playing.id === scheduleId
+          ? `"${starting.cardTitle}" starts on ${when} while this is still playing (until about ${until}); ${
+              takesOver ? 'it will cut this off' : 'it won\'t start'}`
+          : `Starts on ${when} while "${playing.cardTitle}" is still playing (until about ${until}); ${
+              takesOver ? 'this takes over' : 'this won\'t start (lower priority)'}`;
       }
-    } catch (error) {
-      console.error('❌ [SCHEDULER] Failed to cleanup old schedules:', error);
     }
   }
 
+  // Remember that a schedule just started on its player, until its expected end
+  static recordActivePlay(schedule, startedAt = new Date()) {
+    const duration = this.getExpectedDurationSeconds(schedule);
+    this.activePlays.set(schedule.playerId, {
+      scheduleId: schedule.id,
+      cardTitle: schedule.cardTitle,
+      priority: this.getPriority(schedule),
+      startedAt,
+      expectedEnd: duration ? new Date(startedAt.getTime() + duration * 1000) : null
+    });
+  }
+
+  // Decide which of the runs due in one check go ahead:
+  // per player only the highest priority one (the oldest schedule on a tie),
+  // and none that would cut off a higher-priority schedule still expected to play.
+  // dueRuns: { schedule, occurrence, minutesLate }[]
+  // Returns { run: dueRuns[], superseded: (dueRun & { reason })[] }
+  static resolveDueSchedules(dueRuns, now = new Date()) {
+    const run = [];
+    const superseded = [];
+    const byPlayer = new Map();
+    
+    // Light changes are settled among themselves and never wait for a play to finish
+    dueRuns.forEach(dueRun => {
+      const { playerId } = dueRun.schedule;
+      const key = this.isLightSchedule(dueRun.schedule) ? `${playerId}:light` : playerId;
+      byPlayer.set(key, [...(byPlayer.get(key) || []), dueRun]);
+    });
+    
+    byPlayer.forEach(playerRuns => {
+      const ordered = this.orderByPriority(playerRuns.map(dueRun => dueRun.schedule))
+        .map(schedule => playerRuns.find(dueRun => dueRun.schedule === schedule));
+      const [winner, ...losers] = ordered;
+      
+      losers.forEach(loser => superseded.push({
+        ...loser,
+        reason: `"${winner.schedule.cardTitle}" was due at the same time with ${
+          this.getPriority(winner.schedule) > this.getPriority(loser.schedule) ? 'a higher' : 'the same'
+        } priority`
+      }));
+      
+      const active = this.isLightSchedule(winner.schedule) ? null : this.activePlays.get(winner.schedule.playerId);
+      const stillPlaying = active && active.expectedEnd && active.expectedEnd > now &&
+        active.scheduleId !== winner.schedule.id;
+      if (stillPlaying && active.priority > this.getPriority(winner.schedule)) {
+        superseded.push({
+          ...winner,
+          reason: `"${active.cardTitle}" is still playing until about ${this.formatTime(active.expectedEnd)} and has a higher priority`
+        });
+      } else {
+        run.push(winner);
+      }
+    });
+    
+    return { run, superseded };
+  }
+
   // Set MQTT client for foreground execution
   static setMqttClient(mqttClient) {
     this.mqttClient = mqttClient;
   }
 
   // Manual check (can be called from UI)
-  static async checkNow(mqttClient) {
+  static async checkNow(mqttClient, source = ExecutionHistoryService.SOURCES.MANUAL) {
     console.log('🔍 [SCHEDULER] Manual schedule check requested');
-    await this.checkAndExecuteSchedules(mqttClient);
+    await this.checkAndExecuteSchedules(mqttClient, source);
   }
 }
@@ -0,0 +1,162 @@
+import { YotoAPI } from './apiService';
+import { cancellableSleep } from '../utils/async';
+
+// Player volume: sent over MQTT when the player's connection is healthy,
+// otherwise (or if the publish fails) through the REST API.
+// Also runs fade-outs that lower the volume over a few minutes and then stop playback.
+export class VolumeService {
+  static MIN_VOLUME = 0;
+  static MAX_VOLUME = 100;
+  // Used for a fade-out when the player hasn't reported its volume yet
+  static FALLBACK_START_VOLUME = 50;
+
+  static DEFAULT_FADE_OUT_MINUTES = 10;
+  // Volume changes during a fade are at least this far apart
+  static MIN_FADE_STEP_MS = 3000;
+
+  // Fade-outs in progress, keyed by player id; a player runs one at a time
+  static activeFades = new Map();
+  static listeners = new Set();
+
+  static clamp(volume) {
+    return Math.round(Math.max(this.MIN_VOLUME, Math.min(this.MAX_VOLUME, volume)));
+  }
+
+  // Set a player's volume. Resolves with { via: 'mqtt' | 'rest' }
+  static async setVolume(playerId, volume, mqttClient) {
+    const target = this.clamp(volume);
+
+    if (mqttClient?.isConnectionHealthy?.()) {
+      try {
+        await mqttClient.setVolume(playerId, target);
+        return { via: 'mqtt' };
+      } catch (error) {
+        console.error('❌ [VOLUME] MQTT volume command failed, falling back to the API:', error);
+      }
+    }
+
+    await YotoAPI.setPlayerVolume(playerId, target);
+    console.log(`🔊 [VOLUME] Set volume to ${target} on ${playerId} through the API`);
+    return { via: 'rest' };
+  }
+
+  // Stop playback over MQTT, or through the REST API if that isn't possible
+  static async stopPlayback(playerId, mqttClient) {
+    if (mqttClient?.isConnectionHealthy?.()) {
+      try {
+        await mqttClient.stopPlayback(playerId);
+        return { via: 'mqtt' };
+      } catch (error) {
+        console.error('❌ [VOLUME] MQTT stop failed, falling back to the API:', error);
+      }
+    }
+
+    await YotoAPI.controlPlayback(playerId, 'stop');
+    return { via: 'rest' };
+  }
+
+  static isFading(playerId) {
+    return this.activeFades.has(playerId);
+  }
+
+  // { fromVolume, durationMinutes, startedAt, progress } of the player's fade-out, or null
+  static getActiveFade(playerId) {
+    const fade = this.activeFades.get(playerId);
+    if (!fade) return null;
+    return {
+      fromVolume: fade.fromVolume,
+      durationMinutes: fade.durationMinutes,
+      startedAt: fade.startedAt,
+      progress: Math.min(1, (Date.now() - fade.startedAt.getTime()) / (fade.durationMinutes * 60000)),
+    };
+  }
+
+  // Stop a fade-out where it is; playback carries on at the current volume
+  static cancelFade(playerId) {
+    const fade = this.activeFades.get(playerId);
+    if (fade) {
+      console.log(`🛑 [VOLUME] Cancelling fade-out on ${playerId}`);
+      fade.cancelled = true;
+    }
+  }
+
+  // listener({ type: 'started' | 'finished', playerId, result? }); returns an unsubscribe function
+  static onFadeChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  static notifyListeners(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('❌ [VOLUME] Fade listener failed:', error);
+      }
+    });
+  }
+
+  // Lower the volume to zero over durationMinutes, stop playback, then put the volume back
+  // so the next card isn't silent. getMqttClient is called before each change so a
+  // reconnected client is picked up; the REST API covers the gaps.
+  // Resolves with { success, cancelled, error }
+  static async fadeOutAndStop(playerId, durationMinutes, getMqttClient) {
+    this.cancelFade(playerId);
+    await this.activeFades.get(playerId)?.finished;
+
+    const fromVolume = getMqttClient()?.getPlayerState?.().volume ?? this.FALLBACK_START_VOLUME;
+    const durationMs = Math.max(1000, durationMinutes * 60000);
+    const fade = { fromVolume, durationMinutes, startedAt: new Date(), cancelled: false, finished: null };
+    let lastVolume = null;
+    let error = null;
+
+    console.log(`🔉 [VOLUME] Fading out ${playerId} from ${fromVolume} over ${durationMinutes} min`);
+
+    this.activeFades.set(playerId, fade);
+    fade.finished = (async () => {
+      try {
+        while (!fade.cancelled) {
+          const progress = Math.min(1, (Date.now() - fade.startedAt.getTime()) / durationMs);
+          const volume = this.clamp(fromVolume * (1 - progress));
+
+          if (volume !== lastVolume) {
+            try {
+              await this.setVolume(playerId, volume, getMqttClient());
+              lastVolume = volume;
+            } catch (stepError) {
+              // Try again on the next step, from wherever the fade has got to by then
+              console.error('❌ [VOLUME] Fade-out step failed:', stepError);
+            }
+          }
+
+          if (progress >= 1) break;
+          await cancellableSleep(this.MIN_FADE_STEP_MS, fade);
+        }
+
+        if (!fade.cancelled) {
+          await this.stopPlayback(playerId, getMqttClient());
+          await this.setVolume(playerId, fromVolume, getMqttClient());
+        }
+      } catch (finalError) {
+        error = finalError;
+        console.error('❌ [VOLUME] Fade-out failed to stop playback:', finalError);
+      } finally {
+        if (this.activeFades.get(playerId) === fade) {
+          this.activeFades.delete(playerId);
+        }
+      }
+    })();
+
+    this.notifyListeners({ type: 'started', playerId });
+    await fade.finished;
+
+    const result = {
+      success: !fade.cancelled && !error,
+      cancelled: fade.cancelled,
+      error: error ? error.message : null,
+    };
+    console.log(`🏁 [VOLUME] Fade-out on ${playerId} finished:`, result);
+    this.notifyListeners({ type: 'finished', playerId, result });
+    return result;
+  }
+}
@@ -22,6 +22,7 @@ export interface YotoCard {
   chapters?: any[];       // Chapter information
   tracks?: any[];         // Track information
   metadata?: any;         // Additional metadata
+  updatedAt?: string | null; // ISO time the content was last changed
 }
 
 export interface AuthResult {
@@ -48,3 +49,29 @@ export interface ConnectionStatus {
   status: 'Connected' | 'Disconnected' | 'Connecting' | 'Reconnecting' | 'Offline' | 'Error' | 'Connection Timeout';
   message?: string;
 }
+
+export interface PlayerState {
+  cardId: string | null;
+  chapterKey: string | null;
+  chapterTitle: string | null;
+  trackKey: string | null;
+  trackTitle: string | null;
+  position: number | null;
+  trackLength: number | null;
+  playbackStatus: 'playing' | 'paused' | 'stopped' | null;
+  volume: number | null;
+  sleepTimerActive: boolean | null;
+  ambientColor: string | null;
+  nightLightOn: boolean | null;
+  nightLightColor: string | null;
+  batteryLevel: number | null;
+  isCharging: boolean | null;
+  isOnline: boolean | null;
+  updatedAt: Partial<Record<Exclude<keyof PlayerState, 'updatedAt'>, number>>;
+}
+
+export interface ReconnectState {
+  reconnectAttempts: number;
+  nextRetryAt: Date | null;
+  isReconnecting: boolean;
+}
@@ -0,0 +1,35 @@
+// Promise helpers shared by the services.
+
+// A queue that runs tasks one at a time, in the order they were added, so
+// read-modify-write updates of the same stored value can't overwrite each other.
+// Calling the queue with a task returns that task's promise; a task that fails
+// is reported to onError and rejects its own caller without stopping later tasks.
+export function createWriteQueue(onError) {
+  let tail = Promise.resolve();
+
+  /**
+   * @template T
+   * @param {() => T | PromiseLike<T>} task
+   * @returns {Promise<T>}
+   */
+  function run(task) {
+    const result = tail.then(() => task());
+    tail = result.catch(onError);
+    return result;
+  }
+
+  return run;
+}
+
+// Wait ms milliseconds, waking up early (within a quarter of a second) once token.cancelled is set
+export function cancellableSleep(ms, token) {
+  return new Promise(resolve => {
+    const startedAt = Date.now();
+    const timer = setInterval(() => {
+      if (token?.cancelled || Date.now() - startedAt >= ms) {
+        clearInterval(timer);
+        resolve();
+      }
+    }, Math.min(ms, 250));
+  });
+}
@@ -0,0 +1,468 @@
+// RFC 5545 RRULE-compatible recurrence engine.
+//
+// A schedule's recurrence looks like:
+// {
+//   rrule: string | null,   // e.g. 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10'
+//   rdates: string[]        // extra one-off dates, 'YYYY-MM-DD'
+// }
+//
+// Supported rule parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY
+// (with ordinals such as 1MO or -1FR for monthly/yearly rules), BYMONTHDAY,
+// BYMONTH, COUNT, UNTIL and WKST. The time of day always comes from the
+// schedule itself, so BYHOUR/BYMINUTE/BYSECOND are not supported.
+//
+// All calculations work on calendar dates ({ year, month, day } with month 1-12)
+// converted to day numbers, so daylight-saving changes never shift a date.
+
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+export const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const ORDINAL_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last', '-2': 'second to last' };
+
+// How far ahead to search for the next occurrence (covers Feb 29 yearly rules)
+const MAX_LOOKAHEAD_DAYS = 366 * 8;
+
+/**
+ * Convert a calendar date to a day number (days since 1970-01-01)
+ */
+export function toDayNumber({ year, month, day }) {
+  return Math.floor(Date.UTC(year, month - 1, day) / 86400000);
+}
+
+/**
+ * Convert a day number back to a calendar date
+ */
+export function fromDayNumber(dayNumber) {
+  const date = new Date(dayNumber * 86400000);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate()
+  };
+}
+
+/**
+ * Get the local calendar date of a Date object
+ */
+export function toCalendarDate(date) {
+  return {
+    year: date.getFullYear(),
+    month: date.getMonth() + 1,
+    day: date.getDate()
+  };
+}
+
+/**
+ * Format a calendar date as 'YYYY-MM-DD'
+ */
+export function formatDateKey({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a 'YYYY-MM-DD' (or 'YYYYMMDD') string into a calendar date
+ */
+export function parseDateKey(value) {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(value || '');
+  if (!match) return null;
+  return {
+    year: parseInt(match[1], 10),
+    month: parseInt(match[2], 10),
+    day: parseInt(match[3], 10)
+  };
+}
+
+function weekdayOf(dayNumber) {
+  // 1970-01-01 was a Thursday
+  return (((dayNumber + 4) % 7) + 7) % 7;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function daysInYear(year) {
+  return toDayNumber({ year: year + 1, month: 1, day: 1 }) - toDayNumber({ year, month: 1, day: 1 });
+}
+
+/**
+ * Parse an RRULE string (with or without the 'RRULE:' prefix).
+ * Parts this engine doesn't support (BYHOUR, BYSETPOS, ...) are ignored and listed in rule.unsupported
+ */
+export function parseRRule(rruleString) {
+  if (!rruleString) return null;
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    count: null,
+    until: null,
+    wkst: 1,
+    unsupported: []
+  };
+
+  const body = rruleString.trim().replace(/^RRULE:/i, '');
+
+  for (const part of body.split(';')) {
+    if (!part) continue;
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.toUpperCase();
+    const value = rawValue.toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) {
+          throw new Error(`Unsupported RRULE frequency: ${value}`);
+        }
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = Math.max(1, parseInt(value, 10) || 1);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(entry => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry);
+          if (!match) {
+            throw new Error(`Invalid BYDAY value: ${entry}`);
+          }
+          return {
+            weekday: WEEKDAY_CODES.indexOf(match[2]),
+            ordinal: match[1] ? parseInt(match[1], 10) : null
+          };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(v => parseInt(v, 10)).filter(v => v && Math.abs(v) <= 31);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = value.split(',').map(v => parseInt(v, 10)).filter(v => v >= 1 && v <= 12);
+        break;
+      case 'COUNT':
+        rule.count = Math.max(1, parseInt(value, 10) || 1);
+        break;
+      case 'UNTIL':
+        rule.until = parseDateKey(value);
+        break;
+      case 'WKST':
+        rule.wkst = Math.max(0, WEEKDAY_CODES.indexOf(value));
+        break;
+      default:
+        rule.unsupported.push(key);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('RRULE is missing FREQ');
+  }
+
+  return rule;
+}
+
+/**
+ * Serialize a parsed rule back into an RRULE string
+ */
+export function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval && rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byDay?.length) {
+    parts.push(`BYDAY=${rule.byDay.map(d => `${d.ordinal || ''}${WEEKDAY_CODES[d.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay?.length) {
+    parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  }
+  if (rule.byMonth?.length) {
+    parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  if (rule.until) {
+    parts.push(`UNTIL=${formatDateKey(rule.until).replace(/-/g, '')}`);
+  }
+  if (typeof rule.wkst === 'number' && rule.wkst !== 1) {
+    parts.push(`WKST=${WEEKDAY_CODES[rule.wkst]}`);
+  }
+
+  return parts.join(';');
+}
+
+function matchesMonthDay(date, byMonthDay) {
+  const length = daysInMonth(date.year, date.month);
+  return byMonthDay.some(value => (value > 0 ? date.day === value : date.day === length + value + 1));
+}
+
+// Ordinal BYDAY entries count within the month (MONTHLY, or YEARLY with BYMONTH)
+// or within the whole year (YEARLY without BYMONTH)
+function matchesByDay(dayNumber, date, byDay, scope) {
+  const weekday = weekdayOf(dayNumber);
+
+  return byDay.some(entry => {
+    if (entry.weekday !== weekday) return false;
+    if (!entry.ordinal) return true;
+
+    if (scope === 'year') {
+      const dayOfYear = dayNumber - toDayNumber({ year: date.year, month: 1, day: 1 }) + 1;
+      const fromEnd = daysInYear(date.year) - dayOfYear + 1;
+      return entry.ordinal > 0
+        ? Math.ceil(dayOfYear / 7) === entry.ordinal
+        : Math.ceil(fromEnd / 7) === -entry.ordinal;
+    }
+
+    const fromEnd = daysInMonth(date.year, date.month) - date.day + 1;
+    return entry.ordinal > 0
+      ? Math.ceil(date.day / 7) === entry.ordinal
+      : Math.ceil(fromEnd / 7) === -entry.ordinal;
+  });
+}
+
+function startOfWeek(dayNumber, wkst) {
+  return dayNumber - ((weekdayOf(dayNumber) - wkst + 7) % 7);
+}
+
+// Check a single day against the rule, ignoring COUNT
+function matchesRuleIgnoringCount(rule, startDay, dayNumber) {
+  if (dayNumber < startDay) return false;
+  if (rule.until && dayNumber > toDayNumber(rule.until)) return false;
+
+  const date = fromDayNumber(dayNumber);
+  const start = fromDayNumber(startDay);
+
+  if (rule.byMonth.length && !rule.byMonth.includes(date.month)) return false;
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      if ((dayNumber - startDay) % rule.interval !== 0) return false;
+      if (rule.byMonthDay.length && !matchesMonthDay(date, rule.byMonthDay)) return false;
+      if (rule.byDay.length && !matchesByDay(dayNumber, date, rule.byDay, 'month')) return false;
+      return true;
+    }
+
+    case 'WEEKLY': {
+      const weeks = (startOfWeek(dayNumber, rule.wkst) - startOfWeek(startDay, rule.wkst)) / 7;
+      if (weeks % rule.interval !== 0) return false;
+      const weekdays = rule.byDay.length ? rule.byDay.map(d => d.weekday) : [weekdayOf(startDay)];
+      return weekdays.includes(weekdayOf(dayNumber));
+    }
+
+    case 'MONTHLY': {
+      const months = (date.year - start.year) * 12 + (date.month - start.month);
+      if (months % rule.interval !== 0) return false;
+      if (rule.byDay.length || rule.byMonthDay.length) {
+        if (rule.byDay.length && !matchesByDay(dayNumber, date, rule.byDay, 'month')) return false;
+        if (rule.byMonthDay.length && !matchesMonthDay(date, rule.byMonthDay)) return false;
+        return true;
+      }
+      return date.day === start.day;
+    }
+
+    case 'YEARLY': {
+      if ((date.year - start.year) % rule.interval !== 0) return false;
+      if (rule.byDay.length || rule.byMonthDay.length) {
+        const scope = rule.byMonth.length ? 'month' : 'year';
+        if (rule.byDay.length && !matchesByDay(dayNumber, date, rule.byDay, scope)) return false;
+        if (rule.byMonthDay.length && !matchesMonthDay(date, rule.byMonthDay)) return false;
+        return true;
+      }
+      if (!rule.byMonth.length && date.month !== start.month) return false;
+      return date.day === start.day;
+    }
+
+    default:
+      return false;
+  }
+}
+
+function getRDateDays(recurrence) {
+  return (recurrence?.rdates || [])
+    .map(parseDateKey)
+    .filter(Boolean)
+    .map(toDayNumber);
+}
+
+function getRule(recurrence) {
+  if (!recurrence?.rrule) return null;
+  try {
+    return parseRRule(recurrence.rrule);
+  } catch (error) {
+    console.error('❌ [RRULE] Invalid recurrence rule:', recurrence.rrule, error);
+    return null;
+  }
+}
+
+/**
+ * Check whether a calendar date is an occurrence of the recurrence
+ * @param recurrence - { rrule, rdates }
+ * @param startDate - calendar date of the first occurrence (DTSTART)
+ * @param date - calendar date to test
+ */
+export function isOccurrenceDate(recurrence, startDate, date) {
+  const dayNumber = toDayNumber(date);
+
+  if (getRDateDays(recurrence).includes(dayNumber)) return true;
+
+  const rule = getRule(recurrence);
+  if (!rule) return false;
+
+  const startDay = toDayNumber(startDate);
+  if (!matchesRuleIgnoringCount(rule, startDay, dayNumber)) return false;
+  if (!rule.count) return true;
+
+  // Count the occurrences from DTSTART up to and including this date
+  let seen = 0;
+  for (let day = startDay; day <= dayNumber; day++) {
+    if (matchesRuleIgnoringCount(rule, startDay, day)) {
+      seen++;
+      if (seen > rule.count) return false;
+    }
+  }
+  return seen <= rule.count;
+}
+
+/**
+ * Find the first occurrence date on or after fromDate
+ * @returns calendar date or null when the recurrence has ended
+ */
+export function getNextOccurrenceDate(recurrence, startDate, fromDate) {
+  const fromDay = toDayNumber(fromDate);
+  const startDay = toDayNumber(startDate);
+  const rule = getRule(recurrence);
+
+  const upcomingRDates = getRDateDays(recurrence).filter(day => day >= fromDay);
+  let best = upcomingRDates.length ? Math.min(...upcomingRDates) : null;
+
+  if (rule) {
+    const lastDay = Math.min(
+      fromDay + MAX_LOOKAHEAD_DAYS,
+      rule.until ? toDayNumber(rule.until) : Infinity,
+      best !== null ? best - 1 : Infinity
+    );
+    // COUNT-limited rules have to be walked from DTSTART
+    let day = rule.count ? startDay : Math.max(startDay, fromDay);
+    let seen = 0;
+
+    for (; day <= lastDay; day++) {
+      if (!matchesRuleIgnoringCount(rule, startDay, day)) continue;
+      seen++;
+      if (rule.count && seen > rule.count) break;
+      if (day >= fromDay) {
+        best = day;
+        break;
+      }
+    }
+  }
+
+  return best !== null ? fromDayNumber(best) : null;
+}
+
+/**
+ * Build a weekly recurrence from the legacy daysOfWeek schedule field
+ */
+export function recurrenceFromDaysOfWeek(daysOfWeek = []) {
+  const days = [...new Set(daysOfWeek)].sort();
+  if (days.length === 0) {
+    return { rrule: null, rdates: [] };
+  }
+
+  const rule = {
+    freq: 'WEEKLY',
+    interval: 1,
+    byDay: days.map(weekday => ({ weekday, ordinal: null })),
+    byMonthDay: [],
+    byMonth: [],
+    count: null,
+    until: null,
+    wkst: 1
+  };
+
+  return { rrule: formatRRule(rule), rdates: [] };
+}
+
+/**
+ * Weekdays (0=Sunday) a weekly recurrence runs on, or null for other rules
+ */
+export function getWeeklyDays(recurrence) {
+  const rule = getRule(recurrence);
+  if (!rule || rule.freq !== 'WEEKLY' || rule.interval !== 1) return null;
+  return rule.byDay.map(d => d.weekday);
+}
+
+function describeWeekdays(days) {
+  const sorted = [...days].sort();
+  if (sorted.length === 7) return 'Every day';
+  if (sorted.length === 5 && !sorted.includes(0) && !sorted.includes(6)) return 'Weekdays';
+  if (sorted.length === 2 && sorted.includes(0) && sorted.includes(6)) return 'Weekends';
+  return sorted.map(day => DAY_NAMES[day]).join(', ');
+}
+
+function describeByDay(byDay) {
+  return byDay
+    .map(d => (d.ordinal ? `${ORDINAL_NAMES[d.ordinal] || `#${d.ordinal}`} ${DAY_NAMES[d.weekday]}` : DAY_NAMES[d.weekday]))
+    .join(', ');
+}
+
+function describeMonthDays(byMonthDay) {
+  return byMonthDay.map(v => (v === -1 ? 'last day' : v < 0 ? `${-v} days before month end` : `day ${v}`)).join(', ');
+}
+
+function describeDate(date) {
+  return `${date.day} ${MONTH_NAMES[date.month - 1]} ${date.year}`;
+}
+
+/**
+ * Human-readable description of a recurrence, e.g. 'Every 2 weeks on Mon, Wed'
+ */
+export function describeRecurrence(recurrence) {
+  const rule = getRule(recurrence);
+  const rdates = [...(recurrence?.rdates || [])].sort().map(parseDateKey).filter(Boolean);
+  const pieces = [];
+
+  if (rule) {
+    const every = (unit) => (rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`);
+    let text;
+
+    switch (rule.freq) {
+      case 'DAILY':
+        text = rule.interval > 1 ? `Every ${rule.interval} days` : 'Every day';
+        if (rule.byDay.length) text += ` (${describeByDay(rule.byDay)})`;
+        break;
+      case 'WEEKLY': {
+        const days = rule.byDay.map(d => d.weekday);
+        text = rule.interval > 1
+          ? `${every('week')} on ${describeByDay(rule.byDay) || 'the start day'}`
+          : days.length ? describeWeekdays(days) : 'Every week';
+        break;
+      }
+      case 'MONTHLY':
+        text = every('month');
+        if (rule.byDay.length) text += ` on the ${describeByDay(rule.byDay)}`;
+        else if (rule.byMonthDay.length) text += ` on ${describeMonthDays(rule.byMonthDay)}`;
+        break;
+      case 'YEARLY':
+        text = every('year');
+        if (rule.byMonth.length) text += ` in ${rule.byMonth.map(m => MONTH_NAMES[m - 1]).join(', ')}`;
+        if (rule.byDay.length) text += ` on the ${describeByDay(rule.byDay)}`;
+        else if (rule.byMonthDay.length) text += ` on ${describeMonthDays(rule.byMonthDay)}`;
+        break;
+      default:
+        text = rule.freq;
+    }
+
+    if (rule.count) text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+    if (rule.until) text += `, until ${describeDate(rule.until)}`;
+    pieces.push(text);
+  }
+
+  if (rdates.length) {
+    pieces.push(`${rule ? 'plus ' : 'On '}${rdates.map(describeDate).join(', ')}`);
+  }
+
+  return pieces.length ? pieces.join('; ') : 'Never';
+}
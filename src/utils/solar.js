@@ -0,0 +1,88 @@
+// Offline sunrise/sunset times from latitude and longitude.
+//
+// Uses the sunrise algorithm from the US Naval Observatory's "Almanac for
+// Computers" (1990), which is accurate to a minute or two away from the poles.
+// No network access is needed, so schedules keep working when offline.
+
+const RAD = Math.PI / 180;
+const HOUR_MS = 3600000;
+
+export const SOLAR_EVENTS = {
+  DAWN: 'dawn',       // Civil dawn: the sun 6° below the horizon, rising
+  SUNRISE: 'sunrise',
+  SUNSET: 'sunset',
+  DUSK: 'dusk',       // Civil dusk: the sun 6° below the horizon, setting
+};
+
+// Zenith angle of each event; 90°50' allows for refraction and the sun's radius
+const EVENT_ZENITH = {
+  dawn: 96,
+  sunrise: 90.8333,
+  sunset: 90.8333,
+  dusk: 96,
+};
+
+const RISING_EVENTS = ['dawn', 'sunrise'];
+
+function normalize(value, range) {
+  return ((value % range) + range) % range;
+}
+
+/**
+ * Get the Date of a solar event on a calendar date ({ year, month, day }) at a location.
+ * Returns null when the event doesn't happen that day (polar day or night).
+ */
+export function getSolarEventTime({ year, month, day }, event, latitude, longitude) {
+  const zenith = EVENT_ZENITH[event];
+  if (zenith === undefined) {
+    throw new Error(`Unknown solar event: ${event}`);
+  }
+  const rising = RISING_EVENTS.includes(event);
+
+  const dayOfYear = Math.round((Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 0)) / (24 * HOUR_MS));
+  const longitudeHours = longitude / 15;
+  const t = dayOfYear + ((rising ? 6 : 18) - longitudeHours) / 24;
+
+  // The sun's mean anomaly and true longitude
+  const meanAnomaly = 0.9856 * t - 3.289;
+  const trueLongitude = normalize(
+    meanAnomaly + 1.916 * Math.sin(meanAnomaly * RAD) + 0.020 * Math.sin(2 * meanAnomaly * RAD) + 282.634,
+    360
+  );
+
+  // Right ascension, in the same quadrant as the true longitude, in hours
+  let rightAscension = normalize(Math.atan(0.91764 * Math.tan(trueLongitude * RAD)) / RAD, 360);
+  rightAscension += Math.floor(trueLongitude / 90) * 90 - Math.floor(rightAscension / 90) * 90;
+  rightAscension /= 15;
+
+  const sinDeclination = 0.39782 * Math.sin(trueLongitude * RAD);
+  const cosDeclination = Math.cos(Math.asin(sinDeclination));
+
+  const cosHourAngle = (Math.cos(zenith * RAD) - sinDeclination * Math.sin(latitude * RAD))
+    / (cosDeclination * Math.cos(latitude * RAD));
+  if (cosHourAngle > 1 || cosHourAngle < -1) {
+    return null;
+  }
+
+  const hourAngle = (rising ? 360 - Math.acos(cosHourAngle) / RAD : Math.acos(cosHourAngle) / RAD) / 15;
+  const localMeanTime = hourAngle + rightAscension - 0.06571 * t - 6.622;
+  const utcHours = normalize(localMeanTime - longitudeHours, 24);
+
+  // utcHours is only known modulo a day; pick the instant within 12 hours of the location's solar noon
+  const midnightUtc = Date.UTC(year, month - 1, day);
+  const solarNoon = midnightUtc + (12 - longitudeHours) * HOUR_MS;
+  const candidates = [-1, 0, 1].map(days => midnightUtc + (days * 24 + utcHours) * HOUR_MS);
+  const closest = candidates.reduce((best, candidate) =>
+    Math.abs(candidate - solarNoon) < Math.abs(best - solarNoon) ? candidate : best
+  );
+
+  return new Date(Math.round(closest / 60000) * 60000);
+}
+
+/**
+ * Check a latitude/longitude pair
+ */
+export function isValidLocation(latitude, longitude) {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+}
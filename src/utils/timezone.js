@@ -0,0 +1,151 @@
+// IANA time zone helpers built on Intl.DateTimeFormat.
+//
+// Schedules keep a wall-clock time ({ year, month, day, hour, minute }) plus an
+// IANA zone such as 'Europe/London'. These helpers turn that into an instant,
+// whatever zone the phone itself is in.
+//
+// Daylight-saving transitions:
+// - A wall time that doesn't exist (clocks go forward past it) is moved forward
+//   by the length of the gap, e.g. 02:30 on a 02:00 -> 03:00 day becomes 03:30.
+// - A wall time that happens twice (clocks go back) resolves to the first,
+//   earlier instant, so a schedule runs once.
+// This matches the 'compatible' disambiguation of Temporal and most calendars.
+
+const MINUTE_MS = 60000;
+const HALF_DAY_MS = 12 * 60 * MINUTE_MS;
+
+export const WALL_TIME_STATUS = {
+  OK: 'ok',
+  NONEXISTENT: 'nonexistent', // Skipped by a forward transition, moved later by the gap
+  REPEATED: 'repeated',       // Happens twice on a backward transition, the first one is used
+};
+
+// Intl.DateTimeFormat is slow to construct, so keep one per zone
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * The phone's current IANA zone, e.g. 'Europe/London'
+ */
+export function getDeviceTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+}
+
+/**
+ * Check whether a string is an IANA zone this device knows
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone).format(new Date());
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock parts of an instant in a zone: { year, month, day, hour, minute, second }
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour === 24 ? 0 : parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Get the calendar date ({ year, month, day }) of an instant in a zone
+ */
+export function getZonedCalendarDate(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return { year, month, day };
+}
+
+/**
+ * Get a zone's UTC offset in minutes at an instant (e.g. 60 for BST)
+ */
+export function getTimeZoneOffsetMinutes(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - instant) / MINUTE_MS);
+}
+
+/**
+ * Resolve a wall-clock time in a zone to an instant, following the DST rules above.
+ * Returns { date: Date, status: 'ok' | 'nonexistent' | 'repeated' }
+ */
+export function resolveWallTime({ year, month, day, hour, minute }, timeZone) {
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Transitions are far apart, so the offsets half a day either side cover every case
+  const offsetBefore = getTimeZoneOffsetMinutes(new Date(wallAsUtc - HALF_DAY_MS), timeZone);
+  const offsetAfter = getTimeZoneOffsetMinutes(new Date(wallAsUtc + HALF_DAY_MS), timeZone);
+
+  const candidates = [...new Set([offsetBefore, offsetAfter])]
+    .map(offset => wallAsUtc - offset * MINUTE_MS)
+    .filter(instant => {
+      const parts = getZonedParts(new Date(instant), timeZone);
+      return parts.year === year && parts.month === month && parts.day === day &&
+        parts.hour === hour && parts.minute === minute;
+    })
+    .sort((a, b) => a - b);
+
+  if (candidates.length === 0) {
+    // In the gap: keep the offset from before the transition, which lands after it
+    return { date: new Date(wallAsUtc - offsetBefore * MINUTE_MS), status: WALL_TIME_STATUS.NONEXISTENT };
+  }
+  return {
+    date: new Date(candidates[0]),
+    status: candidates.length > 1 ? WALL_TIME_STATUS.REPEATED : WALL_TIME_STATUS.OK,
+  };
+}
+
+/**
+ * Convert a wall-clock time in a zone to a Date (see resolveWallTime)
+ */
+export function zonedTimeToDate(wallTime, timeZone) {
+  return resolveWallTime(wallTime, timeZone).date;
+}
+
+/**
+ * Short zone name for display, e.g. 'BST' or 'GMT+2'; falls back to the IANA name
+ */
+export function formatTimeZoneName(timeZone, date = new Date()) {
+  try {
+    const namePart = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+      .formatToParts(date)
+      .find(part => part.type === 'timeZoneName');
+    return namePart ? namePart.value : timeZone;
+  } catch (error) {
+    return timeZone;
+  }
+}